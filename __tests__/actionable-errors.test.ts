@@ -112,10 +112,10 @@ describe('ParsingError factory methods carry hints', () => {
     expect(e.hint).toMatch(/escaped as `""`/);
   });
 
-  test('invalidDelimiter — hint suggests autoDetect or known single-char delimiters', () => {
-    const e = ParsingError.invalidDelimiter('||', 1, 'context here');
-    expect(e.message).toContain("Invalid delimiter '||'");
-    expect(e.hint).toContain('single character');
+  test('invalidDelimiter — hint suggests autoDetect or known delimiters', () => {
+    const e = ParsingError.invalidDelimiter('\n', 1, 'context here');
+    expect(e.message).toContain("Invalid delimiter '\n'");
+    expect(e.hint).toContain('line breaks');
     expect(e.hint).toContain('autoDetect');
   });
 
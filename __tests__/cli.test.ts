@@ -207,8 +207,164 @@ describe('CLI Interface', () => {
       
       expect(jsonData[0].id).toBe(1); // Should be number, not string
     });
+
+    test('should sniff the delimiter without --delimiter', async () => {
+      const { stdout } = await runCli(`csv2json ${csvFile} ${jsonFile}`);
+
+      expect(stdout).toContain('Detected dialect: delimiter ","');
+
+      const jsonData = JSON.parse(await fs.readFile(jsonFile, 'utf8'));
+      expect(jsonData[0]).toEqual({ id: '1', name: 'John', email: 'john@example.com' });
+    });
   });
   
+  describe('Fixed-width conversion', () => {
+    const specFile = path.join(testDir, 'layout.json');
+    const fixedFile = path.join(testDir, 'accounts.txt');
+    const jsonFile = path.join(testDir, 'accounts.json');
+    const roundTripFile = path.join(testDir, 'accounts-out.txt');
+
+    beforeAll(async () => {
+      const layout = {
+        columns: [
+          { name: 'id', length: 4, type: 'number', padChar: '0' },
+          { name: 'name', length: 6 },
+          { name: 'balance', length: 8, type: 'number' }
+        ]
+      };
+      await fs.writeFile(specFile, JSON.stringify(layout), 'utf8');
+      await fs.writeFile(fixedFile, '0001Ann     120.50\n0002Bob        -3', 'utf8');
+    });
+
+    afterAll(async () => {
+      for (const file of [specFile, fixedFile, jsonFile, roundTripFile]) {
+        await fs.unlink(file).catch(() => {});
+      }
+    });
+
+    test('should convert fixed-width to JSON with --spec', async () => {
+      const { code } = await runCliArgs(['fixed-to-json', fixedFile, jsonFile, `--spec=${specFile}`]);
+      expect(code).toBe(0);
+      expect(JSON.parse(await fs.readFile(jsonFile, 'utf8'))).toEqual([
+        { id: 1, name: 'Ann', balance: 120.5 },
+        { id: 2, name: 'Bob', balance: -3 }
+      ]);
+    });
+
+    test('should convert JSON to fixed-width with --spec', async () => {
+      await fs.writeFile(jsonFile, JSON.stringify([
+        { id: 1, name: 'Ann', balance: 120.5 },
+        { id: 2, name: 'Bob', balance: -3 }
+      ]), 'utf8');
+      const { code } = await runCliArgs(['json-to-fixed', jsonFile, roundTripFile, `--spec=${specFile}`]);
+      expect(code).toBe(0);
+      expect(await fs.readFile(roundTripFile, 'utf8')).toBe('0001Ann      120.5\n0002Bob         -3');
+    });
+
+    test('should infer columns from a header line without --spec', async () => {
+      const inferredFile = path.join(testDir, 'inferred.txt');
+      await fs.writeFile(inferredFile, 'code  city\nOSL   Oslo\nROM   Rome\n', 'utf8');
+      const { code } = await runCliArgs(['fixed-to-json', inferredFile, jsonFile]);
+      await fs.unlink(inferredFile).catch(() => {});
+
+      expect(code).toBe(0);
+      expect(JSON.parse(await fs.readFile(jsonFile, 'utf8'))).toEqual([
+        { code: 'OSL', city: 'Oslo' },
+        { code: 'ROM', city: 'Rome' }
+      ]);
+    });
+  });
+
+  describe('CSV index', () => {
+    const csvFile = path.join(testDir, 'events.csv');
+    const jsonFile = path.join(testDir, 'page.json');
+
+    beforeAll(async () => {
+      const lines = ['id,note'];
+      for (let i = 0; i < 20; i++) {
+        lines.push(i === 11 ? `${i},"two\nlines"` : `${i},n${i}`);
+      }
+      await fs.writeFile(csvFile, lines.join('\n'), 'utf8');
+    });
+
+    afterAll(async () => {
+      for (const file of [csvFile, `${csvFile}.idx`, jsonFile]) {
+        await fs.unlink(file).catch(() => {});
+      }
+    });
+
+    test('should build an index with index', async () => {
+      const { code, stdout } = await runCliArgs(['index', csvFile, '--every=5']);
+      expect(code).toBe(0);
+      expect(stdout).toContain('Indexed 20 rows (4 checkpoints)');
+      expect(JSON.parse(await fs.readFile(`${csvFile}.idx`, 'utf8'))).toMatchObject({ every: 5, rows: 20 });
+    });
+
+    test('should read a window of rows with slice', async () => {
+      const { code } = await runCliArgs(['slice', csvFile, jsonFile, '--from=10', '--to=13']);
+      expect(code).toBe(0);
+      expect(JSON.parse(await fs.readFile(jsonFile, 'utf8'))).toEqual([
+        { id: '10', note: 'n10' },
+        { id: '11', note: 'two\nlines' },
+        { id: '12', note: 'n12' }
+      ]);
+    });
+  });
+
+  describe('Column specs', () => {
+    const jsonFile = path.join(testDir, 'orders.json');
+    const specFile = path.join(testDir, 'columns.json');
+    const csvFile = path.join(testDir, 'orders.csv');
+
+    afterAll(async () => {
+      for (const file of [jsonFile, specFile, csvFile]) {
+        await fs.unlink(file).catch(() => {});
+      }
+    });
+
+    test('should take output columns from --columns', async () => {
+      await fs.writeFile(jsonFile, JSON.stringify([{ id: 1, customer: { name: 'Ann' } }]), 'utf8');
+      await fs.writeFile(specFile, JSON.stringify({
+        columns: [{ key: 'customer.name', header: 'Customer', format: 'upper' }, 'id']
+      }), 'utf8');
+      const { code } = await runCliArgs(['json-to-csv', jsonFile, csvFile, '--delimiter=,', `--columns=${specFile}`]);
+      expect(code).toBe(0);
+      expect(await fs.readFile(csvFile, 'utf8')).toBe('Customer,id\r\nANN,1');
+    });
+  });
+
+  describe('Dialects', () => {
+    const jsonFile = path.join(testDir, 'accounts.json');
+    const csvFile = path.join(testDir, 'accounts.csv');
+    const roundTripFile = path.join(testDir, 'accounts-roundtrip.json');
+
+    afterAll(async () => {
+      for (const file of [jsonFile, csvFile, roundTripFile]) {
+        await fs.unlink(file).catch(() => {});
+      }
+    });
+
+    test('should write a file for Excel with --dialect', async () => {
+      await fs.writeFile(jsonFile, JSON.stringify([{ account: '00123', amount: 1.5 }]), 'utf8');
+      const { code } = await runCliArgs(['json-to-csv', jsonFile, csvFile, '--dialect=excel-eu']);
+      expect(code).toBe(0);
+      expect(await fs.readFile(csvFile, 'utf8')).toBe('\uFEFFaccount;amount\r\n"=""00123""";1,5\r\n');
+    });
+
+    test('should read a file from Excel with --dialect', async () => {
+      await fs.writeFile(csvFile, '\uFEFFsep=;\r\naccount;amount\r\n"=""00123""";1,5\r\n', 'utf8');
+      const { code } = await runCliArgs(['csv-to-json', csvFile, roundTripFile, '--dialect=excel']);
+      expect(code).toBe(0);
+      expect(JSON.parse(await fs.readFile(roundTripFile, 'utf8'))).toEqual([{ account: '00123', amount: '1,5' }]);
+    });
+
+    test('should reject an unknown --dialect', async () => {
+      const { code, stderr } = await runCliArgs(['json-to-csv', jsonFile, csvFile, '--dialect=lotus']);
+      expect(code).not.toBe(0);
+      expect(stderr).toContain('Invalid --dialect value');
+    });
+  });
+
   describe('Error handling', () => {
     test('should show error for unknown command', async () => {
       const { stderr } = await runCli('unknown-command');
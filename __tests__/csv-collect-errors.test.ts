@@ -0,0 +1,102 @@
+import { describe, test, expect, afterAll } from '@jest/globals';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { Readable } from 'stream';
+import { csvToJson, csvToJsonIterator, readCsvAsJson, readCsvAsJsonSync } from '../csv-to-json';
+import { createCsvToJsonStream, streamCsvToJson } from '../stream-csv-to-json';
+import { ConfigurationError } from '../errors';
+import { CsvRowError } from '../src/types';
+
+// The quoted field of line 3 runs on to line 4; the one of line 5 never closes
+const CSV = 'id,name\n1,Ann\n2,"Bob\nJr"\n3,"Cid\n4,Dee';
+
+describe("onError: 'collect'", () => {
+  test('csvToJson returns data, errors and stats', () => {
+    const result = csvToJson(CSV, { delimiter: ',', onError: 'collect' });
+    expect(result.data).toEqual([{ id: '1', name: 'Ann' }, { id: '2', name: 'Bob\nJr' }]);
+    expect(result.errors).toEqual([
+      { lineNumber: 5, line: '3,"Cid\n4,Dee', column: 2, code: 'PARSING_ERROR', message: 'Unclosed quotes in CSV' }
+    ]);
+    expect(result.stats).toEqual({ totalRows: 3, parsedRows: 2, errorRows: 1 });
+  });
+
+  test('line numbers refer to the source after skipped comment lines', () => {
+    const { errors } = csvToJson('# export\nid,name\n1,"x', { delimiter: ',', comment: '#', onError: 'collect' });
+    expect(errors.map((error) => error.lineNumber)).toEqual([3]);
+  });
+
+  test('errorHandler still sees every error', () => {
+    const seen: number[] = [];
+    const { errors } = csvToJson(CSV, {
+      delimiter: ',',
+      onError: 'collect',
+      errorHandler: (_error, _line, lineNumber) => seen.push(lineNumber)
+    });
+    expect(seen).toEqual([5]);
+    expect(errors).toHaveLength(1);
+  });
+
+  test('a clean file has no errors', () => {
+    const result = csvToJson('a,b\n1,2', { delimiter: ',', onError: 'collect' });
+    expect(result).toEqual({ data: [{ a: '1', b: '2' }], errors: [], stats: { totalRows: 1, parsedRows: 1, errorRows: 0 } });
+  });
+
+  test('a quoted field across lines is one record, not an error', async () => {
+    const csv = 'a,b\n1,"x\ny"\n2,z\n';
+    const expected = {
+      data: [{ a: '1', b: 'x\ny' }, { a: '2', b: 'z' }],
+      errors: [],
+      stats: { totalRows: 2, parsedRows: 2, errorRows: 0 }
+    };
+    expect(csvToJson(csv, { delimiter: ',', onError: 'collect' })).toEqual(expected);
+    await expect(streamCsvToJson(csv, { delimiter: ',', onError: 'collect' })).resolves.toEqual(expected);
+  });
+
+  describe('readCsvAsJson', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jtcsv-collect-'));
+    const file = path.join(dir, 'rows.csv');
+    fs.writeFileSync(file, CSV);
+
+    afterAll(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('async and sync variants pass the result through', async () => {
+      const result = await readCsvAsJson(file, { delimiter: ',', onError: 'collect', validatePath: false });
+      expect(result.stats).toEqual({ totalRows: 3, parsedRows: 2, errorRows: 1 });
+      expect(readCsvAsJsonSync(file, { delimiter: ',', onError: 'collect', validatePath: false })).toEqual(result);
+    });
+  });
+
+  describe('createCsvToJsonStream', () => {
+    test("reports rejected rows as 'rowError' events", async () => {
+      const parser = createCsvToJsonStream({ delimiter: ',', onError: 'collect', repairRowShifts: false });
+      const rows: any[] = [];
+      const errors: CsvRowError[] = [];
+      parser.on('rowError', (error: CsvRowError) => errors.push(error));
+      parser.on('data', (row) => rows.push(row));
+      const done = new Promise((resolve) => parser.on('end', resolve));
+      Readable.from([CSV]).pipe(parser);
+      await done;
+
+      expect(rows).toEqual([{ id: '1', name: 'Ann' }, { id: '2', name: 'Bob\nJr' }]);
+      expect(errors.map(({ lineNumber, column, code }) => ({ lineNumber, column, code }))).toEqual([
+        { lineNumber: 5, column: 2, code: 'PARSING_ERROR' }
+      ]);
+    });
+
+    test('streamCsvToJson returns the collect result for string input', async () => {
+      const result = await streamCsvToJson('id,name\n1,Ann\n2,"Bob', { delimiter: ',', onError: 'collect' });
+      expect(result.data).toEqual([{ id: '1', name: 'Ann' }]);
+      expect(result.errors[0]).toMatchObject({ lineNumber: 3, line: '2,"Bob', code: 'PARSING_ERROR' });
+      expect(result.stats).toEqual({ totalRows: 2, parsedRows: 1, errorRows: 1 });
+    });
+  });
+
+  test('is rejected where there is no result to return', () => {
+    expect(() => csvToJson(CSV, { onError: 'collect', fastPathMode: 'stream' } as any)).toThrow(ConfigurationError);
+    expect(() => Array.from(csvToJsonIterator(CSV, { onError: 'collect' }))).toThrow(ConfigurationError);
+    expect(() => csvToJson(CSV, { onError: 'gather' as any })).toThrow(ConfigurationError);
+  });
+});
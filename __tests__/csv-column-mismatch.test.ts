@@ -0,0 +1,119 @@
+import { describe, test, expect } from '@jest/globals';
+import { csvToJson, csvToJsonIterator } from '../csv-to-json';
+import { streamCsvToJson } from '../stream-csv-to-json';
+import { ConfigurationError, ParsingError } from '../errors';
+
+const RAGGED = 'id,name,city\n1,Ann,Oslo\n2,Bob\n3,Cid,Rome,extra,more';
+
+async function everyParser(csv: string, options: Record<string, unknown>) {
+  return [
+    csvToJson(csv, options),
+    Array.from(csvToJsonIterator(csv, options)),
+    await streamCsvToJson(csv, options)
+  ];
+}
+
+describe('columnMismatch', () => {
+  test("'pad' fills short rows with null and rejects long ones", async () => {
+    const csv = 'id,name,city\n1,Ann,Oslo\n2,Bob';
+    for (const rows of await everyParser(csv, { delimiter: ',', columnMismatch: 'pad' })) {
+      expect(rows).toEqual([{ id: '1', name: 'Ann', city: 'Oslo' }, { id: '2', name: 'Bob', city: null }]);
+    }
+    expect(() => csvToJson(RAGGED, { delimiter: ',', columnMismatch: 'pad' })).toThrow(ParsingError);
+  });
+
+  test("'truncate' drops extra fields and rejects short rows", async () => {
+    const csv = 'id,name\n1,Ann,x,y';
+    for (const rows of await everyParser(csv, { delimiter: ',', columnMismatch: 'truncate' })) {
+      expect(rows).toEqual([{ id: '1', name: 'Ann' }]);
+    }
+    expect(() => csvToJson('id,name\n1', { delimiter: ',', columnMismatch: 'truncate' })).toThrow(/Field count mismatch at line 2/);
+  });
+
+  test("'extraAsArray' keeps overflow under _extra", async () => {
+    const expected = [
+      { id: '1', name: 'Ann', city: 'Oslo' },
+      { id: '2', name: 'Bob', city: null },
+      { id: '3', name: 'Cid', city: 'Rome', _extra: ['extra', 'more'] }
+    ];
+    for (const rows of await everyParser(RAGGED, { delimiter: ',', columnMismatch: 'extraAsArray' })) {
+      expect(rows).toEqual(expected);
+    }
+  });
+
+  test("'error' throws, or defers to onError", () => {
+    expect(() => csvToJson(RAGGED, { delimiter: ',', columnMismatch: 'error' })).toThrow(ParsingError);
+    expect(() => Array.from(csvToJsonIterator(RAGGED, { delimiter: ',', columnMismatch: 'error' }))).toThrow(ParsingError);
+    expect(csvToJson(RAGGED, { delimiter: ',', columnMismatch: 'error', onError: 'skip' })).toEqual([
+      { id: '1', name: 'Ann', city: 'Oslo' }
+    ]);
+  });
+
+  test("'collect' reports mismatched rows and keeps the rest", async () => {
+    const expectedErrors = [
+      { lineNumber: 3, line: '2,Bob', code: 'PARSING_ERROR', message: 'Field count mismatch' },
+      { lineNumber: 4, line: '3,Cid,Rome,extra,more', code: 'PARSING_ERROR', message: 'Field count mismatch' }
+    ];
+    const result = csvToJson(RAGGED, { delimiter: ',', columnMismatch: 'collect' });
+    expect(result.data).toEqual([{ id: '1', name: 'Ann', city: 'Oslo' }]);
+    expect(result.errors).toMatchObject(expectedErrors);
+    expect(result.stats).toEqual({ totalRows: 3, parsedRows: 1, errorRows: 2 });
+
+    const streamed = await streamCsvToJson(RAGGED, { delimiter: ',', columnMismatch: 'collect' });
+    expect(streamed.data).toEqual(result.data);
+    expect(streamed.errors).toMatchObject(expectedErrors);
+  });
+
+  test("'collect' leaves other row errors to onError", () => {
+    const csv = 'a,b\n1\n2,"x';
+    expect(() => csvToJson(csv, { delimiter: ',', columnMismatch: 'collect' })).toThrow(/Unclosed quotes/);
+    const { errors } = csvToJson(csv, { delimiter: ',', columnMismatch: 'collect', onError: 'skip' });
+    expect(errors.map((error) => error.message)).toEqual(['Field count mismatch']);
+  });
+
+  test('replaces the shifted-row heuristics', () => {
+    // repairShiftedRows would merge these two rows into one
+    const csv = 'id,name,phone\n1,Ann\n,,555-0100';
+    expect(csvToJson(csv, { delimiter: ',', columnMismatch: 'pad' })).toEqual([
+      { id: '1', name: 'Ann', phone: null },
+      { id: '', name: '', phone: '555-0100' }
+    ]);
+  });
+  describe('quoted fields across lines', () => {
+    const csv = 'id,note,city\n1,"two\nlines",Oslo\n2,"x\ny"\n3,Cid,Rome,"ex\ntra"';
+    const whole = { id: '1', note: 'two\nlines', city: 'Oslo' };
+    const short = { id: '2', note: 'x\ny', city: null };
+    const long = { id: '3', note: 'Cid', city: 'Rome' };
+
+    test.each([
+      ['pad', [whole, short]],
+      ['truncate', [whole, long]],
+      ['extraAsArray', [whole, short, { ...long, _extra: ['ex\ntra'] }]],
+      ['error', [whole]]
+    ])("'%s' reads each as one record", async (columnMismatch, expected) => {
+      for (const rows of await everyParser(csv, { delimiter: ',', columnMismatch, onError: 'skip' })) {
+        expect(rows).toEqual(expected);
+      }
+    });
+
+    test("'collect' reports mismatches at the line each record starts on", async () => {
+      const expectedErrors = [
+        { lineNumber: 4, line: '2,"x\ny"', message: 'Field count mismatch' },
+        { lineNumber: 6, line: '3,Cid,Rome,"ex\ntra"', message: 'Field count mismatch' }
+      ];
+      for (const result of [
+        csvToJson(csv, { delimiter: ',', columnMismatch: 'collect' }),
+        await streamCsvToJson(csv, { delimiter: ',', columnMismatch: 'collect' })
+      ]) {
+        expect(result.data).toEqual([whole]);
+        expect(result.errors).toMatchObject(expectedErrors);
+      }
+    });
+  });
+
+  test('rejects invalid configuration', () => {
+    expect(() => csvToJson('a\n1', { columnMismatch: 'ignore' as any })).toThrow(ConfigurationError);
+    expect(() => csvToJson('a\n1', { columnMismatch: 'pad', fastPathMode: 'compact' })).toThrow(ConfigurationError);
+    expect(() => Array.from(csvToJsonIterator('a\n1', { columnMismatch: 'collect' }))).toThrow(ConfigurationError);
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, test, expect } from '@jest/globals';
+import { csvToJson, csvToJsonIterator } from '../csv-to-json';
+import { streamCsvToJson } from '../stream-csv-to-json';
+import FastPathEngine from '../src/engines/fast-path-engine';
+import { ConfigurationError } from '../errors';
+
+const CSV = 'id,name,"no,te",city,score\n1,Ann,"x,""y""",Oslo,10\n2,Bob,plain,Rome,7';
+
+async function everyParser(csv: string, options: Record<string, unknown>) {
+  return [
+    csvToJson(csv, options),
+    csvToJson(csv, { ...options, useFastPath: false }),
+    Array.from(csvToJsonIterator(csv, options)),
+    Array.from(csvToJsonIterator(csv, { ...options, columnMismatch: 'pad' })),
+    await streamCsvToJson(csv, options)
+  ];
+}
+
+describe('columns projection', () => {
+  test('selects by name in selector order', async () => {
+    const options = { delimiter: ',', columns: ['score', 'name'], parseNumbers: true };
+    for (const rows of await everyParser(CSV, options)) {
+      expect(rows).toEqual([{ score: 10, name: 'Ann' }, { score: 7, name: 'Bob' }]);
+      expect(Object.keys(rows[0])).toEqual(['score', 'name']);
+    }
+  });
+
+  test('selects by index and keeps quoted fields intact', async () => {
+    for (const rows of await everyParser(CSV, { delimiter: ',', columns: [2, 0] })) {
+      expect(rows).toEqual([{ 'no,te': 'x,"y"', id: '1' }, { 'no,te': 'plain', id: '2' }]);
+    }
+  });
+
+  test('a predicate keeps file order', async () => {
+    const columns = (header: string, index: number) => header === 'city' || index === 0;
+    for (const rows of await everyParser(CSV, { delimiter: ',', columns })) {
+      expect(rows).toEqual([{ id: '1', city: 'Oslo' }, { id: '2', city: 'Rome' }]);
+    }
+  });
+
+  test('names match before renameMap and generated names work without headers', () => {
+    expect(csvToJson(CSV, { delimiter: ',', columns: ['name'], renameMap: { name: 'Name' } }))
+      .toEqual([{ Name: 'Ann' }, { Name: 'Bob' }]);
+    expect(csvToJson('1,Ann,Oslo\n2,Bob,Rome', { delimiter: ',', hasHeaders: false, columns: [2, 'column1'] }))
+      .toEqual([{ column3: 'Oslo', column1: '1' }, { column3: 'Rome', column1: '2' }]);
+  });
+
+  test('projects compact rows and multi-character delimiters', () => {
+    expect(csvToJson(CSV, { delimiter: ',', columns: ['city', 'id'], fastPathMode: 'compact' }))
+      .toEqual([['Oslo', '1'], ['Rome', '2']]);
+    expect(csvToJson('a||b||c\n1||"2||x"||3', { delimiter: '||', columns: ['c', 'b'] }))
+      .toEqual([{ c: '3', b: '2||x' }]);
+  });
+
+  test('rejects unknown, repeated and malformed selectors', () => {
+    expect(() => csvToJson(CSV, { delimiter: ',', columns: ['nope'] })).toThrow('Column "nope" from columns is not in the header');
+    expect(() => csvToJson(CSV, { delimiter: ',', columns: [9] })).toThrow('out of range');
+    expect(() => csvToJson(CSV, { delimiter: ',', columns: ['id', 0] })).toThrow('more than once');
+    expect(() => csvToJson(CSV, { delimiter: ',', columns: [] })).toThrow(ConfigurationError);
+    expect(() => csvToJson(CSV, { delimiter: ',', columns: [-1] })).toThrow(ConfigurationError);
+    expect(() => csvToJson(CSV, { delimiter: ',', columns: 'id' as unknown as string[] })).toThrow(ConfigurationError);
+  });
+});
+
+describe('FastPathEngine projected emitter', () => {
+  test('emits only the projected fields, in projection order', () => {
+    const engine = new FastPathEngine();
+    const structure = engine.analyzeStructure(CSV, { delimiter: ',' });
+    const rows: Array<Array<string | undefined>> = [];
+    engine.compileProjectedRowEmitter(structure, [4, 2])(CSV, (row) => rows.push(row));
+    expect(rows).toEqual([['score', 'no,te'], ['10', 'x,"y"'], ['7', 'plain']]);
+  });
+
+  test('leaves slots of short rows undefined and reports unclosed quotes', () => {
+    const engine = new FastPathEngine();
+    const structure = engine.analyzeStructure('a,b,c\n1\n', { delimiter: ',' });
+    const rows: Array<Array<string | undefined>> = [];
+    engine.compileProjectedRowEmitter(structure, [0, 2])('a,b,c\n1\n', (row) => rows.push(row));
+    expect(rows).toEqual([['a', 'c'], ['1', undefined]]);
+
+    const emit = engine.compileProjectedRowEmitter(structure, [1]);
+    expect(() => emit('a,b\n1,"open', () => undefined)).toThrow('Unclosed quotes in CSV');
+  });
+
+  test('iterateProjectedRows resolves the projection from the first row', () => {
+    const engine = new FastPathEngine();
+    const rows = Array.from(engine.iterateProjectedRows(CSV, { delimiter: ',' }, (first) => [first.indexOf('city')]));
+    expect(rows).toEqual([['city'], ['Oslo'], ['Rome']]);
+  });
+});
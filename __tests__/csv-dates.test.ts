@@ -0,0 +1,132 @@
+import { describe, test, expect } from '@jest/globals';
+import { csvToJson, csvToJsonIterator } from '../csv-to-json';
+import { jsonToCsv } from '../json-to-csv';
+import { streamCsvToJson } from '../stream-csv-to-json';
+import { streamJsonToCsv } from '../stream-json-to-csv';
+import { ConfigurationError } from '../errors';
+
+const iso = (value: unknown) => (value instanceof Date ? value.toISOString() : value);
+const isoRows = (rows: any[]) => rows.map((row) => Object.fromEntries(
+  Object.entries(row).map(([key, value]) => [key, iso(value)])
+));
+
+describe('parseDates', () => {
+  test('true parses ISO 8601 cells in every column, in UTC', () => {
+    const rows = csvToJson('id;created;note\n1;2024-03-01;x\n2;2024-03-01T10:15:00;2024-13-01', {
+      delimiter: ';',
+      parseDates: true
+    });
+    expect(isoRows(rows)).toEqual([
+      { id: '1', created: '2024-03-01T00:00:00.000Z', note: 'x' },
+      { id: '2', created: '2024-03-01T10:15:00.000Z', note: '2024-13-01' }
+    ]);
+  });
+
+  test('per-column patterns only touch the listed columns', async () => {
+    const csv = 'booked;valuta;ref\n31.01.2024;02/01/2024 14:30;01.02.2024';
+    const options = {
+      delimiter: ';',
+      parseDates: { columns: { booked: 'DD.MM.YYYY', valuta: 'MM/DD/YYYY HH:mm' } }
+    };
+    const expected = [{ booked: '2024-01-31T00:00:00.000Z', valuta: '2024-02-01T14:30:00.000Z', ref: '01.02.2024' }];
+    expect(isoRows(csvToJson(csv, options))).toEqual(expected);
+    expect(isoRows(csvToJson(csv, { ...options, useFastPath: false }))).toEqual(expected);
+    expect(isoRows(Array.from(csvToJsonIterator(csv, options)))).toEqual(expected);
+    expect(isoRows(await streamCsvToJson(csv, options))).toEqual(expected);
+  });
+
+  test('tries several patterns in order and keeps non-matching cells', () => {
+    const rows = csvToJson('d\n05.06.2024\n2024-06-05\n31.02.2024\n', {
+      delimiter: ';',
+      parseDates: { columns: { d: ['DD.MM.YYYY', 'ISO'] } }
+    });
+    expect(isoRows(rows)).toEqual([
+      { d: '2024-06-05T00:00:00.000Z' },
+      { d: '2024-06-05T00:00:00.000Z' },
+      { d: '31.02.2024' }
+    ]);
+  });
+
+  test('epoch seconds and milliseconds, also after parseNumbers', () => {
+    const rows = csvToJson('s;ms\n1700000000;1700000000123', {
+      delimiter: ';',
+      parseNumbers: true,
+      parseDates: { columns: { s: 'epoch-s', ms: 'epoch-ms' } }
+    });
+    expect(isoRows(rows)).toEqual([{ s: '2023-11-14T22:13:20.000Z', ms: '2023-11-14T22:13:20.123Z' }]);
+  });
+
+  test('timeZone places wall-clock values; explicit offsets win', () => {
+    const csv = 'winter;summer;fixed\n15.01.2024 12:00;15.07.2024 12:00;2024-07-15T12:00:00+05:00';
+    const rows = csvToJson(csv, {
+      delimiter: ';',
+      parseDates: {
+        columns: { winter: 'DD.MM.YYYY HH:mm', summer: 'DD.MM.YYYY HH:mm', fixed: 'ISO' },
+        timeZone: 'Europe/Berlin'
+      }
+    });
+    expect(isoRows(rows)).toEqual([{
+      winter: '2024-01-15T11:00:00.000Z',
+      summer: '2024-07-15T10:00:00.000Z',
+      fixed: '2024-07-15T07:00:00.000Z'
+    }]);
+
+    const offsetRows = csvToJson('t\n2024-01-15 12:00', { delimiter: ';', parseDates: { timeZone: '-03:30' } });
+    expect(iso(offsetRows[0].t)).toBe('2024-01-15T15:30:00.000Z');
+  });
+
+  test('12-hour clock with AM/PM', () => {
+    const rows = csvToJson('t\n03/04/2024 12:05 AM\n03/04/2024 1:30 pm', {
+      delimiter: ';',
+      parseDates: { columns: { t: 'MM/DD/YYYY h:mm A' } }
+    });
+    expect(isoRows(rows)).toEqual([{ t: '2024-03-04T00:05:00.000Z' }, { t: '2024-03-04T13:30:00.000Z' }]);
+  });
+
+  test('parsed dates are reported as date columns by inferTypes', () => {
+    const metadata: Record<string, any> = {};
+    csvToJson('d\n01.02.2024', { delimiter: ';', inferTypes: true, metadata, parseDates: { columns: { d: 'DD.MM.YYYY' } } });
+    expect(metadata.columnTypes).toEqual({ d: 'date' });
+  });
+
+  test('rejects invalid configuration', () => {
+    expect(() => csvToJson('a\n1', { parseDates: { columns: { a: 'HH:mm' } } })).toThrow(ConfigurationError);
+    expect(() => csvToJson('a\n1', { parseDates: { columns: { a: '--' } } })).toThrow(ConfigurationError);
+    expect(() => csvToJson('a\n1', { parseDates: { timeZone: 'Mars/Olympus' } })).toThrow(ConfigurationError);
+    expect(() => csvToJson('a\n1', { parseDates: true, fastPathMode: 'compact' })).toThrow(ConfigurationError);
+  });
+});
+
+describe('dateFormat', () => {
+  const data = [{ id: 1, at: new Date('2024-03-01T09:05:07.008Z') }];
+
+  test('Date values default to ISO 8601 in UTC', async () => {
+    expect(jsonToCsv(data, { delimiter: ',' })).toBe('id,at\r\n1,2024-03-01T09:05:07.008Z');
+    expect(await streamJsonToCsv(data, { delimiter: ',' })).toBe('id,at\n1,2024-03-01T09:05:07.008Z\n');
+  });
+
+  test('pattern and time zone', async () => {
+    const options = { delimiter: ',', dateFormat: { format: 'DD.MM.YYYY HH:mm:ss', timeZone: 'Europe/Berlin' } };
+    expect(jsonToCsv(data, options)).toBe('id,at\r\n1,01.03.2024 10:05:07');
+    expect(await streamJsonToCsv(data, options)).toBe('id,at\n1,01.03.2024 10:05:07\n');
+    expect(jsonToCsv(data, { delimiter: ',', dateFormat: { timeZone: '+02:00' } }))
+      .toBe('id,at\r\n1,2024-03-01T11:05:07.008+02:00');
+    expect(jsonToCsv(data, { delimiter: ',', dateFormat: 'epoch-s' })).toBe('id,at\r\n1,1709283907');
+  });
+
+  test('nested Date values survive flatten; invalid dates are empty', () => {
+    const rows = [{ order: { placed: new Date('2024-01-02T00:00:00Z') }, broken: new Date('nope') }];
+    expect(jsonToCsv(rows, { delimiter: ',', flatten: true, dateFormat: 'YYYY-MM-DD' }))
+      .toBe('order.placed,broken\r\n2024-01-02,');
+  });
+
+  test('round-trips with parseDates', () => {
+    const csv = jsonToCsv(data, { delimiter: ';', dateFormat: 'DD.MM.YYYY HH:mm:ss.SSS' });
+    const rows = csvToJson(csv, {
+      delimiter: ';',
+      parseNumbers: true,
+      parseDates: { columns: { at: 'DD.MM.YYYY HH:mm:ss.SSS' } }
+    });
+    expect(rows).toEqual(data);
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, test, expect } from '@jest/globals';
+import { Readable } from 'stream';
+import { csvToJson, csvToJsonIterator, autoDetectDelimiter } from '../csv-to-json';
+import { streamCsvToJson } from '../stream-csv-to-json';
+import { jsonToCsv } from '../json-to-csv';
+import { createJsonToCsvStream } from '../stream-json-to-csv';
+import FastPathEngine from '../src/engines/fast-path-engine';
+import { ConfigurationError } from '../errors';
+
+const PIPES = 'id||name||note\n1||Ann||"a||b"\n2||Bob||plain';
+const EXPECTED = [
+  { id: 1, name: 'Ann', note: 'a||b' },
+  { id: 2, name: 'Bob', note: 'plain' }
+];
+
+async function collect(stream: NodeJS.ReadableStream): Promise<string> {
+  let out = '';
+  for await (const chunk of stream as AsyncIterable<Buffer | string>) {
+    out += chunk.toString();
+  }
+  return out;
+}
+
+describe('multi-character delimiters', () => {
+  test('csvToJson parses "||" on the fast path', () => {
+    expect(csvToJson(PIPES, { delimiter: '||', parseNumbers: true })).toEqual(EXPECTED);
+  });
+
+  test('csvToJson parses "||" on the fallback path', () => {
+    const rows = csvToJson(PIPES, { delimiter: '||', parseNumbers: true, useFastPath: false });
+    expect(rows).toEqual(EXPECTED);
+  });
+
+  test('csvToJsonIterator and streamCsvToJson agree', async () => {
+    const options = { delimiter: '||', parseNumbers: true };
+    expect(Array.from(csvToJsonIterator(PIPES, options))).toEqual(EXPECTED);
+    expect(await streamCsvToJson(PIPES, options)).toEqual(EXPECTED);
+  });
+
+  test('a lone delimiter character is kept as data', () => {
+    const rows = csvToJson('a::b\nx:y::z', { delimiter: '::' });
+    expect(rows).toEqual([{ a: 'x:y', b: 'z' }]);
+  });
+
+  test('auto-detection prefers a multi-character candidate', () => {
+    const csv = 'a||b||c\n1||2||3';
+    expect(autoDetectDelimiter(csv, ['|', '||', ','])).toBe('||');
+    expect(csvToJson(csv, { candidates: ['|', '||', ','] })).toEqual([{ a: '1', b: '2', c: '3' }]);
+  });
+
+  test('FastPathEngine.compileParser handles "::" with quoted fields', () => {
+    const engine = new FastPathEngine();
+    const csv = 'a::b\n"x::y"::2\n';
+    const structure = engine.analyzeStructure(csv, { delimiter: '::' });
+    expect(structure.delimiter).toBe('::');
+    expect(engine.compileParser(structure)(csv)).toEqual([['a', 'b'], ['x::y', '2']]);
+  });
+
+  test('rejects delimiters with line breaks', () => {
+    expect(() => csvToJson('a,b', { delimiter: ',\n' })).toThrow(ConfigurationError);
+    expect(() => jsonToCsv([{ a: 1 }], { delimiter: '|\r|' })).toThrow(ConfigurationError);
+  });
+});
+
+describe('RegExp delimiters', () => {
+  const ALIGNED = [
+    'name      city     score',
+    'Ann Lee   Oslo     10',
+    '"Bob  Q"  Rome     7'
+  ].join('\n');
+
+  test('splits whitespace-aligned text', () => {
+    const rows = csvToJson(ALIGNED, { delimiter: / {2,}/, parseNumbers: true });
+    expect(rows).toEqual([
+      { name: 'Ann Lee', city: 'Oslo', score: 10 },
+      { name: 'Bob  Q', city: 'Rome', score: 7 }
+    ]);
+  });
+
+  test('streamCsvToJson accepts the same pattern', async () => {
+    const rows = await streamCsvToJson(ALIGNED, { delimiter: / {2,}/ });
+    expect(rows.map((r: Record<string, unknown>) => r.city)).toEqual(['Oslo', 'Rome']);
+  });
+
+  test('a pattern never crosses a line break', () => {
+    const rows = csvToJson('a\tb\n1\t2\n3\t4', { delimiter: /\s+/ });
+    expect(rows).toEqual([{ a: '1', b: '2' }, { a: '3', b: '4' }]);
+  });
+
+  test('rejects a pattern that matches the empty string', () => {
+    expect(() => csvToJson('a b', { delimiter: / */ })).toThrow('must not match an empty string');
+  });
+
+  test('is a parse-only option', () => {
+    expect(() => jsonToCsv([{ a: 1 }], { delimiter: / +/ as unknown as string }))
+      .toThrow('A RegExp delimiter can only be used for parsing');
+  });
+});
+
+describe('writing multi-character delimiters', () => {
+  test('jsonToCsv quotes values that contain any delimiter character', () => {
+    const csv = jsonToCsv([{ a: 'x~|', b: 'plain' }], { delimiter: '~|~' });
+    expect(csv.split(/\r?\n/)).toEqual(['a~|~b', '"x~|"~|~plain']);
+    expect(csvToJson(csv, { delimiter: '~|~' })).toEqual([{ a: 'x~|', b: 'plain' }]);
+  });
+
+  test('createJsonToCsvStream writes the delimiter as given', async () => {
+    const source = Readable.from([{ a: 1, b: 'q||r' }, { a: 2, b: 's' }]);
+    const out = await collect(source.pipe(createJsonToCsvStream({ delimiter: '||', addBOM: false })));
+    expect(out.trim().split(/\r?\n/)).toEqual(['a||b', '1||"q||r"', '2||s']);
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, test, expect } from '@jest/globals';
+import { sniffDialect, autoDetectDelimiter, createDelimiterCache } from '../csv-to-json';
+import { ConfigurationError } from '../errors';
+
+const CSV = [
+  'id,name,price,active,joined',
+  '1,"Ann ""A""",10.5,true,2024-01-02',
+  '2,Bob,7,false,2024-02-03'
+].join('\r\n');
+
+describe('sniffDialect', () => {
+  test('reports every property with a confidence', () => {
+    const dialect = sniffDialect(CSV, { useCache: false });
+    expect(dialect.delimiter).toEqual({ value: ',', confidence: 1 });
+    expect(dialect.quote).toEqual({ value: '"', confidence: 1 });
+    expect(dialect.escape).toEqual({ value: 'doubled', confidence: 1 });
+    expect(dialect.lineEnding).toEqual({ value: '\r\n', confidence: 1 });
+    expect(dialect.hasHeader.value).toBe(true);
+    expect(dialect.encoding).toEqual({ value: null, bom: false, confidence: 1 });
+    expect(dialect.columns).toEqual([
+      { name: 'id', type: 'integer', confidence: 1 },
+      { name: 'name', type: 'string', confidence: 1 },
+      { name: 'price', type: 'float', confidence: 1 },
+      { name: 'active', type: 'boolean', confidence: 1 },
+      { name: 'joined', type: 'date', confidence: 1 }
+    ]);
+  });
+
+  test('ignores delimiters inside quoted fields', () => {
+    const csv = 'a,b\n"x;y;z",1\n"p;q",2';
+    expect(sniffDialect(csv, { useCache: false }).delimiter.value).toBe(',');
+    expect(autoDetectDelimiter(csv, { useCache: false })).toBe(',');
+  });
+
+  test('detects single quotes, backslash escapes and bare CR', () => {
+    expect(sniffDialect("a;b\n'x;y';2\n'z';3", { useCache: false }).quote.value).toBe("'");
+    expect(sniffDialect('a,b\n"x \\"q\\"",1', { useCache: false }).escape)
+      .toEqual({ value: 'backslash', confidence: 1 });
+    expect(sniffDialect('a|b\r1|2\r3|4', { useCache: false }).lineEnding.value).toBe('\r');
+  });
+
+  test('tells a header row from a data row', () => {
+    const headerless = sniffDialect('1|2|3\n4|5|6', { useCache: false });
+    expect(headerless.hasHeader).toEqual({ value: false, confidence: 1 });
+    expect(headerless.columns.map((column) => column.name)).toEqual(['column1', 'column2', 'column3']);
+    expect(sniffDialect('name\tcode\nAnn\tAB12\nBob\tCD34', { useCache: false }).hasHeader.value).toBe(true);
+  });
+
+  test('decodes Buffer samples and reports their encoding', () => {
+    const utf8 = sniffDialect(Buffer.from('﻿a;b\n1;2', 'utf8'));
+    expect(utf8.encoding).toEqual({ value: 'utf-8', bom: true, confidence: 1 });
+    expect(utf8.columns[0].name).toBe('a');
+
+    const utf16 = sniffDialect(Buffer.from('﻿a,b\n1,2', 'utf16le'));
+    expect(utf16.encoding.value).toBe('utf-16le');
+    expect(utf16.delimiter.value).toBe(',');
+
+    const latin1 = sniffDialect(Buffer.from('name;city\nJosé;Zürich', 'latin1'));
+    expect(latin1.encoding).toEqual({ value: 'windows-1252', bom: false, confidence: 0.5 });
+    expect(latin1.columns.map((column) => column.name)).toEqual(['name', 'city']);
+  });
+
+  test('falls back to ";" with no confidence when no candidate occurs', () => {
+    const dialect = sniffDialect('hello', { useCache: false });
+    expect(dialect.delimiter).toEqual({ value: ';', confidence: 0 });
+    expect(dialect.lineEnding.confidence).toBe(0);
+  });
+
+  test('caches whole dialects in a DelimiterCache', () => {
+    const cache = createDelimiterCache(10);
+    const first = sniffDialect(CSV, { cache });
+    expect(sniffDialect(CSV, { cache })).toBe(first);
+    expect(cache.get(CSV, [';', ',', '\t', '|'])).toBe(',');
+    expect(cache.getStats()).toMatchObject({ hits: 2, misses: 1 });
+
+    // autoDetectDelimiter only sniffs and stores the delimiter
+    const other = 'a|b\n1|2';
+    expect(autoDetectDelimiter(other, { cache })).toBe('|');
+    expect(cache.get(other, [';', ',', '\t', '|'])).toBe('|');
+    expect(cache.getDialect(other, [';', ',', '\t', '|'])).toBeNull();
+    expect(sniffDialect(other, { cache }).columns).toHaveLength(2);
+  });
+
+  test('autoDetectDelimiter picks the delimiter sniffDialect reports', () => {
+    const samples = [
+      CSV,
+      'a,b\n"x;y;z",1\n"p;q",2',
+      "\uFEFFa;b\n'x,y';1",
+      'a||b||c\n1||2||3',
+      'a\tb\n1\t2',
+      'hello'
+    ];
+    for (const sample of samples) {
+      expect(autoDetectDelimiter(sample, { useCache: false }))
+        .toBe(sniffDialect(sample, { useCache: false }).delimiter.value);
+    }
+  });
+
+  test('rejects malformed options', () => {
+    expect(() => sniffDialect(CSV, { candidates: ',' as unknown as string[] })).toThrow('candidates must be an array');
+    expect(() => sniffDialect(CSV, { candidates: ['\n'] })).toThrow(ConfigurationError);
+    expect(() => sniffDialect(CSV, { sampleRows: 0 })).toThrow('sampleRows must be a positive integer');
+    expect(() => sniffDialect(CSV, { cache: {} })).toThrow('cache must be an instance of DelimiterCache');
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, test, expect } from '@jest/globals';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { jsonToCsv, saveAsCsv } from '../json-to-csv';
+import { csvToJson, csvToJsonIterator } from '../csv-to-json';
+import { createJsonToCsvStream } from '../stream-json-to-csv';
+import { ConfigurationError } from '../errors';
+import { streamToCsv, streamToRows } from './helpers/streams';
+
+const ROWS = [
+  { id: '00123', name: 'Åsa', amount: 1.5, card: '4000123412341234' },
+  { id: '42', name: 'Bob "B"', amount: 2, card: '5555' }
+];
+
+describe('dialect', () => {
+  test("'excel' writes a BOM, CRLF and keeps digit strings as text", () => {
+    expect(jsonToCsv(ROWS, { dialect: 'excel', preventCsvInjection: false })).toBe(
+      '\uFEFFid,name,amount,card\r\n'
+      + '"=""00123""",Åsa,1.5,"=""4000123412341234"""\r\n'
+      + '42,"Bob ""B""",2,5555\r\n'
+    );
+  });
+
+  test("'excel-eu' uses semicolons and decimal commas", () => {
+    const csv = jsonToCsv([{ amount: 1234.5 }], { dialect: 'excel-eu' });
+    expect(csv).toBe('\uFEFFamount\r\n1234,5\r\n');
+  });
+
+  test("'google-sheets', 'rfc4180' and 'unix' differ in line breaks, BOM and quoting", () => {
+    const data = [{ id: '007', n: 1 }];
+    expect(jsonToCsv(data, { dialect: 'google-sheets' })).toBe('id,n\n"=""007""",1\n');
+    expect(jsonToCsv(data, { dialect: 'rfc4180' })).toBe('id,n\r\n007,1\r\n');
+    expect(jsonToCsv(data, { dialect: 'unix' })).toBe('"id","n"\n"007","1"\n');
+  });
+
+  test('explicit options win over the preset', () => {
+    const csv = jsonToCsv([{ id: '007' }], {
+      dialect: 'excel',
+      delimiter: '\t',
+      addBOM: false,
+      sepLine: true,
+      protectLeadingZeros: false,
+      trailingNewline: false
+    });
+    expect(csv).toBe('sep=\t\r\nid\r\n007');
+  });
+
+  test('saveAsCsv and the stream writer take the same dialects', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jtcsv-dialect-'));
+    try {
+      const file = path.join(dir, 'out.csv');
+      await saveAsCsv(ROWS, file, { dialect: 'excel-eu', validatePath: false });
+      const saved = fs.readFileSync(file, 'utf8');
+      expect(saved).toBe(jsonToCsv(ROWS, { dialect: 'excel-eu' }));
+      expect(await streamToCsv(ROWS, { dialect: 'excel-eu' })).toBe(saved);
+      expect(await streamToCsv([], { dialect: 'excel', sepLine: true, template: { id: '' } }))
+        .toBe('\uFEFFsep=,\r\nid\r\n');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('csvToJson skips the sep= line and unwraps ="..." cells', () => {
+    const csv = jsonToCsv(ROWS, { dialect: 'excel-eu', sepLine: true });
+    const expected = [
+      { id: '00123', name: 'Åsa', amount: '1,5', card: '4000123412341234' },
+      { id: '42', name: 'Bob "B"', amount: '2', card: '5555' }
+    ];
+    // The sep= line names the delimiter, over the dialect's own
+    expect(csvToJson(csv, { dialect: 'excel' })).toEqual(expected);
+    expect(csvToJson(csv, { dialect: 'excel', useFastPath: false })).toEqual(expected);
+    expect([...csvToJson(csv, { dialect: 'excel', fastPathMode: 'stream' }) as any]).toEqual(expected);
+    expect(csvToJson(csv, { sepLine: true, unwrapFormulaText: true, includeRowInfo: true })[0]._rowInfo.line)
+      .toBe(3);
+  });
+
+  test.each(['excel', 'excel-eu', 'google-sheets'] as const)('a literal ="x" survives the %s round trip', (dialect) => {
+    const rows = [{ id: '007', s: '="x"' }];
+    const csv = jsonToCsv(rows, { dialect });
+    expect(csvToJson(csv, { dialect })).toEqual(rows);
+    expect(csvToJson(csv, { dialect, useFastPath: false })).toEqual(rows);
+    expect([...csvToJson(csv, { dialect, fastPathMode: 'stream' }) as any]).toEqual(rows);
+  });
+
+  test.each([
+    ['quoted', 'sep=;\r\nid;code;note\r\n"=""00123""";"=""a;b""";"x,=""1"",y"\r\n'],
+    ['bare', 'sep=;\r\nid;code;note\r\n="00123";="a;b";"x,=""1"",y"\r\n']
+  ])('unwraps %s ="..." cells on every parser', async (_form, csv) => {
+    const expected = [{ id: '00123', code: 'a;b', note: 'x,="1",y' }];
+    expect(csvToJson(csv, { dialect: 'excel' })).toEqual(expected);
+    expect(csvToJson(csv, { dialect: 'excel', useFastPath: false })).toEqual(expected);
+    expect([...csvToJsonIterator(csv, { dialect: 'excel' })]).toEqual(expected);
+    expect(await streamToRows(csv, { dialect: 'excel' })).toEqual(expected);
+    expect(await streamToRows(csv.split(''), { dialect: 'excel' })).toEqual(expected);
+  });
+
+  test('a bare ="..." is only unwrapped as a whole field', () => {
+    const csv = 'a,b\nx="1",="2"y\n';
+    expect(csvToJson(csv, { unwrapFormulaText: true, useFastPath: false })).toEqual([{ a: 'x=1', b: '=2y' }]);
+  });
+
+  test("'rfc4180' and 'unix' leave formula-wrapped cells alone", () => {
+    const csv = 'id,note\r\n"=""007""",sep=;\r\n';
+    expect(csvToJson(csv, { dialect: 'rfc4180' })).toEqual([{ id: '="007"', note: 'sep=;' }]);
+    expect(csvToJson('"id"\n"a"\n', { dialect: 'unix' })).toEqual([{ id: 'a' }]);
+  });
+
+  test('rejects unknown dialects and malformed flags', () => {
+    expect(() => jsonToCsv(ROWS, { dialect: 'lotus' as any })).toThrow(ConfigurationError);
+    expect(() => jsonToCsv(ROWS, { dialect: 'lotus' as any })).toThrow('dialect must be one of');
+    expect(() => csvToJson('a\n1', { dialect: 'lotus' as any })).toThrow(ConfigurationError);
+    expect(() => createJsonToCsvStream({ dialect: 'lotus' as any })).toThrow(ConfigurationError);
+    expect(() => jsonToCsv(ROWS, { addBOM: 'yes' as any })).toThrow('addBOM must be a boolean');
+    expect(() => csvToJson('a\n1', { sepLine: 1 as any })).toThrow('sepLine must be a boolean');
+  });
+});
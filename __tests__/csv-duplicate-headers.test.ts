@@ -0,0 +1,105 @@
+import { describe, test, expect } from '@jest/globals';
+import { csvToJson, csvToJsonIterator } from '../csv-to-json';
+import { streamCsvToJson } from '../stream-csv-to-json';
+import { resolveHeaders, resolveHeaderOptions } from '../src/utils/header-resolver';
+import { ConfigurationError, ParsingError } from '../errors';
+
+const CSV = 'id,name,name,name_2\n1,Ann,Smith,x\n';
+
+describe('duplicateHeaders', () => {
+  test('defaults to last-wins, as plain assignment always did', () => {
+    expect(csvToJson('id,name,name\n1,Ann,Smith\n')).toEqual([{ id: '1', name: 'Smith' }]);
+  });
+
+  test('suffix skips names that already exist', async () => {
+    const expected = [{ id: '1', name: 'Ann', name_3: 'Smith', name_2: 'x' }];
+    expect(csvToJson(CSV, { duplicateHeaders: 'suffix' })).toEqual(expected);
+    expect(csvToJson(CSV, { duplicateHeaders: 'suffix', useFastPath: false })).toEqual(expected);
+    expect(Array.from(csvToJsonIterator(CSV, { duplicateHeaders: 'suffix' }))).toEqual(expected);
+    expect(await streamCsvToJson(CSV, { duplicateHeaders: 'suffix' })).toEqual(expected);
+  });
+
+  test('array collects the values of repeated columns', async () => {
+    const csv = 'tag,id,tag\na,1,b\n';
+    const expected = [{ tag: ['a', 'b'], id: '1' }];
+    expect(csvToJson(csv, { duplicateHeaders: 'array' })).toEqual(expected);
+    expect(csvToJson(csv, { duplicateHeaders: 'array', useFastPath: false })).toEqual(expected);
+    expect(Array.from(csvToJsonIterator(csv, { duplicateHeaders: 'array' }))).toEqual(expected);
+    expect(await streamCsvToJson(csv, { duplicateHeaders: 'array' })).toEqual(expected);
+  });
+
+  test('first keeps the leftmost value, last the rightmost', () => {
+    const csv = 'a,a\n1,2\n';
+    expect(csvToJson(csv, { duplicateHeaders: 'first' })).toEqual([{ a: '1' }]);
+    expect(csvToJson(csv, { duplicateHeaders: 'last' })).toEqual([{ a: '2' }]);
+  });
+
+  test('error reports the header line and column', async () => {
+    const csv = '# export\nid,name,name\n1,Ann,Smith\n';
+    let caught: any;
+    try {
+      csvToJson(csv, { duplicateHeaders: 'error', comment: '#' });
+    } catch (error) {
+      caught = error;
+    }
+    expect(caught).toBeInstanceOf(ParsingError);
+    expect(caught.message).toContain('Duplicate header "name"');
+    expect(caught.lineNumber).toBe(2);
+    expect(caught.column).toBe(3);
+    await expect(streamCsvToJson(csv, { duplicateHeaders: 'error', comment: '#' }))
+      .rejects.toThrow('Duplicate header "name"');
+  });
+
+  test('duplicates created by renameMap are resolved too', () => {
+    const rows = csvToJson('first,given\nAnn,Ann2\n', {
+      renameMap: { given: 'first' },
+      duplicateHeaders: 'suffix'
+    });
+    expect(rows).toEqual([{ first: 'Ann', first_2: 'Ann2' }]);
+  });
+});
+
+describe('emptyHeaderName', () => {
+  test('names blank header cells by column index', async () => {
+    const csv = 'id,,\n1,a,b\n';
+    const options = { emptyHeaderName: (index: number) => `field${index}` };
+    const expected = [{ id: '1', field1: 'a', field2: 'b' }];
+    expect(csvToJson(csv, options)).toEqual(expected);
+    expect(await streamCsvToJson(csv, options)).toEqual(expected);
+  });
+
+  test('generated names take part in duplicate resolution', () => {
+    const rows = csvToJson('x,,\n1,2,3\n', {
+      emptyHeaderName: () => 'x',
+      duplicateHeaders: 'suffix'
+    });
+    expect(rows).toEqual([{ x: '1', x_2: '2', x_3: '3' }]);
+  });
+});
+
+describe('header metadata', () => {
+  test('exposes the resolved header list', async () => {
+    const metadata: Record<string, any> = {};
+    csvToJson(CSV, { duplicateHeaders: 'suffix', metadata });
+    expect(metadata.headers).toEqual(['id', 'name', 'name_3', 'name_2']);
+
+    const streamMetadata: Record<string, any> = {};
+    await streamCsvToJson('a,a\n1,2\n', { duplicateHeaders: 'array', metadata: streamMetadata });
+    expect(streamMetadata.headers).toEqual(['a']);
+  });
+});
+
+describe('header-resolver', () => {
+  test('validates options', () => {
+    expect(() => resolveHeaderOptions({ duplicateHeaders: 'merge' as any })).toThrow(ConfigurationError);
+    expect(() => resolveHeaderOptions({ emptyHeaderName: 'col' as any })).toThrow(ConfigurationError);
+    const options = resolveHeaderOptions({ emptyHeaderName: () => '' });
+    expect(() => resolveHeaders([''], {}, options)).toThrow('emptyHeaderName must return a non-empty string');
+  });
+
+  test('keys keep column order while headers are distinct', () => {
+    const plan = resolveHeaders(['a', 'b', 'a'], {}, resolveHeaderOptions({ duplicateHeaders: 'first' }));
+    expect(plan.keys).toEqual(['a', 'b', 'a']);
+    expect(plan.headers).toEqual(['a', 'b']);
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildCsvIndex, readCsvRange, readCsvAsJson } from '../csv-to-json';
+import { ConfigurationError, ValidationError } from '../errors';
+
+function sampleCsv(rows: number): string {
+  const lines = ['﻿id,note'];
+  for (let i = 0; i < rows; i++) {
+    lines.push(i % 7 === 3 ? `${i},"multi\r\nline ${i}"` : `${i},n${i}`);
+    if (i % 10 === 5) {
+      lines.push('');
+    }
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+describe('CSV index', () => {
+  let dir: string;
+  let file: string;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jtcsv-index-'));
+    file = path.join(dir, 'data.csv');
+    fs.writeFileSync(file, sampleCsv(50));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('records a checkpoint every N data records and saves a sidecar', async () => {
+    const index = await buildCsvIndex(file, { every: 8 });
+    expect(index).toMatchObject({ version: 1, every: 8, hasHeaders: true, rows: 50, header: { offset: 3, length: 7 } });
+    expect(index.offsets).toHaveLength(7);
+    expect(JSON.parse(fs.readFileSync(`${file}.idx`, 'utf8'))).toEqual(index);
+
+    // Each checkpoint is the start of the record it names
+    const bytes = fs.readFileSync(file);
+    index.offsets.forEach((offset, checkpoint) => {
+      const id = String(checkpoint * 8);
+      expect(bytes.subarray(offset, offset + id.length + 1).toString()).toBe(`${id},`);
+    });
+  });
+
+  test('reads any window the same with or without the index', async () => {
+    await buildCsvIndex(file, { every: 8 });
+    const all = await readCsvAsJson(file);
+    for (const [from, to] of [[0, 5], [3, 4], [15, 26], [45, 60], [50, 55]]) {
+      const expected = all.slice(from, to);
+      expect(await readCsvRange(file, { from, to })).toEqual(expected);
+      expect(await readCsvRange(file, { from, to, index: false })).toEqual(expected);
+    }
+    expect(await readCsvRange(file, { from: 3, to: 4 })).toEqual([{ id: '3', note: 'multi\nline 3' }]);
+    expect(await readCsvRange(file, { from: 48, parseNumbers: true })).toEqual([
+      { id: 48, note: 'n48' },
+      { id: 49, note: 'n49' }
+    ]);
+  });
+
+  test('readCsvAsJson takes a range', async () => {
+    const index = await buildCsvIndex(file, { every: 4, indexPath: false });
+    expect(fs.existsSync(`${file}.idx`)).toBe(false);
+    expect(await readCsvAsJson(file, { range: { from: 20, to: 22, index } }))
+      .toEqual([{ id: '20', note: 'n20' }, { id: '21', note: 'n21' }]);
+  });
+
+  test('headerless files and custom index paths', async () => {
+    const headerless = path.join(dir, 'plain.csv');
+    fs.writeFileSync(headerless, 'a;1\nb;2\nc;"3\n4"\nd;5\n');
+    const indexPath = path.join(dir, 'plain.idx');
+    const index = await buildCsvIndex(headerless, { every: 2, hasHeaders: false, indexPath });
+    expect(index).toMatchObject({ rows: 4, header: null, offsets: [0, 8] });
+    expect(await readCsvRange(headerless, { from: 2, to: 3, index: indexPath, delimiter: ';' }))
+      .toEqual([{ column1: 'c', column2: '3\n4' }]);
+  });
+
+  test('a stale sidecar is ignored but a stale explicit index is rejected', async () => {
+    const index = await buildCsvIndex(file, { every: 8 });
+    fs.appendFileSync(file, '50,n50\r\n');
+    expect(await readCsvRange(file, { from: 50 })).toEqual([{ id: '50', note: 'n50' }]);
+    await expect(readCsvRange(file, { from: 50, index })).rejects.toThrow(ValidationError);
+    await expect(readCsvRange(file, { index: path.join(dir, 'missing.idx') })).rejects.toThrow('CSV index not found');
+
+    fs.writeFileSync(`${file}.idx`, '{"version":1}');
+    await expect(readCsvRange(file, { from: 0 })).rejects.toThrow('Invalid CSV index file');
+  });
+
+  test('rejects malformed options', async () => {
+    await expect(buildCsvIndex(file, { every: 0 })).rejects.toThrow('every must be a positive integer');
+    await expect(buildCsvIndex(file, { quote: '““' })).rejects.toThrow(ConfigurationError);
+    await expect(buildCsvIndex(path.join(dir, 'data.txt'))).rejects.toThrow('File must have .csv extension');
+    await expect(readCsvRange(file, { from: -1 })).rejects.toThrow('from must be a non-negative integer');
+    await expect(readCsvRange(file, { comment: '#' })).rejects.toThrow(ConfigurationError);
+  });
+});
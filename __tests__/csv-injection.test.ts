@@ -0,0 +1,115 @@
+import { describe, test, expect } from '@jest/globals';
+import { jsonToCsv } from '../json-to-csv';
+import { csvToJson, csvToJsonIterator } from '../csv-to-json';
+import { ConfigurationError, SecurityError } from '../errors';
+import { streamToCsv, streamToRows } from './helpers/streams';
+
+describe('injectionPolicy', () => {
+  const rows = [{ name: 'Ann', note: '=HYPERLINK("http://x")' }];
+
+  test("'escape' is the default and prefixes formulas with an apostrophe", () => {
+    expect(jsonToCsv(rows, { delimiter: ',' })).toBe('name,note\r\nAnn,"\'=HYPERLINK(""http://x"")"');
+    expect(jsonToCsv(rows, { delimiter: ',', injectionPolicy: 'escape' }))
+      .toBe(jsonToCsv(rows, { delimiter: ',' }));
+  });
+
+  test("'strip' drops the leading triggers", () => {
+    const csv = jsonToCsv([{ a: '=1+2', b: ' +-@cmd', c: 'a=b' }], { delimiter: ',', injectionPolicy: 'strip' });
+    expect(csv).toBe('a,b,c\r\n1+2,cmd,a=b');
+  });
+
+  test("'reject' throws a SecurityError naming the column", () => {
+    expect(() => jsonToCsv(rows, { injectionPolicy: 'reject', renameMap: { note: 'Note' } }))
+      .toThrow(SecurityError);
+    expect(() => jsonToCsv(rows, { injectionPolicy: 'reject', renameMap: { note: 'Note' } }))
+      .toThrow('Potential CSV injection in column "Note"');
+    expect(jsonToCsv([{ a: 'safe' }], { injectionPolicy: 'reject' })).toBe('a\r\nsafe');
+  });
+
+  test("'allow' and preventCsvInjection: false write formulas unchanged", () => {
+    expect(jsonToCsv(rows, { delimiter: ',', injectionPolicy: 'allow' }))
+      .toBe('name,note\r\nAnn,"=HYPERLINK(""http://x"")"');
+    expect(jsonToCsv(rows, { delimiter: ',', preventCsvInjection: false }))
+      .toBe(jsonToCsv(rows, { delimiter: ',', injectionPolicy: 'allow' }));
+  });
+
+  test('numbers are never treated as formulas', () => {
+    expect(jsonToCsv([{ n: -5, s: '-5' }], { delimiter: ',' })).toBe("n,s\r\n-5,'-5");
+  });
+
+  test('injectionTriggers replaces the trigger set', () => {
+    const csv = jsonToCsv([{ a: '=1', b: '-2', c: '|cmd' }], {
+      delimiter: ',',
+      injectionTriggers: ['=', '|']
+    });
+    expect(csv).toBe("a,b,c\r\n'=1,-2,'|cmd");
+  });
+
+  test('formulaColumns are written unchanged by key or by header', () => {
+    const data = [{ total: '=SUM(A1:A3)', other: '=1' }];
+    expect(() => jsonToCsv(data, { formulaColumns: ['total'], injectionPolicy: 'reject', renameMap: { other: 'x' } }))
+      .toThrow('Potential CSV injection in column "x"');
+    expect(jsonToCsv(data, { delimiter: ',', formulaColumns: ['total'] }))
+      .toBe("total,other\r\n=SUM(A1:A3),'=1");
+    expect(jsonToCsv(data, { delimiter: ',', formulaColumns: ['Total'], renameMap: { total: 'Total' } }))
+      .toBe("Total,other\r\n=SUM(A1:A3),'=1");
+  });
+
+  test('rejects malformed options', () => {
+    expect(() => jsonToCsv(rows, { injectionPolicy: 'quote' as any })).toThrow(ConfigurationError);
+    expect(() => jsonToCsv(rows, { injectionTriggers: [] })).toThrow(ConfigurationError);
+    expect(() => jsonToCsv(rows, { injectionTriggers: ['=='] })).toThrow(ConfigurationError);
+    expect(() => jsonToCsv(rows, { injectionTriggers: ["'"] })).toThrow(ConfigurationError);
+    expect(() => jsonToCsv(rows, { formulaColumns: 'note' as any })).toThrow(ConfigurationError);
+  });
+
+  test('the stream writer applies the same policy', async () => {
+    const data = [{ a: '=1', b: '=2', n: -3 }];
+    await expect(streamToCsv(data, { delimiter: ',', formulaColumns: ['b'] }))
+      .resolves.toBe("a,b,n\n'=1,=2,-3\n");
+    await expect(streamToCsv(data, { delimiter: ',', injectionPolicy: 'strip' }))
+      .resolves.toBe('a,b,n\n1,2,-3\n');
+    await expect(streamToCsv(data, { injectionPolicy: 'reject' })).rejects.toThrow(SecurityError);
+  });
+});
+
+describe('unescapeInjection', () => {
+  const tricky = [
+    { v: '=1+1' },
+    { v: "'=already" },
+    { v: "''=twice" },
+    { v: '"=quoted' },
+    { v: ' @sum' },
+    { v: "it's" },
+    { v: "'plain" },
+    { v: '-' }
+  ];
+
+  test('values written by jsonToCsv round-trip exactly through every parser', async () => {
+    const csv = jsonToCsv(tricky);
+    expect(csvToJson(csv)).toEqual(tricky);
+    expect(csvToJson(csv, { useFastPath: false })).toEqual(tricky);
+    expect([...csvToJsonIterator(csv)]).toEqual(tricky);
+    await expect(streamToRows(csv)).resolves.toEqual(tricky);
+  });
+
+  test('custom triggers must match on both sides', () => {
+    const data = [{ v: '|cmd' }, { v: "'-kept" }];
+    const csv = jsonToCsv(data, { delimiter: ',', injectionTriggers: ['|'] });
+    expect(csv).toBe("v\r\n'|cmd\r\n'-kept");
+    expect(csvToJson(csv, { delimiter: ',', injectionTriggers: ['|'] })).toEqual(data);
+  });
+
+  test('unescapeInjection: false keeps the apostrophes', () => {
+    expect(csvToJson("v\n'=1", { unescapeInjection: false })).toEqual([{ v: "'=1" }]);
+    expect(csvToJson("v\n'=1")).toEqual([{ v: '=1' }]);
+    expect(() => csvToJson("v\n'=1", { unescapeInjection: 'no' as any })).toThrow(ConfigurationError);
+  });
+
+  test('the stream parser unescapes too', async () => {
+    await expect(streamToRows("v\n'=1\n'@x\n"))
+      .resolves.toEqual([{ v: '=1' }, { v: '@x' }]);
+    await expect(streamToRows("v\n'=1\n", { unescapeInjection: false }))
+      .resolves.toEqual([{ v: "'=1" }]);
+  });
+});
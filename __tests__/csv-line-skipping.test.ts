@@ -0,0 +1,98 @@
+import { describe, test, expect } from '@jest/globals';
+import { csvToJson, csvToJsonIterator } from '../csv-to-json';
+import { streamCsvToJson } from '../stream-csv-to-json';
+import { ConfigurationError, ParsingError } from '../errors';
+
+const BANK_EXPORT = [
+  'ACME Bank — Account statement',
+  'Period: 2024-01-01 .. 2024-01-31',
+  '',
+  'date;amount;memo',
+  '2024-01-02;100;salary',
+  '# pending transactions below are not final',
+  '2024-01-05;-20;coffee',
+  '',
+  'Total;80;',
+  'Generated by ERP 9.1',
+  ''
+].join('\n');
+
+const EXPECTED = [
+  { date: '2024-01-02', amount: 100, memo: 'salary' },
+  { date: '2024-01-05', amount: -20, memo: 'coffee' }
+];
+
+const SKIP_OPTIONS = {
+  skipLinesUntil: /^date;/,
+  comment: '#',
+  skipTrailingLines: 2,
+  parseNumbers: true
+};
+
+describe('comment / skipLines / skipLinesUntil / skipTrailingLines', () => {
+  test('strips preamble, comments and trailer on every parser', async () => {
+    expect(csvToJson(BANK_EXPORT, SKIP_OPTIONS)).toEqual(EXPECTED);
+    expect(csvToJson(BANK_EXPORT, { ...SKIP_OPTIONS, useFastPath: false })).toEqual(EXPECTED);
+    expect(Array.from(csvToJsonIterator(BANK_EXPORT, SKIP_OPTIONS))).toEqual(EXPECTED);
+    expect(await streamCsvToJson(BANK_EXPORT, SKIP_OPTIONS)).toEqual(EXPECTED);
+  });
+
+  test('skipLines drops a fixed number of physical lines', async () => {
+    const csv = 'Report\n\nid,name\n1,a\n';
+    expect(csvToJson(csv, { skipLines: 2 })).toEqual([{ id: '1', name: 'a' }]);
+    expect(await streamCsvToJson(csv, { skipLines: 2 })).toEqual([{ id: '1', name: 'a' }]);
+  });
+
+  test('skipLinesUntil accepts a predicate with the original line number', () => {
+    const seen: number[] = [];
+    const rows = csvToJson('title\nid,name\n1,a', {
+      skipLinesUntil: (line, lineNumber) => {
+        seen.push(lineNumber);
+        return line.startsWith('id');
+      }
+    });
+    expect(rows).toEqual([{ id: '1', name: 'a' }]);
+    expect(seen).toEqual([1, 2]);
+  });
+
+  test('comment prefix inside a multi-line quoted field is data', () => {
+    const csv = 'id,note\n1,"first\n# not a comment"\n# a comment\n2,x\n';
+    expect(csvToJson(csv, { comment: '#' })).toEqual([
+      { id: '1', note: 'first\n# not a comment' },
+      { id: '2', note: 'x' }
+    ]);
+  });
+
+  test('ParsingError line numbers point at the original input', async () => {
+    const csv = 'Report title\n\nid,name\n1,"open\n2,b\n';
+    let caught: any;
+    try {
+      csvToJson(csv, { skipLines: 2, delimiter: ',', useFastPath: false });
+    } catch (error) {
+      caught = error;
+    }
+    expect(caught).toBeInstanceOf(ParsingError);
+    expect(caught.lineNumber).toBe(4);
+
+    const streamErrors: number[] = [];
+    await streamCsvToJson('# header comment\nid,name\n1,a\n# skipped\n2,b,c\n', {
+      comment: '#',
+      delimiter: ',',
+      onError: 'skip',
+      errorHandler: (_error, _line, lineNumber) => streamErrors.push(lineNumber)
+    });
+    expect(streamErrors).toEqual([5]);
+  });
+
+  test('throws when skipLinesUntil never matches', async () => {
+    expect(() => csvToJson('a,b\n1,2', { skipLinesUntil: /^id/ })).toThrow('skipLinesUntil did not match any line');
+    await expect(streamCsvToJson('a,b\n1,2', { skipLinesUntil: /^id/ })).rejects.toThrow(ParsingError);
+  });
+
+  test('rejects invalid option values with ConfigurationError', () => {
+    expect(() => csvToJson('a\n1', { comment: '' })).toThrow(ConfigurationError);
+    expect(() => csvToJson('a\n1', { skipLines: -1 })).toThrow(ConfigurationError);
+    expect(() => csvToJson('a\n1', { skipTrailingLines: 1.5 })).toThrow(ConfigurationError);
+    expect(() => csvToJson('a\n1', { skipLinesUntil: 'id' as any })).toThrow(ConfigurationError);
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, test, expect } from '@jest/globals';
+import { csvToJson, csvToJsonIterator } from '../csv-to-json';
+import { jsonToCsv } from '../json-to-csv';
+import { streamCsvToJson } from '../stream-csv-to-json';
+import { streamJsonToCsv } from '../stream-json-to-csv';
+import TsvParser from '../src/formats/tsv-parser';
+import { ConfigurationError } from '../errors';
+
+const EXPORT = 'id;name;score\n1;NULL;\\N\n2;N/A;-\n3;Ann;7';
+
+describe('nullValues / emptyAs', () => {
+  test('null tokens become null on every parser, before number parsing', async () => {
+    const options = { delimiter: ';', parseNumbers: true, nullValues: ['NULL', '\\N', 'N/A', '-'] };
+    const expected = [
+      { id: 1, name: null, score: null },
+      { id: 2, name: null, score: null },
+      { id: 3, name: 'Ann', score: 7 }
+    ];
+    expect(csvToJson(EXPORT, options)).toEqual(expected);
+    expect(csvToJson(EXPORT, { ...options, useFastPath: false })).toEqual(expected);
+    expect(Array.from(csvToJsonIterator(EXPORT, options))).toEqual(expected);
+    expect(await streamCsvToJson(EXPORT, options)).toEqual(expected);
+  });
+
+  test('a quoted token is text on every parser', async () => {
+    const csv = 'a;b\n"NULL";"-"';
+    const options = { delimiter: ';', nullValues: ['NULL', '-'] };
+    const expected = [{ a: 'NULL', b: '-' }];
+    expect(csvToJson(csv, options)).toEqual(expected);
+    expect(csvToJson(csv, { ...options, useFastPath: false })).toEqual(expected);
+    expect(Array.from(csvToJsonIterator(csv, options))).toEqual(expected);
+    expect(await streamCsvToJson(csv, options)).toEqual(expected);
+  });
+
+  test('a header cell is never a token', () => {
+    expect(csvToJson('NULL;b\nx;NULL', { delimiter: ';', nullValues: ['NULL'] })).toEqual([{ NULL: 'x', b: null }]);
+  });
+
+  test('tokens are matched after trimming and case-sensitively', () => {
+    expect(csvToJson('a;b\n NULL ;null', { delimiter: ';', nullValues: ['NULL'] })).toEqual([
+      { a: null, b: 'null' }
+    ]);
+  });
+
+  test('emptyAs picks one behaviour for all parsers', async () => {
+    const csv = 'a;b;c\n1;;3\n4;5;';
+    for (const emptyAs of ['', null] as const) {
+      const expected = [{ a: '1', b: emptyAs, c: '3' }, { a: '4', b: '5', c: emptyAs }];
+      expect(csvToJson(csv, { delimiter: ';', emptyAs })).toEqual(expected);
+      expect(csvToJson(csv, { delimiter: ';', emptyAs, useFastPath: false })).toEqual(expected);
+      expect(Array.from(csvToJsonIterator(csv, { delimiter: ';', emptyAs }))).toEqual(expected);
+      expect(await streamCsvToJson(csv, { delimiter: ';', emptyAs })).toEqual(expected);
+    }
+  });
+
+  test("emptyAs: 'omit' drops the key", async () => {
+    const csv = 'a;b;c\n1;;3';
+    const options = { delimiter: ';', emptyAs: 'omit' as const };
+    for (const rows of [
+      csvToJson(csv, options),
+      csvToJson(csv, { ...options, useFastPath: false }),
+      Array.from(csvToJsonIterator(csv, options)),
+      await streamCsvToJson(csv, options)
+    ]) {
+      expect(rows).toHaveLength(1);
+      expect(Object.keys(rows[0])).toEqual(['a', 'c']);
+    }
+  });
+
+  test('works through TsvParser.tsvToJson', () => {
+    expect(TsvParser.tsvToJson('a\tb\n\\N\t', { nullValues: ['\\N'], emptyAs: '' })).toEqual([{ a: null, b: '' }]);
+  });
+
+  test('rejects invalid options', () => {
+    expect(() => csvToJson('a\n1', { nullValues: 'NULL' as any })).toThrow(ConfigurationError);
+    expect(() => csvToJson('a\n1', { emptyAs: 'undefined' as any })).toThrow(ConfigurationError);
+  });
+});
+
+describe('nullAs / undefinedAs', () => {
+  const rows = [{ a: 1, b: null, c: undefined }, { a: 2, b: 'x' }];
+
+  test('jsonToCsv writes the configured tokens', () => {
+    expect(jsonToCsv(rows, { delimiter: ',', nullAs: '\\N', undefinedAs: 'NA' })).toBe('a,b,c\r\n1,\\N,NA\r\n2,x,NA');
+    expect(jsonToCsv(rows, { delimiter: ',' })).toBe('a,b,c\r\n1,,\r\n2,x,');
+  });
+
+  test('the stream writer writes the same tokens', async () => {
+    const csv = await streamJsonToCsv([{ a: 1, b: null, c: undefined }], { delimiter: ',', nullAs: '\\N', undefinedAs: 'NA' });
+    expect(csv).toBe('a,b,c\n1,\\N,NA\n');
+  });
+
+  test('PostgreSQL \\N exports round-trip', () => {
+    const data = [{ id: 1, note: null }, { id: 2, note: '' }, { id: 3, note: 'text' }];
+    const tsv = TsvParser.jsonToTsv(data, { nullAs: '\\N' });
+    expect(tsv).toBe('id\tnote\r\n1\t\\N\r\n2\t\r\n3\ttext');
+    expect(TsvParser.tsvToJson(tsv, { parseNumbers: true, nullValues: ['\\N'], emptyAs: '' })).toEqual(data);
+  });
+
+  test('a string that spells a token is quoted, so it reads back as text', async () => {
+    const data = [{ id: 1, note: null }, { id: 2, note: '\\N' }];
+    expect(jsonToCsv(data, { delimiter: ',', nullAs: '\\N' })).toBe('id,note\r\n1,\\N\r\n2,"\\N"');
+    expect(jsonToCsv(data, { delimiter: ',', nullAs: '\\N', quoting: 'all' })).toBe('"id","note"\r\n"1",\\N\r\n"2","\\N"');
+    expect(jsonToCsv(data, { delimiter: ',', nullAs: '\\N', quoting: 'none' })).toBe('id,note\r\n1,\\N\r\n2,\\\\N');
+    expect(await streamJsonToCsv(data, { delimiter: ',', nullAs: '\\N' })).toBe('id,note\n1,\\N\n2,"\\N"\n');
+  });
+
+  test('null and a string that spells nullAs round-trip apart', async () => {
+    const data = [{ id: 1, note: null }, { id: 2, note: 'NULL' }, { id: 3, note: 'text' }];
+    const options = { delimiter: ',', parseNumbers: true, nullValues: ['NULL'] };
+    expect(csvToJson(jsonToCsv(data, { delimiter: ',', nullAs: 'NULL' }), options)).toEqual(data);
+    expect(csvToJson(await streamJsonToCsv(data, { delimiter: ',', nullAs: 'NULL' }), options)).toEqual(data);
+  });
+
+  test('rejects non-string tokens', async () => {
+    expect(() => jsonToCsv(rows, { nullAs: null as any })).toThrow(ConfigurationError);
+    await expect(streamJsonToCsv(rows, { undefinedAs: 0 as any })).rejects.toThrow(ConfigurationError);
+  });
+});
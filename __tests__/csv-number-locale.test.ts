@@ -0,0 +1,113 @@
+import { describe, test, expect } from '@jest/globals';
+import { csvToJson, csvToJsonIterator } from '../csv-to-json';
+import { jsonToCsv } from '../json-to-csv';
+import { streamCsvToJson } from '../stream-csv-to-json';
+import TsvParser from '../src/formats/tsv-parser';
+import { ConfigurationError } from '../errors';
+
+const EU = { decimal: ',', group: '.' };
+
+const EU_CSV = [
+  'item;price;qty',
+  'Laptop;1.234,56;2',
+  'Mouse;19,9;10',
+  'Cable;-0,5;1.000'
+].join('\n');
+
+const EU_EXPECTED = [
+  { item: 'Laptop', price: 1234.56, qty: 2 },
+  { item: 'Mouse', price: 19.9, qty: 10 },
+  { item: 'Cable', price: -0.5, qty: 1000 }
+];
+
+describe('numberLocale', () => {
+  test('parses decimal comma and dot grouping on every parser', async () => {
+    const options = { delimiter: ';', numberLocale: EU };
+    expect(csvToJson(EU_CSV, options)).toEqual(EU_EXPECTED);
+    expect(csvToJson(EU_CSV, { ...options, useFastPath: false })).toEqual(EU_EXPECTED);
+    expect(Array.from(csvToJsonIterator(EU_CSV, options))).toEqual(EU_EXPECTED);
+    expect(await streamCsvToJson(EU_CSV, options)).toEqual(EU_EXPECTED);
+  });
+
+  test('works through TsvParser.tsvToJson', () => {
+    const tsv = 'name\tamount\nA\t2.500,75\nB\tn/a';
+    expect(TsvParser.tsvToJson(tsv, { numberLocale: EU })).toEqual([
+      { name: 'A', amount: 2500.75 },
+      { name: 'B', amount: 'n/a' }
+    ]);
+  });
+
+  test('leaves cells that are not numbers in the locale as strings', () => {
+    const csv = 'a;b;c;d\n1.2.3;12,34,5;1.23;abc';
+    expect(csvToJson(csv, { delimiter: ';', numberLocale: EU })).toEqual([
+      { a: '1.2.3', b: '12,34,5', c: '1.23', d: 'abc' }
+    ]);
+  });
+
+  test('strips currency symbols on either side', () => {
+    const csv = 'price\n€ 1.500,00\n1.500,00 EUR\n-€5\nUSD 3';
+    expect(csvToJson(csv, { delimiter: ';', numberLocale: { ...EU, currency: ['€', 'EUR'] } })).toEqual([
+      { price: 1500 },
+      { price: 1500 },
+      { price: -5 },
+      { price: 'USD 3' }
+    ]);
+  });
+
+  test('percent mode decides between ratio and plain number', () => {
+    const csv = 'rate\n12,5%\n3';
+    const delimiter = ';';
+    expect(csvToJson(csv, { delimiter, numberLocale: { decimal: ',', percent: 'ratio' } })).toEqual([
+      { rate: 0.125 },
+      { rate: 3 }
+    ]);
+    expect(csvToJson(csv, { delimiter, numberLocale: { decimal: ',', percent: 'number' } })).toEqual([
+      { rate: 12.5 },
+      { rate: 3 }
+    ]);
+    expect(csvToJson(csv, { delimiter, numberLocale: { decimal: ',' } })).toEqual([
+      { rate: '12,5%' },
+      { rate: 3 }
+    ]);
+  });
+
+  test('space grouping also accepts non-breaking spaces', () => {
+    const csv = 'amount\n1 234,5\n1\u00a0234,5\n1\u202f234,5';
+    expect(csvToJson(csv, { delimiter: ';', numberLocale: { decimal: ',', group: ' ' } })).toEqual([
+      { amount: 1234.5 },
+      { amount: 1234.5 },
+      { amount: 1234.5 }
+    ]);
+  });
+
+  test('locale-parsed columns feed type inference', () => {
+    const metadata: Record<string, any> = {};
+    csvToJson('price\n1,5\n2', { delimiter: ';', numberLocale: { decimal: ',' }, inferTypes: true, metadata });
+    expect(metadata.columnTypes).toEqual({ price: 'float' });
+  });
+
+  test('jsonToCsv formats numbers in the same locale', () => {
+    const csv = jsonToCsv([{ item: 'Laptop', price: 1234.56 }, { item: 'Big', price: 1234567 }], {
+      delimiter: ';',
+      numberLocale: EU
+    });
+    expect(csv).toBe('item;price\r\nLaptop;1.234,56\r\nBig;1.234.567');
+  });
+
+  test('round-trips through jsonToCsv and csvToJson', () => {
+    const csv = jsonToCsv(EU_EXPECTED, { delimiter: ';', numberLocale: EU, preventCsvInjection: false });
+    expect(csvToJson(csv, { delimiter: ';', numberLocale: EU })).toEqual(EU_EXPECTED);
+  });
+
+  test('formatted numbers are quoted when they contain the delimiter', () => {
+    expect(jsonToCsv([{ v: 1.5 }], { delimiter: ',', numberLocale: { decimal: ',' } })).toBe('v\r\n"1,5"');
+  });
+
+  test('rejects invalid locale options', () => {
+    expect(() => csvToJson('a\n1', { numberLocale: { decimal: ',', group: ',' } })).toThrow(ConfigurationError);
+    expect(() => csvToJson('a\n1', { numberLocale: { decimal: '1' } })).toThrow(ConfigurationError);
+    expect(() => csvToJson('a\n1', { numberLocale: { currency: '' } })).toThrow(ConfigurationError);
+    expect(() => csvToJson('a\n1', { numberLocale: { percent: 'yes' as any } })).toThrow(ConfigurationError);
+    expect(() => jsonToCsv([{ a: 1 }], { numberLocale: 'de-DE' as any })).toThrow(ConfigurationError);
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, test, expect } from '@jest/globals';
+import { csvToJson, csvToJsonIterator } from '../csv-to-json';
+import { streamCsvToJson } from '../stream-csv-to-json';
+import FastPathEngine from '../src/engines/fast-path-engine';
+import { ConfigurationError } from '../errors';
+
+const WINDOWS_PATHS = 'path,owner\nC:\\Users\\bob\\data.csv,bob\n"D:\\temp\\x",ann\n';
+
+describe('quote / escape / allowSingleQuotes options', () => {
+  test('backslash escaping stays on by default', () => {
+    const rows = csvToJson('a,b\nx\\,y,z\n', { delimiter: ',' });
+    expect(rows).toEqual([{ a: 'x,y', b: 'z' }]);
+  });
+
+  test('escape: null keeps Windows paths intact on every parser', async () => {
+    const expected = [
+      { path: 'C:\\Users\\bob\\data.csv', owner: 'bob' },
+      { path: 'D:\\temp\\x', owner: 'ann' }
+    ];
+    const options = { delimiter: ',', escape: null };
+
+    expect(csvToJson(WINDOWS_PATHS, options)).toEqual(expected);
+    expect(csvToJson(WINDOWS_PATHS, { ...options, useFastPath: false })).toEqual(expected);
+    expect(Array.from(csvToJsonIterator(WINDOWS_PATHS, options))).toEqual(expected);
+    expect(await streamCsvToJson(WINDOWS_PATHS, options)).toEqual(expected);
+  });
+
+  test('escape equal to the quote character means RFC 4180 doubling only', () => {
+    const rows = csvToJson('a,b\n"say ""hi""",C:\\tmp\n', { delimiter: ',', escape: '"' });
+    expect(rows).toEqual([{ a: 'say "hi"', b: 'C:\\tmp' }]);
+  });
+
+  test('custom quote and escape characters', async () => {
+    const csv = "a;b\n'x;y';~'z\n";
+    const options = { delimiter: ';', quote: "'", escape: '~' };
+    const expected = [{ a: 'x;y', b: "'z" }];
+
+    expect(csvToJson(csv, options)).toEqual(expected);
+    expect(Array.from(csvToJsonIterator(csv, options))).toEqual(expected);
+    expect(await streamCsvToJson(csv, options)).toEqual(expected);
+  });
+
+  test('allowSingleQuotes: true quotes with apostrophes on the fast path too', () => {
+    const csv = "a,b\n'x,y',z\n";
+    expect(csvToJson(csv, { delimiter: ',', allowSingleQuotes: true })).toEqual([{ a: 'x,y', b: 'z' }]);
+    expect(csvToJson(csv, { delimiter: ',', allowSingleQuotes: false, useFastPath: false }))
+      .toEqual([{ a: "'x", b: "y'" }]);
+  });
+
+  test('apostrophes are text by default on every parser', async () => {
+    const csv = "a,b\n'x,y'\n'=1,'\n";
+    const expected = [{ a: "'x", b: "y'" }, { a: "'=1", b: "'" }];
+    const options = { delimiter: ',', unescapeInjection: false };
+
+    expect(csvToJson(csv, options)).toEqual(expected);
+    expect(csvToJson(csv, { ...options, useFastPath: false })).toEqual(expected);
+    expect(Array.from(csvToJsonIterator(csv, options))).toEqual(expected);
+    expect(await streamCsvToJson(csv, options)).toEqual(expected);
+  });
+
+  test('an apostrophe inside a cell never opens a quoted field', async () => {
+    const csv = "name,city\nO'Brien,Cork\n";
+    const expected = [{ name: "O'Brien", city: 'Cork' }];
+    expect(csvToJson(csv, { delimiter: ',', allowSingleQuotes: true })).toEqual(expected);
+    expect(await streamCsvToJson(csv, { delimiter: ',' })).toEqual(expected);
+  });
+
+  test('rejects invalid option values with ConfigurationError', () => {
+    expect(() => csvToJson('a\n1', { quote: '""' })).toThrow(ConfigurationError);
+    expect(() => csvToJson('a\n1', { escape: 'ab' })).toThrow(ConfigurationError);
+    expect(() => csvToJson('a\n1', { allowSingleQuotes: 'yes' as any })).toThrow(ConfigurationError);
+    expect(() => csvToJson('a,b\n1,2', { delimiter: ',', quote: ',' })).toThrow('quote must differ from the delimiter');
+  });
+});
+
+describe('FastPathEngine quote options', () => {
+  test('compiled parsers are keyed by quote settings', () => {
+    const engine = new FastPathEngine();
+    const csv = 'a|b\n^x|y^|z\n';
+    expect(engine.parse(csv, { delimiter: '|', quote: '^' })).toEqual([['a', 'b'], ['x|y', 'z']]);
+    expect(engine.parse(csv, { delimiter: '|' })).toEqual([['a', 'b'], ['^x', 'y^', 'z']]);
+  });
+
+  test('escape: null disables backslash handling', () => {
+    const engine = new FastPathEngine();
+    expect(Array.from(engine.iterateRows('a\\b,c\n', { delimiter: ',', escape: null })))
+      .toEqual([['a\\b', 'c']]);
+    expect(Array.from(engine.iterateRows('a\\b,c\n', { delimiter: ',' })))
+      .toEqual([['ab', 'c']]);
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, test, expect } from '@jest/globals';
+import { jsonToCsv } from '../json-to-csv';
+import { createJsonToCsvStream } from '../stream-json-to-csv';
+import { jsonToTsv } from '../src/formats/tsv-parser';
+import NdjsonParser from '../src/formats/ndjson-parser';
+import { ConfigurationError } from '../errors';
+import { streamToCsv } from './helpers/streams';
+
+const ROWS = [
+  { id: 1, name: 'Ann', note: 'say "hi"', active: true, extra: null },
+  { id: 2.5, name: 'Bob, Jr.', note: '', active: false, extra: 'x' }
+];
+
+async function ndjsonToCsv(lines: string[], options: Record<string, unknown>): Promise<string> {
+  const transform = NdjsonParser.createNdjsonToCsvStream(options);
+  const writer = transform.writable.getWriter();
+  const reader = transform.readable.getReader();
+  const writing = (async () => {
+    for (const line of lines) {
+      await writer.write(line);
+    }
+    await writer.close();
+  })();
+  let csv = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    csv += value;
+  }
+  await writing;
+  return csv;
+}
+
+const EXPECTED: Record<string, string[]> = {
+  minimal: [
+    'id,name,note,active,extra',
+    '1,Ann,"say ""hi""",true,',
+    '2.5,"Bob, Jr.",,false,x'
+  ],
+  all: [
+    '"id","name","note","active","extra"',
+    '"1","Ann","say ""hi""","true",""',
+    '"2.5","Bob, Jr.","","false","x"'
+  ],
+  nonnumeric: [
+    '"id","name","note","active","extra"',
+    '1,"Ann","say ""hi""","true",""',
+    '2.5,"Bob, Jr.","","false","x"'
+  ],
+  strings: [
+    '"id","name","note","active","extra"',
+    '1,"Ann","say ""hi""",true,',
+    '2.5,"Bob, Jr.",,false,"x"'
+  ],
+  none: [
+    'id,name,note,active,extra',
+    '1,Ann,say \\"hi\\",true,',
+    '2.5,Bob\\, Jr.,,false,x'
+  ]
+};
+
+describe('quoting', () => {
+  test.each(Object.keys(EXPECTED))("jsonToCsv with quoting '%s'", (quoting) => {
+    const csv = jsonToCsv(ROWS, { delimiter: ',', quoting: quoting as any });
+    expect(csv.split('\r\n')).toEqual(EXPECTED[quoting]);
+  });
+
+  test.each(Object.keys(EXPECTED))("the stream writer with quoting '%s'", async (quoting) => {
+    const csv = await streamToCsv(ROWS, { delimiter: ',', quoting });
+    expect(csv.trim().split('\n')).toEqual(EXPECTED[quoting]);
+  });
+
+  test('NDJSON to CSV follows the same policy', async () => {
+    const lines = ROWS.map((row) => JSON.stringify(row));
+    for (const quoting of ['all', 'nonnumeric', 'strings', 'none']) {
+      expect((await ndjsonToCsv(lines, { delimiter: ',', quoting })).trim().split('\n')).toEqual(EXPECTED[quoting]);
+    }
+  });
+
+  test('TSV output quotes and escapes too', () => {
+    const data = [{ id: 7, text: 'a\tb' }];
+    expect(jsonToTsv(data, { quoting: 'nonnumeric' })).toBe('"id"\t"text"\r\n7\t"a\tb"');
+    expect(jsonToTsv(data, { quoting: 'none', escapeChar: '^' })).toBe('id\ttext\r\n7\ta^\tb');
+  });
+
+  test("'none' escapes line breaks and the escape character itself", () => {
+    const csv = jsonToCsv([{ path: 'C:\\tmp', text: 'one\ntwo' }], { delimiter: ';', quoting: 'none', includeHeaders: false });
+    expect(csv).toBe('C:\\\\tmp;one\\\ntwo');
+  });
+
+  test('numbers that hold the delimiter are still quoted', () => {
+    const csv = jsonToCsv([{ price: 1234.5 }], {
+      delimiter: ',',
+      quoting: 'nonnumeric',
+      numberLocale: { decimal: ',', group: '.' },
+      includeHeaders: false
+    });
+    expect(csv).toBe('"1.234,5"');
+  });
+
+  test('rejects malformed options', () => {
+    expect(() => jsonToCsv(ROWS, { quoting: 'some' as any })).toThrow(ConfigurationError);
+    expect(() => jsonToCsv(ROWS, { quoting: 'none', escapeChar: '"' })).toThrow(ConfigurationError);
+    expect(() => jsonToCsv(ROWS, { delimiter: '|', quoting: 'none', escapeChar: '|' })).toThrow(ConfigurationError);
+    expect(() => createJsonToCsvStream({ quoting: 'none', escapeChar: '--' })).toThrow(ConfigurationError);
+  });
+});
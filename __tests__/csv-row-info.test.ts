@@ -0,0 +1,87 @@
+import { describe, test, expect } from '@jest/globals';
+import { Readable } from 'stream';
+import { csvToJson, csvToJsonIterator } from '../csv-to-json';
+import { createCsvToJsonStream, streamCsvToJson } from '../stream-csv-to-json';
+import { applySchemaValidation } from '../src/utils/schema-validator';
+import { ConfigurationError } from '../errors';
+
+const CSV = [
+  'id,note',
+  '1,plain',
+  '2,"two',
+  'lines"',
+  '',
+  '3,"say ""hi"""'
+].join('\n');
+
+async function everyParser(csv: string, options: Record<string, unknown>) {
+  return [
+    csvToJson(csv, options),
+    csvToJson(csv, { ...options, useFastPath: false }),
+    Array.from(csvToJsonIterator(csv, options)),
+    Array.from(csvToJsonIterator(csv, { ...options, columnMismatch: 'pad' })),
+    await streamCsvToJson(csv, options)
+  ];
+}
+
+describe('includeRowInfo', () => {
+  test('attaches the line, offset, length and raw text of each record', async () => {
+    for (const rows of await everyParser(CSV, { delimiter: ',', includeRowInfo: true })) {
+      expect(rows).toEqual([
+        { id: '1', note: 'plain', _rowInfo: { line: 2, offset: 8, length: 7, raw: '1,plain' } },
+        { id: '2', note: 'two\nlines', _rowInfo: { line: 3, offset: 16, length: 13, raw: '2,"two\nlines"' } },
+        { id: '3', note: 'say "hi"', _rowInfo: { line: 6, offset: 31, length: 14, raw: '3,"say ""hi"""' } }
+      ]);
+    }
+  });
+
+  test('offsets point into the original bytes', async () => {
+    const csv = '﻿name;city\r\nJosé;"Zü\r\nrich"\r\nAnn;Oslo';
+    const source = Buffer.from(csv, 'utf8');
+    for (const rows of await everyParser(csv, { delimiter: ';', includeRowInfo: true })) {
+      expect(rows.map((row: any) => row._rowInfo.line)).toEqual([2, 4]);
+      for (const row of rows) {
+        const { offset, length, raw } = row._rowInfo;
+        expect(source.subarray(offset, offset + length).toString('utf8')).toBe(raw);
+      }
+      expect(rows[0]._rowInfo.raw).toBe('José;"Zü\r\nrich"');
+    }
+  });
+
+  test('keeps source line numbers when comment lines are skipped', () => {
+    const csv = 'a,b\n# note\n1,2\n# another\n3,4';
+    const rows = csvToJson(csv, { delimiter: ',', comment: '#', includeRowInfo: true });
+    expect(rows.map((row: any) => row._rowInfo.line)).toEqual([3, 5]);
+    expect(rows[1]._rowInfo).toMatchObject({ offset: 25, raw: '3,4' });
+  });
+
+  test('the stream tracks positions across chunk boundaries', async () => {
+    const stream = createCsvToJsonStream({ delimiter: ',', includeRowInfo: true });
+    Readable.from(['id,no', 'te\n1,"a\nb"\n', '2,', 'c']).pipe(stream);
+    const rows: any[] = [];
+    for await (const row of stream) {
+      rows.push(row);
+    }
+    expect(rows.map((row) => row._rowInfo)).toEqual([
+      { line: 2, offset: 8, length: 7, raw: '1,"a\nb"' },
+      { line: 4, offset: 16, length: 3, raw: '2,c' }
+    ]);
+  });
+
+  test('is off by default and rejected where rows are arrays', () => {
+    expect(csvToJson(CSV, { delimiter: ',' })[0]).not.toHaveProperty('_rowInfo');
+    expect(() => csvToJson(CSV, { delimiter: ',', includeRowInfo: 'yes' as any }))
+      .toThrow('includeRowInfo must be a boolean');
+    expect(() => csvToJson(CSV, { delimiter: ',', fastPathMode: 'compact', includeRowInfo: true }))
+      .toThrow(ConfigurationError);
+  });
+
+  test('schema validation errors reference the source position', () => {
+    const rows = csvToJson('id,age\n1,30\n2,"\nold"', { delimiter: ',', parseNumbers: true, includeRowInfo: true });
+    const result = applySchemaValidation(rows, { age: { type: 'integer' } });
+    expect(result.valid).toBe(false);
+    expect(result.errors).toHaveLength(1);
+    expect(result.errors[0].message).toMatch(/^Row 2 \(line 3\): /);
+    expect(result.errors[0].rowInfo).toEqual({ line: 3, offset: 12, length: 8, raw: '2,"\nold"' });
+  });
+});
@@ -63,8 +63,8 @@ describe('CSV to JSON Edge Cases Coverage', () => {
         .toThrow(ConfigurationError);
     });
 
-    test('should throw ConfigurationError for multi-character delimiter', () => {
-      expect(() => csvToJson('test', { delimiter: ';;' }))
+    test('should throw ConfigurationError for a delimiter with a line break', () => {
+      expect(() => csvToJson('test', { delimiter: ';\n;' }))
         .toThrow(ConfigurationError);
     });
 
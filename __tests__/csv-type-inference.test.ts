@@ -0,0 +1,101 @@
+import { describe, test, expect } from '@jest/globals';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { csvToJson, readCsvAsJson } from '../csv-to-json';
+import { applySchemaValidation } from '../src/utils/schema-validator';
+import { inferColumnTypes, inferredTypesToSchema, resolveTypeInferenceOptions } from '../src/utils/type-inference';
+import { ConfigurationError } from '../errors';
+
+const CSV = [
+  'zip,qty,price,active,shipped,note,empty',
+  '01234,1,9.5,true,2024-01-02,a,',
+  '98765,2,10,FALSE,2024-02-03T10:00:00Z,b,',
+  '00501,3,,true,,c,'
+].join('\n');
+
+describe('inferTypes', () => {
+  test('coerces each column to one type', () => {
+    const metadata: Record<string, any> = {};
+    const rows = csvToJson(CSV, { delimiter: ',', inferTypes: true, metadata });
+
+    expect(metadata.columnTypes).toEqual({
+      zip: 'string',
+      qty: 'integer',
+      price: 'float',
+      active: 'boolean',
+      shipped: 'date',
+      note: 'string',
+      empty: 'null'
+    });
+    expect(rows[0]).toEqual({
+      zip: '01234',
+      qty: 1,
+      price: 9.5,
+      active: true,
+      shipped: new Date('2024-01-02'),
+      note: 'a',
+      empty: null
+    });
+    expect(rows[1].active).toBe(false);
+    expect(rows[2].zip).toBe('00501');
+  });
+
+  test('overrides per-cell parseNumbers so a column never mixes types', () => {
+    const rows = csvToJson('zip\n01234\n98765\n', { inferTypes: true, parseNumbers: true });
+    expect(rows.map((row) => row.zip)).toEqual(['01234', '98765']);
+  });
+
+  test('works on the standard parser too', () => {
+    const rows = csvToJson('id,flag\n1,true\n2,false\n', { inferTypes: true, useFastPath: false });
+    expect(rows).toEqual([{ id: 1, flag: true }, { id: 2, flag: false }]);
+  });
+
+  test('inferred schema feeds applySchemaValidation', () => {
+    const csv = 'id,name\n1,a\n2,b\nn/a,c\n';
+    const metadata: Record<string, any> = {};
+    const rows = csvToJson(csv, { inferTypes: { sampleSize: 2 }, metadata });
+
+    expect(metadata.inferredSchema).toEqual({ id: { type: 'integer' }, name: { type: 'string' } });
+    expect(rows[2].id).toBe('n/a');
+
+    const result = applySchemaValidation(rows, metadata.inferredSchema);
+    expect(result.valid).toBe(false);
+    expect(result.errors.map((error) => error.row)).toEqual([3]);
+  });
+
+  test('readCsvAsJson accepts inferTypes', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jtcsv-infer-'));
+    const file = path.join(dir, 'data.csv');
+    fs.writeFileSync(file, 'id,score\n1,1.5\n2,3\n');
+    try {
+      const rows = await readCsvAsJson(file, { inferTypes: true });
+      expect(rows).toEqual([{ id: 1, score: 1.5 }, { id: 2, score: 3 }]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('rejects invalid options', () => {
+    expect(() => csvToJson('a\n1', { inferTypes: { sampleSize: 0 } })).toThrow(ConfigurationError);
+    expect(() => csvToJson('a\n1', { inferTypes: 'yes' as any })).toThrow(ConfigurationError);
+    expect(() => csvToJson('a\n1', { inferTypes: true, fastPathMode: 'compact' })).toThrow(ConfigurationError);
+  });
+});
+
+describe('type-inference helpers', () => {
+  test('integer and float merge to float; anything else to string', () => {
+    const options = resolveTypeInferenceOptions(true)!;
+    const types = inferColumnTypes(
+      [{ a: '1', b: '1', c: '2024-01-01' }, { a: '2.5', b: 'x', c: '' }],
+      ['a', 'b', 'c'],
+      options
+    );
+    expect(types).toEqual({ a: 'float', b: 'string', c: 'date' });
+    expect(inferredTypesToSchema(types)).toEqual({
+      a: { type: 'number' },
+      b: { type: 'string' },
+      c: { type: 'date' }
+    });
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, test, expect } from '@jest/globals';
+import { csvToJson, csvToJsonIterator } from '../csv-to-json';
+import { streamCsvToJson } from '../stream-csv-to-json';
+import { jsonToCsv } from '../json-to-csv';
+import { ConfigurationError } from '../errors';
+
+const ORDERS = [
+  {
+    id: 1,
+    user: { name: 'Ann', address: { city: 'Oslo', zip: 'N-0150' } },
+    items: [{ sku: 'a', qty: 2 }, { sku: 'b', qty: 1 }],
+    tags: ['new', 'gift']
+  },
+  {
+    id: 2,
+    user: { name: 'Bob', address: { city: 'Rome', zip: 'I-00100' } },
+    items: [],
+    tags: ['repeat']
+  }
+];
+
+async function everyParser(csv: string, options: Record<string, unknown>) {
+  return [
+    csvToJson(csv, options),
+    csvToJson(csv, { ...options, useFastPath: false }),
+    Array.from(csvToJsonIterator(csv, options)),
+    await streamCsvToJson(csv, options)
+  ];
+}
+
+describe('unflatten', () => {
+  test('round-trips jsonToCsv({ flatten: true }) including arrays', async () => {
+    const csv = jsonToCsv(ORDERS, { flatten: true, delimiter: ',' });
+    for (const rows of await everyParser(csv, { unflatten: true, parseNumbers: true })) {
+      expect(rows).toEqual(ORDERS);
+    }
+  });
+
+  test('builds arrays from index headers and trims empty trailing elements', async () => {
+    const csv = 'id,items[0].sku,items[0].qty,items[1].sku,items[1].qty,grid[0][1]\n'
+      + '1,a,2,b,3,x\n'
+      + '2,c,1,,,';
+    for (const rows of await everyParser(csv, { unflatten: true, parseNumbers: true })) {
+      expect(rows).toEqual([
+        { id: 1, items: [{ sku: 'a', qty: 2 }, { sku: 'b', qty: 3 }], grid: [[null, 'x']] },
+        { id: 2, items: [{ sku: 'c', qty: 1 }], grid: [] }
+      ]);
+    }
+  });
+
+  test('uses unflattenSeparator', () => {
+    const rows = csvToJson('user__name,user__tags[0]\nAnn,vip', {
+      unflatten: true,
+      unflattenSeparator: '__'
+    });
+    expect(rows).toEqual([{ user: { name: 'Ann', tags: ['vip'] } }]);
+  });
+
+  test('keeps colliding and invalid headers flat', () => {
+    const csv = 'a.b,a,c[0],c.d,e..f,__proto__.x,g[99999]\n1,2,3,4,5,6,7';
+    const [row] = csvToJson(csv, { unflatten: true }) as Record<string, unknown>[];
+    expect(row).toEqual({
+      'a.b': '1',
+      a: '2',
+      c: ['3'],
+      'c.d': '4',
+      'e..f': '5',
+      '__proto__.x': '6',
+      'g[99999]': '7'
+    });
+    expect(({} as Record<string, unknown>).x).toBeUndefined();
+  });
+
+  test('transform sees the nested row', () => {
+    const rows = csvToJson('user.name\nAnn', {
+      unflatten: true,
+      transform: (row: Record<string, any>) => ({ name: row.user.name.toUpperCase() })
+    });
+    expect(rows).toEqual([{ name: 'ANN' }]);
+  });
+
+  test('validates options', () => {
+    expect(() => csvToJson('a\n1', { unflatten: 'yes' as unknown as boolean })).toThrow(ConfigurationError);
+    expect(() => csvToJson('a\n1', { unflatten: true, unflattenSeparator: '' })).toThrow(ConfigurationError);
+    expect(() => csvToJson('a\n1', { unflatten: true, unflattenSeparator: '[' })).toThrow(ConfigurationError);
+    expect(() => csvToJson('a\n1', { unflatten: true, fastPathMode: 'compact' }))
+      .toThrow('unflatten requires object rows');
+  });
+});
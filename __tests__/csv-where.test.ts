@@ -0,0 +1,112 @@
+import { describe, test, expect } from '@jest/globals';
+import { Readable } from 'stream';
+import { csvToJson, csvToJsonIterator } from '../csv-to-json';
+import { createCsvToJsonStream, streamCsvToJson } from '../stream-csv-to-json';
+import { ConfigurationError } from '../errors';
+import { WherePredicate } from '../src/types';
+
+const CSV = [
+  'id,status,amount,note',
+  '1,active,250,"big, first"',
+  '2,inactive,900,',
+  '3,active,80,small',
+  '4,active,120.5,',
+  '5,ACTIVE,n/a,odd'
+].join('\n');
+
+async function everyParser(csv: string, options: Record<string, unknown>) {
+  return [
+    csvToJson(csv, options),
+    csvToJson(csv, { ...options, useFastPath: false }),
+    Array.from(csvToJsonIterator(csv, options)),
+    Array.from(csvToJsonIterator(csv, { ...options, columnMismatch: 'pad' })),
+    await streamCsvToJson(csv, options)
+  ];
+}
+
+describe('where', () => {
+  test('declarative conditions are combined and compare numbers numerically', async () => {
+    const options = { delimiter: ',', where: { status: 'active', amount: { gt: 100 } } };
+    for (const rows of await everyParser(CSV, options)) {
+      expect(rows.map((row: any) => row.id)).toEqual(['1', '4']);
+    }
+  });
+
+  test('runs on raw cells before coercion and keeps quoted fields intact', async () => {
+    const options = { delimiter: ',', parseNumbers: true, where: { id: { in: [1, 3] } } };
+    for (const rows of await everyParser(CSV, options)) {
+      expect(rows).toEqual([
+        { id: 1, status: 'active', amount: 250, note: 'big, first' },
+        { id: 3, status: 'active', amount: 80, note: 'small' }
+      ]);
+    }
+  });
+
+  test('supports text, pattern and emptiness operators', () => {
+    const ids = (where: Record<string, unknown>) => csvToJson(CSV, { delimiter: ',', where } as any)
+      .map((row: any) => row.id);
+    expect(ids({ status: { ne: 'active' } })).toEqual(['2', '5']);
+    expect(ids({ status: { matches: /^active$/i } })).toEqual(['1', '3', '4', '5']);
+    expect(ids({ note: { empty: true } })).toEqual(['2', '4']);
+    expect(ids({ note: null })).toEqual(['2', '4']);
+    expect(ids({ note: { startsWith: 'big', contains: ',' } })).toEqual(['1']);
+    expect(ids({ amount: { gte: 80, lte: 120.5 } })).toEqual(['3', '4']);
+    expect(ids({ status: { notIn: ['active', 'inactive'] } })).toEqual(['5']);
+  });
+
+  test('a predicate reads fields by name or index', async () => {
+    const where: WherePredicate = (field) => (
+      field('status') === 'active' && field(3) !== ''
+    );
+    for (const rows of await everyParser(CSV, { delimiter: ',', where })) {
+      expect(rows.map((row: any) => row.id)).toEqual(['1', '3']);
+    }
+  });
+
+  test('maxRows counts matched rows instead of failing', async () => {
+    const options = { delimiter: ',', where: { status: 'active' }, maxRows: 2 };
+    for (const rows of await everyParser(CSV, options)) {
+      expect(rows.map((row: any) => row.id)).toEqual(['1', '3']);
+    }
+    expect(() => csvToJson(CSV, { delimiter: ',', maxRows: 2 })).toThrow('maximum limit of 2 rows');
+  });
+
+  test('the stream ends its output once maxRows rows matched', async () => {
+    const lines = ['id,kind'];
+    for (let i = 1; i <= 5000; i++) {
+      lines.push(`${i},${i % 10 === 0 ? 'hit' : 'miss'}`);
+    }
+    const stream = createCsvToJsonStream({ delimiter: ',', where: { kind: 'hit' }, maxRows: 3 });
+    Readable.from([lines.join('\n')]).pipe(stream);
+    const rows: any[] = [];
+    for await (const row of stream) {
+      rows.push(row);
+    }
+    expect(rows.map((row) => row.id)).toEqual(['10', '20', '30']);
+  });
+
+  test('filters on columns left out of the projection', async () => {
+    const options = { delimiter: ',', columns: ['note', 'id'], where: { status: 'active', note: { empty: false } } };
+    for (const rows of await everyParser(CSV, options)) {
+      expect(rows).toEqual([{ note: 'big, first', id: '1' }, { note: 'small', id: '3' }]);
+    }
+    const predicate: WherePredicate = (field) => field('amount') === '900';
+    for (const rows of await everyParser(CSV, { delimiter: ',', columns: ['id'], where: predicate })) {
+      expect(rows).toEqual([{ id: '2' }]);
+    }
+  });
+
+  test('filters compact rows and headerless input', () => {
+    expect(csvToJson(CSV, { delimiter: ',', fastPathMode: 'compact', where: { id: 2 } }))
+      .toEqual([['2', 'inactive', '900', null]]);
+    expect(csvToJson('a,1\nb,2\nc,3', { delimiter: ',', hasHeaders: false, where: { column2: { gt: 1 } } }))
+      .toEqual([{ column1: 'b', column2: '2' }, { column1: 'c', column2: '3' }]);
+  });
+
+  test('rejects unknown columns and malformed conditions', () => {
+    expect(() => csvToJson(CSV, { delimiter: ',', where: { nope: 1 } })).toThrow('Column "nope" from where is not in the header');
+    expect(() => csvToJson(CSV, { delimiter: ',', where: { id: { like: '1' } } as any })).toThrow('unknown operator "like"');
+    expect(() => csvToJson(CSV, { delimiter: ',', where: { id: { matches: '1' } } as any })).toThrow(ConfigurationError);
+    expect(() => csvToJson(CSV, { delimiter: ',', where: 'id = 1' as any })).toThrow(ConfigurationError);
+  });
+});
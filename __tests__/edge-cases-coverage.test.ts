@@ -19,8 +19,8 @@ describe('Edge Cases Coverage Tests', () => {
         .toThrow(ConfigurationError);
     });
 
-    test('should throw ConfigurationError for multi-character delimiter', () => {
-      expect(() => jsonToCsv([], { delimiter: ';;' }))
+    test('should throw ConfigurationError for a delimiter with a line break', () => {
+      expect(() => jsonToCsv([], { delimiter: ';\n;' }))
         .toThrow(ConfigurationError);
     });
 
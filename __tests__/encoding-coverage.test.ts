@@ -297,12 +297,12 @@ describe('readCsvAsJson(Sync) with UTF-8 BOM file', () => {
 // jsonToCsv / streams — BOM emission
 // ---------------------------------------------------------------------------
 
-describe('jsonToCsv — addBOM option has no effect (no leading \\uFEFF)', () => {
-  test('28) jsonToCsv({ addBOM: true } as any) produces no leading \\uFEFF /* LOCKED CURRENT */', () => {
-    const csv = jsonToCsv([{ a: 1, b: 2 }], { addBOM: true } as any);
-    expect(typeof csv).toBe('string');
-    expect((csv as string).charCodeAt(0)).not.toBe(0xfeff);
-    expect((csv as string).startsWith('﻿')).toBe(false);
+describe('jsonToCsv — addBOM option', () => {
+  test('28) jsonToCsv({ addBOM: true }) starts with \\uFEFF; the default does not', () => {
+    const csv = jsonToCsv([{ a: 1, b: 2 }], { addBOM: true });
+    expect(csv.charCodeAt(0)).toBe(0xfeff);
+    expect(csv.slice(1)).toBe(jsonToCsv([{ a: 1, b: 2 }]));
+    expect(jsonToCsv([{ a: 1, b: 2 }]).charCodeAt(0)).not.toBe(0xfeff);
   });
 });
 
@@ -156,6 +156,43 @@ describe('FastPathEngine', () => {
       ]);
     });
 
+    test('не закрывает поле на "" перед разделителем', () => {
+      const csv = 'id,json\n1,"{""a"":""x"",""b"":2}"';
+      const result = engine.parse(csv);
+
+      expect(result).toEqual([
+        ['id', 'json'],
+        ['1', '{"a":"x","b":2}']
+      ]);
+    });
+
+    test('не закрывает поле на "" перед разделителем при escape-символе в файле', () => {
+      // Обратный слэш включает _quoteAwareEscapedRowsGenerator
+      const csv = 'id,json,path\n1,"{""a"":""x"",""b"":2}",C:\\\\tmp';
+      const expected = [
+        ['id', 'json', 'path'],
+        ['1', '{"a":"x","b":2}', 'C:\\tmp']
+      ];
+
+      expect(engine.parse(csv, { escape: '\\' })).toEqual(expected);
+      expect([...engine.iterateRows(csv, { escape: '\\' })]).toEqual(expected);
+    });
+
+    test('закрывает незавершённое поле на "" перед разделителем', () => {
+      const csv = 'id,v\n1,"a"",b\n2,c';
+
+      expect(engine.parse(csv)).toEqual([
+        ['id', 'v'],
+        ['1', 'a"', 'b'],
+        ['2', 'c']
+      ]);
+      expect(engine.parse(csv.replace('a', 'a\\\\'), { escape: '\\' })).toEqual([
+        ['id', 'v'],
+        ['1', 'a\\"', 'b'],
+        ['2', 'c']
+      ]);
+    });
+
     test('парсит CSV с переносами строк в полях', () => {
       const csv = 'id,text\n1,"Line 1\nLine 2"\n2,Single line';
       const result = engine.parse(csv);
@@ -0,0 +1,188 @@
+import { describe, test, expect, afterAll } from '@jest/globals';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { Readable } from 'stream';
+import FixedWidthParser, { inferFixedWidthColumns } from '../src/formats/fixed-width-parser';
+import * as subpath from 'jtcsv/fixed-width';
+import { ConfigurationError, LimitError, ParsingError, ValidationError } from '../errors';
+import { FixedWidthColumn } from '../src/types';
+
+const COLUMNS: FixedWidthColumn[] = [
+  { name: 'id', length: 5, type: 'number', padChar: '0' },
+  { name: 'name', length: 8 },
+  { name: 'active', length: 1, type: 'boolean' },
+  { name: 'joined', start: 15, length: 8, type: 'date', format: 'YYYYMMDD' }
+];
+
+const TEXT = [
+  '00001Ann     Y 20240131',
+  '00042Bob     N 20231105',
+  '00000        Y         '
+].join('\n');
+
+const ROWS = [
+  { id: 1, name: 'Ann', active: true, joined: new Date('2024-01-31T00:00:00Z') },
+  { id: 42, name: 'Bob', active: false, joined: new Date('2023-11-05T00:00:00Z') },
+  { id: 0, name: null, active: true, joined: null }
+];
+
+async function collect(stream: NodeJS.ReadWriteStream, chunks: unknown[]): Promise<unknown[]> {
+  const out: unknown[] = [];
+  stream.on('data', (item) => out.push(item));
+  const done = new Promise((resolve, reject) => {
+    stream.on('end', resolve);
+    stream.on('error', reject);
+  });
+  Readable.from(chunks).pipe(stream);
+  await done;
+  return out;
+}
+
+describe('FixedWidthParser', () => {
+  describe('fixedToJson', () => {
+    test('cuts, unpads and converts each column', () => {
+      expect(FixedWidthParser.fixedToJson(TEXT, { columns: COLUMNS })).toEqual(ROWS);
+    });
+
+    test('skips lines, a header and blank lines; accepts CRLF and a BOM', () => {
+      const text = '﻿EXPORT 2024\r\nID   NAME\r\n00007Cid     \r\n\r\n';
+      expect(FixedWidthParser.fixedToJson(text, {
+        columns: [{ name: 'id', length: 5, type: 'number' }, { name: 'name', length: 8 }],
+        skipLines: 1,
+        hasHeaders: true
+      })).toEqual([{ id: 7, name: 'Cid' }]);
+    });
+
+    test('reports invalid values with line and column', () => {
+      const columns: FixedWidthColumn[] = [{ name: 'code', length: 3 }, { name: 'qty', length: 4, type: 'number' }];
+      let error: ParsingError | undefined;
+      try {
+        FixedWidthParser.fixedToJson('AAA   1\nBBB  x2', { columns });
+      } catch (e) {
+        error = e as ParsingError;
+      }
+      expect(error).toBeInstanceOf(ParsingError);
+      expect(error).toMatchObject({ lineNumber: 2, column: 4, value: 'x2' });
+    });
+
+    test('enforces maxRows', () => {
+      expect(() => FixedWidthParser.fixedToJson(TEXT, { columns: COLUMNS, maxRows: 2 })).toThrow(LimitError);
+    });
+
+    test('infers columns from blank character positions', () => {
+      const text = 'code  city     pop\nOSL   Oslo     709\nROM   Rome    2873';
+      expect(inferFixedWidthColumns(text, { hasHeaders: true })).toEqual([
+        { name: 'code', start: 0, length: 6 },
+        { name: 'city', start: 6, length: 8 },
+        { name: 'pop', start: 14, length: 4 }
+      ]);
+      expect(FixedWidthParser.fixedToJson(text)).toEqual([
+        { code: 'OSL', city: 'Oslo', pop: '709' },
+        { code: 'ROM', city: 'Rome', pop: '2873' }
+      ]);
+      expect(FixedWidthParser.fixedToJson('A  1\nB  2', { hasHeaders: false })).toEqual([
+        { column1: 'A', column2: '1' },
+        { column1: 'B', column2: '2' }
+      ]);
+    });
+
+    test('rejects invalid column specs', () => {
+      expect(() => FixedWidthParser.fixedToJson('x', { columns: [] })).toThrow(ConfigurationError);
+      expect(() => FixedWidthParser.fixedToJson('x', { columns: [{ name: 'a', length: 0 }] })).toThrow(/length/);
+      expect(() => FixedWidthParser.fixedToJson('x', {
+        columns: [{ name: 'a', length: 4 }, { name: 'b', start: 2, length: 2 }]
+      })).toThrow(/overlap/);
+      expect(() => FixedWidthParser.fixedToJson('x', { columns: [{ name: 'a', length: 1, padChar: '--' }] }))
+        .toThrow(/padChar/);
+      expect(() => FixedWidthParser.fixedToJson('x', { columns: [{ name: 'a', length: 1, format: 'YYYY' }] }))
+        .toThrow(/format/);
+    });
+  });
+
+  describe('jsonToFixed', () => {
+    test('pads each value to its column', () => {
+      expect(FixedWidthParser.jsonToFixed(ROWS, { columns: COLUMNS })).toBe(TEXT);
+    });
+
+    test('round-trips through fixedToJson', () => {
+      const text = FixedWidthParser.jsonToFixed(ROWS, { columns: COLUMNS, includeHeaders: true, lineEnding: '\r\n' });
+      expect(FixedWidthParser.fixedToJson(text, { columns: COLUMNS, hasHeaders: true })).toEqual(ROWS);
+    });
+
+    test('zero-pads negative numbers after the sign', () => {
+      const columns: FixedWidthColumn[] = [{ name: 'delta', length: 5, type: 'number', padChar: '0' }];
+      const text = FixedWidthParser.jsonToFixed([{ delta: -42 }, { delta: 7 }, { delta: -1234 }], { columns });
+      expect(text).toBe('-0042\n00007\n-1234');
+      expect(FixedWidthParser.fixedToJson(text, { columns })).toEqual([{ delta: -42 }, { delta: 7 }, { delta: -1234 }]);
+    });
+
+    test('derives a layout when no columns are given', () => {
+      const data = [{ sku: 'A-1', qty: 5 }, { sku: 'B-22', qty: 120 }];
+      expect(FixedWidthParser.jsonToFixed(data, { includeHeaders: true })).toBe('sku  qty\nA-1    5\nB-22 120');
+    });
+
+    test('rejects or truncates values that do not fit', () => {
+      const columns: FixedWidthColumn[] = [{ name: 'name', length: 3 }];
+      expect(() => FixedWidthParser.jsonToFixed([{ name: 'Anna' }], { columns }))
+        .toThrow(/column "name" in record 1 is 4 characters/);
+      expect(FixedWidthParser.jsonToFixed([{ name: 'Anna' }], { columns, overflow: 'truncate' })).toBe('Ann');
+      expect(() => FixedWidthParser.jsonToFixed([{ name: 'a\nb' }], { columns })).toThrow(ValidationError);
+    });
+  });
+
+  describe('streams', () => {
+    test('createFixedToJsonStream handles lines split across chunks', async () => {
+      const rows = await collect(
+        FixedWidthParser.createFixedToJsonStream({ columns: COLUMNS }),
+        [TEXT.slice(0, 10), TEXT.slice(10, 30), TEXT.slice(30)]
+      );
+      expect(rows).toEqual(ROWS);
+    });
+
+    test('createFixedToJsonStream infers columns from the first lines', async () => {
+      const rows = await collect(
+        FixedWidthParser.createFixedToJsonStream({ sampleLines: 2 }),
+        ['id  name\n1   Ann\n', '2   Bob\n']
+      );
+      expect(rows).toEqual([{ id: '1', name: 'Ann' }, { id: '2', name: 'Bob' }]);
+    });
+
+    test('createJsonToFixedStream writes one line per record', async () => {
+      const chunks = await collect(
+        FixedWidthParser.createJsonToFixedStream({ columns: COLUMNS.slice(0, 2), includeHeaders: true }),
+        ROWS.slice(0, 2)
+      );
+      expect(chunks.join('')).toBe('id   name    \n00001Ann     \n00042Bob     \n');
+      expect(() => FixedWidthParser.createJsonToFixedStream()).toThrow(ConfigurationError);
+    });
+  });
+
+  describe('files', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jtcsv-fixed-'));
+    const file = path.join(dir, 'export.dat');
+
+    afterAll(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('save and read, async and sync', async () => {
+      await FixedWidthParser.saveAsFixed(ROWS, file, { columns: COLUMNS });
+      expect(await FixedWidthParser.readFixedAsJson(file, { columns: COLUMNS })).toEqual(ROWS);
+
+      FixedWidthParser.saveAsFixedSync(ROWS.slice(0, 1), file, { columns: COLUMNS });
+      expect(FixedWidthParser.readFixedAsJsonSync(file, { columns: COLUMNS })).toEqual(ROWS.slice(0, 1));
+    });
+
+    test('maps file system errors', async () => {
+      await expect(FixedWidthParser.readFixedAsJson(path.join(dir, 'missing.dat'))).rejects.toThrow(/File not found/);
+      expect(() => FixedWidthParser.readFixedAsJsonSync('../outside.dat')).toThrow(/traversal/);
+    });
+  });
+
+  test('is available from the jtcsv/fixed-width subpath', () => {
+    expect(subpath.fixedToJson('AB', { columns: [{ name: 'a', length: 1 }, { name: 'b', length: 1 }] }))
+      .toEqual([{ a: 'A', b: 'B' }]);
+    expect(subpath.FixedWidthParser).toBe(FixedWidthParser);
+  });
+});
@@ -0,0 +1,33 @@
+/**
+ * Stream helpers shared by the test suites: feed input through a jtcsv
+ * stream and collect what comes out.
+ */
+
+import { Readable, Transform } from 'stream';
+import { createJsonToCsvStream } from '../../stream-json-to-csv';
+import { createCsvToJsonStream } from '../../stream-csv-to-json';
+
+/** Pipes `input` into `stream` and collects its output chunks. */
+export async function collectStream<T = string>(stream: Transform, input: Iterable<unknown>): Promise<T[]> {
+  Readable.from(input).pipe(stream);
+  const chunks: T[] = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return chunks;
+}
+
+/** Writes `rows` with `createJsonToCsvStream` and returns the CSV chunks. */
+export function streamToCsvChunks(rows: object[], options: Record<string, unknown> = {}): Promise<string[]> {
+  return collectStream<string>(createJsonToCsvStream(options), rows);
+}
+
+/** Writes `rows` with `createJsonToCsvStream` and returns the CSV text. */
+export async function streamToCsv(rows: object[], options: Record<string, unknown> = {}): Promise<string> {
+  return (await streamToCsvChunks(rows, options)).join('');
+}
+
+/** Parses CSV text, or chunks of it, with `createCsvToJsonStream`. */
+export function streamToRows(csv: string | string[], options: Record<string, unknown> = {}): Promise<any[]> {
+  return collectStream<any>(createCsvToJsonStream(options), typeof csv === 'string' ? [csv] : csv);
+}
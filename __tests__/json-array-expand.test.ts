@@ -0,0 +1,119 @@
+import { describe, test, expect } from '@jest/globals';
+import { jsonToCsv, jsonToCsvAsync, preprocessData } from '../json-to-csv';
+import { createJsonToCsvStream } from '../stream-json-to-csv';
+import { csvToJson } from '../csv-to-json';
+import { ConfigurationError, LimitError, ValidationError } from '../errors';
+import { streamToCsv } from './helpers/streams';
+
+const ORDERS = [
+  { id: 1, tags: ['new'], items: [{ sku: 'a', qty: 2 }] },
+  { id: 2, tags: ['gift', 'rush', 'vip'], items: [] },
+  { id: 3, tags: null, items: [{ sku: 'b' }, { sku: 'c', qty: 1 }] }
+];
+
+describe("arrayHandling: 'expand'", () => {
+  test('sizes indexed columns from the longest array in the data', () => {
+    const csv = jsonToCsv(ORDERS, { delimiter: ',', arrayHandling: 'expand' });
+    expect(csv.split('\r\n')).toEqual([
+      'id,tags[0],tags[1],tags[2],items[0].sku,items[0].qty,items[1].sku,items[1].qty',
+      '1,new,,,a,2,,',
+      '2,gift,rush,vip,,,,',
+      '3,,,,b,,c,1'
+    ]);
+  });
+
+  test('round-trips through csvToJson with unflatten', () => {
+    const data = [
+      { id: 1, user: { name: 'Ann', roles: ['admin', 'dev'] }, items: [{ sku: 'a', qty: 2 }] },
+      { id: 2, user: { name: 'Bob', roles: ['dev'] }, items: [{ sku: 'b', qty: 1 }, { sku: 'c', qty: 5 }] }
+    ];
+    const csv = jsonToCsv(data, { delimiter: ',', flatten: true, arrayHandling: 'expand' });
+    expect(csv.split('\r\n')[0]).toBe('id,user.name,user.roles[0],user.roles[1],items[0].sku,items[0].qty,items[1].sku,items[1].qty');
+    expect(csvToJson(csv, { delimiter: ',', unflatten: true, parseNumbers: true })).toEqual(data);
+  });
+
+  test('maxArrayLength fixes the column count', () => {
+    const csv = jsonToCsv(ORDERS, { delimiter: ',', arrayHandling: 'expand', maxArrayLength: { tags: 4, items: 2 } });
+    expect(csv.split('\r\n')[0]).toBe('id,tags[0],tags[1],tags[2],tags[3],items[0].sku,items[0].qty,items[1].sku,items[1].qty');
+    expect(() => jsonToCsv(ORDERS, { arrayHandling: 'expand', maxArrayLength: 2 })).toThrow(LimitError);
+    expect(() => jsonToCsv(ORDERS, { arrayHandling: 'expand', maxArrayLength: 0 })).toThrow(ConfigurationError);
+  });
+
+  test('keeps nested values as JSON and drops always-empty arrays', () => {
+    const rows = preprocessData(
+      [{ id: 1, none: [], items: [{ sku: 'a', meta: { color: 'red' } }] }],
+      { arrayHandling: 'expand' }
+    );
+    expect(rows).toEqual([{ id: 1, 'items[0].sku': 'a', 'items[0].meta': '{"color":"red"}' }]);
+  });
+
+  test('writes a scalar under an array key into element 0', () => {
+    const data = [
+      { id: 1, tags: ['a', 'b', 'c'], items: [{ sku: 'x' }] },
+      { id: 2, tags: 'notarray', items: { sku: 'y', qty: 3 } },
+      { id: 3, tags: 7, items: 'loose' }
+    ];
+    expect(jsonToCsv(data, { delimiter: ',', arrayHandling: 'expand' }).split('\r\n')).toEqual([
+      'id,tags[0],tags[1],tags[2],items[0].sku,items[0].qty,items[0]',
+      '1,a,b,c,x,,',
+      '2,notarray,,,y,3,',
+      '3,7,,,,,loose'
+    ]);
+  });
+
+  test('the stream writer puts a later scalar into element 0, or rejects it without a column', async () => {
+    await expect(streamToCsv(
+      [{ id: 1, tags: ['a'] }, { id: 2, tags: 'b' }],
+      { delimiter: ',', arrayHandling: 'expand', maxArrayLength: 2 }
+    )).resolves.toBe('id,tags[0],tags[1]\n1,a,\n2,b,\n');
+    await expect(streamToCsv(
+      [{ items: [{ sku: 'a' }] }, { items: 'loose' }],
+      { arrayHandling: 'expand', maxArrayLength: 1 }
+    )).rejects.toThrow('Element 0 of "items" has a value with no column');
+  });
+
+  test('jsonToCsvAsync expands across the whole dataset with workers', async () => {
+    const csv = await jsonToCsvAsync(ORDERS, { delimiter: ',', arrayHandling: 'expand', useWorkers: true });
+    expect(csv).toBe(jsonToCsv(ORDERS, { delimiter: ',', arrayHandling: 'expand' }));
+  });
+
+  test('the stream writer expands to a declared length', async () => {
+    const csv = await streamToCsv(ORDERS, { delimiter: ',', arrayHandling: 'expand', maxArrayLength: 3 });
+    expect(csv.trim().split(/\r?\n/)).toEqual([
+      'id,tags[0],tags[1],tags[2],items[0].sku,items[0].qty,items[1].sku,items[1].qty,items[2].sku,items[2].qty',
+      '1,new,,,a,2,,,,',
+      '2,gift,rush,vip,,,,,,',
+      '3,,,,b,,c,1,,'
+    ]);
+  });
+
+  test('the stream writer needs a declared length and rejects what does not fit', async () => {
+    expect(() => createJsonToCsvStream({ arrayHandling: 'expand' })).toThrow(ConfigurationError);
+    await expect(streamToCsv(ORDERS, { arrayHandling: 'expand', maxArrayLength: 2 })).rejects.toThrow(LimitError);
+    await expect(streamToCsv(
+      [{ id: 1, tags: null }, { id: 2, tags: ['x'] }],
+      { arrayHandling: 'expand', maxArrayLength: 2 }
+    )).rejects.toThrow(ValidationError);
+    await expect(streamToCsv(
+      [{ items: [{ sku: 'a' }] }, { items: [{ sku: 'b', qty: 1 }] }],
+      { arrayHandling: 'expand', maxArrayLength: 2 }
+    )).rejects.toThrow('Element 0 of "items" has field "qty" with no column');
+  });
+
+  test('the stream writer expands keys named in maxArrayLength even when the first row lacks them', async () => {
+    const csv = await streamToCsv(
+      [{ id: 1 }, { id: 2, tags: ['x', 'y'] }],
+      { delimiter: ',', arrayHandling: 'expand', maxArrayLength: { tags: 2 }, template: { id: '', 'tags[0]': '', 'tags[1]': '' } }
+    );
+    expect(csv.trim().split(/\r?\n/)).toEqual(['id,tags[0],tags[1]', '1,,', '2,x,y']);
+  });
+
+  test('a template key that expands is replaced by its columns, in its place', async () => {
+    const data = [{ id: 1, tags: ['x', 'y'], note: 'n' }, { id: 2, tags: ['z'], note: 'm' }];
+    const options = { delimiter: ',', arrayHandling: 'expand' as const, template: { tags: '', id: '' } };
+    const lines = ['tags[0],tags[1],id,note', 'x,y,1,n', 'z,,2,m'];
+    expect(jsonToCsv(data, options).split('\r\n')).toEqual(lines);
+    const csv = await streamToCsv(data, { ...options, maxArrayLength: 2 });
+    expect(csv.trim().split(/\r?\n/)).toEqual(lines);
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, test, expect } from '@jest/globals';
+import { jsonToCsv } from '../json-to-csv';
+import { createJsonToCsvStream } from '../stream-json-to-csv';
+import { ConfigurationError, ValidationError } from '../errors';
+import { streamToCsv } from './helpers/streams';
+
+const ORDERS = [
+  {
+    id: 1,
+    customer: { name: ' Ann ', 'e-mail': 'ann@example.com' },
+    items: [{ sku: 'a', qty: 2 }, { sku: 'b', qty: 1 }],
+    total: '12.50',
+    placed: new Date(Date.UTC(2024, 0, 5, 10, 30)),
+    note: null
+  },
+  {
+    id: 2,
+    customer: { name: 'Bob' },
+    items: [],
+    total: 'n/a',
+    placed: '2024-02-01T00:00:00Z'
+  }
+];
+
+const COLUMNS = [
+  'id',
+  { key: 'customer.name', header: 'Customer', format: 'trim' as const },
+  { key: "$.customer['e-mail']", header: 'Email', default: 'n/a' },
+  { key: 'items[0].sku', header: 'First SKU' },
+  { key: 'total', format: 'number' as const },
+  { key: 'placed', header: 'Placed', format: 'date:DD.MM.YYYY' as const },
+  { key: 'note', omitIfEmpty: true }
+];
+
+describe('columns', () => {
+  test('picks, labels, defaults and formats values by path', () => {
+    const csv = jsonToCsv(ORDERS, { delimiter: ',', columns: COLUMNS });
+    expect(csv.split('\r\n')).toEqual([
+      'id,Customer,Email,First SKU,total,Placed',
+      '1,Ann,ann@example.com,a,12.5,05.01.2024',
+      '2,Bob,n/a,,,01.02.2024'
+    ]);
+  });
+
+  test('omitIfEmpty keeps a column that has a value in some row', () => {
+    const data = [{ id: 1 }, { id: 2, note: 'late' }];
+    const csv = jsonToCsv(data, { delimiter: ',', columns: ['id', { key: 'note', omitIfEmpty: true }] });
+    expect(csv.split('\r\n')).toEqual(['id,note', '1,', '2,late']);
+  });
+
+  test('format functions get the value and the whole row', () => {
+    const csv = jsonToCsv(ORDERS, {
+      delimiter: ',',
+      columns: [
+        'id',
+        { key: 'items', header: 'Items', format: (items: any[]) => items.map((item) => item.sku).join('|') },
+        { key: 'lines', format: (_value: unknown, row: any) => row.items.length }
+      ]
+    });
+    expect(csv.split('\r\n')).toEqual(['id,Items,lines', '1,a|b,2', '2,,0']);
+  });
+
+  test('an exact key wins over a path, and unwound rows are projected', () => {
+    const data = [{ 'a.b': 'flat', a: { b: 'nested' }, items: [{ sku: 'x' }, { sku: 'y' }] }];
+    const csv = jsonToCsv(data, {
+      delimiter: ',',
+      unwind: 'items',
+      columns: [{ key: 'a.b', header: 'ab' }, { key: '$.a.b', header: 'nested' }, { key: 'items.sku', header: 'sku' }]
+    });
+    expect(csv.split('\r\n')).toEqual(['ab,nested,sku', 'flat,nested,x', 'flat,nested,y']);
+  });
+
+  test('inherited keys come back empty', async () => {
+    const columns = ['id', '__proto__.toString', 'constructor.name', 'customer.hasOwnProperty', 'items.map'];
+    const header = 'id,__proto__.toString,constructor.name,customer.hasOwnProperty,items.map';
+    expect(jsonToCsv(ORDERS.slice(0, 1), { delimiter: ',', columns }).split('\r\n')).toEqual([header, '1,,,,']);
+    expect((await streamToCsv(ORDERS.slice(0, 1), { delimiter: ',', columns })).trim().split('\n')).toEqual([header, '1,,,,']);
+  });
+
+  test('the stream writer takes the same columns', async () => {
+    const columns = COLUMNS.filter((column) => typeof column === 'string' || !column.omitIfEmpty);
+    const csv = await streamToCsv(ORDERS, { delimiter: ',', columns });
+    expect(csv.trim().split('\n')).toEqual([
+      'id,Customer,Email,First SKU,total,Placed',
+      '1,Ann,ann@example.com,a,12.5,05.01.2024',
+      '2,Bob,n/a,,,01.02.2024'
+    ]);
+    expect(await streamToCsv([], { delimiter: ',', columns: ['id', { key: 'x.y', header: 'Y' }] })).toBe('id,Y\n');
+  });
+
+  test('rejects malformed specs', () => {
+    expect(() => jsonToCsv(ORDERS, { columns: [] })).toThrow(ConfigurationError);
+    expect(() => jsonToCsv(ORDERS, { columns: ['items[*].sku'] })).toThrow('wildcards are not supported');
+    expect(() => jsonToCsv(ORDERS, { columns: ['a..b'] })).toThrow('Invalid column path: a..b');
+    expect(() => jsonToCsv(ORDERS, { columns: [{ key: 'id', format: 'money' as any }] })).toThrow('Unknown column formatter');
+    expect(() => jsonToCsv(ORDERS, { columns: ['id', { key: 'total', header: 'id' }] })).toThrow('Duplicate column header: id');
+    expect(() => jsonToCsv(ORDERS, { columns: ['id'], template: { id: '' } })).toThrow(ConfigurationError);
+    expect(() => jsonToCsv(ORDERS, { columns: ['id'], arrayHandling: 'expand' })).toThrow(ConfigurationError);
+    expect(() => createJsonToCsvStream({ columns: [{ key: 'id', omitIfEmpty: true }] })).toThrow(ConfigurationError);
+    const format = () => {
+      throw new Error('boom');
+    };
+    expect(() => jsonToCsv(ORDERS, { columns: [{ key: 'id', format }] })).toThrow(ValidationError);
+  });
+});
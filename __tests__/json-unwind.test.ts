@@ -0,0 +1,121 @@
+import { describe, test, expect } from '@jest/globals';
+import { jsonToCsv, preprocessData } from '../json-to-csv';
+import { createJsonToCsvStream } from '../stream-json-to-csv';
+import { ConfigurationError, LimitError } from '../errors';
+import { resolveUnwindOptions, unwindRow } from '../src/utils/unwind';
+import { streamToCsv } from './helpers/streams';
+
+const ORDERS = [
+  { id: 1, customer: { name: 'Ann' }, items: [{ sku: 'a', qty: 2 }, { sku: 'b', qty: 1 }] },
+  { id: 2, customer: { name: 'Bob' }, items: [] },
+  { id: 3, customer: { name: 'Cid' }, items: [{ sku: 'c', qty: 5 }] }
+];
+
+describe('unwind', () => {
+  test('writes one row per array element with the parent fields repeated', () => {
+    const csv = jsonToCsv(ORDERS, { delimiter: ',', flatten: true, unwind: ['items'] });
+    expect(csv.split('\r\n')).toEqual([
+      'id,customer.name,items.sku,items.qty',
+      '1,Ann,a,2',
+      '1,Ann,b,1',
+      '3,Cid,c,5'
+    ]);
+  });
+
+  test('unwindPreserveEmpty keeps parents whose arrays are empty or missing', () => {
+    const data = [...ORDERS, { id: 4, customer: { name: 'Dee' } }];
+    const csv = jsonToCsv(data, { delimiter: ',', flatten: true, unwind: 'items', unwindPreserveEmpty: true });
+    expect(csv.split('\r\n')).toEqual([
+      'id,customer.name,items.sku,items.qty',
+      '1,Ann,a,2',
+      '1,Ann,b,1',
+      '2,Bob,,',
+      '3,Cid,c,5',
+      '4,Dee,,'
+    ]);
+  });
+
+  test('several paths multiply out, and later paths can reach into earlier ones', () => {
+    const rows = preprocessData(
+      [{ id: 1, tags: ['x', 'y'], items: [{ sku: 'a', parts: ['p1', 'p2'] }, { sku: 'b', parts: 'p3' }] }],
+      { flatten: true, unwind: ['tags', 'items', 'items.parts'] }
+    );
+    expect(rows.map((row) => `${row.tags}/${row['items.sku']}/${row['items.parts']}`)).toEqual([
+      'x/a/p1', 'x/a/p2', 'x/b/p3',
+      'y/a/p1', 'y/a/p2', 'y/b/p3'
+    ]);
+  });
+
+  test("unwindMode 'zip' pairs elements by position", () => {
+    const rows = preprocessData(
+      [{ id: 1, names: ['a', 'b', 'c'], prices: [10, 20], note: null }],
+      { unwind: ['names', 'prices', 'note'], unwindMode: 'zip' }
+    );
+    expect(rows).toEqual([
+      { id: 1, names: 'a', prices: 10 },
+      { id: 1, names: 'b', prices: 20 },
+      { id: 1, names: 'c' }
+    ]);
+  });
+
+  test("unwindMode 'zip' leaves shorter arrays' columns empty without adding any", () => {
+    const data = [
+      { id: 1, items: [{ sku: 'a', qty: 2 }], tags: ['t1', 't2'] },
+      { id: 2, items: [], tags: ['t3'] }
+    ];
+    const csv = jsonToCsv(data, {
+      delimiter: ',',
+      flatten: true,
+      unwind: ['items', 'tags'],
+      unwindMode: 'zip',
+      unwindPreserveEmpty: true
+    });
+    expect(csv.split('\r\n')).toEqual([
+      'id,items.sku,items.qty,tags',
+      '1,a,2,t1',
+      '1,,,t2',
+      '2,,,t3'
+    ]);
+  });
+
+  test('does not change the input rows', () => {
+    const data = [{ id: 1, order: { items: [1, 2] } }];
+    const rows = preprocessData(data, { flatten: true, unwind: 'order.items' });
+    expect(rows).toEqual([{ id: 1, 'order.items': 1 }, { id: 1, 'order.items': 2 }]);
+    expect(data).toEqual([{ id: 1, order: { items: [1, 2] } }]);
+  });
+
+  test('the stream writer unwinds each incoming row', async () => {
+    const csv = await streamToCsv(ORDERS, { delimiter: ',', flatten: true, unwind: 'items', maxRecords: 3 });
+    expect(csv.trim().split(/\r?\n/)).toEqual([
+      'id,customer.name,items.sku,items.qty',
+      '1,Ann,a,2',
+      '1,Ann,b,1',
+      '3,Cid,c,5'
+    ]);
+  });
+
+  test('maxRecords counts the unwound rows', async () => {
+    const options = { delimiter: ',', flatten: true, unwind: 'items', maxRecords: 2 };
+    expect(() => jsonToCsv(ORDERS, options)).toThrow(LimitError);
+    expect(() => jsonToCsv(ORDERS, options)).toThrow('Unwound data exceeds maximum limit of 2 records');
+    await expect(streamToCsv(ORDERS, options)).rejects.toThrow(LimitError);
+    expect(jsonToCsv([...ORDERS, ORDERS[1]], { ...options, maxRecords: 3 }).split('\r\n')).toHaveLength(4);
+  });
+
+  test('maxRecords stops a cartesian product before it is built', async () => {
+    const range = Array.from({ length: 2000 }, (_, i) => i);
+    const data = [{ id: 1, a: range, b: range }];
+    const options = { unwind: ['a', 'b'], maxRecords: 5000 };
+    expect(unwindRow(data[0], resolveUnwindOptions(options)!, 5000).length).toBeLessThanOrEqual(5000 + range.length);
+    expect(() => jsonToCsv(data, options)).toThrow(LimitError);
+    await expect(streamToCsv(data, options)).rejects.toThrow(LimitError);
+  });
+
+  test('rejects malformed options', () => {
+    expect(() => jsonToCsv(ORDERS, { unwind: [] })).toThrow(ConfigurationError);
+    expect(() => jsonToCsv(ORDERS, { unwind: 'items..sku' })).toThrow('Invalid unwind path: items..sku');
+    expect(() => jsonToCsv(ORDERS, { unwind: 'items', unwindMode: 'product' as any })).toThrow(ConfigurationError);
+    expect(() => createJsonToCsvStream({ unwind: 'items', unwindPreserveEmpty: 'yes' as any })).toThrow(ConfigurationError);
+  });
+});
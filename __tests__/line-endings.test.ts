@@ -0,0 +1,117 @@
+import { describe, test, expect } from '@jest/globals';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { jsonToCsv, saveAsCsv } from '../json-to-csv';
+import { createJsonToCsvStream } from '../stream-json-to-csv';
+import { csvToJson, csvToJsonIterator, buildCsvIndex, readCsvRange } from '../csv-to-json';
+import { jsonToTsv } from '../src/formats/tsv-parser';
+import NdjsonParser from '../src/formats/ndjson-parser';
+import { ConfigurationError } from '../errors';
+import { streamToCsvChunks, streamToRows } from './helpers/streams';
+
+const ROWS = [{ id: 1, name: 'Ann' }, { id: 2, name: 'Bob' }];
+
+describe('lineEnding and trailingNewline on output', () => {
+  test('jsonToCsv keeps CRLF by default and takes either line ending', () => {
+    expect(jsonToCsv(ROWS, { delimiter: ',' })).toBe('id,name\r\n1,Ann\r\n2,Bob');
+    expect(jsonToCsv(ROWS, { delimiter: ',', lineEnding: '\n', trailingNewline: true })).toBe('id,name\n1,Ann\n2,Bob\n');
+    expect(jsonToCsv(ROWS, { delimiter: ',', rfc4180Compliant: false, lineEnding: '\r\n' })).toBe('id,name\r\n1,Ann\r\n2,Bob');
+    expect(jsonToTsv(ROWS, { lineEnding: '\n', trailingNewline: true })).toBe('id\tname\n1\tAnn\n2\tBob\n');
+  });
+
+  test('saveAsCsv writes the chosen line endings', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jtcsv-eol-'));
+    try {
+      const file = path.join(dir, 'out.csv');
+      await saveAsCsv(ROWS, file, { delimiter: ',', lineEnding: '\n', trailingNewline: true });
+      expect(fs.readFileSync(file, 'utf8')).toBe('id,name\n1,Ann\n2,Bob\n');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('the stream writer ends every line by default and can leave the last one open', async () => {
+    expect((await streamToCsvChunks(ROWS, { delimiter: ',' })).join('')).toBe('id,name\n1,Ann\n2,Bob\n');
+    expect((await streamToCsvChunks(ROWS, { delimiter: ',', lineEnding: '\r\n', trailingNewline: false })).join(''))
+      .toBe('id,name\r\n1,Ann\r\n2,Bob');
+  });
+
+  test('NDJSON to CSV follows the same options', async () => {
+    const transform = NdjsonParser.createNdjsonToCsvStream({ delimiter: ',', lineEnding: '\r\n', trailingNewline: false });
+    const writer = transform.writable.getWriter();
+    const reader = transform.readable.getReader();
+    const writing = (async () => {
+      for (const row of ROWS) {
+        await writer.write(JSON.stringify(row));
+      }
+      await writer.close();
+    })();
+    let csv = '';
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+      csv += value;
+    }
+    await writing;
+    expect(csv).toBe('id,name\r\n1,Ann\r\n2,Bob');
+  });
+
+  test('rejects unknown values', () => {
+    expect(() => jsonToCsv(ROWS, { lineEnding: '\r' as any })).toThrow(ConfigurationError);
+    expect(() => jsonToCsv(ROWS, { trailingNewline: 'yes' as any })).toThrow('trailingNewline must be a boolean');
+    expect(() => createJsonToCsvStream({ lineEnding: 'crlf' as any })).toThrow(ConfigurationError);
+  });
+});
+
+describe('lineEnding on input', () => {
+  const MAC = 'id,note\r1,"two\rlines"\r2,plain\r';
+
+  test('csvToJson and the iterator read bare-CR files', () => {
+    const expected = [{ id: '1', note: 'two\nlines' }, { id: '2', note: 'plain' }];
+    expect(csvToJson(MAC, { delimiter: ',' })).toEqual(expected);
+    expect(Array.from(csvToJsonIterator(MAC, { delimiter: ',' }))).toEqual(expected);
+  });
+
+  test('the stream parser detects bare CR, or takes the hint', async () => {
+    const expected = [{ id: '1', note: 'x,y' }, { id: '2', note: 'plain' }];
+    expect(await streamToRows(['id,note\r1,"x', ',y"\r2,pl', 'ain\r'], { delimiter: ',' })).toEqual(expected);
+    expect(await streamToRows(['id,note\r1,"x,y"\r2,plain'], { delimiter: ',', lineEnding: '\r' })).toEqual(expected);
+  });
+
+  test('row positions count bare-CR lines', () => {
+    const rows = csvToJson(MAC, { delimiter: ',', includeRowInfo: true });
+    expect(rows.map((row: any) => row._rowInfo.line)).toEqual([2, 4]);
+    expect(rows[1]._rowInfo).toMatchObject({ offset: 22, raw: '2,plain' });
+  });
+
+  test('a CRLF split across chunks is not taken for a bare CR', async () => {
+    const rows = await streamToRows(['id,name\r', '\n1,Ann\r\n'], { delimiter: ',' });
+    expect(rows).toEqual([{ id: '1', name: 'Ann' }]);
+  });
+
+  test("'\\n' and '\\r\\n' keep a bare CR inside a quoted field", () => {
+    const csv = 'id,note\r\n1,"a\rb"\r\n';
+    expect(csvToJson(csv, { delimiter: ',' })[0].note).toBe('a\nb');
+    expect(csvToJson(csv, { delimiter: ',', lineEnding: '\r\n' })[0].note).toBe('a\rb');
+    expect(() => csvToJson(csv, { lineEnding: 'cr' as any })).toThrow(ConfigurationError);
+  });
+
+  test('the CSV index finds bare-CR records', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jtcsv-eol-'));
+    try {
+      const file = path.join(dir, 'mac.csv');
+      fs.writeFileSync(file, 'id,note\r1,"a\rb"\r2,x\r3,y');
+      const index = await buildCsvIndex(file, { every: 2 });
+      expect(index.rows).toBe(3);
+      expect(await readCsvRange(file, { from: 1, to: 3, delimiter: ',' })).toEqual([
+        { id: '2', note: 'x' },
+        { id: '3', note: 'y' }
+      ]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -165,8 +165,8 @@ describe('stream-csv-to-json additional coverage', () => {
   test('rejects invalid options', () => {
     expect(() => createCsvToJsonStream({ delimiter: 1 }))
       .toThrow('Delimiter must be a string');
-    expect(() => createCsvToJsonStream({ delimiter: ',,' }))
-      .toThrow('Delimiter must be a single character');
+    expect(() => createCsvToJsonStream({ delimiter: ',\n' }))
+      .toThrow('Delimiter must not contain line breaks');
     expect(() => createCsvToJsonStream({ renameMap: 'bad' }))
       .toThrow('renameMap must be an object');
     expect(() => createCsvToJsonStream({ maxRows: 0 }))
@@ -0,0 +1,117 @@
+import { describe, test, expect } from '@jest/globals';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { createJsonToCsvStream } from '../stream-json-to-csv';
+import { ConfigurationError } from '../errors';
+import type { JsonToCsvStreamStats } from '../src/types';
+import { collectStream } from './helpers/streams';
+
+const ROWS = [
+  { id: 1, name: 'Ann' },
+  { id: 2, name: 'Bob', email: 'bob@example.com' },
+  { id: 3, name: 'Cid', joined: new Date(Date.UTC(2024, 0, 1)), tags: ['a', 'b'] }
+];
+
+async function streamToCsv(
+  rows: object[],
+  options: Record<string, unknown>
+): Promise<{ lines: string[]; stats: JsonToCsvStreamStats }> {
+  const stream = createJsonToCsvStream(options);
+  let stats!: JsonToCsvStreamStats;
+  stream.on('stats', (payload: JsonToCsvStreamStats) => {
+    stats = payload;
+  });
+  const csv = (await collectStream(stream, rows)).join('');
+  return { lines: csv.split('\n').slice(0, -1), stats };
+}
+
+describe('headerStrategy', () => {
+  test("'first' keeps the first row's columns and reports the rest", async () => {
+    const { lines, stats } = await streamToCsv(ROWS, { delimiter: ',' });
+    expect(lines).toEqual(['id,name', '1,Ann', '2,Bob', '3,Cid']);
+    expect(stats).toEqual({ records: 3, rows: 3, headers: ['id', 'name'], droppedKeys: ['email', 'joined', 'tags'] });
+  });
+
+  test("'sample' takes the union of the first records' keys", async () => {
+    const { lines, stats } = await streamToCsv(ROWS, { delimiter: ',', headerStrategy: 'sample', headerSampleSize: 2 });
+    expect(lines).toEqual(['id,name,email', '1,Ann,', '2,Bob,bob@example.com', '3,Cid,']);
+    expect(stats.droppedKeys).toEqual(['joined', 'tags']);
+  });
+
+  test("'sample' with fewer records than the sample size sees them all", async () => {
+    const { lines, stats } = await streamToCsv(ROWS, { delimiter: ',', headerStrategy: 'sample' });
+    expect(lines[0]).toBe('id,name,email,joined,tags');
+    expect(lines[3]).toBe('3,Cid,,2024-01-01T00:00:00.000Z,"[""a"",""b""]"');
+    expect(stats.droppedKeys).toEqual([]);
+    expect(await streamToCsv([], { delimiter: ',', headerStrategy: 'sample' })).toMatchObject({ lines: [] });
+  });
+
+  test("'declared' writes only the template keys", async () => {
+    const { lines, stats } = await streamToCsv(ROWS, {
+      delimiter: ',',
+      headerStrategy: 'declared',
+      template: { name: '', email: '' },
+      renameMap: { email: 'E-mail' }
+    });
+    expect(lines).toEqual(['name,E-mail', 'Ann,', 'Bob,bob@example.com', 'Cid,']);
+    expect(stats).toMatchObject({ headers: ['name', 'E-mail'], droppedKeys: ['id', 'joined', 'tags'] });
+  });
+
+  test("'spill' sees every row and leaves no temporary files", async () => {
+    const spillDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jtcsv-headers-'));
+    try {
+      const rows = Array.from({ length: 500 }, (_, i) => ({ id: i, note: `n${i}` }));
+      rows.push({ id: 500, note: 'last', extra: 'x' } as any);
+      const { lines, stats } = await streamToCsv([...ROWS, ...rows], {
+        delimiter: ',',
+        headerStrategy: 'spill',
+        spillDir
+      });
+      expect(lines[0]).toBe('id,name,email,joined,tags,note,extra');
+      expect(lines[3]).toBe('3,Cid,,2024-01-01T00:00:00.000Z,"[""a"",""b""]",,');
+      expect(lines[lines.length - 1]).toBe('500,,,,,last,x');
+      expect(stats).toMatchObject({ records: 504, rows: 504, droppedKeys: [] });
+      expect(fs.readdirSync(spillDir)).toEqual([]);
+    } finally {
+      fs.rmSync(spillDir, { recursive: true, force: true });
+    }
+  });
+
+  test("'spill' writes cells the way 'first' does", async () => {
+    const rows = [
+      { a: NaN, b: Infinity, c: -Infinity, d: 12345678901234567890n },
+      { a: -5, b: true, c: { x: 1 }, d: '=1' }
+    ];
+    const options = { delimiter: ',', quoting: 'strings' };
+    const first = await streamToCsv(rows, options);
+    const spilled = await streamToCsv(rows, { ...options, headerStrategy: 'spill' });
+    expect(spilled.lines).toEqual(first.lines);
+    expect(spilled.lines[1]).toBe('NaN,Infinity,-Infinity,12345678901234567890');
+  });
+
+  test("'spill' stops replaying and cleans up when the reader goes away", async () => {
+    const spillDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jtcsv-headers-'));
+    try {
+      const stream = createJsonToCsvStream({ headerStrategy: 'spill', spillDir });
+      for (let i = 0; i < 200; i++) {
+        stream.write({ id: i });
+      }
+      stream.end();
+      // Nobody reads, so the replay fills the buffer and waits
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      expect(stream.readableLength).toBeGreaterThan(0);
+      stream.destroy();
+      await new Promise((resolve) => stream.once('close', resolve));
+      expect(fs.readdirSync(spillDir)).toEqual([]);
+    } finally {
+      fs.rmSync(spillDir, { recursive: true, force: true });
+    }
+  });
+
+  test('rejects malformed options', () => {
+    expect(() => createJsonToCsvStream({ headerStrategy: 'all' as any })).toThrow(ConfigurationError);
+    expect(() => createJsonToCsvStream({ headerStrategy: 'sample', headerSampleSize: 0 })).toThrow(ConfigurationError);
+    expect(() => createJsonToCsvStream({ headerStrategy: 'declared' })).toThrow('needs template or columns');
+  });
+});
@@ -158,8 +158,8 @@ describe('stream-json-to-csv additional coverage', () => {
   test('rejects invalid options', () => {
     expect(() => createJsonToCsvStream({ delimiter: 1 }))
       .toThrow('Delimiter must be a string');
-    expect(() => createJsonToCsvStream({ delimiter: ',,' }))
-      .toThrow('Delimiter must be a single character');
+    expect(() => createJsonToCsvStream({ delimiter: '"' }))
+      .toThrow('Delimiter must not contain quotes or line breaks');
     expect(() => createJsonToCsvStream({ renameMap: 'bad' }))
       .toThrow('renameMap must be an object');
     expect(() => createJsonToCsvStream({ template: 'bad' }))
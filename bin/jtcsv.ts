@@ -12,6 +12,7 @@ import * as path from 'path';
 import * as readline from 'readline';
 import { pipeline } from 'stream/promises';
 import * as jtcsv from '../index';
+import type { FixedWidthColumn, JsonToCsvColumn } from '../src/types';
 import * as transformLoaderImport from '../src/utils/transform-loader';
 import * as schemaValidatorImport from '../src/utils/schema-validator';
 
@@ -35,6 +36,29 @@ type BatchFileResult = ConversionResult & {
   error?: string;
 };
 
+// Parsed options read by the index, slice and fixed-width commands
+type CliOptions = {
+  silent?: boolean;
+  debug?: boolean;
+  pretty?: boolean;
+  delimiter: string;
+  autoDetect?: boolean;
+  candidates?: string[];
+  hasHeaders?: boolean;
+  trim?: boolean;
+  parseNumbers?: boolean;
+  parseBooleans?: boolean;
+  useFastPath?: boolean;
+  repairRowShifts?: boolean;
+  normalizeQuotes?: boolean;
+  every?: number;
+  from?: number;
+  to?: number;
+  fixedSpec?: string;
+  headerLine?: boolean;
+  maxRows?: number;
+};
+
 type BatchSummary = {
   totalFiles: number;
   successful: number;
@@ -72,6 +96,25 @@ async function applyTransform(data, transformFile: any): Promise<any> {
   }
 }
 
+// --spec and --columns are either inline JSON or a path to a JSON file; both
+// may hold the column array itself or an object with a `columns` array.
+async function loadColumnSpec<T>(spec: string | undefined, option = '--spec'): Promise<T[] | undefined> {
+  if (!spec) {
+    return undefined;
+  }
+  const cleanSpec = spec.replace(/^'|'$/g, '').trim();
+  const text = /^[[{]/.test(cleanSpec)
+    ? cleanSpec
+    : await fs.promises.readFile(cleanSpec, 'utf8');
+  let parsed: T[] | { columns?: T[] } | null;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Invalid JSON in ${option} option: ${(e as Error).message}`);
+  }
+  return Array.isArray(parsed) ? parsed : parsed?.columns;
+}
+
 // ANSI colors for terminal output
 const colors = {
   reset: '\x1b[0m',
@@ -105,6 +148,10 @@ ${color('MAIN COMMANDS:', 'bright')}
   ${color('csv-to-ndjson', 'green')}   Convert CSV to NDJSON
   ${color('ndjson-to-json', 'green')}  Convert NDJSON to JSON array
   ${color('json-to-ndjson', 'green')}  Convert JSON array to NDJSON
+  ${color('fixed-to-json', 'green')}   Convert fixed-width text to JSON
+  ${color('json-to-fixed', 'green')}   Convert JSON array to fixed-width text
+  ${color('index', 'green')}           Build a row index (<file>.idx) for a large CSV file
+  ${color('slice', 'green')}           Read a window of CSV rows as JSON, using the index
   ${color('save-json', 'yellow')}      Save data as JSON file
   ${color('save-csv', 'yellow')}       Save data as CSV file
   ${color('stream', 'yellow')}         Streaming conversion for large files
@@ -146,6 +193,13 @@ ${color('EXAMPLES:', 'bright')}
   ${color('Stream CSV file to JSON:', 'dim')}
   jtcsv stream csv-to-json large.csv output.json --max-rows=500000
 
+  ${color('Convert fixed-width export to JSON:', 'dim')}
+  jtcsv fixed-to-json accounts.txt accounts.json --spec=layout.json
+
+  ${color('Read rows 250000-250099 of an indexed CSV file:', 'dim')}
+  jtcsv index large.csv --every=5000
+  jtcsv slice large.csv page.json --from=250000 --to=250100
+
   ${color('Preprocess complex JSON:', 'dim')}
   jtcsv preprocess complex.json simplified.json --max-depth=3
 
@@ -160,7 +214,7 @@ ${color('EXAMPLES:', 'bright')}
 
 ${color('CONVERSION OPTIONS:', 'bright')}
   ${color('--delimiter=', 'cyan')}CHAR    CSV delimiter (default: ;)
-  ${color('--auto-detect', 'cyan')}        Auto-detect delimiter (default: true)
+  ${color('--auto-detect', 'cyan')}        Sniff the CSV dialect and use its delimiter (default: true)
   ${color('--candidates=', 'cyan')}LIST    Delimiter candidates (default: ;,\t|)
   ${color('--no-headers', 'cyan')}         Exclude headers from CSV output
   ${color('--parse-numbers', 'cyan')}      Parse numeric values in CSV
@@ -172,19 +226,36 @@ ${color('CONVERSION OPTIONS:', 'bright')}
   ${color('--normalize-quotes', 'cyan')}  Normalize excessive quotes in parsed fields
   ${color('--rename=', 'cyan')}JSON       Rename columns (JSON map)
   ${color('--template=', 'cyan')}JSON      Column order template (JSON object)
+  ${color('--columns=', 'cyan')}FILE|JSON   Output columns: key/path, header, default, format, omitIfEmpty
   ${color('--no-injection-protection', 'cyan')}  Disable CSV injection protection
   ${color('--no-rfc4180', 'cyan')}         Disable RFC 4180 compliance
+  ${color('--dialect=', 'cyan')}NAME       Preset for a consumer: excel|excel-eu|google-sheets|rfc4180|unix
+  ${color('--quoting=', 'cyan')}MODE       Quote fields: minimal|all|nonnumeric|strings|none (default: minimal)
+  ${color('--escape-char=', 'cyan')}CHAR   Escape character with --quoting=none (default: \\)
+  ${color('--line-ending=', 'cyan')}EOL    Line breaks: crlf|lf|auto, or cr when reading (default: auto)
+  ${color('--trailing-newline', 'cyan')}   End CSV output with a line break (--no-trailing-newline to omit)
   ${color('--max-records=', 'cyan')}N      Maximum records to process
   ${color('--max-rows=', 'cyan')}N         Maximum rows to process
   ${color('--pretty', 'cyan')}             Pretty print JSON output
   ${color('--schema=', 'cyan')}JSON        JSON schema for validation and formatting
   ${color('--transform=', 'cyan')}JS       Custom transform function (JavaScript file)
+  ${color('INDEX OPTIONS:', 'bright')}
+  ${color('--every=', 'cyan')}N        Rows between index checkpoints (default: 1000)
+  ${color('--from=', 'cyan')}N         First row of the slice, 0-based (default: 0)
+  ${color('--to=', 'cyan')}N           Row after the last one of the slice (default: end)
+  ${color('FIXED-WIDTH OPTIONS:', 'bright')}
+  ${color('--spec=', 'cyan')}FILE|JSON     Column layout (array or { columns }); inferred if omitted
+  ${color('--header-line', 'cyan')}        Input starts with / output gets a column-name line
   ${color('PREPROCESS OPTIONS:', 'bright')}
   ${color('--max-depth=', 'cyan')}N        Maximum recursion depth (default: 5)
   ${color('--flatten', 'cyan')}            Flatten nested objects into dot notation
   ${color('--flatten-separator=', 'cyan')}CHAR  Separator for flattened keys (default: .)
   ${color('--flatten-max-depth=', 'cyan')}N     Maximum flattening depth (default: 3)
   ${color('--array-handling=', 'cyan')}MODE     Array handling: stringify|join|expand (default: stringify)
+  ${color('--max-array-length=', 'cyan')}N    Columns per expanded array (default: longest; required when streaming)
+  ${color('--unwind=', 'cyan')}PATHS       One row per element of these arrays (comma-separated)
+  ${color('--unwind-mode=', 'cyan')}MODE   Several unwind paths: cartesian|zip (default: cartesian)
+  ${color('--unwind-preserve-empty', 'cyan')} Keep rows whose unwound arrays are empty
   ${color('--unwrap-arrays', 'cyan')}      Unwrap arrays to strings
   ${color('--stringify-objects', 'cyan')}  Stringify complex objects
   ${color('STREAMING OPTIONS:', 'bright')}
@@ -240,6 +311,67 @@ async function readStdin(): Promise<string> {
   });
 }
 
+/** Bytes read from the start of a file to sniff its dialect. */
+const SNIFF_SAMPLE_BYTES = 64 * 1024;
+
+function describeDialect(dialect: ReturnType<typeof jtcsv.sniffDialect>): string {
+  const visible = (value: string) => JSON.stringify(value).slice(1, -1);
+  const parts = [
+    `delimiter "${visible(dialect.delimiter.value)}" (${Math.round(dialect.delimiter.confidence * 100)}%)`,
+    `quote ${dialect.quote.value}`,
+    `line ending ${visible(dialect.lineEnding.value)}`,
+    dialect.hasHeader.value ? 'header' : 'no header'
+  ];
+  if (dialect.encoding.value) {
+    parts.push(dialect.encoding.value + (dialect.encoding.bom ? ' with BOM' : ''));
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Picks the delimiter to parse CSV input with. Under --auto-detect the
+ * dialect is sniffed from the content, or from the first 64 KB of the file;
+ * otherwise, or when no candidate occurs, --delimiter is used.
+ */
+async function resolveCsvDelimiter(
+  inputFile: string,
+  csvContent: string | null,
+  options: Pick<CliOptions, 'autoDetect' | 'delimiter' | 'candidates'>,
+  shouldLog: boolean
+): Promise<string> {
+  if (!options.autoDetect) {
+    return options.delimiter;
+  }
+  let sample: string | Buffer;
+  if (csvContent !== null) {
+    sample = csvContent;
+  } else {
+    let handle: fs.promises.FileHandle;
+    try {
+      handle = await fs.promises.open(inputFile, 'r');
+    } catch {
+      // Left to the reader, which reports a missing file properly
+      return options.delimiter;
+    }
+    try {
+      const buffer = Buffer.alloc(SNIFF_SAMPLE_BYTES);
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+      sample = buffer.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  const dialect = jtcsv.sniffDialect(sample, { candidates: options.candidates });
+  if (dialect.delimiter.confidence === 0) {
+    return options.delimiter;
+  }
+  if (shouldLog) {
+    console.log(color(`Detected dialect: ${describeDialect(dialect)}`, 'dim'));
+  }
+  return dialect.delimiter.value;
+}
+
 // ============================================================================
 // CONVERSION FUNCTIONS
 // ============================================================================
@@ -307,15 +439,26 @@ try {
       includeHeaders: options.includeHeaders,
       renameMap: options.renameMap,
       template: options.template,
+      columns: await loadColumnSpec<string | JsonToCsvColumn>(options.columns, '--columns'),
       maxRecords: options.maxRecords,
+      dialect: options.dialect,
+      addBOM: options.addBOM,
       preventCsvInjection: options.preventCsvInjection,
       rfc4180Compliant: options.rfc4180Compliant,
+      quoting: options.quoting,
+      escapeChar: options.escapeChar,
+      lineEnding: options.lineEnding,
+      trailingNewline: options.trailingNewline,
       normalizeQuotes: options.normalizeQuotes,
       schema: options.schema, // Add schema option
       flatten: options.flatten,
       flattenSeparator: options.flattenSeparator,
       flattenMaxDepth: options.flattenMaxDepth,
-      arrayHandling: options.arrayHandling
+      arrayHandling: options.arrayHandling,
+      maxArrayLength: options.maxArrayLength,
+      unwind: options.unwind,
+      unwindMode: options.unwindMode,
+      unwindPreserveEmpty: options.unwindPreserveEmpty
     };
 
     // Apply transform function if provided
@@ -377,11 +520,15 @@ async function convertCsvToJson(inputFile, outputFile, options: any): Promise<Co
       console.log(color('Reading CSV file...', 'dim'));
     }
 
+    const csvContent = useStdin ? await readStdin() : null;
+
     // Prepare options for jtcsv
     const jtcsvOptions = {
-      delimiter: options.delimiter,
+      delimiter: await resolveCsvDelimiter(inputFile, csvContent, options, shouldLog),
+      dialect: options.dialect,
       autoDetect: options.autoDetect,
       candidates: options.candidates,
+      lineEnding: options.lineEnding,
       hasHeaders: options.hasHeaders,
       renameMap: options.renameMap,
       trim: options.trim,
@@ -397,8 +544,7 @@ async function convertCsvToJson(inputFile, outputFile, options: any): Promise<Co
 
     // Read and convert CSV
     let jsonData: any;
-    if (useStdin) {
-      const csvContent = await readStdin();
+    if (csvContent !== null) {
       jsonData = jtcsv.csvToJson(csvContent, jtcsvOptions);
     } else {
       jsonData = await jtcsv.readCsvAsJson(inputFile, jtcsvOptions);
@@ -653,8 +799,15 @@ async function convertNdjsonToCsv(inputFile, outputFile, options: any): Promise<
       includeHeaders: options.includeHeaders,
       renameMap: options.renameMap,
       template: options.template,
+      columns: await loadColumnSpec<string | JsonToCsvColumn>(options.columns, '--columns'),
+      dialect: options.dialect,
+      addBOM: options.addBOM,
       preventCsvInjection: options.preventCsvInjection,
       rfc4180Compliant: options.rfc4180Compliant,
+      quoting: options.quoting,
+      escapeChar: options.escapeChar,
+      lineEnding: options.lineEnding,
+      trailingNewline: options.trailingNewline,
       normalizeQuotes: options.normalizeQuotes
     };
 
@@ -704,7 +857,8 @@ async function convertCsvToNdjson(inputFile, outputFile, options: any): Promise<
 
     // Prepare options for jtcsv
     const jtcsvOptions = {
-      delimiter: options.delimiter,
+      delimiter: await resolveCsvDelimiter(inputFile, null, options, !options.silent),
+      dialect: options.dialect,
       autoDetect: options.autoDetect,
       candidates: options.candidates,
       hasHeaders: options.hasHeaders,
@@ -855,6 +1009,218 @@ async function convertJsonToNdjson(inputFile, outputFile, options: any): Promise
   }
 }
 
+// ============================================================================
+// CSV INDEX FUNCTIONS
+// ============================================================================
+
+async function buildCsvIndexFile(inputFile, options: CliOptions): Promise<ConversionResult> {
+  const startTime = Date.now();
+
+  try {
+    if (!options.silent) {
+      console.log(color('Indexing CSV file...', 'dim'));
+    }
+
+    const index = await jtcsv.buildCsvIndex(inputFile, {
+      every: options.every,
+      hasHeaders: options.hasHeaders
+    });
+
+    const elapsed = Date.now() - startTime;
+    if (!options.silent) {
+      console.log(
+        color(
+          `✓ Indexed ${index.rows.toLocaleString()} rows (${index.offsets.length.toLocaleString()} checkpoints) in ${elapsed}ms`,
+          'green'
+        )
+      );
+      console.log(color(`  Index: ${inputFile}.idx`, 'dim'));
+    }
+
+    return { rows: index.rows, time: elapsed };
+  } catch (error) {
+    console.error(color(`✗ Error: ${(error as Error).message}`, 'red'));
+    if (options.debug) {
+      console.error((error as Error).stack);
+    }
+    process.exit(1);
+  }
+}
+
+async function sliceCsvToJson(inputFile, outputFile, options: CliOptions): Promise<ConversionResult> {
+  const startTime = Date.now();
+  const useStdout = !outputFile || outputFile === '-';
+  const shouldLog = !options.silent && !useStdout;
+
+  try {
+    const rows = await jtcsv.readCsvRange(inputFile, {
+      from: options.from,
+      to: options.to,
+      delimiter: await resolveCsvDelimiter(inputFile, null, options, shouldLog),
+      autoDetect: options.autoDetect,
+      candidates: options.candidates,
+      hasHeaders: options.hasHeaders,
+      trim: options.trim,
+      parseNumbers: options.parseNumbers,
+      parseBooleans: options.parseBooleans,
+      useFastPath: options.useFastPath,
+      repairRowShifts: options.repairRowShifts,
+      normalizeQuotes: options.normalizeQuotes
+    });
+
+    const jsonOutput = options.pretty
+      ? JSON.stringify(rows, null, 2)
+      : JSON.stringify(rows);
+
+    if (useStdout) {
+      process.stdout.write(jsonOutput);
+    } else {
+      await fs.promises.writeFile(outputFile, jsonOutput, 'utf8');
+    }
+
+    const elapsed = Date.now() - startTime;
+    if (shouldLog) {
+      console.log(
+        color(
+          `✓ Read ${rows.length.toLocaleString()} rows in ${elapsed}ms`,
+          'green'
+        )
+      );
+      console.log(
+        color(
+          `  Output: ${outputFile} (${jsonOutput.length.toLocaleString()} bytes)`,
+          'dim'
+        )
+      );
+    }
+
+    return {
+      rows: rows.length,
+      bytes: jsonOutput.length,
+      time: elapsed
+    };
+  } catch (error) {
+    console.error(color(`✗ Error: ${(error as Error).message}`, 'red'));
+    if (options.debug) {
+      console.error((error as Error).stack);
+    }
+    process.exit(1);
+  }
+}
+
+// ============================================================================
+// FIXED-WIDTH CONVERSION FUNCTIONS
+// ============================================================================
+
+async function convertFixedToJson(inputFile, outputFile, options: CliOptions): Promise<ConversionResult> {
+  const startTime = Date.now();
+
+  try {
+    if (!options.silent) {
+      console.log(color('Converting fixed-width text to JSON...', 'dim'));
+    }
+
+    const columns = await loadColumnSpec<FixedWidthColumn>(options.fixedSpec);
+    const inputData = await fs.promises.readFile(inputFile, 'utf8');
+    const jsonData = jtcsv.fixedToJson(inputData, {
+      columns,
+      hasHeaders: columns ? options.headerLine : options.hasHeaders,
+      trim: options.trim,
+      maxRows: options.maxRows
+    });
+
+    // Format JSON
+    const jsonOutput = options.pretty
+      ? JSON.stringify(jsonData, null, 2)
+      : JSON.stringify(jsonData);
+
+    // Write output file
+    await fs.promises.writeFile(outputFile, jsonOutput, 'utf8');
+
+    const elapsed = Date.now() - startTime;
+    if (!options.silent) {
+      console.log(
+        color(
+          `✓ Converted ${jsonData.length.toLocaleString()} records in ${elapsed}ms`,
+          'green'
+        )
+      );
+      console.log(
+        color(
+          `  Output: ${outputFile} (${jsonOutput.length.toLocaleString()} bytes)`,
+          'dim'
+        )
+      );
+    }
+
+    return {
+      records: jsonData.length,
+      bytes: jsonOutput.length,
+      time: elapsed
+    };
+  } catch (error) {
+    console.error(color(`✗ Error: ${(error as Error).message}`, 'red'));
+    if (options.debug) {
+      console.error((error as Error).stack);
+    }
+    process.exit(1);
+  }
+}
+
+async function convertJsonToFixed(inputFile, outputFile, options: CliOptions): Promise<ConversionResult> {
+  const startTime = Date.now();
+
+  try {
+    if (!options.silent) {
+      console.log(color('Converting JSON array to fixed-width text...', 'dim'));
+    }
+
+    const columns = await loadColumnSpec<FixedWidthColumn>(options.fixedSpec);
+    const inputData = await fs.promises.readFile(inputFile, 'utf8');
+    const jsonData = JSON.parse(inputData);
+
+    if (!Array.isArray(jsonData)) {
+      throw new Error('JSON data must be an array of objects');
+    }
+
+    const fixedData = jtcsv.jsonToFixed(jsonData, {
+      columns,
+      includeHeaders: options.headerLine
+    });
+
+    // Write output file
+    await fs.promises.writeFile(outputFile, fixedData, 'utf8');
+
+    const elapsed = Date.now() - startTime;
+    if (!options.silent) {
+      console.log(
+        color(
+          `✓ Converted ${jsonData.length.toLocaleString()} records in ${elapsed}ms`,
+          'green'
+        )
+      );
+      console.log(
+        color(
+          `  Output: ${outputFile} (${fixedData.length.toLocaleString()} bytes)`,
+          'dim'
+        )
+      );
+    }
+
+    return {
+      records: jsonData.length,
+      bytes: fixedData.length,
+      time: elapsed
+    };
+  } catch (error) {
+    console.error(color(`✗ Error: ${(error as Error).message}`, 'red'));
+    if (options.debug) {
+      console.error((error as Error).stack);
+    }
+    process.exit(1);
+  }
+}
+
 // ============================================================================
 // UNWRAP/FLATTEN FUNCTION
 // ============================================================================
@@ -1266,6 +1632,8 @@ async function streamCsvToJson(inputFile, outputFile, options: any): Promise<voi
       console.log(color('Streaming CSV to JSON...', 'dim'));
     }
 
+    const delimiter = await resolveCsvDelimiter(inputFile, null, options, !options.silent);
+
     // Create streams
     const readStream = fs.createReadStream(inputFile, 'utf8');
     const writeStream = fs.createWriteStream(outputFile, 'utf8');
@@ -1293,7 +1661,7 @@ async function streamCsvToJson(inputFile, outputFile, options: any): Promise<voi
         rowCount++;
 
         // Parse CSV line
-        const fields = parseCsvLineSimple(line, options.delimiter || ';');
+        const fields = parseCsvLineSimple(line, delimiter);
 
         // First row might be headers
         if (rowCount === 1 && options.hasHeaders !== false) {
@@ -1366,7 +1734,7 @@ async function streamCsvToJson(inputFile, outputFile, options: any): Promise<voi
       if (buffer.trim()) {
         const fields = parseCsvLineSimple(
           buffer.trim(),
-          options.delimiter || ';'
+          delimiter
         );
 
         if (fields.length > 0) {
@@ -1916,6 +2284,7 @@ function parseOptions(args: any): any {
     includeHeaders: true,
     renameMap: undefined,
     template: undefined,
+    columns: undefined,
     trim: true,
     parseNumbers: false,
     parseBooleans: false,
@@ -1925,6 +2294,11 @@ function parseOptions(args: any): any {
     normalizeQuotes: true,
     preventCsvInjection: true,
     rfc4180Compliant: true,
+    quoting: 'minimal',
+    escapeChar: '\\',
+    lineEnding: 'auto',
+    trailingNewline: undefined,
+    dialect: undefined,
     maxRecords: undefined,
     maxRows: undefined,
     maxDepth: 5,
@@ -1947,17 +2321,37 @@ function parseOptions(args: any): any {
     bufferSize: 1000,
     schema: undefined,
     transform: undefined,
+    fixedSpec: undefined,
+    headerLine: false,
+    every: 1000,
+    from: 0,
+    to: undefined,
     flattenPrefix: '_',
     flatten: false,
     flattenSeparator: '.',
     flattenMaxDepth: 3,
     arrayHandling: 'stringify',
+    maxArrayLength: undefined,
+    unwind: undefined,
+    unwindMode: 'cartesian',
+    unwindPreserveEmpty: false,
     port: 3000,
     host: 'localhost'
   };
 
   const files = [];
 
+  // A dialect supplies these unless they are given explicitly
+  if (args.some((arg: string) => arg.startsWith('--dialect='))) {
+    Object.assign(options, {
+      delimiter: undefined,
+      autoDetect: false,
+      quoting: undefined,
+      lineEnding: undefined,
+      addBOM: undefined
+    });
+  }
+
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
 
@@ -2031,12 +2425,44 @@ function parseOptions(args: any): any {
           throw new Error(`Invalid JSON in --template option: ${e.message}`);
         }
         break;
+      case 'columns':
+        options.columns = value;
+        break;
       case 'no-injection-protection':
         options.preventCsvInjection = false;
         break;
       case 'no-rfc4180':
         options.rfc4180Compliant = false;
         break;
+      case 'quoting':
+        options.quoting = value || 'minimal';
+        if (!['minimal', 'all', 'nonnumeric', 'strings', 'none'].includes(options.quoting)) {
+          throw new Error('Invalid --quoting value (minimal|all|nonnumeric|strings|none)');
+        }
+        break;
+      case 'escape-char':
+        options.escapeChar = value;
+        break;
+      case 'line-ending': {
+        const lineEndings: Record<string, string> = { crlf: '\r\n', lf: '\n', cr: '\r', auto: 'auto' };
+        options.lineEnding = lineEndings[String(value).toLowerCase()];
+        if (!options.lineEnding) {
+          throw new Error('Invalid --line-ending value (crlf|lf|cr|auto)');
+        }
+        break;
+      }
+      case 'trailing-newline':
+        options.trailingNewline = true;
+        break;
+      case 'dialect':
+        options.dialect = value;
+        if (!['excel', 'excel-eu', 'google-sheets', 'rfc4180', 'unix'].includes(value)) {
+          throw new Error('Invalid --dialect value (excel|excel-eu|google-sheets|rfc4180|unix)');
+        }
+        break;
+      case 'no-trailing-newline':
+        options.trailingNewline = false;
+        break;
       case 'max-records':
         options.maxRecords = parseInt(value, 10);
         break;
@@ -2064,6 +2490,21 @@ function parseOptions(args: any): any {
           throw new Error('Invalid --array-handling value (stringify|join|expand)');
         }
         break;
+      case 'max-array-length':
+        options.maxArrayLength = parseInt(value, 10) || undefined;
+        break;
+      case 'unwind':
+        options.unwind = value ? value.split(',').map((path: string) => path.trim()).filter(Boolean) : undefined;
+        break;
+      case 'unwind-mode':
+        options.unwindMode = value || 'cartesian';
+        if (!['cartesian', 'zip'].includes(options.unwindMode)) {
+          throw new Error('Invalid --unwind-mode value (cartesian|zip)');
+        }
+        break;
+      case 'unwind-preserve-empty':
+        options.unwindPreserveEmpty = true;
+        break;
       case 'silent':
         options.silent = true;
         break;
@@ -2122,6 +2563,21 @@ function parseOptions(args: any): any {
       case 'transform':
         options.transform = value;
         break;
+      case 'spec':
+        options.fixedSpec = value;
+        break;
+      case 'header-line':
+        options.headerLine = true;
+        break;
+      case 'every':
+        options.every = parseInt(value, 10) || 1000;
+        break;
+      case 'from':
+        options.from = parseInt(value, 10) || 0;
+        break;
+      case 'to':
+        options.to = value ? parseInt(value, 10) : undefined;
+        break;
       case 'port':
         options.port = parseInt(value, 10) || 3000;
         break;
@@ -2427,6 +2883,52 @@ async function main(): Promise<void> {
     await convertJsonToNdjson(files[0], files[1], options);
     break;
 
+    // Fixed-width commands
+  case 'fixed-to-json':
+    if (files.length < 2) {
+      console.error(color('Error: Input and output files required', 'red'));
+      console.log(
+        color('Usage: jtcsv fixed-to-json input.txt output.json [--spec=layout.json]', 'cyan')
+      );
+      process.exit(1);
+    }
+    await convertFixedToJson(files[0], files[1], options);
+    break;
+
+  case 'json-to-fixed':
+    if (files.length < 2) {
+      console.error(color('Error: Input and output files required', 'red'));
+      console.log(
+        color('Usage: jtcsv json-to-fixed input.json output.txt [--spec=layout.json]', 'cyan')
+      );
+      process.exit(1);
+    }
+    await convertJsonToFixed(files[0], files[1], options);
+    break;
+
+    // CSV index commands
+  case 'index':
+    if (files.length < 1) {
+      console.error(color('Error: Input file required', 'red'));
+      console.log(
+        color('Usage: jtcsv index input.csv [--every=1000]', 'cyan')
+      );
+      process.exit(1);
+    }
+    await buildCsvIndexFile(files[0], options);
+    break;
+
+  case 'slice':
+    if (files.length < 1) {
+      console.error(color('Error: Input file required', 'red'));
+      console.log(
+        color('Usage: jtcsv slice input.csv [output.json] --from=N --to=M', 'cyan')
+      );
+      process.exit(1);
+    }
+    await sliceCsvToJson(files[0], files[1], options);
+    break;
+
     // Unwrap/Flatten command
   case 'unwrap':
   case 'flatten':
@@ -2475,7 +2977,10 @@ async function main(): Promise<void> {
           writeStream.write('\uFEFF');
         }
 
-        const transformStream = jtcsv.createJsonToCsvStream(streamOptions);
+        const transformStream = jtcsv.createJsonToCsvStream({
+          ...streamOptions,
+          columns: await loadColumnSpec<string | JsonToCsvColumn>(streamOptions.columns, '--columns')
+        });
         await pipeline(readStream, transformStream, writeStream);
 
         console.log(color('✓ File streamed successfully', 'green'));
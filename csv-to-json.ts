@@ -18,14 +18,78 @@ import {
 
 import { TransformHooks, predefinedHooks } from './src/core/transform-hooks';
 import { DelimiterCache } from './src/core/delimiter-cache';
+import { sniffDialect as sniffCsvDialect, sniffDelimiterOnly } from './src/core/dialect-sniffer';
+import {
+  indexCsvFile,
+  csvIndexPath,
+  saveCsvIndex,
+  loadCsvIndex,
+  isCsvIndexCurrent,
+  readCsvRecords
+} from './src/core/csv-index';
 import { parallelCsvToJson } from './src/workers/parallelize';
 import FastPathEngine from './src/engines/fast-path-engine';
 import { normalizeCsvInput } from './src/utils/bom-utils';
-import { CsvToJsonOptions, AsyncCsvToJsonOptions, AnyObject, AnyArray } from './src/types';
+import { resolveInputLineEnding, normalizeLineBreaks } from './src/utils/line-endings';
+import { resolveQuoteOptions, QuoteOptions } from './src/utils/parse-options';
+import {
+  CsvDelimiter,
+  resolveDelimiter,
+  isSingleCharDelimiter,
+  matchDelimiterAt,
+  countDelimiter
+} from './src/utils/delimiter';
+import { resolveLineFilterOptions, filterCsvLines } from './src/utils/line-filter';
+import { applyReadDialect, quoteFormulaText, readSepLine, unwrapFormulaText } from './src/utils/csv-dialect';
+import { resolveUnescapeInjection, unescapeInjection } from './src/utils/csv-injection';
+import { resolveHeaderOptions, resolveHeaders, HeaderPlan } from './src/utils/header-resolver';
+import { resolveNumberLocale, parseLocaleNumber } from './src/utils/number-locale';
+import { createRowDateParser } from './src/utils/date-patterns';
+import {
+  resolveMissingValueOptions,
+  resolveMissingValue,
+  isNullToken,
+  omitUndefinedValues,
+  NOT_MISSING
+} from './src/utils/missing-values';
+import { createUnflattener } from './src/utils/unflatten';
+import { resolveColumnSelector, projectColumns, projectRow } from './src/utils/column-projection';
+import { resolveWhere, compileRowFilter, widenProjection, RowFilter } from './src/utils/row-filter';
+import { AssembledRecord, locateRecords, RecordAssembler, ROW_INFO_KEY } from './src/utils/row-info';
+import {
+  resolveTypeInferenceOptions,
+  inferColumnTypes,
+  coerceRows,
+  inferredTypesToSchema
+} from './src/utils/type-inference';
+import { toRowError, createCollectResult } from './src/utils/row-errors';
+import {
+  resolveColumnMismatch,
+  fitRowToHeaders,
+  isColumnMismatchError,
+  EXTRA_FIELDS_KEY
+} from './src/utils/column-mismatch';
+import {
+  CsvToJsonOptions,
+  AsyncCsvToJsonOptions,
+  AnyObject,
+  AnyArray,
+  CsvRowError,
+  CsvCollectOptions,
+  CsvCollectResult,
+  CsvDialect,
+  SniffDialectOptions,
+  CsvIndex,
+  CsvRange,
+  BuildCsvIndexOptions,
+  ReadCsvRangeOptions
+} from './src/types';
 
 // Глобальный экземпляр кэша для авто-детектирования разделителя
 const globalDelimiterCache = new DelimiterCache(100);
 const globalFastPathEngine = new FastPathEngine();
+// Line-parser defaults: `"` quotes, backslash escapes.
+const LINE_PARSER_QUOTE_OPTIONS = resolveQuoteOptions({});
 
 /**
  * Validates CSV input and options
@@ -43,18 +107,18 @@ function validateCsvInput(csv: string, options?: CsvToJsonOptions): boolean {
   }
   
   // Validate delimiter
-  if (options?.delimiter && typeof options.delimiter !== 'string') {
-    throw new ConfigurationError('Delimiter must be a string');
-  }
-  
-  if (options?.delimiter && options.delimiter.length !== 1) {
-    throw new ConfigurationError('Delimiter must be a single character');
-  }
+  resolveDelimiter(options?.delimiter);
   
   // Validate autoDetect
   if (options?.autoDetect !== undefined && typeof options.autoDetect !== 'boolean') {
     throw new ConfigurationError('autoDetect must be a boolean');
   }
+
+  for (const flag of ['sepLine', 'unwrapFormulaText'] as const) {
+    if (options?.[flag] !== undefined && typeof options[flag] !== 'boolean') {
+      throw new ConfigurationError(`${flag} must be a boolean`);
+    }
+  }
   
   // Validate candidates
   if (options?.candidates && !Array.isArray(options.candidates)) {
@@ -79,6 +143,12 @@ function validateCsvInput(csv: string, options?: CsvToJsonOptions): boolean {
     throw new ConfigurationError('useFastPath must be a boolean');
   }
 
+  if (options?.includeRowInfo !== undefined && typeof options.includeRowInfo !== 'boolean') {
+    throw new ConfigurationError('includeRowInfo must be a boolean');
+  }
+
+  resolveInputLineEnding(options?.lineEnding);
+
   if (options?.fastPathMode !== undefined
     && options.fastPathMode !== 'objects'
     && options.fastPathMode !== 'compact'
@@ -102,8 +172,8 @@ function validateCsvInput(csv: string, options?: CsvToJsonOptions): boolean {
   }
 
   if (options?.onError !== undefined
-    && !['skip', 'warn', 'throw'].includes(options.onError)) {
-    throw new ConfigurationError('onError must be "skip", "warn", or "throw"');
+    && !['skip', 'warn', 'throw', 'collect'].includes(options.onError)) {
+    throw new ConfigurationError('onError must be "skip", "warn", "throw", or "collect"');
   }
 
   if (options?.errorHandler !== undefined && typeof options.errorHandler !== 'function') {
@@ -172,8 +242,8 @@ export function autoDetectDelimiter(
   }
 
   for (const candidate of candidates) {
-    if (typeof candidate !== 'string' || candidate.length !== 1) {
-      throw new ConfigurationError('Each candidate must be a single character string');
+    if (typeof candidate !== 'string' || candidate === '' || /[\r\n]/.test(candidate)) {
+      throw new ConfigurationError('Each candidate must be a non-empty string without line breaks');
     }
   }
 
@@ -185,55 +255,33 @@ export function autoDetectDelimiter(
     }
   }
 
-  // Simple delimiter detection logic
-  // Count occurrences of each candidate in the first few lines
-  const sampleLines = csv.split('\n').slice(0, 10).join('\n');
-  let bestDelimiter = candidates[0];
-  let bestScore = -1;
+  const delimiter = sniffDelimiterOnly(csv, candidates).value;
 
-  for (const delimiter of candidates) {
-    let score = 0;
-    
-    // Count occurrences in sample
-    for (let i = 0; i < sampleLines.length; i++) {
-      if (sampleLines[i] === delimiter) {
-        score++;
-      }
-    }
-    
-    // Bonus for consistent column count (only when delimiter appears)
-    if (score > 0) {
-      const lines = sampleLines.split('\n').filter(line => line.trim().length > 0);
-      if (lines.length > 1) {
-        const firstLineColumns = lines[0].split(delimiter).length;
-        let consistent = true;
-        
-        for (let i = 1; i < Math.min(lines.length, 5); i++) {
-          if (lines[i].split(delimiter).length !== firstLineColumns) {
-            consistent = false;
-            break;
-          }
-        }
-        
-        if (consistent) {
-          score += 100;
-        }
-      }
-    }
-    
-    if (score > bestScore) {
-      bestScore = score;
-      bestDelimiter = delimiter;
-    }
+  if (useCache && cache) {
+    cache.set(csv, candidates, delimiter);
   }
 
-  const resolvedDelimiter = bestScore > 0 ? bestDelimiter : ';';
+  return delimiter;
+}
 
-  if (useCache && cache) {
-    cache.set(csv, candidates, resolvedDelimiter);
+/**
+ * Sniffs the dialect of a CSV sample: delimiter, quote, escape style, line
+ * ending, header presence, encoding and column types, each with a
+ * confidence from 0 to 1. A Buffer sample is decoded first, so the BOM and
+ * encoding are only reported for bytes.
+ *
+ * @example
+ * const dialect = sniffDialect(fs.readFileSync('data.csv').subarray(0, 65536));
+ * if (dialect.delimiter.confidence > 0.8) {
+ *   csvToJson(text, { delimiter: dialect.delimiter.value, hasHeaders: dialect.hasHeader.value });
+ * }
+ */
+export function sniffDialect(sample: string | Buffer, options: SniffDialectOptions = {}): CsvDialect {
+  const { useCache = true, cache = globalDelimiterCache, ...rest } = options;
+  if (cache && !(cache instanceof DelimiterCache)) {
+    throw new ConfigurationError('cache must be an instance of DelimiterCache');
   }
-
-  return resolvedDelimiter;
+  return sniffCsvDialect(sample, { ...rest, cache: useCache ? cache : null });
 }
 
 function getFirstNonEmptyLine(csv: string): string | null {
@@ -249,14 +297,55 @@ function getFirstNonEmptyLine(csv: string): string | null {
   return null;
 }
 
+/**
+ * Splits CSV into its records, keeping the source line number each one
+ * starts on. Blank lines are skipped, and a record goes on to the next line
+ * while a quoted field is open. `sourceLineNumbers` maps lines of an already
+ * filtered text back to the original input.
+ * @private
+ */
+function splitRecords(
+  csv: string,
+  sourceLineNumbers: number[] | null,
+  delimiter: CsvDelimiter,
+  quoteOptions: QuoteOptions
+): { lines: string[]; lineNumbers: number[] } {
+  const assembler = new RecordAssembler(delimiter, quoteOptions);
+  const lines: string[] = [];
+  const lineNumbers: number[] = [];
+  const add = (record: AssembledRecord | null) => {
+    if (record) {
+      lines.push(record.text);
+      lineNumbers.push(record.info.line);
+    }
+  };
+  const rawLines = csv.split('\n');
+  for (let i = 0; i < rawLines.length; i++) {
+    add(assembler.push(rawLines[i], sourceLineNumbers?.[i] ?? i + 1, 0));
+  }
+  add(assembler.flush());
+  return { lines, lineNumbers };
+}
+
+/**
+ * Source line number of the first non-empty line — where the header row is.
+ * @private
+ */
+function firstNonEmptyLineNumber(csv: string, sourceLineNumbers: number[] | null): number {
+  const rawLines = csv.split('\n');
+  for (let i = 0; i < rawLines.length; i++) {
+    if (rawLines[i].trim().length > 0) {
+      return sourceLineNumbers?.[i] ?? i + 1;
+    }
+  }
+  return 1;
+}
+
 function refineDelimiterFromHeaderLine(
   csv: string,
-  currentDelimiter: string | undefined,
+  currentDelimiter: string,
   candidates: string[]
-): string | undefined {
-  if (!currentDelimiter) {
-    return currentDelimiter;
-  }
+): string {
   const headerLine = getFirstNonEmptyLine(csv);
   if (!headerLine) {
     return currentDelimiter;
@@ -268,10 +357,10 @@ function refineDelimiterFromHeaderLine(
   let bestDelimiter = currentDelimiter;
   let bestCount = 0;
   for (const candidate of candidates) {
-    if (typeof candidate !== 'string' || candidate.length !== 1) {
+    if (typeof candidate !== 'string' || candidate === '') {
       continue;
     }
-    const count = headerLine.split(candidate).length - 1;
+    const count = countDelimiter(headerLine, candidate);
     if (count > bestCount) {
       bestCount = count;
       bestDelimiter = candidate;
@@ -282,16 +371,41 @@ function refineDelimiterFromHeaderLine(
 
 /**
  * Parses a CSV string into JSON objects
+ *
+ * With `onError: 'collect'` malformed rows are skipped and reported, and the
+ * result is `{ data, errors, stats }` instead of the bare array.
  */
+export function csvToJson(
+  _csv: string,
+  _options: CsvToJsonOptions & CsvCollectOptions
+): CsvCollectResult;
+export function csvToJson(
+  _csv: string,
+  _options?: CsvToJsonOptions
+): AnyArray;
 export function csvToJson(
   csv: string,
   options: CsvToJsonOptions = {}
+): AnyArray | CsvCollectResult {
+  if (options && typeof options === 'object'
+    && (options.onError === 'collect' || options.columnMismatch === 'collect')) {
+    const rowErrors: CsvRowError[] = [];
+    const data = convertCsvToJson(csv, options, rowErrors);
+    return createCollectResult(data, rowErrors);
+  }
+  return convertCsvToJson(csv, options, null);
+}
+
+function convertCsvToJson(
+  csv: string,
+  options: CsvToJsonOptions,
+  rowErrors: CsvRowError[] | null
 ): AnyArray {
   return safeExecuteSync(() => {
     // Validate input
     validateCsvInput(csv, options);
     
-    const opts = options && typeof options === 'object' ? options : {};
+    const opts = options && typeof options === 'object' ? applyReadDialect(options) : {};
     
     const {
       delimiter,
@@ -300,8 +414,8 @@ export function csvToJson(
       hasHeaders = true,
       renameMap = {},
       trim = true,
-      parseNumbers = false,
-      parseBooleans = false,
+      parseNumbers: parseNumbersOption = false,
+      parseBooleans: parseBooleansOption = false,
       maxRows,
       useFastPath = true,
       fastPathMode = 'objects',
@@ -312,25 +426,69 @@ export function csvToJson(
     cache,
     onError = 'throw',
     errorHandler,
-    repairRowShifts = true,
+    repairRowShifts: repairRowShiftsOption = true,
     normalizeQuotes = true,
     memoryWarningThreshold = 1000000,
     memoryLimit = 5000000
   } = opts;
 
     const delimiterProvided = delimiter !== undefined && delimiter !== null;
+    const quoteOptions = resolveQuoteOptions(opts);
+    let lineFilterOptions = resolveLineFilterOptions(opts);
+    const headerOptions = resolveHeaderOptions(opts);
+    const metadata = opts.metadata && typeof opts.metadata === 'object' ? opts.metadata : null;
+    const typeInference = resolveTypeInferenceOptions(opts.inferTypes);
+    const numberLocale = resolveNumberLocale(opts.numberLocale);
+    const unescapeTriggers = resolveUnescapeInjection(opts);
+    const parseRowDates = createRowDateParser(opts.parseDates);
+    if (parseRowDates && fastPathMode === 'compact') {
+      throw new ConfigurationError('parseDates requires object rows and is not available with fastPathMode "compact"');
+    }
+    const missingValues = resolveMissingValueOptions(opts);
+    const omitEmptyCells = missingValues?.emptyAs === 'omit';
+    const nullTokens = missingValues && missingValues.nullValues.size > 0 ? missingValues.nullValues : null;
+    const columnMismatch = resolveColumnMismatch(opts.columnMismatch);
+    if (columnMismatch && fastPathMode === 'compact') {
+      throw new ConfigurationError('columnMismatch requires object rows and is not available with fastPathMode "compact"');
+    }
+    const unflattenRow = createUnflattener(opts.unflatten, opts.unflattenSeparator);
+    if (unflattenRow && fastPathMode === 'compact') {
+      throw new ConfigurationError('unflatten requires object rows and is not available with fastPathMode "compact"');
+    }
+    const columnSelector = resolveColumnSelector(opts.columns);
+    const where = resolveWhere(opts.where);
+    const includeRowInfo = opts.includeRowInfo === true;
+    const lineEnding = resolveInputLineEnding(opts.lineEnding);
+    if (includeRowInfo && fastPathMode === 'compact') {
+      throw new ConfigurationError('includeRowInfo requires object rows and is not available with fastPathMode "compact"');
+    }
+    // An explicit mismatch policy replaces the shifted-row heuristics, which
+    // also need every field and every row, so they are off under a column
+    // projection or a row filter. Merged rows have no single source position
+    const repairRowShifts = repairRowShiftsOption && !columnMismatch && !columnSelector && !where && !includeRowInfo;
+    if (typeInference && fastPathMode !== 'objects') {
+      throw new ConfigurationError('inferTypes requires fastPathMode "objects"');
+    }
+    // Inferred column types replace per-cell number/boolean parsing
+    const parseNumbers = parseNumbersOption && !typeInference;
+    const parseBooleans = parseBooleansOption && !typeInference;
     const transformHooks = hooks?.transformHooks instanceof TransformHooks
       ? hooks.transformHooks
       : null;
     const hooksContext = { options: opts };
 
     let resolvedUseFastPath = useFastPath;
-    if (onError !== 'throw' && resolvedUseFastPath) {
+    // Row errors and row info need source positions, and null tokens the raw
+    // cells before escape processing, which only the line parser keeps
+    if ((onError !== 'throw' || columnMismatch || includeRowInfo || nullTokens) && resolvedUseFastPath) {
       resolvedUseFastPath = false;
     }
 
     if (fastPathMode === 'stream') {
-      return csvToJsonIterator(csv, opts) as unknown as AnyArray;
+      if (rowErrors) {
+        throw new ConfigurationError('"collect" is not available with fastPathMode "stream"; use errorHandler instead');
+      }
+      return csvToJsonIterator(csv, options) as unknown as AnyArray;
     }
     
     // Handle empty CSV
@@ -339,11 +497,26 @@ export function csvToJson(
     }
     
     // Normalize CSV input (remove BOM, normalize line endings)
-    const normalizedCsv = normalizeCsvInput(csv);
+    let normalizedCsv = normalizeLineBreaks(normalizeCsvInput(csv, { normalizeLineEndings: false }), lineEnding);
+    const sepDelimiter = opts.sepLine ? readSepLine(normalizedCsv) : null;
+    if (sepDelimiter !== null) {
+      lineFilterOptions = resolveLineFilterOptions({ ...opts, skipLines: (opts.skipLines ?? 0) + 1 });
+    }
+    let sourceLineNumbers: number[] | null = null;
+    if (lineFilterOptions) {
+      const filtered = filterCsvLines(normalizedCsv, lineFilterOptions, quoteOptions);
+      normalizedCsv = filtered.csv;
+      sourceLineNumbers = filtered.lineNumbers;
+      if (!normalizedCsv.trim()) {
+        return [];
+      }
+    }
     
     const cacheToUse = cache instanceof DelimiterCache ? cache : globalDelimiterCache;
-    // Determine delimiter
-    let finalDelimiter = delimiter;
+    // Determine delimiter; a sep= line overrides a dialect's, not the caller's
+    let finalDelimiter = resolveDelimiter(
+      sepDelimiter !== null && (options?.delimiter ?? null) === null ? sepDelimiter : delimiter
+    );
     if (!finalDelimiter && autoDetect) {
       finalDelimiter = autoDetectDelimiter(normalizedCsv, { candidates, useCache, cache: cacheToUse });
     }
@@ -360,16 +533,49 @@ export function csvToJson(
     if (hooks?.beforeConvert) {
       processedCsv = hooks.beforeConvert(processedCsv, opts);
     }
-    if (!delimiterProvided && autoDetect) {
-      const refined = refineDelimiterFromHeaderLine(processedCsv, finalDelimiter, candidates) || finalDelimiter;
+    if (!delimiterProvided && sepDelimiter === null && autoDetect && typeof finalDelimiter === 'string') {
+      const refined = refineDelimiterFromHeaderLine(processedCsv, finalDelimiter, candidates);
       if (refined !== finalDelimiter && useCache && cacheToUse) {
         cacheToUse.set(processedCsv, candidates, refined);
       }
       finalDelimiter = refined;
     }
+    const unwrapCells = opts.unwrapFormulaText === true;
+    if (unwrapCells) {
+      processedCsv = quoteFormulaText(processedCsv, finalDelimiter, quoteOptions);
+    }
+
+    const planHeaders = (rawHeaders: string[], lineNumber: number | null): HeaderPlan => {
+      const plan = resolveHeaders(rawHeaders, renameMap, headerOptions, lineNumber);
+      if (metadata) {
+        metadata.headers = plan.headers;
+      }
+      return plan;
+    };
+
+    const prepareRow = (row: AnyObject): AnyObject => {
+      const result = omitEmptyCells ? omitUndefinedValues(row) : row;
+      return parseRowDates ? parseRowDates(result) : result;
+    };
+
+    const prepareRows = (rows: AnyArray): AnyArray => (
+      omitEmptyCells || parseRowDates ? rows.map((row) => prepareRow(row)) : rows
+    );
+
+    const applyTypeInference = (rows: AnyArray, headers: string[]): AnyArray => {
+      if (!typeInference) {
+        return rows;
+      }
+      const columnTypes = inferColumnTypes(rows, headers, typeInference);
+      if (metadata) {
+        metadata.columnTypes = columnTypes;
+        metadata.inferredSchema = inferredTypesToSchema(columnTypes);
+      }
+      return coerceRows(rows, columnTypes);
+    };
 
     const applyPerRowHooks = (row: AnyObject, index: number): AnyObject => {
-      let result: AnyObject = row;
+      let result: AnyObject = unflattenRow ? unflattenRow(row) : row;
       if (transformHooks) {
         result = transformHooks.applyPerRow(result, index, hooksContext) as AnyObject;
       }
@@ -387,20 +593,33 @@ export function csvToJson(
       if (trim && typeof normalized === 'string') {
         normalized = normalized.trim();
       }
+      if (missingValues) {
+        const missing = resolveMissingValue(normalized, missingValues);
+        if (missing !== NOT_MISSING) {
+          return missing;
+        }
+      }
       if (typeof normalized === 'string') {
         if (normalized === '') {
           return null;
         }
-        if (normalized[0] === "'" && normalized.length > 1) {
-          const candidate = normalized.slice(1);
-          const leading = trim ? candidate.trimStart() : candidate;
-          const firstChar = leading[0];
-          if (firstChar === '=' || firstChar === '+' || firstChar === '-' || firstChar === '@') {
-            normalized = candidate;
+        // Unwrapped before unescaping, so an escaped '="x" stays literal text
+        if (unwrapCells) {
+          const text = unwrapFormulaText(normalized);
+          if (text !== normalized) {
+            return text;
           }
         }
+        if (unescapeTriggers) {
+          normalized = unescapeInjection(normalized, unescapeTriggers);
+        }
       }
-      if (parseNumbers && typeof normalized === 'string') {
+      if (numberLocale && typeof normalized === 'string') {
+        const localeNumber = parseLocaleNumber(normalized, numberLocale);
+        if (localeNumber !== null) {
+          normalized = localeNumber;
+        }
+      } else if (parseNumbers && typeof normalized === 'string') {
         const firstChar = normalized[0];
         if ((firstChar >= '0' && firstChar <= '9') || firstChar === '-' || firstChar === '+' || firstChar === '.') {
           const numValue = Number(normalized);
@@ -443,10 +662,90 @@ export function csvToJson(
           parseNumbers,
           parseBooleans,
           maxRows,
-          mode: fastPathMode
+          mode: fastPathMode,
+          quote: quoteOptions.quote,
+          escape: quoteOptions.escape,
+          allowSingleQuotes: quoteOptions.allowSingleQuotes
         };
 
-        if (typeof (globalFastPathEngine as any).parse === 'function') {
+        // Header names the projection resolves against, before renameMap
+        const sourceHeaderNames = (firstRow: AnyArray): string[] => (hasHeaders
+          ? firstRow.map((header) => (trim ? String(header).trim() : String(header)))
+          : firstRow.map((_, index) => `column${index + 1}`));
+        let projection: number[] | null = null;
+
+        if (where) {
+          // A declarative filter rides along in a projected scan; a predicate
+          // may read any field and so needs whole rows
+          const projectedScan = Boolean(columnSelector)
+            && typeof where !== 'function'
+            && typeof (globalFastPathEngine as any).iterateProjectedRows === 'function';
+          let rowFilter = null as RowFilter | null;
+          // Applied to the header and to every row that passes the filter
+          let cut = null as number[] | null;
+          const bindHeader = (firstRow: AnyArray): number[] => {
+            const names = sourceHeaderNames(firstRow);
+            projection = columnSelector ? projectColumns(columnSelector, names) : null;
+            rowFilter = compileRowFilter(where, names, trim);
+            if (!projection) {
+              return [];
+            }
+            if (!projectedScan) {
+              cut = projection;
+              return projection;
+            }
+            const widened = widenProjection(projection, rowFilter);
+            rowFilter = widened.filter;
+            cut = projection.map((_, index) => index);
+            return widened.projection;
+          };
+          const rows: Iterable<AnyArray> = projectedScan
+            ? (globalFastPathEngine as any).iterateProjectedRows(processedCsv, fastPathOptions, bindHeader)
+            : typeof (globalFastPathEngine as any).iterateRows === 'function'
+              ? (globalFastPathEngine as any).iterateRows(processedCsv, fastPathOptions)
+              : (globalFastPathEngine as any).parse(processedCsv, fastPathOptions);
+          const collected: AnyArray = [];
+          let firstRow = true;
+          let matched = 0;
+          for (const row of rows) {
+            if (!Array.isArray(row) || row.length === 0) {
+              continue;
+            }
+            if (firstRow) {
+              firstRow = false;
+              if (!projectedScan) {
+                bindHeader(row);
+              }
+              if (hasHeaders) {
+                collected.push(cut ? projectRow(row, cut) : row);
+                continue;
+              }
+            }
+            if (!rowFilter!.test(row)) {
+              continue;
+            }
+            collected.push(cut ? projectRow(row, cut) : row);
+            // maxRows counts matches, so the scan can stop here
+            if (maxRows && ++matched >= maxRows) {
+              break;
+            }
+          }
+          fastPathRows = collected;
+        } else if (columnSelector && typeof (globalFastPathEngine as any).iterateProjectedRows === 'function') {
+          const collected: AnyArray = [];
+          const rows = (globalFastPathEngine as any).iterateProjectedRows(
+            processedCsv,
+            fastPathOptions,
+            (firstRow: string[]) => {
+              projection = projectColumns(columnSelector, sourceHeaderNames(firstRow));
+              return projection;
+            }
+          );
+          for (const row of rows) {
+            collected.push(row);
+          }
+          fastPathRows = collected;
+        } else if (typeof (globalFastPathEngine as any).parse === 'function') {
           fastPathRows = (globalFastPathEngine as any).parse(processedCsv, fastPathOptions);
         } else if (typeof (globalFastPathEngine as any).parseRows === 'function') {
           const collected: AnyArray = [];
@@ -462,26 +761,45 @@ export function csvToJson(
         if (!Array.isArray(fastPathRows)) {
           throw new Error('Fast-path parser returned invalid result');
         }
+        if (columnSelector && !projection && Array.isArray(fastPathRows[0])) {
+          const fullProjection = projectColumns(columnSelector, sourceHeaderNames(fastPathRows[0] as AnyArray));
+          projection = fullProjection;
+          fastPathRows = fastPathRows.map((row) => (Array.isArray(row) ? projectRow(row, fullProjection) : row));
+        }
+        const fastPathProjection: number[] | null = projection;
 
         const normalizeValue = (value: any): any => {
           let normalized = value;
           if (trim && typeof normalized === 'string') {
             normalized = normalized.trim();
           }
+          if (missingValues) {
+            const missing = resolveMissingValue(normalized, missingValues);
+            if (missing !== NOT_MISSING) {
+              return missing;
+            }
+          }
           if (typeof normalized === 'string') {
             if (normalized === '') {
               return null;
             }
-            if (normalized[0] === "'" && normalized.length > 1) {
-              const candidate = normalized.slice(1);
-              const leading = trim ? candidate.trimStart() : candidate;
-              const firstChar = leading[0];
-              if (firstChar === '=' || firstChar === '+' || firstChar === '-' || firstChar === '@') {
-                normalized = candidate;
+            // Unwrapped before unescaping, so an escaped '="x" stays literal text
+            if (unwrapCells) {
+              const text = unwrapFormulaText(normalized);
+              if (text !== normalized) {
+                return text;
               }
             }
+            if (unescapeTriggers) {
+              normalized = unescapeInjection(normalized, unescapeTriggers);
+            }
           }
-          if (parseNumbers && typeof normalized === 'string') {
+          if (numberLocale && typeof normalized === 'string') {
+            const localeNumber = parseLocaleNumber(normalized, numberLocale);
+            if (localeNumber !== null) {
+              normalized = localeNumber;
+            }
+          } else if (parseNumbers && typeof normalized === 'string') {
             const firstChar = normalized[0];
             if ((firstChar >= '0' && firstChar <= '9') || firstChar === '-' || firstChar === '+' || firstChar === '.') {
               const numValue = Number(normalized);
@@ -504,7 +822,7 @@ export function csvToJson(
 
         const _handleFastPathError = (error: Error, rowIndex: number, row: AnyArray) => {
           if (errorHandler) {
-            errorHandler(error, row.join(finalDelimiter), hasHeaders ? rowIndex + 2 : rowIndex + 1);
+            errorHandler(error, row.join(typeof finalDelimiter === 'string' ? finalDelimiter : ' '), hasHeaders ? rowIndex + 2 : rowIndex + 1);
           }
           if (onError === 'warn') {
             if (process.env['NODE_ENV'] !== 'test') {
@@ -519,6 +837,12 @@ export function csvToJson(
         };
 
         if (fastPathMode === 'compact') {
+          if (hasHeaders && Array.isArray(fastPathRows[0])) {
+            planHeaders(
+              (fastPathRows[0] as AnyArray).map((header) => (trim ? String(header).trim() : String(header))),
+              firstNonEmptyLineNumber(processedCsv, sourceLineNumbers)
+            );
+          }
           const dataRows = hasHeaders ? fastPathRows.slice(1) : fastPathRows;
           if (maxRows && dataRows.length > maxRows) {
             throw new LimitError(
@@ -533,7 +857,8 @@ export function csvToJson(
             if (!Array.isArray(row) || row.length === 0) {
               continue;
             }
-            normalizedRows.push(row.map((value) => normalizeValue(value)));
+            const values = row.map((value) => normalizeValue(value));
+            normalizedRows.push(values);
           }
           if (Number.isFinite(memoryLimit) && normalizedRows.length > memoryLimit) {
             throw new LimitError(
@@ -571,7 +896,7 @@ export function csvToJson(
               }
               obj = renamed;
             }
-            return applyPerRowHooks(obj, index);
+            return applyPerRowHooks(prepareRow(obj), index);
           });
 
           if (Number.isFinite(memoryLimit) && normalizedRows.length > memoryLimit) {
@@ -596,7 +921,7 @@ export function csvToJson(
         }
 
         const headerRow = hasHeaders ? (fastPathRows[0] as AnyArray) : null;
-        if (hasHeaders && Array.isArray(headerRow) && headerRow.length === 1) {
+        if (hasHeaders && !fastPathProjection && Array.isArray(headerRow) && headerRow.length === 1) {
           const headerText = String(headerRow[0]);
           const hasCandidateDelimiter = (candidates || [';', ',', '\t', '|'])
             .some((candidate) => headerText.includes(candidate));
@@ -610,8 +935,14 @@ export function csvToJson(
 
         const baseHeaders = hasHeaders
           ? (headerRow as AnyArray).map((header) => (trim ? String(header).trim() : String(header)))
-          : (fastPathRows[0] as AnyArray).map((_, index) => `column${index + 1}`);
-        const finalHeaders = baseHeaders.map((header) => renameMap[header] || header);
+          : fastPathProjection
+            ? fastPathProjection.map((index) => `column${index + 1}`)
+            : (fastPathRows[0] as AnyArray).map((_, index) => `column${index + 1}`);
+        const headerPlan = planHeaders(
+          baseHeaders,
+          hasHeaders ? firstNonEmptyLineNumber(processedCsv, sourceLineNumbers) : null
+        );
+        const finalHeaders = headerPlan.keys;
         const dataRows = hasHeaders ? fastPathRows.slice(1) : fastPathRows;
         if (maxRows && dataRows.length > maxRows) {
           throw new LimitError(
@@ -648,15 +979,16 @@ export function csvToJson(
           for (let j = 0; j < finalHeaders.length; j++) {
             let value: any = rowValues[j];
             value = normalizeValue(value);
-            obj[finalHeaders[j]] = value;
+            headerPlan.assign(obj, finalHeaders[j], value);
           }
           rawRows.push(obj);
         }
 
         const repairedRows = repairRowShifts
-          ? repairShiftedRows(rawRows, finalHeaders, { normalizeQuotes })
+          ? repairShiftedRows(rawRows, headerPlan.headers, { normalizeQuotes })
           : rawRows;
-        const normalizedRows = repairedRows.map((row, index) => applyPerRowHooks(row, index));
+        const typedRows = applyTypeInference(prepareRows(repairedRows), headerPlan.headers);
+        const normalizedRows = typedRows.map((row, index) => applyPerRowHooks(row, index));
 
         if (Number.isFinite(memoryLimit) && normalizedRows.length > memoryLimit) {
           throw new LimitError(
@@ -678,7 +1010,11 @@ export function csvToJson(
         
         return applyAfterConvertHooks(normalizedRows);
       } catch (error: unknown) {
-        if (error instanceof LimitError) {
+        if (error instanceof LimitError || error instanceof ConfigurationError) {
+          throw error;
+        }
+        // Header problems are not fast-path specific: the standard parser would fail the same way
+        if (error instanceof ParsingError && !error.originalMessage.startsWith('Fast-path parser bailout')) {
           throw error;
         }
         // Fall back to standard parsing if fast-path fails
@@ -687,15 +1023,18 @@ export function csvToJson(
       }
     }
     
-    // Standard CSV parsing implementation
-    const lines = processedCsv.split('\n').filter(line => line.trim().length > 0);
+    // Standard CSV parsing implementation; a record may span lines, joined
+    // where a quoted field holds a line break
+    const { lines, lineNumbers, rowInfo } = includeRowInfo
+      ? locateRecords(processedCsv, csv, sourceLineNumbers, finalDelimiter, quoteOptions, lineEnding)
+      : { ...splitRecords(processedCsv, sourceLineNumbers, finalDelimiter, quoteOptions), rowInfo: null };
     
     if (lines.length === 0) {
       return [];
     }
     
-    // Apply row limit if specified
-    if (maxRows && lines.length > maxRows) {
+    // Apply row limit if specified; under where it counts matched rows instead
+    if (maxRows && !where && lines.length > maxRows) {
       throw new LimitError(
         `CSV size exceeds maximum limit of ${maxRows} rows`,
         maxRows,
@@ -706,14 +1045,18 @@ export function csvToJson(
     // Parse headers
     let headers: string[] = [];
     let dataRows = lines;
+    let dataLineNumbers = lineNumbers;
+    let dataRowInfo = rowInfo;
     
     if (hasHeaders) {
       const headerLine = lines[0];
-      headers = parseCsvLine(headerLine, finalDelimiter, trim, 1);
+      headers = parseCsvLine(headerLine, finalDelimiter, trim, lineNumbers[0], quoteOptions);
       dataRows = lines.slice(1);
+      dataLineNumbers = lineNumbers.slice(1);
+      dataRowInfo = rowInfo && rowInfo.slice(1);
     } else {
       // Generate default headers (col0, col1, ...)
-      const firstRow = parseCsvLine(lines[0], finalDelimiter, trim, 1);
+      const firstRow = parseCsvLine(lines[0], finalDelimiter, trim, lineNumbers[0], quoteOptions);
       headers = firstRow.map((_, index) => `column${index + 1}`);
     }
 
@@ -736,8 +1079,17 @@ export function csvToJson(
       );
     }
     
-    // Apply rename map to headers
-    const finalHeaders = headers.map(header => renameMap[header] || header);
+    // Field count of the source rows; finalHeaders shrinks under a projection
+    const sourceWidth = headers.length;
+    const rowFilter = where ? compileRowFilter(where, headers, trim) : null;
+    const projection = columnSelector ? projectColumns(columnSelector, headers) : null;
+    if (projection) {
+      headers = projectRow(headers, projection);
+    }
+
+    // Apply rename map and duplicate/empty header rules
+    const headerPlan = planHeaders(headers, hasHeaders ? lineNumbers[0] : null);
+    const finalHeaders = headerPlan.keys;
 
     if (fastPathMode === 'compact') {
       const compactResult: AnyArray = [];
@@ -746,21 +1098,27 @@ export function csvToJson(
           break;
         }
         const line = dataRows[i];
-        const lineNumber = hasHeaders ? i + 2 : i + 1;
-        let values = parseCsvLine(line, finalDelimiter, trim, lineNumber);
-        if (values.length !== finalHeaders.length) {
-          if (values.length > finalHeaders.length) {
+        const lineNumber = dataLineNumbers[i];
+        let values = parseCsvLine(line, finalDelimiter, trim, lineNumber, quoteOptions, nullTokens);
+        if (values.length !== sourceWidth) {
+          if (values.length > sourceWidth) {
             if (process.env['NODE_ENV'] === 'development') {
-              const extraCount = values.length - finalHeaders.length;
+              const extraCount = values.length - sourceWidth;
               console.warn(`[jtcsv] Line ${lineNumber}: ${extraCount} extra fields ignored`);
             }
-            values = values.slice(0, finalHeaders.length);
+            values = values.slice(0, sourceWidth);
           } else {
-            while (values.length < finalHeaders.length) {
+            while (values.length < sourceWidth) {
               values.push(undefined as any);
             }
           }
         }
+        if (rowFilter && !rowFilter.test(values)) {
+          continue;
+        }
+        if (projection) {
+          values = projectRow(values, projection);
+        }
         compactResult.push(values.map((value) => normalizeValue(value)));
       }
       return applyAfterConvertHooks(compactResult);
@@ -775,6 +1133,10 @@ export function csvToJson(
       if (errorHandler) {
         errorHandler(error, line, lineNumber);
       }
+      if (rowErrors && (onError === 'collect' || isColumnMismatchError(error))) {
+        rowErrors.push(toRowError(error, line, lineNumber));
+        return true;
+      }
       if (onError === 'warn') {
         if (process.env['NODE_ENV'] !== 'test') {
           console.warn(`[jtcsv] Line ${lineNumber}: ${error.message}`);
@@ -788,33 +1150,77 @@ export function csvToJson(
     };
     
     for (let i = 0; i < dataRows.length; i++) {
+      if (rowFilter && maxRows && rawRows.length >= maxRows) {
+        break;
+      }
       const line = dataRows[i];
-      const lineNumber = hasHeaders ? i + 2 : i + 1;
+      const lineNumber = dataLineNumbers[i];
       try {
-        let values = parseCsvLine(line, finalDelimiter, trim, lineNumber);
+        let values = parseCsvLine(line, finalDelimiter, trim, lineNumber, quoteOptions, nullTokens);
+        let extra: Array<string | null> | null = null;
         
         // Handle field count mismatch
-        if (values.length !== finalHeaders.length) {
-          if (values.length > finalHeaders.length) {
+        if (columnMismatch) {
+          const fitted = fitRowToHeaders(values, sourceWidth, columnMismatch, lineNumber, line);
+          values = fitted.values as string[];
+          extra = fitted.extra;
+        } else if (values.length !== sourceWidth) {
+          if (values.length > sourceWidth) {
             if (process.env['NODE_ENV'] === 'development') {
-              const extraCount = values.length - finalHeaders.length;
+              const extraCount = values.length - sourceWidth;
               console.warn(`[jtcsv] Line ${lineNumber}: ${extraCount} extra fields ignored`);
             }
-            values = values.slice(0, finalHeaders.length);
+            values = values.slice(0, sourceWidth);
           } else {
-            while (values.length < finalHeaders.length) {
+            while (values.length < sourceWidth) {
               values.push(undefined as any);
             }
           }
         }
+        if (rowFilter && !rowFilter.test(values)) {
+          continue;
+        }
+        if (projection) {
+          values = projectRow(values, projection);
+        }
         
         // Create object
         const row: AnyObject = {};
         for (let j = 0; j < finalHeaders.length; j++) {
           let value: any = values[j];
+
+          // Padded by columnMismatch
+          if (value === null) {
+            headerPlan.assign(row, finalHeaders[j], null);
+            continue;
+          }
+
+          if (missingValues) {
+            const missing = resolveMissingValue(value, missingValues);
+            if (missing !== NOT_MISSING) {
+              headerPlan.assign(row, finalHeaders[j], missing);
+              continue;
+            }
+          }
+
+          if (unwrapCells && typeof value === 'string') {
+            const text = unwrapFormulaText(value);
+            if (text !== value) {
+              headerPlan.assign(row, finalHeaders[j], text);
+              continue;
+            }
+          }
+          if (unescapeTriggers && typeof value === 'string') {
+            value = unescapeInjection(value, unescapeTriggers);
+          }
           
           // Parse numbers if enabled
-          if (parseNumbers && !isNaN(Number(value)) && value.trim() !== '') {
+          if (numberLocale && typeof value === 'string') {
+            const localeNumber = parseLocaleNumber(value, numberLocale);
+            if (localeNumber !== null) {
+              value = localeNumber;
+            }
+          } else if (parseNumbers && !isNaN(Number(value)) && value.trim() !== '') {
             value = Number(value);
           }
           
@@ -826,7 +1232,13 @@ export function csvToJson(
             }
           }
           
-          row[finalHeaders[j]] = value;
+          headerPlan.assign(row, finalHeaders[j], value);
+        }
+        if (extra) {
+          row[EXTRA_FIELDS_KEY] = extra;
+        }
+        if (dataRowInfo) {
+          row[ROW_INFO_KEY] = dataRowInfo[i];
         }
         
         // Apply transform function if provided
@@ -840,28 +1252,38 @@ export function csvToJson(
     
     // Apply hooks if provided
     const repairedRows = repairRowShifts
-      ? repairShiftedRows(rawRows, finalHeaders, { normalizeQuotes })
+      ? repairShiftedRows(rawRows, headerPlan.headers, { normalizeQuotes })
       : rawRows;
-    const normalizedRows = repairedRows.map((row, index) => applyPerRowHooks(row, index));
+    const typedRows = applyTypeInference(prepareRows(repairedRows), headerPlan.headers);
+    const normalizedRows = typedRows.map((row, index) => applyPerRowHooks(row, index));
     return applyAfterConvertHooks(normalizedRows);
   }, 'PARSING_ERROR', { function: 'csvToJson' });
 }
 
 /**
  * Parses a single CSV line
+ *
+ * An unquoted field whose raw text, before escape processing, is one of
+ * `nullTokens` comes back as null, so `\N` is a token but `"\N"` is data.
  */
 function parseCsvLine(
   line: string,
-  delimiter: string,
+  delimiter: CsvDelimiter,
   trim: boolean,
-  lineNumber?: number
-): string[] {
-  const result: string[] = [];
+  lineNumber?: number,
+  quoteOptions: QuoteOptions = LINE_PARSER_QUOTE_OPTIONS,
+  nullTokens: ReadonlySet<string> | null = null
+): Array<string | null> {
+  const singleChar = isSingleCharDelimiter(delimiter);
+  const { quote, escape, allowSingleQuotes } = quoteOptions;
+  const result: Array<string | null> = [];
   let currentField = '';
+  let fieldStart = 0;
+  let fieldQuoted = false;
   let inQuotes = false;
-  let quoteChar = '"';
+  let quoteChar = quote;
   let escapeNext = false;
-  
+
   for (let i = 0; i < line.length; i++) {
     const char = line[i];
     const nextChar = i < line.length - 1 ? line[i + 1] : '';
@@ -872,16 +1294,26 @@ function parseCsvLine(
       continue;
     }
 
-    if (char === '\\') {
+    if (escape !== null && char === escape) {
       escapeNext = true;
       continue;
     }
-    
-    if (!inQuotes && char === delimiter) {
-      result.push(trim ? currentField.trim() : currentField);
+
+    const delimiterLength = inQuotes ? 0
+      : singleChar ? (char === delimiter ? 1 : 0)
+        : matchDelimiterAt(line, i, delimiter);
+    if (delimiterLength > 0) {
+      result.push(nullTokens && !fieldQuoted && isNullToken(line.slice(fieldStart, i), trim, nullTokens)
+        ? null
+        : trim ? currentField.trim() : currentField);
       currentField = '';
-    } else if (!inQuotes && (char === '"' || char === "'")) {
+      fieldStart = i + delimiterLength;
+      fieldQuoted = false;
+      i += delimiterLength - 1;
+    } else if (!inQuotes && (char === quote
+      || (allowSingleQuotes && char === "'" && currentField.trim() === ''))) {
       inQuotes = true;
+      fieldQuoted = true;
       quoteChar = char;
     } else if (inQuotes && char === quoteChar && nextChar === quoteChar) {
       currentField += char;
@@ -896,16 +1328,19 @@ function parseCsvLine(
     }
   }
 
-  if (escapeNext) {
-    currentField += '\\';
+  if (escapeNext && escape !== null) {
+    currentField += escape;
   }
   
-  result.push(trim ? currentField.trim() : currentField);
+  result.push(nullTokens && !fieldQuoted && isNullToken(line.slice(fieldStart), trim, nullTokens)
+    ? null
+    : trim ? currentField.trim() : currentField);
   
   if (inQuotes) {
+    // The unclosed field is always the last one pushed
     throw ParsingError.unclosedQuotes(
       lineNumber ?? null,
-      null,
+      result.length,
       line.substring(0, 100)
     );
   }
@@ -965,6 +1400,12 @@ function normalizeRowQuotes(row: AnyObject, headers: string[]): AnyObject {
       normalized[header] = baseValue;
     }
   }
+  if (row[EXTRA_FIELDS_KEY] !== undefined && !(EXTRA_FIELDS_KEY in normalized)) {
+    normalized[EXTRA_FIELDS_KEY] = row[EXTRA_FIELDS_KEY];
+  }
+  if (row[ROW_INFO_KEY] !== undefined && !(ROW_INFO_KEY in normalized)) {
+    normalized[ROW_INFO_KEY] = row[ROW_INFO_KEY];
+  }
   return normalized;
 }
 
@@ -1120,14 +1561,28 @@ function repairShiftedRows(
  * Falls back to sync silently if worker_threads is unavailable (browser
  * builds, restricted runtimes) or if a worker errors out.
  */
+export async function csvToJsonAsync(
+  _csv: string,
+  _options: AsyncCsvToJsonOptions & CsvCollectOptions
+): Promise<CsvCollectResult>;
+export async function csvToJsonAsync(
+  _csv: string,
+  _options?: AsyncCsvToJsonOptions
+): Promise<AnyArray>;
 export async function csvToJsonAsync(
   csv: string,
   options: AsyncCsvToJsonOptions = {}
-): Promise<AnyArray> {
+): Promise<AnyArray | CsvCollectResult> {
   return safeExecuteAsync(async () => {
     const { useWorkers = false, workerCount, chunkSize: _chunkSize, onProgress: _onProgress, ...syncOptions } = options;
-    if (!useWorkers) {
-      return csvToJson(csv, syncOptions);
+    // Collected errors and row info carry source positions, which chunked
+    // workers lose, and a match limit under where spans the whole file, not one chunk
+    if (!useWorkers
+      || syncOptions.onError === 'collect'
+      || syncOptions.columnMismatch === 'collect'
+      || syncOptions.includeRowInfo
+      || (syncOptions.where && syncOptions.maxRows)) {
+      return csvToJson(csv, syncOptions as CsvToJsonOptions);
     }
     // Static import: rollup bundles parallelize into the CJS output. Costs
     // ~3 KB gzipped even when `useWorkers: false`, but tree-shaking from
@@ -1138,7 +1593,7 @@ export async function csvToJsonAsync(
       syncOptions as Record<string, unknown>,
       { concurrency: workerCount ?? 0 },
        
-      (input, opts) => csvToJson(input, opts as any)
+      (input, opts) => csvToJson(input, opts as CsvToJsonOptions)
     );
   }, 'PARSING_ERROR', { function: 'csvToJsonAsync' });
 }
@@ -1153,7 +1608,7 @@ export function* csvToJsonIterator(
   // Validate input
   validateCsvInput(csv, options);
   
-  const opts = options && typeof options === 'object' ? options : {};
+  const opts = options && typeof options === 'object' ? applyReadDialect(options) : {};
   
   const {
     delimiter,
@@ -1173,13 +1628,45 @@ export function* csvToJsonIterator(
     cache,
     onError = 'throw',
     errorHandler,
-    repairRowShifts = true,
+    repairRowShifts: repairRowShiftsOption = true,
     normalizeQuotes = true,
     memoryWarningThreshold = 1000000,
     memoryLimit = 5000000
   } = opts;
 
   const delimiterProvided = delimiter !== undefined && delimiter !== null;
+  const quoteOptions = resolveQuoteOptions(opts);
+  let lineFilterOptions = resolveLineFilterOptions(opts);
+  const headerOptions = resolveHeaderOptions(opts);
+  const metadata = opts.metadata && typeof opts.metadata === 'object' ? opts.metadata : null;
+  const numberLocale = resolveNumberLocale(opts.numberLocale);
+  const unescapeTriggers = resolveUnescapeInjection(opts);
+  const parseRowDates = createRowDateParser(opts.parseDates);
+  if (parseRowDates && fastPathMode === 'compact') {
+    throw new ConfigurationError('parseDates requires object rows and is not available with fastPathMode "compact"');
+  }
+  const columnMismatch = resolveColumnMismatch(opts.columnMismatch);
+  if (columnMismatch && fastPathMode === 'compact') {
+    throw new ConfigurationError('columnMismatch requires object rows and is not available with fastPathMode "compact"');
+  }
+  if (onError === 'collect' || columnMismatch === 'collect') {
+    throw new ConfigurationError('"collect" is not available for iterators; use errorHandler instead');
+  }
+  const unflattenRow = createUnflattener(opts.unflatten, opts.unflattenSeparator);
+  if (unflattenRow && fastPathMode === 'compact') {
+    throw new ConfigurationError('unflatten requires object rows and is not available with fastPathMode "compact"');
+  }
+  const columnSelector = resolveColumnSelector(opts.columns);
+  const where = resolveWhere(opts.where);
+  const includeRowInfo = opts.includeRowInfo === true;
+  const lineEnding = resolveInputLineEnding(opts.lineEnding);
+  if (includeRowInfo && fastPathMode === 'compact') {
+    throw new ConfigurationError('includeRowInfo requires object rows and is not available with fastPathMode "compact"');
+  }
+  const repairRowShifts = repairRowShiftsOption && !columnMismatch && !columnSelector && !where && !includeRowInfo;
+  const missingValues = resolveMissingValueOptions(opts);
+  const omitEmptyCells = missingValues?.emptyAs === 'omit';
+  const nullTokens = missingValues && missingValues.nullValues.size > 0 ? missingValues.nullValues : null;
   const transformHooks = hooks?.transformHooks instanceof TransformHooks
     ? hooks.transformHooks
     : null;
@@ -1191,7 +1678,20 @@ export function* csvToJsonIterator(
   }
   
   // Normalize CSV input
-  const normalizedCsv = normalizeCsvInput(csv);
+  let normalizedCsv = normalizeLineBreaks(normalizeCsvInput(csv, { normalizeLineEndings: false }), lineEnding);
+  const sepDelimiter = opts.sepLine ? readSepLine(normalizedCsv) : null;
+  if (sepDelimiter !== null) {
+    lineFilterOptions = resolveLineFilterOptions({ ...opts, skipLines: (opts.skipLines ?? 0) + 1 });
+  }
+  let sourceLineNumbers: number[] | null = null;
+  if (lineFilterOptions) {
+    const filtered = filterCsvLines(normalizedCsv, lineFilterOptions, quoteOptions);
+    normalizedCsv = filtered.csv;
+    sourceLineNumbers = filtered.lineNumbers;
+    if (!normalizedCsv.trim()) {
+      return;
+    }
+  }
   let processedCsv = normalizedCsv;
   if (transformHooks) {
     processedCsv = transformHooks.applyBeforeConvert(processedCsv, hooksContext);
@@ -1200,8 +1700,10 @@ export function* csvToJsonIterator(
     processedCsv = hooks.beforeConvert(processedCsv, opts);
   }
   
-  // Determine delimiter
-  let finalDelimiter = delimiter;
+  // Determine delimiter; a sep= line overrides a dialect's, not the caller's
+  let finalDelimiter = resolveDelimiter(
+    sepDelimiter !== null && (options?.delimiter ?? null) === null ? sepDelimiter : delimiter
+  );
   if (!finalDelimiter && autoDetect) {
     const cacheToUse = cache instanceof DelimiterCache ? cache : globalDelimiterCache;
     finalDelimiter = autoDetectDelimiter(processedCsv, { candidates, useCache, cache: cacheToUse });
@@ -1210,17 +1712,35 @@ export function* csvToJsonIterator(
   if (!finalDelimiter) {
     finalDelimiter = ';'; // Default fallback
   }
-  if (!delimiterProvided && autoDetect) {
+  if (!delimiterProvided && sepDelimiter === null && autoDetect && typeof finalDelimiter === 'string') {
     const cacheToUse = cache instanceof DelimiterCache ? cache : globalDelimiterCache;
-    const refined = refineDelimiterFromHeaderLine(processedCsv, finalDelimiter, candidates) || finalDelimiter;
+    const refined = refineDelimiterFromHeaderLine(processedCsv, finalDelimiter, candidates);
     if (refined !== finalDelimiter && useCache && cacheToUse) {
       cacheToUse.set(processedCsv, candidates, refined);
     }
     finalDelimiter = refined;
   }
+  const unwrapCells = opts.unwrapFormulaText === true;
+  if (unwrapCells) {
+    processedCsv = quoteFormulaText(processedCsv, finalDelimiter, quoteOptions);
+  }
+
+  const planHeaders = (rawHeaders: string[], lineNumber: number | null): HeaderPlan => {
+    const plan = resolveHeaders(rawHeaders, renameMap, headerOptions, lineNumber);
+    if (metadata) {
+      metadata.headers = plan.headers;
+    }
+    return plan;
+  };
 
   const applyPerRowHooks = (row: AnyObject, index: number): AnyObject => {
-    let result: AnyObject = row;
+    let result: AnyObject = omitEmptyCells ? omitUndefinedValues(row) : row;
+    if (parseRowDates) {
+      result = parseRowDates(result);
+    }
+    if (unflattenRow) {
+      result = unflattenRow(result);
+    }
     if (transformHooks) {
       result = transformHooks.applyPerRow(result, index, hooksContext) as AnyObject;
     }
@@ -1238,20 +1758,33 @@ export function* csvToJsonIterator(
     if (trim && typeof normalized === 'string') {
       normalized = normalized.trim();
     }
+    if (missingValues) {
+      const missing = resolveMissingValue(normalized, missingValues);
+      if (missing !== NOT_MISSING) {
+        return missing;
+      }
+    }
     if (typeof normalized === 'string') {
       if (normalized === '') {
         return null;
       }
-      if (normalized[0] === "'" && normalized.length > 1) {
-        const candidate = normalized.slice(1);
-        const leading = trim ? candidate.trimStart() : candidate;
-        const firstChar = leading[0];
-        if (firstChar === '=' || firstChar === '+' || firstChar === '-' || firstChar === '@') {
-          normalized = candidate;
+      // Unwrapped before unescaping, so an escaped '="x" stays literal text
+      if (unwrapCells) {
+        const text = unwrapFormulaText(normalized);
+        if (text !== normalized) {
+          return text;
         }
       }
+      if (unescapeTriggers) {
+        normalized = unescapeInjection(normalized, unescapeTriggers);
+      }
     }
-    if (parseNumbers && typeof normalized === 'string') {
+    if (numberLocale && typeof normalized === 'string') {
+      const localeNumber = parseLocaleNumber(normalized, numberLocale);
+      if (localeNumber !== null) {
+        normalized = localeNumber;
+      }
+    } else if (parseNumbers && typeof normalized === 'string') {
       const firstChar = normalized[0];
       if ((firstChar >= '0' && firstChar <= '9') || firstChar === '-' || firstChar === '+' || firstChar === '.') {
         const numValue = Number(normalized);
@@ -1306,15 +1839,46 @@ export function* csvToJsonIterator(
   const shouldWarnLargeMemory = memoryWarningThreshold && process.env['NODE_ENV'] !== 'test';
   let warnedLargeMemory = false;
 
-  if (globalFastPathEngine && typeof (globalFastPathEngine as any).iterateRows === 'function') {
-    const iterateOptions: any = { delimiter: finalDelimiter };
+  // Mismatch policies, row info and null tokens need the raw line and its position, which only the line parser keeps
+  if (!columnMismatch && !includeRowInfo && !nullTokens && globalFastPathEngine && typeof (globalFastPathEngine as any).iterateRows === 'function') {
+    const iterateOptions: any = {
+      delimiter: finalDelimiter,
+      quote: quoteOptions.quote,
+      escape: quoteOptions.escape,
+      allowSingleQuotes: quoteOptions.allowSingleQuotes
+    };
     if (!useFastPath) {
       iterateOptions.forceEngine = 'STANDARD';
     }
 
-    const rowIterator = (globalFastPathEngine as any).iterateRows(processedCsv, iterateOptions);
+    const sourceHeaderNames = (firstRow: AnyArray): string[] => (hasHeaders
+      ? firstRow.map((header) => (trim ? String(header).trim() : String(header)))
+      : firstRow.map((_, index) => `column${index + 1}`));
+    // Set once the first row is seen. Rows from the engine arrive projected,
+    // widened by the fields a declarative filter reads; `cut` then takes the
+    // selected fields out of each row
+    let projection: number[] | null = null;
+    let rowFilter = null as RowFilter | null;
+    let cut = null as number[] | null;
+    const projectedByEngine = Boolean(columnSelector)
+      && typeof where !== 'function'
+      && typeof (globalFastPathEngine as any).iterateProjectedRows === 'function';
+    const rowIterator = projectedByEngine
+      ? (globalFastPathEngine as any).iterateProjectedRows(processedCsv, iterateOptions, (firstRow: string[]) => {
+        const names = sourceHeaderNames(firstRow);
+        projection = projectColumns(columnSelector!, names);
+        if (!where) {
+          return projection;
+        }
+        const widened = widenProjection(projection, compileRowFilter(where, names, trim));
+        rowFilter = widened.filter;
+        cut = projection.map((_, index) => index);
+        return widened.projection;
+      })
+      : (globalFastPathEngine as any).iterateRows(processedCsv, iterateOptions);
     let headers: string[] = [];
     let finalHeaders: string[] = [];
+    let headerPlan: HeaderPlan | null = null;
     let headersProcessed = false;
     let pendingRow: AnyObject | null = null;
 
@@ -1325,15 +1889,35 @@ export function* csvToJsonIterator(
         }
 
         if (!headersProcessed) {
+          if (!projectedByEngine) {
+            const names = sourceHeaderNames(row);
+            projection = columnSelector ? projectColumns(columnSelector, names) : null;
+            cut = projection;
+            rowFilter = where ? compileRowFilter(where, names, trim) : null;
+          }
           if (hasHeaders) {
-            headers = row.map((header) => (trim ? String(header).trim() : String(header)));
+            headers = sourceHeaderNames(cut ? projectRow(row, cut) : row);
             headersProcessed = true;
-            finalHeaders = headers.map((header) => renameMap[header] || header);
+            headerPlan = planHeaders(headers, firstNonEmptyLineNumber(processedCsv, sourceLineNumbers));
+            finalHeaders = headerPlan.keys;
             continue;
           } else {
-            headers = row.map((_, index) => `column${index + 1}`);
+            headers = projection
+              ? (projection as number[]).map((index) => `column${index + 1}`)
+              : sourceHeaderNames(row);
             headersProcessed = true;
-            finalHeaders = headers.map((header) => renameMap[header] || header);
+            headerPlan = planHeaders(headers, null);
+            finalHeaders = headerPlan.keys;
+          }
+        }
+
+        if (rowFilter) {
+          // maxRows counts matches under where, so the scan ends once it is reached
+          if (maxRows && rowCount >= maxRows) {
+            break;
+          }
+          if (!rowFilter.test(row)) {
+            continue;
           }
         }
 
@@ -1363,7 +1947,7 @@ export function* csvToJsonIterator(
           );
         }
 
-        let values = row;
+        let values = cut ? projectRow(row, cut) : row;
         if (values.length !== headers.length) {
           if (values.length > headers.length) {
             if (process.env['NODE_ENV'] === 'development') {
@@ -1387,7 +1971,7 @@ export function* csvToJsonIterator(
 
         const rowObj: AnyObject = {};
         for (let j = 0; j < finalHeaders.length; j++) {
-          rowObj[finalHeaders[j]] = normalizeValue(values[j]);
+          headerPlan!.assign(rowObj, finalHeaders[j], normalizeValue(values[j]));
         }
 
         if (repairRowShifts) {
@@ -1396,7 +1980,7 @@ export function* csvToJsonIterator(
             continue;
           }
 
-          const repairedRows = repairShiftedRows([pendingRow, rowObj], finalHeaders, { normalizeQuotes });
+          const repairedRows = repairShiftedRows([pendingRow, rowObj], headerPlan!.headers, { normalizeQuotes });
           if (repairedRows.length === 1) {
             assertRowLimit();
             yield applyPerRowHooks(repairedRows[0], rowCount);
@@ -1410,7 +1994,7 @@ export function* csvToJsonIterator(
           rowCount++;
           pendingRow = repairedRows[1] as AnyObject;
         } else {
-          const normalizedRow = normalizeQuotes ? normalizeRowQuotes(rowObj, finalHeaders) : rowObj;
+          const normalizedRow = normalizeQuotes ? normalizeRowQuotes(rowObj, headerPlan!.headers) : rowObj;
           assertRowLimit();
           yield applyPerRowHooks(normalizedRow, rowCount);
           rowCount++;
@@ -1418,13 +2002,16 @@ export function* csvToJsonIterator(
       }
     } catch (error: any) {
       if (error && error.code === 'FAST_PATH_UNCLOSED_QUOTES') {
-        throw ParsingError.unclosedQuotes(error.lineNumber ?? null);
+        const lineNumber = error.lineNumber ?? null;
+        throw ParsingError.unclosedQuotes(
+          lineNumber !== null && sourceLineNumbers ? sourceLineNumbers[lineNumber - 1] ?? lineNumber : lineNumber
+        );
       }
       throw error;
     }
 
-    if (pendingRow) {
-      const flushedRows = repairShiftedRows([pendingRow], finalHeaders, { normalizeQuotes });
+    if (pendingRow && headerPlan) {
+      const flushedRows = repairShiftedRows([pendingRow], headerPlan.headers, { normalizeQuotes });
       for (const row of flushedRows) {
         assertRowLimit();
         yield applyPerRowHooks(row as AnyObject, rowCount);
@@ -1436,8 +2023,10 @@ export function* csvToJsonIterator(
     return;
   }
 
-  // Split into lines
-  const lines = processedCsv.split('\n').filter(line => line.trim().length > 0);
+  // Split into records, which may span lines, with their positions under includeRowInfo
+  const { lines, lineNumbers, rowInfo } = includeRowInfo
+    ? locateRecords(processedCsv, csv, sourceLineNumbers, finalDelimiter, quoteOptions, lineEnding)
+    : { ...splitRecords(processedCsv, sourceLineNumbers, finalDelimiter, quoteOptions), rowInfo: null };
   
   if (lines.length === 0) {
     return;
@@ -1446,27 +2035,42 @@ export function* csvToJsonIterator(
   // Parse headers
   let headers: string[] = [];
   let dataRows = lines;
+  let dataLineNumbers = lineNumbers;
+  let dataRowInfo = rowInfo;
   
   if (hasHeaders) {
     const headerLine = lines[0];
-    headers = parseCsvLine(headerLine, finalDelimiter, trim, 1);
+    headers = parseCsvLine(headerLine, finalDelimiter, trim, lineNumbers[0], quoteOptions);
     dataRows = lines.slice(1);
+    dataLineNumbers = lineNumbers.slice(1);
+    dataRowInfo = rowInfo && rowInfo.slice(1);
   } else {
     // Generate default headers
-    const firstRow = parseCsvLine(lines[0], finalDelimiter, trim, 1);
+    const firstRow = parseCsvLine(lines[0], finalDelimiter, trim, lineNumbers[0], quoteOptions);
     headers = firstRow.map((_, index) => `column${index + 1}`);
   }
+
+  const sourceWidth = headers.length;
+  const rowFilter = where ? compileRowFilter(where, headers, trim) : null;
+  const projection = columnSelector ? projectColumns(columnSelector, headers) : null;
+  if (projection) {
+    headers = projectRow(headers, projection);
+  }
   
-  // Apply rename map to headers
-  const finalHeaders = headers.map(header => renameMap[header] || header);
+  // Apply rename map and duplicate/empty header rules
+  const headerPlan = planHeaders(headers, hasHeaders ? lineNumbers[0] : null);
+  const finalHeaders = headerPlan.keys;
   
   // Yield rows one by one
   // rowCount уже объявлен выше
   let pendingRow: AnyObject | null = null;
 
   for (let i = 0; i < dataRows.length; i++) {
-    // Check maxRows limit
+    // Check maxRows limit; under where it counts matches and ends the scan
     if (maxRows && rowCount >= maxRows) {
+      if (rowFilter) {
+        break;
+      }
       throw new LimitError(
         `CSV size exceeds maximum limit of ${maxRows} rows`,
         maxRows,
@@ -1475,7 +2079,7 @@ export function* csvToJsonIterator(
     }
 
     const line = dataRows[i];
-    const lineNumber = hasHeaders ? i + 2 : i + 1;
+    const lineNumber = dataLineNumbers[i];
     if (Number.isFinite(memoryLimit) && rowCount + 1 > memoryLimit) {
       throw new LimitError(
         `CSV size exceeds memory safety limit of ${memoryLimit} rows`,
@@ -1493,22 +2097,33 @@ export function* csvToJsonIterator(
       );
     }
     try {
-      let values = parseCsvLine(line, finalDelimiter, trim, lineNumber);
+      let values = parseCsvLine(line, finalDelimiter, trim, lineNumber, quoteOptions, nullTokens);
+      let extra: Array<string | null> | null = null;
       
       // Handle field count mismatch
-        if (values.length !== finalHeaders.length) {
-          if (values.length > finalHeaders.length) {
+        if (columnMismatch) {
+          const fitted = fitRowToHeaders(values, sourceWidth, columnMismatch, lineNumber, line);
+          values = fitted.values as string[];
+          extra = fitted.extra;
+        } else if (values.length !== sourceWidth) {
+          if (values.length > sourceWidth) {
             if (process.env['NODE_ENV'] === 'development') {
-              const extraCount = values.length - finalHeaders.length;
+              const extraCount = values.length - sourceWidth;
               console.warn(`[jtcsv] Line ${lineNumber}: ${extraCount} extra fields ignored`);
             }
-            values = values.slice(0, finalHeaders.length);
+            values = values.slice(0, sourceWidth);
           } else {
-            while (values.length < finalHeaders.length) {
+            while (values.length < sourceWidth) {
               values.push(undefined as any);
             }
           }
         }
+      if (rowFilter && !rowFilter.test(values)) {
+        continue;
+      }
+      if (projection) {
+        values = projectRow(values, projection);
+      }
       
       if (fastPathMode === 'compact') {
         yield values.map((value) => normalizeValue(value));
@@ -1520,7 +2135,13 @@ export function* csvToJsonIterator(
       const row: AnyObject = {};
       for (let j = 0; j < finalHeaders.length; j++) {
         const value = normalizeValue(values[j]);
-        row[finalHeaders[j]] = value;
+        headerPlan.assign(row, finalHeaders[j], value);
+      }
+      if (extra) {
+        row[EXTRA_FIELDS_KEY] = extra;
+      }
+      if (dataRowInfo) {
+        row[ROW_INFO_KEY] = dataRowInfo[i];
       }
 
       if (repairRowShifts) {
@@ -1529,7 +2150,7 @@ export function* csvToJsonIterator(
           continue;
         }
 
-        const repairedRows = repairShiftedRows([pendingRow, row], finalHeaders, { normalizeQuotes });
+        const repairedRows = repairShiftedRows([pendingRow, row], headerPlan.headers, { normalizeQuotes });
         if (repairedRows.length === 1) {
           assertRowLimit();
           yield applyPerRowHooks(repairedRows[0], rowCount);
@@ -1543,7 +2164,7 @@ export function* csvToJsonIterator(
         rowCount++;
         pendingRow = repairedRows[1] as AnyObject;
       } else {
-        const normalizedRow = normalizeQuotes ? normalizeRowQuotes(row, finalHeaders) : row;
+        const normalizedRow = normalizeQuotes ? normalizeRowQuotes(row, headerPlan.headers) : row;
         assertRowLimit();
         yield applyPerRowHooks(normalizedRow, rowCount);
         rowCount++;
@@ -1556,7 +2177,7 @@ export function* csvToJsonIterator(
   }
 
   if (pendingRow) {
-    const flushedRows = repairShiftedRows([pendingRow], finalHeaders, { normalizeQuotes });
+    const flushedRows = repairShiftedRows([pendingRow], headerPlan.headers, { normalizeQuotes });
     for (const row of flushedRows) {
       assertRowLimit();
       yield applyPerRowHooks(row as AnyObject, rowCount);
@@ -1602,10 +2223,22 @@ function validateCsvFilePath(filePath: string): string {
 /**
  * Reads CSV file and converts to JSON (synchronous)
  */
+export async function readCsvAsJson(
+  _filePath: string,
+  _options: CsvToJsonOptions & { validatePath?: boolean; range?: CsvRange } & CsvCollectOptions
+): Promise<CsvCollectResult>;
+export async function readCsvAsJson(
+  _filePath: string,
+  _options?: CsvToJsonOptions & { validatePath?: boolean; range?: CsvRange }
+): Promise<AnyArray>;
 export async function readCsvAsJson(
   filePath: string,
-  options: CsvToJsonOptions & { validatePath?: boolean } = {}
-): Promise<AnyArray> {
+  options: CsvToJsonOptions & { validatePath?: boolean; range?: CsvRange } = {}
+): Promise<AnyArray | CsvCollectResult> {
+  if (options.range !== undefined) {
+    const { range, ...rest } = options;
+    return readCsvRange(filePath, { ...rest, ...range });
+  }
   return safeExecuteAsync(async () => {
     const { validatePath = true, ...csvOptions } = options;
     // eslint-disable-next-line @typescript-eslint/no-require-imports
@@ -1619,7 +2252,7 @@ export async function readCsvAsJson(
       const csvContent = await fs.promises.readFile(safePath, 'utf8');
       
       // Parse CSV with hooks and caching
-      return csvToJson(csvContent, csvOptions);
+      return csvToJson(csvContent, csvOptions as CsvToJsonOptions);
     } catch (error: any) {
       // Re-throw parsing errors as-is
       if (error instanceof ParsingError || error instanceof ValidationError || error instanceof LimitError) {
@@ -1649,10 +2282,18 @@ export async function readCsvAsJson(
  * @param options - Configuration options (same as csvToJson)
  * @returns JSON array
  */
+export function readCsvAsJsonSync(
+  _filePath: string,
+  _options: CsvToJsonOptions & { validatePath?: boolean } & CsvCollectOptions
+): CsvCollectResult;
+export function readCsvAsJsonSync(
+  _filePath: string,
+  _options?: CsvToJsonOptions & { validatePath?: boolean }
+): AnyArray;
 export function readCsvAsJsonSync(
   filePath: string,
   options: CsvToJsonOptions & { validatePath?: boolean } = {}
-): AnyArray {
+): AnyArray | CsvCollectResult {
   // eslint-disable-next-line @typescript-eslint/no-require-imports
   const fs = require('fs');
   
@@ -1665,7 +2306,7 @@ export function readCsvAsJsonSync(
     const csvContent = fs.readFileSync(safePath, 'utf8');
     
     // Parse CSV with hooks and caching
-    return csvToJson(csvContent, csvOptions);
+    return csvToJson(csvContent, csvOptions as CsvToJsonOptions);
   } catch (error: any) {
     // Re-throw parsing errors as-is
     if (error instanceof ParsingError || error instanceof ValidationError || error instanceof LimitError) {
@@ -1687,6 +2328,95 @@ export function readCsvAsJsonSync(
   }
 }
 
+/**
+ * Builds a row index of a CSV file and saves it next to the file as
+ * `<file>.idx`. The index holds the byte offset of every `every`th data
+ * record, so `readCsvRange` can start near any row instead of scanning
+ * from the top. Line breaks inside quoted fields do not end a record.
+ *
+ * @example
+ * await buildCsvIndex('events.csv', { every: 5000 });
+ * const page = await readCsvRange('events.csv', { from: 250000, to: 250100 });
+ */
+export async function buildCsvIndex(filePath: string, options: BuildCsvIndexOptions = {}): Promise<CsvIndex> {
+  const {
+    every = 1000,
+    hasHeaders = true,
+    quote = '"',
+    indexPath = csvIndexPath(filePath),
+    validatePath = true
+  } = options;
+  if (typeof hasHeaders !== 'boolean') {
+    throw new ConfigurationError('hasHeaders must be a boolean');
+  }
+  if (indexPath !== false && (typeof indexPath !== 'string' || indexPath.trim() === '')) {
+    throw new ConfigurationError('indexPath must be a non-empty string or false');
+  }
+  const safePath = validatePath ? validateCsvFilePath(filePath) : filePath;
+  const index = await indexCsvFile(safePath, { every, hasHeaders, quote });
+  if (indexPath !== false) {
+    await saveCsvIndex(index, indexPath);
+  }
+  return index;
+}
+
+/**
+ * Reads data rows `from` (inclusive) to `to` (exclusive), 0-based, and
+ * parses them with the header. With an index the read starts at the
+ * nearest checkpoint; the `<file>.idx` sidecar is used when it exists and
+ * is current. Without one the file is scanned from the start.
+ *
+ * @throws {ValidationError} If a given index is stale or invalid
+ */
+export async function readCsvRange(
+  _filePath: string,
+  _options: ReadCsvRangeOptions & CsvCollectOptions
+): Promise<CsvCollectResult>;
+export async function readCsvRange(
+  _filePath: string,
+  _options?: ReadCsvRangeOptions
+): Promise<AnyArray>;
+export async function readCsvRange(
+  filePath: string,
+  options: ReadCsvRangeOptions = {}
+): Promise<AnyArray | CsvCollectResult> {
+  const { from = 0, to = Infinity, index: indexOption, validatePath = true, ...csvOptions } = options;
+  if (!Number.isInteger(from) || from < 0) {
+    throw new ConfigurationError('from must be a non-negative integer');
+  }
+  if (to !== Infinity && (!Number.isInteger(to) || to < 0)) {
+    throw new ConfigurationError('to must be a non-negative integer');
+  }
+  if (csvOptions.skipLines || csvOptions.comment || csvOptions.includeRowInfo) {
+    throw new ConfigurationError('skipLines, comment and includeRowInfo are not available with readCsvRange');
+  }
+  const safePath = validatePath ? validateCsvFilePath(filePath) : filePath;
+
+  let index: CsvIndex | null = null;
+  if (indexOption === undefined) {
+    const sidecar = await loadCsvIndex(csvIndexPath(safePath));
+    index = sidecar && await isCsvIndexCurrent(sidecar, safePath) ? sidecar : null;
+  } else if (indexOption !== false) {
+    index = typeof indexOption === 'string' ? await loadCsvIndex(indexOption) : indexOption;
+    if (!index) {
+      throw new ValidationError(`CSV index not found: ${indexOption}`);
+    }
+    if (!await isCsvIndexCurrent(index, safePath)) {
+      throw new ValidationError(`CSV index is out of date for ${safePath}; rebuild it with buildCsvIndex`);
+    }
+  }
+
+  const hasHeaders = index ? index.hasHeaders : csvOptions.hasHeaders !== false;
+  const window = to > from
+    ? await readCsvRecords(safePath, from, to, index, { hasHeaders, quote: csvOptions.quote ?? '"' })
+    : null;
+  if (!window || window.count === 0) {
+    return csvToJson(window?.header ?? '', { ...csvOptions, hasHeaders });
+  }
+  const csv = window.header !== null ? `${window.header}\n${window.text}` : window.text;
+  return csvToJson(csv, { ...csvOptions, hasHeaders });
+}
+
 /**
  * Creates a new TransformHooks instance
  * @returns New TransformHooks instance
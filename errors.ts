@@ -195,8 +195,9 @@ export class ParsingError extends JtcsvError {
     rowContent: string | null = null
   ): ParsingError {
     const hint = actualCount < expectedCount
-      ? 'try `repairRowShifts: true` to auto-fill missing trailing cells, or quote any cell value that contains the delimiter'
-      : 'the row has more fields than the header — check for an unquoted delimiter inside a cell value';
+      ? 'try `repairRowShifts: true` or `columnMismatch: \'pad\'` to fill missing trailing cells, or quote any cell value that contains the delimiter'
+      : 'the row has more fields than the header — check for an unquoted delimiter inside a cell value, '
+        + 'or keep the overflow with `columnMismatch: \'extraAsArray\'`';
     return new ParsingError(
       'Field count mismatch',
       lineNumber,
@@ -208,6 +209,30 @@ export class ParsingError extends JtcsvError {
     );
   }
 
+  /**
+   * Create a ParsingError for a header name that occurs more than once
+   * (raised with `duplicateHeaders: 'error'`).
+   */
+  static duplicateHeader(
+    name: string,
+    lineNumber: number | null = null,
+    column: number | null = null
+  ): ParsingError {
+    return new ParsingError(
+      `Duplicate header "${name}"`,
+      lineNumber,
+      column,
+      null,
+      null,
+      null,
+      {
+        hint:
+          'rename the column in the source, map it with `renameMap`, or pick another '
+          + '`duplicateHeaders` mode (`suffix`, `array`, `first`, `last`)'
+      }
+    );
+  }
+
   /**
    * Create a ParsingError for unclosed quotes.
    */
@@ -249,7 +274,8 @@ export class ParsingError extends JtcsvError {
       null,
       {
         hint:
-          'delimiter must be a single character. Common choices: `,` `;` `\\t` `|`. '
+          'delimiter must be a non-empty string without line breaks (or a RegExp when parsing). '
+          + 'Common choices: `,` `;` `\\t` `|`. '
           + 'For auto-detection, omit the option or set `autoDetect: true`.'
       }
     );
@@ -1,821 +1,1373 @@
 import { Readable, Writable, Transform } from 'stream';
 
-  // JSON to CSV interfaces
-  export interface JsonToCsvOptions {
-    /** CSV delimiter (default: ';') */
-    delimiter?: string;
-    /** Include headers row (default: true) */
-    includeHeaders?: boolean;
-    /** Rename column headers { oldKey: newKey } */
-    renameMap?: Record<string, string>;
-    /** Template for guaranteed column order */
-    template?: Record<string, any>;
-    /** Maximum number of records to process (optional, no limit by default) */
-    maxRecords?: number;
-  /** Prevent CSV injection attacks by escaping formulas (default: true) */
-  preventCsvInjection?: boolean;
-  /** Ensure RFC 4180 compliance (proper quoting, line endings) (default: true) */
-  rfc4180Compliant?: boolean;
-  /** Normalize excessive quotes in JSON string values before CSV export (default: true) */
+/** Number format of a locale, e.g. `{ decimal: ',', group: '.' }` for `1.234,56` */
+export interface NumberLocaleOptions {
+  /** Decimal separator (default: '.') */
+  decimal?: string;
+  /** Grouping (thousands) separator; unset means grouped numbers are not recognised */
+  group?: string | null;
+  /** Currency symbols or codes stripped before parsing, e.g. ['€', 'EUR'] */
+  currency?: string | string[];
+  /** `'ratio'` reads `12,5%` as 0.125, `'number'` as 12.5; off by default */
+  percent?: 'ratio' | 'number' | false;
+}
+
+/** `'ISO'`, `'epoch-s'`, `'epoch-ms'` or a token pattern such as `'DD.MM.YYYY HH:mm'` */
+export type DatePattern = string;
+
+export interface DateParseOptions {
+  /** Patterns per column; when set, only these columns are parsed */
+  columns?: Record<string, DatePattern | DatePattern[]>;
+  /** Patterns tried on every column when `columns` is not set (default: 'ISO') */
+  formats?: DatePattern | DatePattern[];
+  /** Zone for values without an offset: 'UTC', 'local', '+02:00' or an IANA name (default: 'UTC') */
+  timeZone?: string;
+}
+
+export interface DateFormatOptions {
+  /** Output pattern (default: 'ISO') */
+  format?: DatePattern;
+  /** Zone the output is written in (default: 'UTC') */
+  timeZone?: string;
+}
+
+/** A cell value a declarative `where` condition compares against */
+export type WhereOperand = string | number | boolean | null;
+
+/** Operators of one `where` condition; all of them must hold */
+export interface WhereOperators {
+  eq?: WhereOperand;
+  ne?: WhereOperand;
+  /** Numbers compare `Number(cell)`, strings compare text */
+  gt?: number | string;
+  gte?: number | string;
+  lt?: number | string;
+  lte?: number | string;
+  in?: WhereOperand[];
+  notIn?: WhereOperand[];
+  contains?: string;
+  startsWith?: string;
+  endsWith?: string;
+  matches?: RegExp;
+  /** true keeps empty and missing cells, false drops them */
+  empty?: boolean;
+}
+
+/** A bare value means `eq`, an array means `in` */
+export type WhereCondition = WhereOperand | WhereOperand[] | WhereOperators;
+
+/** Row predicate over raw cells; `field` reads by header name or 0-based index */
+export type WherePredicate = (
+  field: (column: string | number) => string | undefined,
+  values: ReadonlyArray<string | null | undefined>
+) => boolean;
+
+/** Conditions keyed by header name, or a predicate */
+export type WhereOption = Record<string, WhereCondition> | WherePredicate;
+
+/** One property found by `sniffDialect`, with how sure it is from 0 to 1 */
+export interface SniffedValue<T> {
+  value: T;
+  confidence: number;
+}
+
+/** What `sniffDialect` found out about a CSV sample */
+export interface CsvDialect {
+  delimiter: SniffedValue<string>;
+  quote: SniffedValue<string>;
+  /** `'doubled'` for `""` inside quotes (RFC 4180), `'backslash'` for `\"` */
+  escape: SniffedValue<'doubled' | 'backslash'>;
+  lineEnding: SniffedValue<'\n' | '\r\n' | '\r'>;
+  hasHeader: SniffedValue<boolean>;
+  /** Encoding of a Buffer sample; null for a string, which is already decoded */
+  encoding: SniffedValue<string | null> & { bom: boolean };
+  /** Probable type of each column, named from the header row when there is one */
+  columns: Array<{ name: string; type: 'integer' | 'float' | 'boolean' | 'date' | 'string' | 'null' | 'array'; confidence: number }>;
+}
+
+export interface SniffDialectOptions {
+  /** Candidate delimiters; may be multi-character (default: [';', ',', '\t', '|']) */
+  candidates?: string[];
+  /** Records inspected for the header and column types (default: 50) */
+  sampleRows?: number;
+  /** Cache string samples' dialects (default: true) */
+  useCache?: boolean;
+  /** DelimiterCache to use instead of the shared one */
+  cache?: unknown;
+}
+
+/** Row index of a CSV file, saved as `<file>.idx` by `buildCsvIndex` */
+export interface CsvIndex {
+  version: number;
+  /** Size and modification time of the indexed file; the index is stale when they change */
+  size: number;
+  mtimeMs: number;
+  /** Data records between checkpoints */
+  every: number;
+  hasHeaders: boolean;
+  quote: string;
+  /** Byte range of the header record, or null without headers */
+  header: { offset: number; length: number } | null;
+  /** Number of data records */
+  rows: number;
+  /** Byte offset of data records 0, every, 2 * every, … */
+  offsets: number[];
+}
+
+export interface BuildCsvIndexOptions {
+  /** Record a checkpoint every this many data records (default: 1000) */
+  every?: number;
+  /** First record is a header (default: true) */
+  hasHeaders?: boolean;
+  /** Quote character; line breaks inside quotes do not end a record (default: '"') */
+  quote?: string;
+  /** Where to save the index (default: `<file>.idx`); false keeps it in memory only */
+  indexPath?: string | false;
+  /** Check the file path like readCsvAsJson (default: true) */
+  validatePath?: boolean;
+}
+
+/** Data rows to read: `from` inclusive, `to` exclusive, both 0-based */
+export interface CsvRange {
+  from?: number;
+  to?: number;
+  /** An index, the path of an index file, or false to scan from the start (default: the `<file>.idx` sidecar, when current) */
+  index?: CsvIndex | string | false;
+}
+
+export type ReadCsvRangeOptions = CsvToJsonOptions & CsvRange & { validatePath?: boolean };
+
+// JSON to CSV interfaces
+/** Line break CSV output uses; 'auto' keeps the writer's default */
+export type LineEnding = '\r\n' | '\n' | 'auto';
+
+/** Line break of CSV input; 'auto' reads CRLF, LF and bare CR */
+export type InputLineEnding = '\r\n' | '\n' | '\r' | 'auto';
+
+/** What the writers do with cells a spreadsheet could run as formulas */
+export type InjectionPolicy = 'escape' | 'strip' | 'reject' | 'allow';
+
+/** Named CSV dialect: a preset of delimiter, line breaks, BOM and Excel protections */
+export type CsvDialectName = 'excel' | 'excel-eu' | 'google-sheets' | 'rfc4180' | 'unix';
+
+/** When CSV output quotes a field */
+export type CsvQuoting = 'minimal' | 'all' | 'nonnumeric' | 'strings' | 'none';
+
+/** Built-in formatters a column can name; `date:PATTERN` formats with a date pattern */
+export type ColumnFormatterName =
+  | 'string' | 'trim' | 'upper' | 'lower'
+  | 'number' | 'integer' | 'boolean' | 'json'
+  | 'date' | `date:${string}`;
+
+/** One output column of `columns` */
+export interface JsonToCsvColumn {
+  /** Key of the row, or a dot path / JSONPath into nested data, e.g. 'customer.name', '$.items[0].sku' */
+  key: string;
+  /** Header label (default: key) */
+  header?: string;
+  /** Value written when the key is missing or null */
+  default?: unknown;
+  /** Formatter function, or the name of a built-in formatter */
+  format?: ColumnFormatterName | ((value: unknown, row: Record<string, unknown>) => unknown);
+  /** Leave the column out when it is empty in every row (default: false) */
+  omitIfEmpty?: boolean;
+}
+
+export interface JsonToCsvOptions {
+  /** Preset for a consumer; explicit options win (see `CsvDialectName`) */
+  dialect?: CsvDialectName;
+  /** CSV delimiter, one or more characters (default: ';') */
+  delimiter?: string;
+  /** Include headers row (default: true) */
+  includeHeaders?: boolean;
+  /** Rename column headers { oldKey: newKey } */
+  renameMap?: Record<string, string>;
+  /** Template for guaranteed column order */
+  template?: Record<string, any>;
+  /** Output columns: key or path, header, default, format and omitIfEmpty; replaces template and renameMap */
+  columns?: Array<string | JsonToCsvColumn>;
+  /** Maximum number of records to process (optional, no limit by default) */
+  maxRecords?: number;
+/** Prevent CSV injection attacks by escaping formulas (default: true) */
+preventCsvInjection?: boolean;
+/** What happens to potential formulas (default: 'escape', or 'allow' when preventCsvInjection is false) */
+injectionPolicy?: InjectionPolicy;
+/** Characters that start a formula (default: ['=', '+', '-', '@']) */
+injectionTriggers?: string[];
+/** Keys or headers of columns written as they are, formulas included */
+formulaColumns?: string[];
+/** Ensure RFC 4180 compliance (proper quoting, line endings) (default: true) */
+rfc4180Compliant?: boolean;
+/** When to quote fields: 'minimal' | 'all' | 'nonnumeric' | 'strings' | 'none' (default: 'minimal') */
+quoting?: CsvQuoting;
+/** Escape character for quoting 'none' (default: '\\') */
+escapeChar?: string;
+/** Line break between rows (default: 'auto' — '\r\n' when rfc4180Compliant, else '\n') */
+lineEnding?: LineEnding;
+/** End the output with a line break (default: false) */
+trailingNewline?: boolean;
+/** Start the output with a UTF-8 BOM (default: false) */
+addBOM?: boolean;
+/** Start the output with a `sep=` line naming the delimiter, for Excel (default: false) */
+sepLine?: boolean;
+/** Write digit strings Excel would mangle (`00123`, 16+ digits) as `="00123"` (default: false) */
+protectLeadingZeros?: boolean;
+/** Normalize excessive quotes in JSON string values before CSV export (default: true) */
+normalizeQuotes?: boolean;
+/** JSON schema for data validation and formatting */
+schema?: Record<string, any>;
+  /** Whether to flatten nested objects into dot notation keys */
+  flatten?: boolean;
+  /** Separator for flattened keys (e.g., 'user.name' with '.') */
+  flattenSeparator?: string;
+  /** Maximum depth for flattening nested objects */
+  flattenMaxDepth?: number;
+  /** How to handle arrays: 'expand' writes `tags[0]`, `items[0].sku`, … columns */
+  arrayHandling?: 'stringify' | 'join' | 'expand';
+  /** Elements per expanded array, for all keys or per key; required by the stream writer (default: longest array) */
+  maxArrayLength?: number | Record<string, number>;
+  /** Paths of arrays to explode into one row per element, parent fields repeated, e.g. ['items'] */
+  unwind?: string | string[];
+  /** How several unwind paths combine: every combination or element by element (default: 'cartesian') */
+  unwindMode?: 'cartesian' | 'zip';
+  /** Keep rows whose unwound arrays are empty or missing (default: false) */
+  unwindPreserveEmpty?: boolean;
+  /** Warn when record count exceeds this threshold (default: 1000000) */
+  memoryWarningThreshold?: number;
+  /** Safety limit for in-memory conversion (default: 5000000). Set to Infinity to disable. */
+  memoryLimit?: number;
+  /** Write numbers in this locale's format, e.g. `1.234,56` */
+  numberLocale?: NumberLocaleOptions;
+  /** How Date values are written (default: ISO 8601 in UTC) */
+  dateFormat?: DatePattern | DateFormatOptions;
+  /** Token written bare for null values; strings that spell it are quoted (default: '') */
+  nullAs?: string;
+  /** Token written bare for undefined values and missing keys; strings that spell it are quoted (default: '') */
+  undefinedAs?: string;
+}
+
+export interface SaveAsCsvOptions extends JsonToCsvOptions {
+  /** Validate file path security (default: true) */
+  validatePath?: boolean;
+}
+
+// CSV to JSON interfaces
+export interface CsvToJsonOptions {
+  /** Preset for the producer of the file; explicit options win (see `CsvDialectName`) */
+  dialect?: CsvDialectName;
+  /** CSV delimiter: one or more characters, or a RegExp such as `/\s{2,}/` (default: auto-detected) */
+  delimiter?: string | RegExp;
+  /** Auto-detect delimiter if not specified (default: true) */
+  autoDetect?: boolean;
+  /** Candidate delimiters for auto-detection; may be multi-character (default: [';', ',', '\t', '|']) */
+  candidates?: string[];
+  /** Line break of the input; 'auto' reads CRLF, LF and bare CR (default: 'auto') */
+  lineEnding?: InputLineEnding;
+  /** Remove the `'` jtcsv's injection escaping added, so values round-trip (default: true) */
+  unescapeInjection?: boolean;
+  /** Trigger characters the writer escaped (default: ['=', '+', '-', '@']) */
+  injectionTriggers?: string[];
+  /** Read a leading `sep=` line as the delimiter and skip it (default: false) */
+  sepLine?: boolean;
+  /** Turn `="..."` cells, as Excel exports protect text, back into the text (default: false) */
+  unwrapFormulaText?: boolean;
+  /** Whether CSV has headers row (default: true) */
+  hasHeaders?: boolean;
+  /** Map for renaming column headers { newKey: oldKey } */
+  renameMap?: Record<string, string>;
+  /** Trim whitespace from values (default: true) */
+  trim?: boolean;
+  /** Parse numeric values (default: false) */
+  parseNumbers?: boolean;
+  /** Parse boolean values (default: false) */
+  parseBooleans?: boolean;
+  /** Maximum number of rows to process (optional, no limit by default) */
+  maxRows?: number;
+  /** Enable fast-path parsing (default: true) */
+  useFastPath?: boolean;
+  /** Fast-path output mode (default: 'objects') */
+  fastPathMode?: 'objects' | 'compact' | 'stream';
+  /** Quote character (default: '"') */
+  quote?: string;
+  /** Escape character; null or false disables escaping (default: '\\') */
+  escape?: string | null | false;
+  /** Let `'` open a quoted field at the start of a cell (default: true for line parsers, false for fast-path) */
+  allowSingleQuotes?: boolean;
+  /** Prefix that marks a whole line as a comment, e.g. '#' (default: none) */
+  comment?: string | false;
+  /** Number of leading lines to skip before parsing (default: 0) */
+  skipLines?: number;
+  /** Skip lines until one matches; that line is parsed as the first row */
+  skipLinesUntil?: RegExp | ((line: string, lineNumber: number) => boolean);
+  /** Number of trailing non-empty lines to skip (default: 0) */
+  skipTrailingLines?: number;
+  /** How repeated header names are resolved (default: 'last') */
+  duplicateHeaders?: 'suffix' | 'array' | 'first' | 'last' | 'error';
+  /** Generates a name for a blank header cell from its 0-based column index */
+  emptyHeaderName?: (index: number) => string;
+  /** Object that receives parse metadata, e.g. the resolved `headers` list */
+  metadata?: Record<string, unknown>;
+  /** Infer one type per column from the first rows and coerce the whole column (default: false) */
+  inferTypes?: boolean | { sampleSize?: number };
+  /** Parse numbers written in this locale's format; implies number parsing */
+  numberLocale?: NumberLocaleOptions;
+  /** Convert date cells to Date objects; `true` parses ISO 8601 in every column (default: false) */
+  parseDates?: boolean | DateParseOptions;
+  /** Unquoted cells read as null, matched before escape processing, e.g. ['NULL', '\\N', 'N/A'] */
+  nullValues?: string[];
+  /** What empty cells become; 'omit' drops the key (default: null, or '' in the line-by-line fallback parser) */
+  emptyAs?: '' | null | 'omit';
+  /** Keep only these columns, in this order: header names, 0-based indexes, or a predicate (file order) */
+  columns?: Array<string | number> | ((header: string, index: number) => boolean);
+  /** Keep only rows matching these conditions on raw cells, or this predicate; `maxRows` then counts matches */
+  where?: WhereOption;
+  /** Rebuild nested objects from headers like 'user.address.city' and 'items[0].sku' (default: false) */
+  unflatten?: boolean;
+  /** Separator between path segments for `unflatten` (default: '.') */
+  unflattenSeparator?: string;
+  /** Attach each row's source position as `_rowInfo`; uses the line parser (default: false) */
+  includeRowInfo?: boolean;
+  /** Error recovery strategy for row-level errors; 'collect' returns `{ data, errors, stats }` (default: 'throw') */
+  onError?: 'skip' | 'warn' | 'throw' | 'collect';
+  /** Rule for rows whose field count differs from the header; replaces `repairRowShifts` when set */
+  columnMismatch?: 'error' | 'pad' | 'truncate' | 'extraAsArray' | 'collect';
+  /** Custom error handler for row-level errors */
+  errorHandler?: (error: Error, line: string, lineNumber: number) => void;
+  /** Attempt to repair shifted rows with trailing empty fields (default: true) */
+  repairRowShifts?: boolean;
+  /** Normalize excessive quotes in parsed fields (default: true) */
   normalizeQuotes?: boolean;
-  /** JSON schema for data validation and formatting */
+  /** Warn when row count exceeds this threshold (default: 1000000) */
+  memoryWarningThreshold?: number;
+  /** Safety limit for in-memory conversion (default: 5000000). Set to Infinity to disable. */
+  memoryLimit?: number;
+}
+
+/** Where a parsed row came from, attached as `_rowInfo` under `includeRowInfo` */
+export interface RowInfo {
+  /** 1-based line the record starts on */
+  line: number;
+  /** Byte offset of the record in the source, counted in UTF-8 */
+  offset: number;
+  /** Byte length of the record, without its line terminator */
+  length: number;
+  /** The record as written, quotes and embedded line breaks included */
+  raw: string;
+}
+
+/** A row rejected under `onError: 'collect'` */
+export interface CsvRowError {
+  /** 1-based source line number, when known */
+  lineNumber: number | null;
+  /** Raw text of the rejected line */
+  line: string;
+  /** 1-based field index the error points at, when known */
+  column: number | null;
+  /** Error code, e.g. 'PARSING_ERROR' */
+  code: string;
+  /** Error message without the line/column suffix */
+  message: string;
+}
+
+export interface CsvParseStats {
+  /** Data rows seen (parsed + rejected) */
+  totalRows: number;
+  /** Rows returned in `data` */
+  parsedRows: number;
+  /** Rows rejected and reported in `errors` */
+  errorRows: number;
+}
+
+/** Options that make `csvToJson` return a `CsvCollectResult` */
+export type CsvCollectOptions = { onError: 'collect' } | { columnMismatch: 'collect' };
+
+/** Result of `csvToJson` with `onError: 'collect'` */
+export interface CsvCollectResult<T = Record<string, unknown>> {
+  data: T[];
+  errors: CsvRowError[];
+  stats: CsvParseStats;
+}
+
+// JSON save interfaces
+export interface SaveAsJsonOptions {
+  /** Format JSON with indentation (default: false) */
+  prettyPrint?: boolean;
+  /** Maximum file size in bytes (default: 10MB = 10485760) */
+  maxSize?: number;
+}
+
+// Streaming interfaces
+/** How the JSON→CSV stream writer decides its columns */
+export type HeaderStrategy = 'first' | 'sample' | 'declared' | 'spill';
+
+export interface JsonToCsvStreamOptions extends JsonToCsvOptions {
+  /** Custom transform function for each row */
+  transform?: (row: Record<string, any>) => Record<string, any>;
+  /** JSON schema for validation and formatting */
   schema?: Record<string, any>;
-    /** Warn when record count exceeds this threshold (default: 1000000) */
-    memoryWarningThreshold?: number;
-    /** Safety limit for in-memory conversion (default: 5000000). Set to Infinity to disable. */
-    memoryLimit?: number;
-  }
-
-  export interface SaveAsCsvOptions extends JsonToCsvOptions {
-    /** Validate file path security (default: true) */
-    validatePath?: boolean;
-  }
-
-  // CSV to JSON interfaces
-  export interface CsvToJsonOptions {
-    /** CSV delimiter (default: auto-detected) */
-    delimiter?: string;
-    /** Auto-detect delimiter if not specified (default: true) */
-    autoDetect?: boolean;
-    /** Candidate delimiters for auto-detection (default: [';', ',', '\t', '|']) */
-    candidates?: string[];
-    /** Whether CSV has headers row (default: true) */
-    hasHeaders?: boolean;
-    /** Map for renaming column headers { newKey: oldKey } */
-    renameMap?: Record<string, string>;
-    /** Trim whitespace from values (default: true) */
-    trim?: boolean;
-    /** Parse numeric values (default: false) */
-    parseNumbers?: boolean;
-    /** Parse boolean values (default: false) */
-    parseBooleans?: boolean;
-    /** Maximum number of rows to process (optional, no limit by default) */
-    maxRows?: number;
-    /** Enable fast-path parsing (default: true) */
-    useFastPath?: boolean;
-    /** Fast-path output mode (default: 'objects') */
-    fastPathMode?: 'objects' | 'compact' | 'stream';
-    /** Error recovery strategy for row-level errors (default: 'throw') */
-    onError?: 'skip' | 'warn' | 'throw';
-    /** Custom error handler for row-level errors */
-    errorHandler?: (error: Error, line: string, lineNumber: number) => void;
-    /** Attempt to repair shifted rows with trailing empty fields (default: true) */
-    repairRowShifts?: boolean;
-    /** Normalize excessive quotes in parsed fields (default: true) */
-    normalizeQuotes?: boolean;
-    /** Warn when row count exceeds this threshold (default: 1000000) */
-    memoryWarningThreshold?: number;
-    /** Safety limit for in-memory conversion (default: 5000000). Set to Infinity to disable. */
-    memoryLimit?: number;
-  }
-
-  // JSON save interfaces
-  export interface SaveAsJsonOptions {
-    /** Format JSON with indentation (default: false) */
-    prettyPrint?: boolean;
-    /** Maximum file size in bytes (default: 10MB = 10485760) */
-    maxSize?: number;
-  }
-
-  // Streaming interfaces
-  export interface JsonToCsvStreamOptions extends JsonToCsvOptions {
-    /** Custom transform function for each row */
-    transform?: (row: Record<string, any>) => Record<string, any>;
-    /** JSON schema for validation and formatting */
-    schema?: Record<string, any>;
-    /** Add UTF-8 BOM for Excel compatibility (default: true) */
-    addBOM?: boolean;
-  }
-
-  export interface CsvToJsonStreamOptions extends CsvToJsonOptions {
-    /** Custom transform function for each row */
-    transform?: (row: Record<string, any>) => Record<string, any>;
-    /** JSON schema for validation and formatting */
-    schema?: Record<string, any>;
-  }
-
-  // NDJSON interfaces
-  export interface NdjsonOptions {
-    /** Buffer size for streaming (default: 64KB) */
-    bufferSize?: number;
-    /** Maximum line length (default: 10MB) */
-    maxLineLength?: number;
-    /** Error handler callback */
-    onError?: (error: Error, line: string, lineNumber: number) => void;
-    /** JSON stringify replacer function */
-    replacer?: (key: string, value: any) => any;
-    /** JSON stringify space (indentation) */
-    space?: number | string;
-    /** Filter function for rows */
-    filter?: (obj: Record<string, any>, index: number) => boolean;
-    /** Transform function for rows */
-    transform?: (obj: Record<string, any>, index: number) => any;
-  }
-
-  export interface NdjsonToCsvStreamOptions {
-    /** Delimiter for CSV output (default: ',') */
-    delimiter?: string;
-    /** Include headers row (default: true) */
-    includeHeaders?: boolean;
-  }
-
-  export interface CsvToNdjsonStreamOptions {
-    /** Delimiter for CSV input (default: ',') */
-    delimiter?: string;
-    /** Whether CSV has headers (default: true) */
-    hasHeaders?: boolean;
-  }
-
-  export interface NdjsonStats {
-    /** Total lines in NDJSON */
+  /** Add UTF-8 BOM for Excel compatibility (default: true) */
+  addBOM?: boolean;
+  /** How the columns are found: first row, a sample, template/columns only, or all rows via a temp file (default: 'first') */
+  headerStrategy?: HeaderStrategy;
+  /** Records buffered for headerStrategy 'sample' (default: 100) */
+  headerSampleSize?: number;
+  /** Directory for the temporary file of headerStrategy 'spill' (default: os.tmpdir()) */
+  spillDir?: string;
+}
+
+/** Payload of the JSON→CSV stream writer's 'stats' event */
+export interface JsonToCsvStreamStats {
+  /** Input records converted */
+  records: number;
+  /** CSV data rows written */
+  rows: number;
+  /** Header row as written */
+  headers: string[];
+  /** Keys some row had that are not in the header, in order of first appearance */
+  droppedKeys: string[];
+}
+
+export interface CsvToJsonStreamOptions extends CsvToJsonOptions {
+  /** Custom transform function for each row */
+  transform?: (row: Record<string, any>) => Record<string, any>;
+  /** JSON schema for validation and formatting */
+  schema?: Record<string, any>;
+}
+
+// NDJSON interfaces
+export interface NdjsonOptions {
+  /** Buffer size for streaming (default: 64KB) */
+  bufferSize?: number;
+  /** Maximum line length (default: 10MB) */
+  maxLineLength?: number;
+  /** Error handler callback */
+  onError?: (error: Error, line: string, lineNumber: number) => void;
+  /** JSON stringify replacer function */
+  replacer?: (key: string, value: any) => any;
+  /** JSON stringify space (indentation) */
+  space?: number | string;
+  /** Filter function for rows */
+  filter?: (obj: Record<string, any>, index: number) => boolean;
+  /** Transform function for rows */
+  transform?: (obj: Record<string, any>, index: number) => any;
+}
+
+export interface NdjsonToCsvStreamOptions {
+  /** Delimiter for CSV output (default: ',') */
+  delimiter?: string;
+  /** Include headers row (default: true) */
+  includeHeaders?: boolean;
+  /** When to quote fields (default: 'minimal') */
+  quoting?: CsvQuoting;
+  /** Escape character for quoting 'none' (default: '\\') */
+  escapeChar?: string;
+  /** Line break after each row (default: '\n') */
+  lineEnding?: LineEnding;
+  /** End the output with a line break (default: true) */
+  trailingNewline?: boolean;
+}
+
+export interface CsvToNdjsonStreamOptions {
+  /** Delimiter for CSV input (default: ',') */
+  delimiter?: string;
+  /** Whether CSV has headers (default: true) */
+  hasHeaders?: boolean;
+}
+
+export interface NdjsonStats {
+  /** Total lines in NDJSON */
+  totalLines: number;
+  /** Valid JSON lines */
+  validLines: number;
+  /** Lines with JSON parsing errors */
+  errorLines: number;
+  /** Total bytes */
+  totalBytes: number;
+  /** Success rate percentage */
+  successRate: number;
+  /** Array of parsing errors */
+  errors: Array<{
+    line: number;
+    error: string;
+    content: string;
+  }>;
+}
+
+// Fixed-width interfaces
+export interface FixedWidthColumn {
+  /** Field name in the row object */
+  name: string;
+  /** 0-based character offset (default: end of the previous column) */
+  start?: number;
+  /** Width in characters */
+  length: number;
+  /** Side the value sits on; padding fills the other side (default: 'left', 'right' for numbers) */
+  align?: 'left' | 'right';
+  /** Padding character (default: ' ') */
+  padChar?: string;
+  /** Value type (default: 'string'); booleans are written as Y/N in columns narrower than 5 */
+  type?: 'string' | 'number' | 'boolean' | 'date';
+  /** Pattern for `type: 'date'`, in UTC (default: 'ISO') */
+  format?: string;
+}
+
+export interface FixedWidthParseOptions {
+  /** Column layout; inferred from all-blank character columns when omitted */
+  columns?: FixedWidthColumn[];
+  /** First line holds column names (default: false with `columns`, true when inferring) */
+  hasHeaders?: boolean;
+  /** Lines dropped before the header or first record (default: 0) */
+  skipLines?: number;
+  /** Trim whitespace left after removing padding (default: true) */
+  trim?: boolean;
+  /** Lines sampled to infer columns (default: 100) */
+  sampleLines?: number;
+  /** Maximum number of records to return */
+  maxRows?: number;
+}
+
+export interface FixedWidthWriteOptions {
+  /** Column layout; derived from the data when omitted (not for streams) */
+  columns?: FixedWidthColumn[];
+  /** Write a line with the column names first (default: false) */
+  includeHeaders?: boolean;
+  /** What to do with values longer than their column (default: 'error') */
+  overflow?: 'error' | 'truncate';
+  /** Line separator (default: '\n') */
+  lineEnding?: string;
+}
+
+// TSV interfaces
+export interface TsvOptions extends JsonToCsvOptions, CsvToJsonOptions {
+  /** Always use tab as delimiter for TSV */
+  delimiter?: '\t';
+  /** Disable auto-detection for TSV */
+  autoDetect?: false;
+}
+
+export interface ValidateTsvOptions {
+  /** Require consistent column count (default: true) */
+  requireConsistentColumns?: boolean;
+  /** Disallow empty fields (default: false) */
+  disallowEmptyFields?: boolean;
+}
+
+export interface TsvValidationResult {
+  /** Whether TSV is valid */
+  valid: boolean;
+  /** Error message if invalid */
+  error?: string;
+  /** Validation statistics */
+  stats: {
+    /** Total lines */
     totalLines: number;
-    /** Valid JSON lines */
-    validLines: number;
-    /** Lines with JSON parsing errors */
-    errorLines: number;
-    /** Total bytes */
-    totalBytes: number;
-    /** Success rate percentage */
-    successRate: number;
-    /** Array of parsing errors */
-    errors: Array<{
-      line: number;
-      error: string;
-      content: string;
-    }>;
-  }
-
-  // TSV interfaces
-  export interface TsvOptions extends JsonToCsvOptions, CsvToJsonOptions {
-    /** Always use tab as delimiter for TSV */
-    delimiter?: '\t';
-    /** Disable auto-detection for TSV */
-    autoDetect?: false;
-  }
-
-  export interface ValidateTsvOptions {
-    /** Require consistent column count (default: true) */
-    requireConsistentColumns?: boolean;
-    /** Disallow empty fields (default: false) */
-    disallowEmptyFields?: boolean;
-  }
-
-  export interface TsvValidationResult {
-    /** Whether TSV is valid */
-    valid: boolean;
-    /** Error message if invalid */
-    error?: string;
-    /** Validation statistics */
-    stats: {
-      /** Total lines */
-      totalLines: number;
-      /** Total columns in first line */
-      totalColumns: number;
-      /** Minimum columns across all lines */
-      minColumns: number;
-      /** Maximum columns across all lines */
-      maxColumns: number;
-      /** Whether all lines have same column count */
-      consistentColumns: boolean;
-    };
-    /** Array of validation errors */
-    errors?: Array<{
-      line?: number;
-      error: string;
-      details?: any;
-      fields?: number[];
-    }>;
-  }
-
-  // Error classes
-  export type ErrorContextValue = Record<string, any> | string | null;
-
-  export interface ErrorMeta {
-    hint?: string;
-    docs?: string;
-    context?: ErrorContextValue;
-    originalError?: Error;
-  }
-
-  export class JtcsvError extends Error {
-    code: string;
-    hint?: string;
-    docs?: string;
-    context?: ErrorContextValue;
-    originalError?: Error;
-    constructor(message: string, code?: string, meta?: ErrorMeta);
-  }
-
-  export class ValidationError extends JtcsvError {
-    constructor(message: string, meta?: ErrorMeta);
-  }
-
-  export class SecurityError extends JtcsvError {
-    constructor(message: string, meta?: ErrorMeta);
-  }
-
-  export class FileSystemError extends JtcsvError {
-    originalError?: Error;
-    constructor(message: string, originalError?: Error | null, meta?: ErrorMeta);
-  }
-
-  export class ParsingError extends JtcsvError {
+    /** Total columns in first line */
+    totalColumns: number;
+    /** Minimum columns across all lines */
+    minColumns: number;
+    /** Maximum columns across all lines */
+    maxColumns: number;
+    /** Whether all lines have same column count */
+    consistentColumns: boolean;
+  };
+  /** Array of validation errors */
+  errors?: Array<{
+    line?: number;
+    error: string;
+    details?: any;
+    fields?: number[];
+  }>;
+}
+
+// Error classes
+export type ErrorContextValue = Record<string, any> | string | null;
+
+export interface ErrorMeta {
+  hint?: string;
+  docs?: string;
+  context?: ErrorContextValue;
+  originalError?: Error;
+}
+
+export class JtcsvError extends Error {
+  code: string;
+  hint?: string;
+  docs?: string;
+  context?: ErrorContextValue;
+  originalError?: Error;
+  constructor(message: string, code?: string, meta?: ErrorMeta);
+}
+
+export class ValidationError extends JtcsvError {
+  constructor(message: string, meta?: ErrorMeta);
+}
+
+export class SecurityError extends JtcsvError {
+  constructor(message: string, meta?: ErrorMeta);
+}
+
+export class FileSystemError extends JtcsvError {
+  originalError?: Error;
+  constructor(message: string, originalError?: Error | null, meta?: ErrorMeta);
+}
+
+export class ParsingError extends JtcsvError {
+  lineNumber?: number;
+  column?: number;
+  context?: ErrorContextValue;
+  expected?: string | null;
+  actual?: string | null;
+  originalMessage?: string;
+  constructor(
+    message: string,
+    lineNumber?: number | null,
+    column?: number | null,
+    context?: string | null,
+    expected?: string | null,
+    actual?: string | null,
+    meta?: ErrorMeta
+  );
+}
+
+export class LimitError extends JtcsvError {
+  limit: any;
+  actual: any;
+  constructor(message: string, limit: any, actual: any, meta?: ErrorMeta);
+}
+
+export class ConfigurationError extends JtcsvError {
+  constructor(message: string, meta?: ErrorMeta);
+}
+
+export const ERROR_CODES: {
+  JTCSV_ERROR: string;
+  VALIDATION_ERROR: string;
+  SECURITY_ERROR: string;
+  FILE_SYSTEM_ERROR: string;
+  PARSING_ERROR: string;
+  LIMIT_ERROR: string;
+  CONFIGURATION_ERROR: string;
+  INVALID_INPUT: string;
+  SECURITY_VIOLATION: string;
+  FILE_NOT_FOUND: string;
+  PARSE_FAILED: string;
+  SIZE_LIMIT: string;
+  INVALID_CONFIG: string;
+  UNKNOWN_ERROR: string;
+  STREAM_CREATION_ERROR: string;
+  STREAM_PROCESSING_ERROR: string;
+};
+
+export type ErrorCode = typeof ERROR_CODES[keyof typeof ERROR_CODES];
+
+// Utility functions
+export function createDetailedErrorMessage(
+  baseMessage: string,
+  details?: {
     lineNumber?: number;
     column?: number;
-    context?: ErrorContextValue;
-    expected?: string | null;
-    actual?: string | null;
-    originalMessage?: string;
-    constructor(
-      message: string,
-      lineNumber?: number | null,
-      column?: number | null,
-      context?: string | null,
-      expected?: string | null,
-      actual?: string | null,
-      meta?: ErrorMeta
-    );
-  }
-
-  export class LimitError extends JtcsvError {
-    limit: any;
-    actual: any;
-    constructor(message: string, limit: any, actual: any, meta?: ErrorMeta);
-  }
-
-  export class ConfigurationError extends JtcsvError {
-    constructor(message: string, meta?: ErrorMeta);
-  }
-
-  export const ERROR_CODES: {
-    JTCSV_ERROR: string;
-    VALIDATION_ERROR: string;
-    SECURITY_ERROR: string;
-    FILE_SYSTEM_ERROR: string;
-    PARSING_ERROR: string;
-    LIMIT_ERROR: string;
-    CONFIGURATION_ERROR: string;
-    INVALID_INPUT: string;
-    SECURITY_VIOLATION: string;
-    FILE_NOT_FOUND: string;
-    PARSE_FAILED: string;
-    SIZE_LIMIT: string;
-    INVALID_CONFIG: string;
-    UNKNOWN_ERROR: string;
-    STREAM_CREATION_ERROR: string;
-    STREAM_PROCESSING_ERROR: string;
-  };
-
-  export type ErrorCode = typeof ERROR_CODES[keyof typeof ERROR_CODES];
-
-  // Utility functions
-  export function createDetailedErrorMessage(
-    baseMessage: string,
-    details?: {
-      lineNumber?: number;
-      column?: number;
-      context?: string;
-      expected?: string;
-      actual?: string;
-      suggestion?: string;
-      codeSnippet?: string;
-      hint?: string;
-      docs?: string;
-    }
-  ): string;
-
-  export class ErrorContext {
-    lineNumber(line: number): this;
-    column(col: number): this;
-    context(ctx: string): this;
-    expected(exp: string): this;
-    actual(act: string): this;
-    suggestion(sugg: string): this;
-    codeSnippet(snippet: string): this;
-    hint(text: string): this;
-    docs(link: string): this;
-    buildMessage(baseMessage: string): string;
-    throwParsingError(baseMessage: string): never;
-    throwValidationError(baseMessage: string): never;
+    context?: string;
+    expected?: string;
+    actual?: string;
+    suggestion?: string;
+    codeSnippet?: string;
+    hint?: string;
+    docs?: string;
   }
-
-  export function createErrorMessage(type: string, details: string): string;
-  export function handleError(error: Error, context?: Record<string, any>): void;
-  export function safeExecute<T>(
-    fn: () => Promise<T>,
-    errorType: string,
-    context?: Record<string, any>
-  ): Promise<T>;
-  export function safeExecute<T>(
-    fn: () => T,
-    errorType: string,
-    context?: Record<string, any>
-  ): T;
-  export function safeExecuteSync<T>(
-    fn: () => T,
-    errorType: string,
-    context?: Record<string, any>
-  ): T;
-  export function safeExecuteAsync<T>(
-    fn: () => Promise<T>,
-    errorType: string,
-    context?: Record<string, any>
-  ): Promise<T>;
-
-  /**
-   * Convert JSON array to CSV string
-   * @param data Array of objects to convert
-   * @param options Conversion options
-   * @returns CSV string
-   * @throws {ValidationError} If data is not an array
-   * @throws {LimitError} If record limit exceeded
-   * @throws {ConfigurationError} If options are invalid
-   */
-  export function jsonToCsv<T extends Record<string, any>>(
-    data: T[], 
-    options?: JsonToCsvOptions
-  ): string;
-
-  /**
-   * Preprocess data by unwrapping nested objects and arrays
-   * @param data Input data array
-   * @returns Processed data with flattened structure
-   */
-  export function preprocessData<T extends Record<string, any>>(
-    data: T[]
-  ): Record<string, any>[];
-
-  /**
-   * Save JSON data as CSV file with security validation
-   * @param data Array of objects to convert
-   * @param filePath Output file path (must end with .csv)
-   * @param options Conversion and security options
-   * @returns Promise that resolves when file is saved
-   * @throws {ValidationError} If file path is invalid
-   * @throws {SecurityError} If directory traversal detected
-   * @throws {FileSystemError} If file system operation fails
-   */
-  export function saveAsCsv<T extends Record<string, any>>(
-    data: T[], 
-    filePath: string, 
-    options?: SaveAsCsvOptions
-  ): Promise<void>;
-
-  /**
-   * Deeply unwrap values (internal utility)
-   * @param value Value to unwrap
-   * @param depth Current depth
-   * @param maxDepth Maximum depth (default: 10)
-   * @returns Unwrapped value
-   */
-  export function deepUnwrap(
-    value: any, 
-    depth?: number, 
-    maxDepth?: number
-  ): any;
-
-  /**
-   * Convert CSV string to JSON array
-   * @param csv CSV string to convert
-   * @param options Conversion options
-   * @returns JSON array
-   * @throws {ValidationError} If input is not a string
-   * @throws {ParsingError} If CSV parsing fails
-   * @throws {LimitError} If row limit exceeded
-   */
-  export function csvToJson(
-    csv: string,
-    options: CsvToJsonOptions & { fastPathMode: 'stream' }
-  ): AsyncGenerator<Record<string, any> | any[]>;
-
-  export function csvToJson(
-    csv: string,
-    options: CsvToJsonOptions & { fastPathMode: 'compact' }
-  ): any[][];
-
-  export function csvToJson(
-    csv: string,
-    options?: CsvToJsonOptions
-  ): Record<string, any>[];
-
-  /**
-   * Convert CSV string to JSON rows as async iterator
-   * @param csv CSV string to convert
-   * @param options Conversion options
-   * @returns Async generator yielding rows
-   */
-  export function csvToJsonIterator(
-    csv: string,
-    options?: CsvToJsonOptions
-  ): AsyncGenerator<Record<string, any> | any[]>;
-
-  /**
-   * Read CSV file and convert it to JSON array
-   * @param filePath Path to CSV file
-   * @param options Conversion options
-   * @returns Promise that resolves to JSON array
-   * @throws {ValidationError} If file path is invalid
-   * @throws {SecurityError} If directory traversal detected
-   * @throws {FileSystemError} If file not found or unreadable
-   */
-  export function readCsvAsJson(
-    filePath: string, 
-    options?: CsvToJsonOptions
-  ): Promise<Record<string, any>[]>;
-
-  /**
-   * Read CSV file and convert it to JSON array (normalized naming alias)
-   * @param filePath Path to CSV file
-   * @param options Conversion options
-   * @returns Promise that resolves to JSON array
-   */
-  export function csvToJsonFile(
-    filePath: string,
-    options?: CsvToJsonOptions
-  ): Promise<Record<string, any>[]>;
-
-  /**
-   * Synchronously read CSV file and convert it to JSON array
-   * @param filePath Path to CSV file
-   * @param options Conversion options
-   * @returns JSON array
-   * @throws {ValidationError} If file path is invalid
-   * @throws {SecurityError} If directory traversal detected
-   * @throws {FileSystemError} If file not found or unreadable
-   */
-  export function readCsvAsJsonSync(
-    filePath: string, 
-    options?: CsvToJsonOptions
-  ): Record<string, any>[];
-
-  /**
-   * Synchronously read CSV file and convert it to JSON array (normalized naming alias)
-   * @param filePath Path to CSV file
-   * @param options Conversion options
-   * @returns JSON array
-   */
-  export function csvToJsonFileSync(
-    filePath: string,
-    options?: CsvToJsonOptions
-  ): Record<string, any>[];
-
-  /**
-   * Auto-detect CSV delimiter from content
-   * @param csv CSV content string
-   * @param candidates Candidate delimiters to test (default: [';', ',', '\t', '|'])
-   * @returns Detected delimiter
-   */
-  export function autoDetectDelimiter(
-    csv: string,
-    candidates?: string[]
-  ): string;
-
-  /**
-   * Save data as JSON file with security validation
-   * @param data Data to save as JSON
-   * @param filePath Output file path (must end with .json)
-   * @param options Save options
-   * @returns Promise that resolves when file is saved
-   * @throws {ValidationError} If file path is invalid or data cannot be stringified
-   * @throws {SecurityError} If directory traversal detected
-   * @throws {FileSystemError} If file system operation fails
-   * @throws {LimitError} If file size exceeds limit
-   */
-  export function saveAsJson(
-    data: any, 
-    filePath: string, 
-    options?: SaveAsJsonOptions
-  ): Promise<void>;
-
-  /**
-   * Synchronously save data as JSON file with security validation
-   * @param data Data to save as JSON
-   * @param filePath Output file path (must end with .json)
-   * @param options Save options
-   * @returns Path to saved file
-   * @throws {ValidationError} If file path is invalid or data cannot be stringified
-   * @throws {SecurityError} If directory traversal detected
-   * @throws {FileSystemError} If file system operation fails
-   * @throws {LimitError} If file size exceeds limit
-   */
-  export function saveAsJsonSync(
-    data: any, 
-    filePath: string, 
-    options?: SaveAsJsonOptions
-  ): string;
-
-  /**
-   * Validate file path to prevent path traversal attacks (internal)
-   * @param filePath File path to validate
-   * @returns Validated absolute path
-   * @throws {ValidationError} If path is invalid
-   * @throws {SecurityError} If path traversal detected
-   */
-  export function validateFilePath(filePath: string): string;
-
-  // Streaming JSON to CSV functions
-
-  /**
-   * Creates a transform stream that converts JSON objects to CSV rows
-   * @param options Configuration options
-   * @returns Transform stream
-   */
-  export function createJsonToCsvStream(
-    options?: JsonToCsvStreamOptions
-  ): Transform;
-
-  /**
-   * Converts a readable stream of JSON objects to CSV and writes to a writable stream
-   * @param inputStream Readable stream of JSON objects
-   * @param outputStream Writable stream for CSV output
-   * @param options Configuration options
-   * @returns Promise that resolves when streaming is complete
-   */
-  export function streamJsonToCsv(
-    inputStream: Readable,
-    outputStream: Writable,
-    options?: JsonToCsvStreamOptions
-  ): Promise<void>;
-
-  /**
-   * Converts JSON to CSV and saves it to a file using streaming
-   * @param inputStream Readable stream of JSON objects
-   * @param filePath Path to save the CSV file
-   * @param options Configuration options
-   * @returns Promise that resolves when file is saved
-   */
-  export function saveJsonStreamAsCsv(
-    inputStream: Readable,
-    filePath: string,
-    options?: JsonToCsvStreamOptions
-  ): Promise<void>;
-
-  /**
-   * Creates a readable stream from an array of JSON objects
-   * @param data Array of JSON objects
-   * @returns Readable stream
-   */
-  export function createJsonReadableStream(
-    data: Record<string, any>[]
-  ): Readable;
-
-  /**
-   * Creates a writable stream that collects CSV data
-   * @returns Writable stream that collects data
-   */
-  export function createCsvCollectorStream(): Writable;
-
-  // Streaming CSV to JSON functions
-
-  /**
-   * Creates a transform stream that converts CSV chunks to JSON objects
-   * @param options Configuration options
-   * @returns Transform stream
-   */
-  export function createCsvToJsonStream(
-    options?: CsvToJsonStreamOptions
-  ): Transform;
-
-  /**
-   * Creates a transform stream that converts CSV chunks to JSON objects (normalized naming alias)
-   * @param options Configuration options
-   * @returns Transform stream
-   */
-  export function csvToJsonStream(
-    options?: CsvToJsonStreamOptions
-  ): Transform;
-
-  /**
-   * Converts a readable stream of CSV text to JSON objects
-   * @param inputStream Readable stream of CSV text
-   * @param outputStream Writable stream for JSON objects
-   * @param options Configuration options
-   * @returns Promise that resolves when streaming is complete
-   */
-  export function streamCsvToJson(
-    inputStream: Readable,
-    outputStream: Writable,
-    options?: CsvToJsonStreamOptions
-  ): Promise<void>;
-
-  /**
-   * Reads CSV file and converts it to JSON using streaming
-   * @param filePath Path to CSV file
-   * @param options Configuration options
-   * @returns Readable stream of JSON objects
-   */
-  export function createCsvFileToJsonStream(
-    filePath: string,
-    options?: CsvToJsonStreamOptions
-  ): Promise<Readable>;
-
-  /**
-   * Reads CSV file and converts it to JSON using streaming (normalized naming alias)
-   * @param filePath Path to CSV file
-   * @param options Configuration options
-   * @returns Readable stream of JSON objects
-   */
-  export function csvFileToJsonStream(
-    filePath: string,
-    options?: CsvToJsonStreamOptions
-  ): Promise<Readable>;
-
-  /**
-   * Creates a writable stream that collects JSON objects into an array
-   * @returns Writable stream that collects data
-   */
-  export function createJsonCollectorStream(): Writable;
-
-  // NDJSON format support
-
-  /**
-   * Convert JSON array to NDJSON string
-   * @param data Array of objects to convert
-   * @param options NDJSON options
-   * @returns NDJSON string
-   */
-  export function jsonToNdjson<T extends Record<string, any>>(
-    data: T[],
-    options?: NdjsonOptions
-  ): string;
-
-  /**
-   * Convert NDJSON string to JSON array
-   * @param ndjsonString NDJSON string
-   * @param options NDJSON options
-   * @returns JSON array
-   */
-  export function ndjsonToJson(
-    ndjsonString: string,
-    options?: NdjsonOptions
-  ): Record<string, any>[];
-
-  /**
-   * Parse NDJSON stream as async iterator
-   * @param input ReadableStream or string input
-   * @param options NDJSON options
-   * @returns Async generator of JSON objects
-   */
-  export function parseNdjsonStream(
-    input: ReadableStream | string,
-    options?: NdjsonOptions
-  ): AsyncGenerator<Record<string, any>>;
-
-  /**
-   * Create TransformStream for converting NDJSON to CSV
-   * @param options Conversion options
-   * @returns TransformStream
-   */
-  export function createNdjsonToCsvStream(
-    options?: NdjsonToCsvStreamOptions
-  ): TransformStream;
-
-  /**
-   * Create TransformStream for converting CSV to NDJSON
-   * @param options Conversion options
-   * @returns TransformStream
-   */
-  export function createCsvToNdjsonStream(
-    options?: CsvToNdjsonStreamOptions
-  ): TransformStream;
-
-  /**
-   * Get statistics for NDJSON data
-   * @param input NDJSON string or ReadableStream
-   * @returns Promise with NDJSON statistics
-   */
-  export function getNdjsonStats(
-    input: string | ReadableStream
-  ): Promise<NdjsonStats>;
-
-  // TSV format support
-
-  /**
-   * Convert JSON array to TSV string
-   * @param data Array of objects to convert
-   * @param options TSV options
-   * @returns TSV string
-   */
-  export function jsonToTsv<T extends Record<string, any>>(
-    data: T[],
-    options?: TsvOptions
-  ): string;
-
-  /**
-   * Convert TSV string to JSON array
-   * @param tsvString TSV string
-   * @param options TSV options
-   * @returns JSON array
-   */
-  export function tsvToJson(
-    tsvString: string,
-    options?: TsvOptions
-  ): Record<string, any>[];
-
-  /**
-   * Check if string is likely TSV format
-   * @param sample Sample data string
-   * @returns True if likely TSV format
-   */
-  export function isTsv(sample: string): boolean;
-
-  /**
-   * Validate TSV string structure
-   * @param tsvString TSV string to validate
-   * @param options Validation options
-   * @returns Validation result
-   */
-  export function validateTsv(
-    tsvString: string,
-    options?: ValidateTsvOptions
-  ): TsvValidationResult;
-
-  /**
-   * Read TSV file and convert to JSON array
-   * @param filePath Path to TSV file
-   * @param options TSV options
-   * @returns Promise with JSON array
-   */
-  export function readTsvAsJson(
-    filePath: string,
-    options?: TsvOptions
-  ): Promise<Record<string, any>[]>;
-
-  /**
-   * Synchronously read TSV file and convert to JSON array
-   * @param filePath Path to TSV file
-   * @param options TSV options
-   * @returns JSON array
-   */
-  export function readTsvAsJsonSync(
-    filePath: string,
-    options?: TsvOptions
-  ): Record<string, any>[];
-
-  /**
-   * Save JSON data as TSV file
-   * @param data Array of objects to save
-   * @param filePath Output file path
-   * @param options TSV options
-   * @returns Promise that resolves when file is saved
-   */
-  export function saveAsTsv<T extends Record<string, any>>(
-    data: T[],
-    filePath: string,
-    options?: TsvOptions
-  ): Promise<void>;
-
-  /**
-   * Synchronously save JSON data as TSV file
-   * @param data Array of objects to save
-   * @param filePath Output file path
-   * @param options TSV options
-   */
-  export function saveAsTsvSync<T extends Record<string, any>>(
-    data: T[],
-    filePath: string,
-    options?: TsvOptions
-  ): void;
-
-  /**
-   * Create TransformStream for converting JSON to TSV
-   * @param options TSV options
-   * @returns TransformStream
-   */
-  export function createJsonToTsvStream(
-    options?: TsvOptions
-  ): TransformStream;
-
-  /**
-   * Create TransformStream for converting TSV to JSON
-   * @param options TSV options
-   * @returns TransformStream
-   */
-  export function createTsvToJsonStream(
-    options?: TsvOptions
-  ): TransformStream;
-
-  // Built-in validators
-  export function isEmail(value: string): boolean;
-  export function isUrl(value: string): boolean;
-  export function isDate(value: string | Date): boolean;
-  export const validators: {
-    isEmail: typeof isEmail;
-    isUrl: typeof isUrl;
-    isDate: typeof isDate;
-  };
-
-  // Batch helpers (Node.js)
-  export function createBatchProcessor<T, R>(
-    processor: (batch: T[]) => Promise<R[]> | R[],
-    options?: { batchSize?: number; parallelism?: number }
-  ): (items: T[]) => AsyncGenerator<R>;
-
-  export const asyncIterUtils: {
-    mapConcurrent<T, R>(
-      iterator: AsyncIterable<T>,
-      mapper: (item: T) => Promise<R> | R,
-      concurrency?: number
-    ): AsyncGenerator<R>;
-    batch<T>(iterator: AsyncIterable<T>, size?: number): AsyncGenerator<T[]>;
-  };
+): string;
+
+export class ErrorContext {
+  lineNumber(line: number): this;
+  column(col: number): this;
+  context(ctx: string): this;
+  expected(exp: string): this;
+  actual(act: string): this;
+  suggestion(sugg: string): this;
+  codeSnippet(snippet: string): this;
+  hint(text: string): this;
+  docs(link: string): this;
+  buildMessage(baseMessage: string): string;
+  throwParsingError(baseMessage: string): never;
+  throwValidationError(baseMessage: string): never;
+}
+
+export function createErrorMessage(type: string, details: string): string;
+export function handleError(error: Error, context?: Record<string, any>): void;
+export function safeExecute<T>(
+  fn: () => Promise<T>,
+  errorType: string,
+  context?: Record<string, any>
+): Promise<T>;
+export function safeExecute<T>(
+  fn: () => T,
+  errorType: string,
+  context?: Record<string, any>
+): T;
+export function safeExecuteSync<T>(
+  fn: () => T,
+  errorType: string,
+  context?: Record<string, any>
+): T;
+export function safeExecuteAsync<T>(
+  fn: () => Promise<T>,
+  errorType: string,
+  context?: Record<string, any>
+): Promise<T>;
+
+/**
+ * Convert JSON array to CSV string
+ * @param data Array of objects to convert
+ * @param options Conversion options
+ * @returns CSV string
+ * @throws {ValidationError} If data is not an array
+ * @throws {LimitError} If record limit exceeded
+ * @throws {ConfigurationError} If options are invalid
+ */
+export function jsonToCsv<T extends Record<string, any>>(
+  data: T[], 
+  options?: JsonToCsvOptions
+): string;
+
+/**
+ * Preprocess data by unwrapping nested objects and arrays
+ * @param data Input data array
+ * @returns Processed data with flattened structure
+ */
+export function preprocessData<T extends Record<string, any>>(
+  data: T[]
+): Record<string, any>[];
+
+/**
+ * Save JSON data as CSV file with security validation
+ * @param data Array of objects to convert
+ * @param filePath Output file path (must end with .csv)
+ * @param options Conversion and security options
+ * @returns Promise that resolves when file is saved
+ * @throws {ValidationError} If file path is invalid
+ * @throws {SecurityError} If directory traversal detected
+ * @throws {FileSystemError} If file system operation fails
+ */
+export function saveAsCsv<T extends Record<string, any>>(
+  data: T[], 
+  filePath: string, 
+  options?: SaveAsCsvOptions
+): Promise<void>;
+
+/**
+ * Deeply unwrap values (internal utility)
+ * @param value Value to unwrap
+ * @param depth Current depth
+ * @param maxDepth Maximum depth (default: 10)
+ * @returns Unwrapped value
+ */
+export function deepUnwrap(
+  value: any, 
+  depth?: number, 
+  maxDepth?: number
+): any;
+
+/**
+ * Convert CSV string to JSON array
+ * @param csv CSV string to convert
+ * @param options Conversion options
+ * @returns JSON array
+ * @throws {ValidationError} If input is not a string
+ * @throws {ParsingError} If CSV parsing fails
+ * @throws {LimitError} If row limit exceeded
+ */
+export function csvToJson(
+  csv: string,
+  options: CsvToJsonOptions & { fastPathMode: 'stream' }
+): AsyncGenerator<Record<string, any> | any[]>;
+
+export function csvToJson(
+  csv: string,
+  options: CsvToJsonOptions & { fastPathMode: 'compact' }
+): any[][];
+
+export function csvToJson(
+  csv: string,
+  options: CsvToJsonOptions & CsvCollectOptions
+): CsvCollectResult;
+
+export function csvToJson(
+  csv: string,
+  options?: CsvToJsonOptions
+): Record<string, any>[];
+
+/**
+ * Convert CSV string to JSON rows as async iterator
+ * @param csv CSV string to convert
+ * @param options Conversion options
+ * @returns Async generator yielding rows
+ */
+export function csvToJsonIterator(
+  csv: string,
+  options?: CsvToJsonOptions
+): AsyncGenerator<Record<string, any> | any[]>;
+
+/**
+ * Read CSV file and convert it to JSON array
+ * @param filePath Path to CSV file
+ * @param options Conversion options
+ * @returns Promise that resolves to JSON array
+ * @throws {ValidationError} If file path is invalid
+ * @throws {SecurityError} If directory traversal detected
+ * @throws {FileSystemError} If file not found or unreadable
+ */
+export function readCsvAsJson(
+  filePath: string,
+  options: CsvToJsonOptions & { range?: CsvRange } & CsvCollectOptions
+): Promise<CsvCollectResult>;
+
+export function readCsvAsJson(
+  filePath: string, 
+  options?: CsvToJsonOptions & { range?: CsvRange }
+): Promise<Record<string, unknown>[]>;
+
+/**
+ * Build a row index of a CSV file and save it as `<file>.idx`
+ * @param filePath Path to CSV file
+ * @param options Checkpoint spacing, header and where to save the index
+ * @returns The index
+ * @throws {FileSystemError} If the file cannot be read or the index cannot be written
+ */
+export function buildCsvIndex(
+  filePath: string,
+  options?: BuildCsvIndexOptions
+): Promise<CsvIndex>;
+
+/**
+ * Read data rows `from` (inclusive) to `to` (exclusive), starting at the
+ * nearest index checkpoint
+ * @param filePath Path to CSV file
+ * @param options Row window, index and conversion options
+ * @returns Promise that resolves to the rows in the window
+ * @throws {ValidationError} If a given index is stale or invalid
+ */
+export function readCsvRange(
+  filePath: string,
+  options: ReadCsvRangeOptions & CsvCollectOptions
+): Promise<CsvCollectResult>;
+
+export function readCsvRange(
+  filePath: string,
+  options?: ReadCsvRangeOptions
+): Promise<Record<string, any>[]>;
+
+/**
+ * Read CSV file and convert it to JSON array (normalized naming alias)
+ * @param filePath Path to CSV file
+ * @param options Conversion options
+ * @returns Promise that resolves to JSON array
+ */
+export function csvToJsonFile(
+  filePath: string,
+  options?: CsvToJsonOptions
+): Promise<Record<string, any>[]>;
+
+/**
+ * Synchronously read CSV file and convert it to JSON array
+ * @param filePath Path to CSV file
+ * @param options Conversion options
+ * @returns JSON array
+ * @throws {ValidationError} If file path is invalid
+ * @throws {SecurityError} If directory traversal detected
+ * @throws {FileSystemError} If file not found or unreadable
+ */
+export function readCsvAsJsonSync(
+  filePath: string,
+  options: CsvToJsonOptions & CsvCollectOptions
+): CsvCollectResult;
+
+export function readCsvAsJsonSync(
+  filePath: string, 
+  options?: CsvToJsonOptions
+): Record<string, any>[];
+
+/**
+ * Synchronously read CSV file and convert it to JSON array (normalized naming alias)
+ * @param filePath Path to CSV file
+ * @param options Conversion options
+ * @returns JSON array
+ */
+export function csvToJsonFileSync(
+  filePath: string,
+  options?: CsvToJsonOptions
+): Record<string, any>[];
+
+/**
+ * Auto-detect CSV delimiter from content
+ * @param csv CSV content string
+ * @param candidates Candidate delimiters to test (default: [';', ',', '\t', '|'])
+ * @returns Detected delimiter
+ */
+export function autoDetectDelimiter(
+  csv: string,
+  candidates?: string[]
+): string;
+
+/**
+ * Sniff the dialect of a CSV sample: delimiter, quote, escape style, line
+ * ending, header row, encoding and column types, each with a confidence
+ * @param sample CSV text, or the first bytes of a file
+ * @param options Candidates, rows to inspect and caching
+ * @returns The dialect
+ */
+export function sniffDialect(
+  sample: string | Buffer,
+  options?: SniffDialectOptions
+): CsvDialect;
+
+/**
+ * Save data as JSON file with security validation
+ * @param data Data to save as JSON
+ * @param filePath Output file path (must end with .json)
+ * @param options Save options
+ * @returns Promise that resolves when file is saved
+ * @throws {ValidationError} If file path is invalid or data cannot be stringified
+ * @throws {SecurityError} If directory traversal detected
+ * @throws {FileSystemError} If file system operation fails
+ * @throws {LimitError} If file size exceeds limit
+ */
+export function saveAsJson(
+  data: any, 
+  filePath: string, 
+  options?: SaveAsJsonOptions
+): Promise<void>;
+
+/**
+ * Synchronously save data as JSON file with security validation
+ * @param data Data to save as JSON
+ * @param filePath Output file path (must end with .json)
+ * @param options Save options
+ * @returns Path to saved file
+ * @throws {ValidationError} If file path is invalid or data cannot be stringified
+ * @throws {SecurityError} If directory traversal detected
+ * @throws {FileSystemError} If file system operation fails
+ * @throws {LimitError} If file size exceeds limit
+ */
+export function saveAsJsonSync(
+  data: any, 
+  filePath: string, 
+  options?: SaveAsJsonOptions
+): string;
+
+/**
+ * Validate file path to prevent path traversal attacks (internal)
+ * @param filePath File path to validate
+ * @returns Validated absolute path
+ * @throws {ValidationError} If path is invalid
+ * @throws {SecurityError} If path traversal detected
+ */
+export function validateFilePath(filePath: string): string;
+
+// Streaming JSON to CSV functions
+
+/**
+ * Creates a transform stream that converts JSON objects to CSV rows.
+ * When it ends it emits a `'stats'` event carrying a `JsonToCsvStreamStats`.
+ * @param options Configuration options
+ * @returns Transform stream
+ */
+export function createJsonToCsvStream(
+  options?: JsonToCsvStreamOptions
+): Transform;
+
+/**
+ * Converts a readable stream of JSON objects to CSV and writes to a writable stream
+ * @param inputStream Readable stream of JSON objects
+ * @param outputStream Writable stream for CSV output
+ * @param options Configuration options
+ * @returns Promise that resolves when streaming is complete
+ */
+export function streamJsonToCsv(
+  inputStream: Readable,
+  outputStream: Writable,
+  options?: JsonToCsvStreamOptions
+): Promise<void>;
+
+/**
+ * Converts JSON to CSV and saves it to a file using streaming
+ * @param inputStream Readable stream of JSON objects
+ * @param filePath Path to save the CSV file
+ * @param options Configuration options
+ * @returns Promise that resolves when file is saved
+ */
+export function saveJsonStreamAsCsv(
+  inputStream: Readable,
+  filePath: string,
+  options?: JsonToCsvStreamOptions
+): Promise<void>;
+
+/**
+ * Creates a readable stream from an array of JSON objects
+ * @param data Array of JSON objects
+ * @returns Readable stream
+ */
+export function createJsonReadableStream(
+  data: Record<string, any>[]
+): Readable;
+
+/**
+ * Creates a writable stream that collects CSV data
+ * @returns Writable stream that collects data
+ */
+export function createCsvCollectorStream(): Writable;
+
+// Streaming CSV to JSON functions
+
+/**
+ * Creates a transform stream that converts CSV chunks to JSON objects.
+ * With `onError: 'collect'` each rejected row is emitted as a `'rowError'`
+ * event carrying a `CsvRowError`.
+ * @param options Configuration options
+ * @returns Transform stream
+ */
+export function createCsvToJsonStream(
+  options?: CsvToJsonStreamOptions
+): Transform;
+
+/**
+ * Creates a transform stream that converts CSV chunks to JSON objects (normalized naming alias)
+ * @param options Configuration options
+ * @returns Transform stream
+ */
+export function csvToJsonStream(
+  options?: CsvToJsonStreamOptions
+): Transform;
+
+/**
+ * Converts a readable stream of CSV text to JSON objects
+ * @param inputStream Readable stream of CSV text
+ * @param outputStream Writable stream for JSON objects
+ * @param options Configuration options
+ * @returns Promise that resolves when streaming is complete
+ */
+export function streamCsvToJson(
+  inputStream: Readable,
+  outputStream: Writable,
+  options?: CsvToJsonStreamOptions
+): Promise<void>;
+
+/**
+ * Reads CSV file and converts it to JSON using streaming
+ * @param filePath Path to CSV file
+ * @param options Configuration options
+ * @returns Readable stream of JSON objects
+ */
+export function createCsvFileToJsonStream(
+  filePath: string,
+  options?: CsvToJsonStreamOptions
+): Promise<Readable>;
+
+/**
+ * Reads CSV file and converts it to JSON using streaming (normalized naming alias)
+ * @param filePath Path to CSV file
+ * @param options Configuration options
+ * @returns Readable stream of JSON objects
+ */
+export function csvFileToJsonStream(
+  filePath: string,
+  options?: CsvToJsonStreamOptions
+): Promise<Readable>;
+
+/**
+ * Creates a writable stream that collects JSON objects into an array
+ * @returns Writable stream that collects data
+ */
+export function createJsonCollectorStream(): Writable;
+
+// NDJSON format support
+
+/**
+ * Convert JSON array to NDJSON string
+ * @param data Array of objects to convert
+ * @param options NDJSON options
+ * @returns NDJSON string
+ */
+export function jsonToNdjson<T extends Record<string, any>>(
+  data: T[],
+  options?: NdjsonOptions
+): string;
+
+/**
+ * Convert NDJSON string to JSON array
+ * @param ndjsonString NDJSON string
+ * @param options NDJSON options
+ * @returns JSON array
+ */
+export function ndjsonToJson(
+  ndjsonString: string,
+  options?: NdjsonOptions
+): Record<string, any>[];
+
+/**
+ * Parse NDJSON stream as async iterator
+ * @param input ReadableStream or string input
+ * @param options NDJSON options
+ * @returns Async generator of JSON objects
+ */
+export function parseNdjsonStream(
+  input: ReadableStream | string,
+  options?: NdjsonOptions
+): AsyncGenerator<Record<string, any>>;
+
+/**
+ * Create TransformStream for converting NDJSON to CSV
+ * @param options Conversion options
+ * @returns TransformStream
+ */
+export function createNdjsonToCsvStream(
+  options?: NdjsonToCsvStreamOptions
+): TransformStream;
+
+/**
+ * Create TransformStream for converting CSV to NDJSON
+ * @param options Conversion options
+ * @returns TransformStream
+ */
+export function createCsvToNdjsonStream(
+  options?: CsvToNdjsonStreamOptions
+): TransformStream;
+
+/**
+ * Get statistics for NDJSON data
+ * @param input NDJSON string or ReadableStream
+ * @returns Promise with NDJSON statistics
+ */
+export function getNdjsonStats(
+  input: string | ReadableStream
+): Promise<NdjsonStats>;
+
+// TSV format support
+
+/**
+ * Convert JSON array to TSV string
+ * @param data Array of objects to convert
+ * @param options TSV options
+ * @returns TSV string
+ */
+export function jsonToTsv<T extends Record<string, any>>(
+  data: T[],
+  options?: TsvOptions
+): string;
+
+/**
+ * Convert TSV string to JSON array
+ * @param tsvString TSV string
+ * @param options TSV options
+ * @returns JSON array
+ */
+export function tsvToJson(
+  tsvString: string,
+  options?: TsvOptions
+): Record<string, any>[];
+
+/**
+ * Check if string is likely TSV format
+ * @param sample Sample data string
+ * @returns True if likely TSV format
+ */
+export function isTsv(sample: string): boolean;
+
+/**
+ * Validate TSV string structure
+ * @param tsvString TSV string to validate
+ * @param options Validation options
+ * @returns Validation result
+ */
+export function validateTsv(
+  tsvString: string,
+  options?: ValidateTsvOptions
+): TsvValidationResult;
+
+/**
+ * Read TSV file and convert to JSON array
+ * @param filePath Path to TSV file
+ * @param options TSV options
+ * @returns Promise with JSON array
+ */
+export function readTsvAsJson(
+  filePath: string,
+  options?: TsvOptions
+): Promise<Record<string, any>[]>;
+
+/**
+ * Synchronously read TSV file and convert to JSON array
+ * @param filePath Path to TSV file
+ * @param options TSV options
+ * @returns JSON array
+ */
+export function readTsvAsJsonSync(
+  filePath: string,
+  options?: TsvOptions
+): Record<string, any>[];
+
+/**
+ * Save JSON data as TSV file
+ * @param data Array of objects to save
+ * @param filePath Output file path
+ * @param options TSV options
+ * @returns Promise that resolves when file is saved
+ */
+export function saveAsTsv<T extends Record<string, any>>(
+  data: T[],
+  filePath: string,
+  options?: TsvOptions
+): Promise<void>;
+
+/**
+ * Synchronously save JSON data as TSV file
+ * @param data Array of objects to save
+ * @param filePath Output file path
+ * @param options TSV options
+ */
+export function saveAsTsvSync<T extends Record<string, any>>(
+  data: T[],
+  filePath: string,
+  options?: TsvOptions
+): void;
+
+/**
+ * Create TransformStream for converting JSON to TSV
+ * @param options TSV options
+ * @returns TransformStream
+ */
+export function createJsonToTsvStream(
+  options?: TsvOptions
+): TransformStream;
+
+/**
+ * Create TransformStream for converting TSV to JSON
+ * @param options TSV options
+ * @returns TransformStream
+ */
+export function createTsvToJsonStream(
+  options?: TsvOptions
+): TransformStream;
+
+// Fixed-width format support
+/**
+ * Parse fixed-width text into JSON array
+ * @param text Fixed-width text
+ * @param options Column layout and parsing options
+ * @returns JSON array
+ */
+export function fixedToJson(
+  text: string,
+  options?: FixedWidthParseOptions
+): Record<string, unknown>[];
+
+/**
+ * Convert JSON array to fixed-width text
+ * @param data Array of objects to convert
+ * @param options Column layout and output options
+ * @returns Fixed-width text
+ */
+export function jsonToFixed<T extends object>(
+  data: T[],
+  options?: FixedWidthWriteOptions
+): string;
+
+/**
+ * Infer a column layout from sample fixed-width text
+ * @param sample Text or lines to inspect
+ * @param options Whether the first line holds column names
+ * @returns Column layout
+ */
+export function inferFixedWidthColumns(
+  sample: string | string[],
+  options?: { hasHeaders?: boolean }
+): FixedWidthColumn[];
+
+/**
+ * Read fixed-width file and convert to JSON array
+ * @param filePath Path to fixed-width file
+ * @param options Column layout and parsing options
+ * @returns Promise with JSON array
+ */
+export function readFixedAsJson(
+  filePath: string,
+  options?: FixedWidthParseOptions
+): Promise<Record<string, unknown>[]>;
+
+/**
+ * Synchronously read fixed-width file and convert to JSON array
+ * @param filePath Path to fixed-width file
+ * @param options Column layout and parsing options
+ * @returns JSON array
+ */
+export function readFixedAsJsonSync(
+  filePath: string,
+  options?: FixedWidthParseOptions
+): Record<string, unknown>[];
+
+/**
+ * Save JSON data as fixed-width file
+ * @param data Array of objects to save
+ * @param filePath Output file path
+ * @param options Column layout and output options
+ * @returns Promise with the resolved file path
+ */
+export function saveAsFixed<T extends object>(
+  data: T[],
+  filePath: string,
+  options?: FixedWidthWriteOptions
+): Promise<string>;
+
+/**
+ * Synchronously save JSON data as fixed-width file
+ * @param data Array of objects to save
+ * @param filePath Output file path
+ * @param options Column layout and output options
+ * @returns Resolved file path
+ */
+export function saveAsFixedSync<T extends object>(
+  data: T[],
+  filePath: string,
+  options?: FixedWidthWriteOptions
+): string;
+
+/**
+ * Create Transform stream that parses fixed-width text into objects
+ * @param options Column layout and parsing options
+ * @returns Transform stream
+ */
+export function createFixedToJsonStream(
+  options?: FixedWidthParseOptions
+): Transform;
+
+/**
+ * Create Transform stream that writes objects as fixed-width lines
+ * @param options Column layout (required) and output options
+ * @returns Transform stream
+ */
+export function createJsonToFixedStream(
+  options: FixedWidthWriteOptions
+): Transform;
+
+// Built-in validators
+export function isEmail(value: string): boolean;
+export function isUrl(value: string): boolean;
+export function isDate(value: string | Date): boolean;
+export const validators: {
+  isEmail: typeof isEmail;
+  isUrl: typeof isUrl;
+  isDate: typeof isDate;
+};
+
+// Batch helpers (Node.js)
+export function createBatchProcessor<T, R>(
+  processor: (batch: T[]) => Promise<R[]> | R[],
+  options?: { batchSize?: number; parallelism?: number }
+): (items: T[]) => AsyncGenerator<R>;
+
+export const asyncIterUtils: {
+  mapConcurrent<T, R>(
+    iterator: AsyncIterable<T>,
+    mapper: (item: T) => Promise<R> | R,
+    concurrency?: number
+  ): AsyncGenerator<R>;
+  batch<T>(iterator: AsyncIterable<T>, size?: number): AsyncGenerator<T[]>;
+};
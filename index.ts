@@ -3,7 +3,7 @@
 
 // Re-export all functions from individual modules
 export { jsonToCsv, jsonToCsvAsync, saveAsCsvAsync, preprocessData, saveAsCsv, deepUnwrap, validateFilePath } from './json-to-csv';
-export { csvToJson, csvToJsonAsync, csvToJsonIterator, readCsvAsJson, readCsvAsJsonSync, autoDetectDelimiter } from './csv-to-json';
+export { csvToJson, csvToJsonAsync, csvToJsonIterator, readCsvAsJson, readCsvAsJsonSync, autoDetectDelimiter, sniffDialect, buildCsvIndex, readCsvRange } from './csv-to-json';
 export { saveAsJson, saveAsJsonAsync, saveAsJsonSync } from './json-save';
 export { createJsonToCsvStream, streamJsonToCsv, streamJsonToCsvAsync, saveJsonStreamAsCsv, createJsonReadableStream, createCsvCollectorStream } from './stream-json-to-csv';
 export { createCsvToJsonStream, streamCsvToJson, streamCsvToJsonAsync, createCsvFileToJsonStream, createJsonCollectorStream } from './stream-csv-to-json';
@@ -43,6 +43,7 @@ export const csvFileToJsonStream = deprecate(
 // Re-export from submodules
 import NdjsonParser from './src/formats/ndjson-parser';
 import TsvParser from './src/formats/tsv-parser';
+import FixedWidthParser from './src/formats/fixed-width-parser';
 
 export const jsonToNdjson = NdjsonParser.toNdjson;
 export const ndjsonToJson = NdjsonParser.fromNdjson;
@@ -61,6 +62,16 @@ export const saveAsTsv = TsvParser.saveAsTsv;
 export const saveAsTsvSync = TsvParser.saveAsTsvSync;
 export const createJsonToTsvStream = TsvParser.createJsonToTsvStream;
 export const createTsvToJsonStream = TsvParser.createTsvToJsonStream;
+
+export const fixedToJson = FixedWidthParser.fixedToJson.bind(FixedWidthParser);
+export const jsonToFixed = FixedWidthParser.jsonToFixed.bind(FixedWidthParser);
+export const readFixedAsJson = FixedWidthParser.readFixedAsJson.bind(FixedWidthParser);
+export const readFixedAsJsonSync = FixedWidthParser.readFixedAsJsonSync.bind(FixedWidthParser);
+export const saveAsFixed = FixedWidthParser.saveAsFixed.bind(FixedWidthParser);
+export const saveAsFixedSync = FixedWidthParser.saveAsFixedSync.bind(FixedWidthParser);
+export const createFixedToJsonStream = FixedWidthParser.createFixedToJsonStream.bind(FixedWidthParser);
+export const createJsonToFixedStream = FixedWidthParser.createJsonToFixedStream.bind(FixedWidthParser);
+export { inferFixedWidthColumns } from './src/formats/fixed-width-parser';
 export { createZodValidationHook, createYupValidationHook, createValidatedParser } from './src/utils/zod-adapter';
 export { detectEncoding, convertToUtf8, autoDetectAndConvert, csvToJsonWithEncoding } from './src/utils/encoding-support';
 export { isEmail, isUrl, isDate, validators } from './src/utils/validators';
@@ -146,6 +146,7 @@ module.exports = {
     '^jtcsv/streams$': '<rootDir>/src/entry-streams.ts',
     '^jtcsv/ndjson$': '<rootDir>/src/entry-ndjson.ts',
     '^jtcsv/tsv$': '<rootDir>/src/entry-tsv.ts',
+    '^jtcsv/fixed-width$': '<rootDir>/src/entry-fixed-width.ts',
     '^jtcsv/errors$': '<rootDir>/src/entry-errors.ts',
     '^(\\.{1,2}/.*)\\.js$': '$1',
     '^(\\.{1,2}/.*)\\.ts$': '$1',
@@ -17,6 +17,22 @@ import {
 } from './errors';
 
 import { createSchemaValidators } from './src/utils/schema-validator';
+import { resolveNumberLocale, formatLocaleNumber } from './src/utils/number-locale';
+import { createDateFormatter } from './src/utils/date-patterns';
+import { validateOutputDelimiter, containsDelimiter } from './src/utils/delimiter';
+import {
+  validateMaxArrayLength,
+  planArrayExpansion,
+  expandArrays,
+  expandKeys,
+  ArrayExpansionPlan
+} from './src/utils/array-expansion';
+import { resolveUnwindOptions, unwindRows } from './src/utils/unwind';
+import { resolveColumnSpec, applyColumnSpec, columnHeaders } from './src/utils/column-spec';
+import { resolveCsvQuoting, createCsvFieldQuoter, quoteTokenText } from './src/utils/csv-quoting';
+import { resolveOutputLineEnding } from './src/utils/line-endings';
+import { resolveInjectionPolicy, guardFormula } from './src/utils/csv-injection';
+import { applyWriteDialect, sepLineFor, wrapFragileDigits } from './src/utils/csv-dialect';
 import { parallelJsonToCsv } from './src/workers/parallelize';
 import type {
   AsyncJsonToCsvOptions,
@@ -31,6 +47,10 @@ type SchemaValidator = {
   format?: (_value: any) => any;
 };
 
+// Keys that preprocessData filled with a non-empty nullAs/undefinedAs, per
+// row, so jsonToCsv can tell them from strings that spell the same token
+const tokenCells = new WeakMap<object, Set<string>>();
+
 /**
  * Validates input data and options
  * @private
@@ -47,12 +67,8 @@ function validateInput(data: any[], options?: JsonToCsvOptions) {
   }
   
   // Validate delimiter
-  if (options?.delimiter && typeof options.delimiter !== 'string') {
-    throw new ConfigurationError('Delimiter must be a string');
-  }
-  
-  if (options?.delimiter && options.delimiter.length !== 1) {
-    throw new ConfigurationError('Delimiter must be a single character');
+  if (options?.delimiter) {
+    validateOutputDelimiter(options.delimiter);
   }
   
   // Validate renameMap
@@ -95,37 +111,113 @@ function validateInput(data: any[], options?: JsonToCsvOptions) {
   if (options?.normalizeQuotes !== undefined && typeof options.normalizeQuotes !== 'boolean') {
     throw new ConfigurationError('normalizeQuotes must be a boolean');
   }
+
+  if (options?.nullAs !== undefined && typeof options.nullAs !== 'string') {
+    throw new ConfigurationError('nullAs must be a string');
+  }
+
+  if (options?.undefinedAs !== undefined && typeof options.undefinedAs !== 'string') {
+    throw new ConfigurationError('undefinedAs must be a string');
+  }
+
+  for (const flag of ['addBOM', 'sepLine', 'protectLeadingZeros'] as const) {
+    if (options?.[flag] !== undefined && typeof options[flag] !== 'boolean') {
+      throw new ConfigurationError(`${flag} must be a boolean`);
+    }
+  }
   
   // Validate schema
   if (options?.schema && typeof options.schema !== 'object') {
     throw new ConfigurationError('schema must be an object');
   }
+
+  validateMaxArrayLength(options?.maxArrayLength);
+  resolveUnwindOptions(options || {});
+  resolveColumnSpec(options || {});
+  resolveCsvQuoting(options || {});
+  resolveInjectionPolicy(options || {});
+  resolveOutputLineEnding(options || {}, { eol: '\r\n', trailingNewline: false });
   
   return true;
 }
 
 /**
- * Preprocesses data with flattening and array handling options
+ * Preprocesses data with unwinding, column specs, flattening and array handling options
  */
 export function preprocessData(
   data: any[],
   options: PreprocessOptions = {}
 ) {
+  return preprocessRows(data, options).rows;
+}
+
+/** preprocessData, with the array expansion plan that `template` keys expand by */
+function preprocessRows(
+  data: any[],
+  options: PreprocessOptions
+): { rows: Record<string, unknown>[]; expansion: ArrayExpansionPlan | null } {
   const {
-    flatten = false,
+    flatten: flattenOption = false,
     flattenSeparator = '.',
     flattenMaxDepth = 3,
-    arrayHandling = 'join'
+    arrayHandling = 'join',
+    maxArrayLength,
+    dateFormat,
+    nullAs = '',
+    undefinedAs = '',
+    maxRecords = Infinity
   } = options;
   
   if (!Array.isArray(data)) {
-    return [];
+    return { rows: [], expansion: null };
   }
+
+  // One row per element of the unwound arrays, before anything else sees them.
+  // maxRecords counts these rows, and bounds a cartesian product as it grows
+  const unwindPlan = resolveUnwindOptions(options);
+  const unwound = unwindPlan ? unwindRows(data, unwindPlan, maxRecords) : data;
+  if (unwound.length > maxRecords) {
+    throw new LimitError(
+      `Unwound data exceeds maximum limit of ${maxRecords} records`,
+      maxRecords,
+      unwound.length
+    );
+  }
+
+  // Column specs pick nested values by path, so their rows are not flattened
+  const columns = resolveColumnSpec(options);
+  const items = columns
+    ? unwound.map((item) => (item && typeof item === 'object' ? applyColumnSpec(item, columns) : item))
+    : unwound;
+  const flatten = flattenOption && !columns;
+
+  const formatDate = createDateFormatter(dateFormat);
+  const flattenItem = (item: any): Record<string, unknown> => (
+    flatten ? flattenObject(item, flattenSeparator, flattenMaxDepth) : { ...item }
+  );
+
+  // Expansion sizes columns from the whole dataset, so rows are flattened up front
+  const flattened = arrayHandling === 'expand'
+    ? items.map((item) => (item && typeof item === 'object' ? flattenItem(item) : null))
+    : null;
+  const expansion = flattened ? planArrayExpansion(flattened, validateMaxArrayLength(maxArrayLength)) : null;
   
   const processed = [];
   const fastPath = !flatten && arrayHandling === 'join';
+  const toToken = (row: object, key: string, token: string): string => {
+    if (token !== '') {
+      let keys = tokenCells.get(row);
+      if (!keys) {
+        keys = new Set();
+        tokenCells.set(row, keys);
+      }
+      keys.add(key);
+    }
+    return token;
+  };
   
-  for (const item of data) {
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
     if (!item || typeof item !== 'object') {
       processed.push({});
       continue;
@@ -159,8 +251,12 @@ export function preprocessData(
           continue;
         }
         const value = (item as Record<string, unknown>)[key];
-        if (value === null || value === undefined) {
-          processedItem[key] = '';
+        if (value === null) {
+          processedItem[key] = toToken(processedItem, key, nullAs);
+        } else if (value === undefined) {
+          processedItem[key] = toToken(processedItem, key, undefinedAs);
+        } else if (value instanceof Date) {
+          processedItem[key] = formatDate(value);
         } else if (typeof value === 'object') {
           processedItem[key] = deepUnwrap(value);
         } else {
@@ -170,22 +266,24 @@ export function preprocessData(
       processed.push(processedItem);
       continue;
     }
-    let processedItem: Record<string, unknown> = { ...item };
-      
     // Handle flattening if enabled
-    if (flatten) {
-      processedItem = flattenObject(item, flattenSeparator, flattenMaxDepth);
-    }
+    let processedItem = flattened ? flattened[i] as Record<string, unknown> : flattenItem(item);
       
     // Handle arrays based on arrayHandling option
-    processedItem = processArrays(processedItem, arrayHandling);
+    processedItem = expansion
+      ? expandArrays(processedItem, expansion, flattenSeparator)
+      : processArrays(processedItem, arrayHandling);
 
     // Unwrap nested objects into strings
     for (const [key, value] of Object.entries(processedItem)) {
-      if (value && typeof value === 'object') {
+      if (value instanceof Date) {
+        processedItem[key] = formatDate(value);
+      } else if (value && typeof value === 'object') {
         processedItem[key] = deepUnwrap(value);
-      } else if (value === null || value === undefined) {
-        processedItem[key] = '';
+      } else if (value === null) {
+        processedItem[key] = toToken(processedItem, key, nullAs);
+      } else if (value === undefined) {
+        processedItem[key] = toToken(processedItem, key, undefinedAs);
       } else {
         processedItem[key] = value;
       }
@@ -194,7 +292,7 @@ export function preprocessData(
     processed.push(processedItem);
   }
   
-  return processed;
+  return { rows: processed, expansion };
 }
 
 /**
@@ -216,7 +314,7 @@ function flattenObject(
   for (const [key, value] of Object.entries(obj)) {
     const newKey = prefix ? `${prefix}${separator}${key}` : key;
     
-    if (value && typeof value === 'object' && !Array.isArray(value)) {
+    if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
       const nestedFlattened = flattenObject(
         value,
         separator,
@@ -248,16 +346,6 @@ function processArrays(obj: any, arrayHandling: string): any {
         case 'join':
           processed[key] = value.join(', ');
           break;
-        case 'expand':
-          // For expand, we would create multiple columns
-          // This is a simplified version
-          if (value.length > 0 && typeof value[0] === 'object') {
-            // Complex case - for now, stringify
-            processed[key] = JSON.stringify(value);
-          } else {
-            processed[key] = value.join(', ');
-          }
-          break;
       }
     }
   }
@@ -447,10 +535,12 @@ export function jsonToCsv(
   options: JsonToCsvOptions = {}
 ) {
   return safeExecuteSync(() => {
+    const opts: JsonToCsvOptions = options && typeof options === 'object'
+      ? applyWriteDialect(options)
+      : {};
+
     // Validate input
-    validateInput(data, options);
-    
-    const opts: JsonToCsvOptions = options && typeof options === 'object' ? options : {};
+    validateInput(data, options && typeof options === 'object' ? opts : options);
     
     const {
       delimiter = ';',
@@ -458,7 +548,6 @@ export function jsonToCsv(
       renameMap = {},
       template = {},
       maxRecords,
-      preventCsvInjection = true,
       rfc4180Compliant = true,
       normalizeQuotes = true,
       schema = null,
@@ -466,9 +555,24 @@ export function jsonToCsv(
       flattenSeparator = '.',
       flattenMaxDepth = 3,
       arrayHandling = 'stringify',
+      maxArrayLength,
       memoryWarningThreshold = 1000000,
-      memoryLimit = 5000000
+      memoryLimit = 5000000,
+      nullAs = '',
+      undefinedAs = '',
+      addBOM = false,
+      sepLine = false,
+      protectLeadingZeros = false
     } = opts;
+
+    const numberLocale = resolveNumberLocale(opts.numberLocale);
+    const injection = resolveInjectionPolicy(opts);
+    const quoting = resolveCsvQuoting(opts);
+    const quoteField = createCsvFieldQuoter(quoting, delimiter);
+    const { eol, trailingNewline } = resolveOutputLineEnding(opts, {
+      eol: rfc4180Compliant ? '\r\n' : '\n',
+      trailingNewline: false
+    });
     
     // Initialize schema validators if schema is provided
     let schemaValidators: Record<string, SchemaValidator> | null = null;
@@ -501,8 +605,8 @@ export function jsonToCsv(
       );
     }
     
-    // Apply optional record limit if specified
-    if (maxRecords && data.length > maxRecords) {
+    // Apply optional record limit if specified; preprocessData counts unwound rows
+    if (maxRecords && opts.unwind === undefined && data.length > maxRecords) {
       throw new LimitError(
         `Data size exceeds maximum limit of ${maxRecords} records`,
         maxRecords,
@@ -511,11 +615,20 @@ export function jsonToCsv(
     }
     
     // Preprocess data with flattening options if needed
-    const processedData = preprocessData(data, {
+    const { rows: processedData, expansion } = preprocessRows(data, {
       flatten,
       flattenSeparator,
       flattenMaxDepth,
-      arrayHandling
+      arrayHandling,
+      maxArrayLength,
+      unwind: opts.unwind,
+      unwindMode: opts.unwindMode,
+      unwindPreserveEmpty: opts.unwindPreserveEmpty,
+      columns: opts.columns,
+      dateFormat: opts.dateFormat,
+      nullAs,
+      undefinedAs,
+      maxRecords
     });
 
     if (schemaValidators && Object.keys(schemaValidators).length > 0) {
@@ -537,18 +650,22 @@ export function jsonToCsv(
       }
     }
     
-    // Get all unique keys from all objects with minimal allocations.
-    const allKeys = new Set();
-    const originalKeys = [];
-    for (let i = 0; i < processedData.length; i++) {
-      const item = processedData[i];
-      if (!item || typeof item !== 'object') {
-        continue;
-      }
-      for (const key in item) {
-        if (Object.prototype.hasOwnProperty.call(item, key) && !allKeys.has(key)) {
-          allKeys.add(key);
-          originalKeys.push(key);
+    // Column specs fix the columns; otherwise they are the rows' keys
+    const columns = resolveColumnSpec(opts);
+    const originalKeys: string[] = columns ? columnHeaders(columns, processedData) : [];
+    if (!columns) {
+      // Get all unique keys from all objects with minimal allocations.
+      const allKeys = new Set();
+      for (let i = 0; i < processedData.length; i++) {
+        const item = processedData[i];
+        if (!item || typeof item !== 'object') {
+          continue;
+        }
+        for (const key in item) {
+          if (Object.prototype.hasOwnProperty.call(item, key) && !allKeys.has(key)) {
+            allKeys.add(key);
+            originalKeys.push(key);
+          }
         }
       }
     }
@@ -573,7 +690,10 @@ export function jsonToCsv(
     // Apply template ordering if provided.
     let finalHeaders = headers;
     if (hasTemplate) {
-      const templateKeys = Object.keys(template);
+      // An expanded array key stands for its element columns
+      const templateKeys = expansion
+        ? expandKeys(Object.keys(template), expansion, flattenSeparator)
+        : Object.keys(template);
       const templateHeaders = hasRenameMap
         ? templateKeys.map(key => renameMap[key] || key)
         : templateKeys;
@@ -643,48 +763,24 @@ export function jsonToCsv(
      * Escapes a value for CSV format with CSV injection protection
      */
     const quoteRegex = /"/g;
-    const delimiterCode = delimiter.charCodeAt(0);
-    const isPotentialFormula = (value: string): boolean => {
-      let idx = 0;
-      while (idx < value.length) {
-        const code = value.charCodeAt(idx);
-        if (code === 32 || code === 9 || code === 10 || code === 13 || code === 0xfeff) {
-          idx++;
-          continue;
-        }
-        break;
-      }
-      if (idx < value.length && (value[idx] === '"' || value[idx] === "'")) {
-        idx++;
-        while (idx < value.length) {
-          const code = value.charCodeAt(idx);
-          if (code === 32 || code === 9) {
-            idx++;
-            continue;
-          }
-          break;
-        }
-      }
-      if (idx >= value.length) {
-        return false;
-      }
-      const char = value[idx];
-      return char === '=' || char === '+' || char === '-' || char === '@';
-    };
-    
-    const escapeValue = (value: unknown): string => {
+    const delimiterCode = delimiter.length === 1 ? delimiter.charCodeAt(0) : -1;
+    const escapeValue = (value: unknown, key: string, header: string, isCell: boolean, spellsToken = false): string => {
       if (value === null || value === undefined || value === '') {
-        return '';
+        return quoting.quoting === 'minimal' ? '' : quoteField('', value);
       }
 
-      const stringValue: string = typeof value === 'string' ? value : String(value);
+      let stringValue: string;
+      if (typeof value === 'string') {
+        stringValue = value;
+      } else if (numberLocale && typeof value === 'number') {
+        stringValue = formatLocaleNumber(value, numberLocale);
+      } else {
+        stringValue = String(value);
+      }
       
-      // CSV Injection protection - escape formulas if enabled
-      let escapedValue = stringValue;
-      if (preventCsvInjection) {
-        if (isPotentialFormula(stringValue)) {
-          escapedValue = "'" + stringValue;
-        }
+      // CSV Injection protection - escape, strip or reject formulas per injectionPolicy
+      let escapedValue = guardFormula(stringValue, value, injection, key, header);
+      if (injection.policy !== 'allow') {
         // Unicode Bidi override characters
         const bidiChars = ['\u202A', '\u202B', '\u202C', '\u202D', '\u202E'];
         for (const bidi of bidiChars) {
@@ -693,6 +789,19 @@ export function jsonToCsv(
           }
         }
       }
+
+      // Formula-wrapped after the injection check, which would escape the '='
+      if (isCell && protectLeadingZeros && typeof value === 'string') {
+        escapedValue = wrapFragileDigits(escapedValue);
+      }
+
+      if (spellsToken) {
+        return quoteTokenText(escapedValue, quoting);
+      }
+      
+      if (quoting.quoting !== 'minimal') {
+        return quoteField(escapedValue, value);
+      }
       
       let needsQuoting = false;
       let hasQuote = false;
@@ -706,6 +815,10 @@ export function jsonToCsv(
         }
       }
       
+      if (!needsQuoting && delimiterCode === -1 && containsDelimiter(escapedValue, delimiter)) {
+        needsQuoting = true;
+      }
+      
       if (needsQuoting) {
         const quotedValue = hasQuote ? escapedValue.replace(quoteRegex, '""') : escapedValue;
         return `"${quotedValue}"`;
@@ -717,9 +830,13 @@ export function jsonToCsv(
     // Build CSV rows
     const rows = [];
     
+    if (sepLine) {
+      rows.push(sepLineFor(delimiter));
+    }
+
     // Add headers row if requested
     if (includeHeaders) {
-      const headerRow = finalHeaders.map(header => escapeValue(header)).join(delimiter);
+      const headerRow = finalHeaders.map((header, i) => escapeValue(header, finalKeys[i], header, false)).join(delimiter);
       rows.push(headerRow);
     }
     
@@ -731,17 +848,32 @@ export function jsonToCsv(
       for (let j = 0; j < finalKeys.length; j++) {
         const key = finalKeys[j];
         const value = item && typeof item === 'object' ? item[key] : undefined;
-        const normalized = normalizeValueForCsv(value, key);
-        rowValues.push(escapeValue(normalized));
+        // Tokens are written bare and strings that spell one are quoted, so
+        // a real '\N' does not read back as null
+        if (value === undefined && undefinedAs !== '') {
+          rowValues.push(undefinedAs);
+          continue;
+        }
+        if (typeof value === 'string' && value !== '' && (value === nullAs || value === undefinedAs)) {
+          if (tokenCells.get(item)?.has(key)) {
+            rowValues.push(value);
+          } else {
+            rowValues.push(escapeValue(normalizeValueForCsv(value, key), key, finalHeaders[j], true, true));
+          }
+          continue;
+        }
+        const normalized = normalizeValueForCsv(value === undefined ? undefinedAs : value, key);
+        rowValues.push(escapeValue(normalized, key, finalHeaders[j], true));
       }
       
       rows.push(rowValues.join(delimiter));
     }
     
-    // Apply RFC 4180 compliance if requested
-    const csv = rows.join(rfc4180Compliant ? '\r\n' : '\n');
+    // RFC 4180 line endings unless lineEnding says otherwise
+    const csv = rows.join(eol);
+    const bom = addBOM ? '\uFEFF' : '';
     
-    return csv;
+    return bom + (trailingNewline && rows.length > 0 ? csv + eol : csv);
   }, 'PARSING_ERROR', { function: 'jsonToCsv' });
 }
 
@@ -756,7 +888,12 @@ export async function jsonToCsvAsync(
 ) {
   return safeExecuteAsync(async () => {
     const { useWorkers = false, workerCount, chunkSize: _unusedChunkSize, onProgress: _unusedOnProgress, ...syncOptions } = options;
-    if (!useWorkers || !Array.isArray(data)) {
+    // Expanded columns are sized from the whole dataset, which one worker never
+    // sees, and so is a maxRecords limit on unwound rows
+    if (!useWorkers
+      || !Array.isArray(data)
+      || syncOptions.arrayHandling === 'expand'
+      || (syncOptions.unwind !== undefined && syncOptions.maxRecords)) {
       return jsonToCsv(data, syncOptions);
     }
     return parallelJsonToCsv(
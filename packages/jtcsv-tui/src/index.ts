@@ -768,7 +768,18 @@ class JtcsvTUI {
           throw new Error('Please enter CSV data');
         }
         
-        const jsonData = jtcsv.csvToJson(csvText, this.buildCsvToJsonOptions());
+        const options = this.buildCsvToJsonOptions();
+        if (this.conversionOptions.autoDetect) {
+          const dialect = jtcsv.sniffDialect(csvText);
+          if (dialect.delimiter.confidence > 0) {
+            options.delimiter = dialect.delimiter.value;
+          }
+          const shown = JSON.stringify(options.delimiter).slice(1, -1);
+          const confidence = Math.round(dialect.delimiter.confidence * 100);
+          optionsText.setContent(`Options: Delimiter=${shown} (detected, ${confidence}%) | Headers=${dialect.hasHeader.value ? 'likely' : 'unlikely'} | FastPath=${this.conversionOptions.useFastPath} | Mode=${this.conversionOptions.fastPathMode}`);
+        }
+
+        const jsonData = jtcsv.csvToJson(csvText, options);
         const jsonOutput = this.conversionOptions.prettyPrint
           ? JSON.stringify(jsonData, null, 2)
           : JSON.stringify(jsonData);
@@ -215,7 +215,8 @@ export default [
   },
 
   // ==================== SUBPATH EXPORTS ====================
-  // jtcsv/csv, jtcsv/json, jtcsv/streams, jtcsv/ndjson, jtcsv/tsv, jtcsv/errors
+  // jtcsv/csv, jtcsv/json, jtcsv/streams, jtcsv/ndjson, jtcsv/tsv,
+  // jtcsv/fixed-width, jtcsv/errors
   // Multi-entry config so rollup deduplicates shared code into _shared/*.
   // Each entry is a thin barrel — users pay only for what they import.
   {
@@ -225,6 +226,7 @@ export default [
       streams: 'src/entry-streams.ts',
       ndjson:  'src/entry-ndjson.ts',
       tsv:     'src/entry-tsv.ts',
+      'fixed-width': 'src/entry-fixed-width.ts',
       errors:  'src/entry-errors.ts',
     },
     output: [
@@ -18,6 +18,7 @@ const LIMITS = [
   { name: 'jtcsv/streams (entry)',       file: 'dist/streams.esm.js', limit:      1024 },
   { name: 'jtcsv/ndjson (entry)',        file: 'dist/ndjson.esm.js',  limit:  5 * 1024 },
   { name: 'jtcsv/tsv (entry)',           file: 'dist/tsv.esm.js',     limit:  4 * 1024 },
+  { name: 'jtcsv/fixed-width (entry)',   file: 'dist/fixed-width.esm.js', limit:  6 * 1024 },
   // 3.2.3 added actionable hints + docs links to every error class, taking
   // this entry from ~2.4 KB to 3.7 KB. That is the feature, not a
   // regression — budget raised to 4.5 KB to leave ~20 % headroom.
@@ -67,7 +68,8 @@ const SUBPATH_IMPORT_LIMITS = [
   { name: "import { jsonToCsv } from 'jtcsv/json'",      file: 'dist/json.esm.js',    limit: 15 * 1024 },
   { name: "import * as s from 'jtcsv/streams'",          file: 'dist/streams.esm.js', limit: 35 * 1024 },
   { name: "import * as n from 'jtcsv/ndjson'",           file: 'dist/ndjson.esm.js',  limit: 25 * 1024 },
-  { name: "import * as t from 'jtcsv/tsv'",              file: 'dist/tsv.esm.js',     limit: 40 * 1024 }
+  { name: "import * as t from 'jtcsv/tsv'",              file: 'dist/tsv.esm.js',     limit: 40 * 1024 },
+  { name: "import * as f from 'jtcsv/fixed-width'",      file: 'dist/fixed-width.esm.js', limit: 15 * 1024 }
 ];
 
 const fmt = (n) => `${(n / 1024).toFixed(1)} KB`;
@@ -26,7 +26,7 @@ function validateCsvOptions(options: CsvToJsonOptions): boolean {
     throw new ConfigurationError('Delimiter must be a string');
   }
   
-  if (options?.delimiter && options.delimiter.length !== 1) {
+  if (typeof options?.delimiter === 'string' && options.delimiter.length !== 1) {
     throw new ConfigurationError('Delimiter must be a single character');
   }
   
@@ -255,7 +255,7 @@ export function csvToJson(csvText: string, options: CsvToJsonOptions = {}): any[
     }
     
     // Определение разделителя
-    const delimiter = options.delimiter || 
+    const delimiter = (options.delimiter as string | undefined) || 
       (options.autoDetect !== false ? autoDetectDelimiter(csvText, options.candidates) : ',');
     
     return recordsToRows(tokenizeCsv(csvText, delimiter), options);
@@ -294,7 +294,7 @@ export async function* csvToJsonIterator(input: string | File | Blob, options: C
   }
   
   // Определение разделителя
-  const delimiter = options.delimiter || 
+  const delimiter = (options.delimiter as string | undefined) || 
     (options.autoDetect !== false ? autoDetectDelimiter(csvText, options.candidates) : ',');
   
   for (const row of recordsToRows(tokenizeCsv(csvText, delimiter), options)) {
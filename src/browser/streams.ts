@@ -325,7 +325,7 @@ async function* csvToJsonChunkIterator(input: any, options: CsvToJsonOptions = {
     const decoder = new TextDecoder();
     let buffer = '';
     let header: string | null = null;
-    let delimiter: string | undefined = options.delimiter;
+    let delimiter = options.delimiter as string | undefined;
 
     // Peels every *complete* record off `buffer`, leaving any partial
     // trailing record for the next chunk. A newline only terminates a
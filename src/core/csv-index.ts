@@ -0,0 +1,373 @@
+/**
+ * Row index files for random access to large CSV files.
+ *
+ * An index records the byte offset of every Nth data record, so a window
+ * of rows can be read by seeking to the nearest checkpoint and scanning
+ * at most N - 1 records instead of the whole file. Records are found on
+ * raw bytes: LF, CRLF and bare CR end them, a line break inside a quoted
+ * field does not, and blank lines are not counted, the same as the parsers.
+ *
+ * The index is saved next to the file as `<file>.idx` (JSON). It keeps the
+ * file's size and modification time; an index that no longer matches
+ * them is stale.
+ *
+ * @module csv-index
+ */
+
+import * as fs from 'fs';
+import { ValidationError, ConfigurationError, FileSystemError } from '../errors';
+import type { CsvIndex } from '../types';
+
+export type { CsvIndex };
+
+/** Version of the index file layout. */
+export const CSV_INDEX_VERSION = 1;
+
+const READ_CHUNK_BYTES = 1024 * 1024;
+const LF = 0x0a;
+const CR = 0x0d;
+const SPACE = 0x20;
+const TAB = 0x09;
+const BOM = [0xef, 0xbb, 0xbf];
+
+/** Options for `indexCsvFile`. */
+export interface IndexCsvFileOptions {
+  every: number;
+  hasHeaders: boolean;
+  quote: string;
+}
+
+/** A window of records read from a CSV file. */
+export interface CsvRecordWindow {
+  /** Header record text, or null without headers */
+  header: string | null;
+  /** The records, as they appear in the file */
+  text: string;
+  /** Number of records in `text` */
+  count: number;
+}
+
+/**
+ * Finds record boundaries in a byte stream. Every quote character
+ * toggles the quoted state, which handles `""` escapes too; a line feed,
+ * or a CR not followed by one, outside quotes ends the record.
+ */
+class RecordScanner {
+  private readonly quote: number;
+  private position: number;
+  private start: number;
+  private inQuotes = false;
+  private blank = true;
+  private lastByte = -1;
+  /** Position of a CR outside quotes, until the next byte shows whether it is CRLF */
+  private crEnd = -1;
+
+  constructor(quote: number, offset: number) {
+    this.quote = quote;
+    this.position = offset;
+    this.start = offset;
+  }
+
+  /**
+   * Scans the next chunk of the file.
+   *
+   * @param onRecord - Called with the start and end (exclusive, `\n` or
+   * `\r\n` left out) of each non-blank record; returning false stops the scan
+   * @returns False when `onRecord` stopped the scan
+   */
+  scan(chunk: Buffer, onRecord: (start: number, end: number) => boolean): boolean {
+    for (let i = 0; i < chunk.length; i++) {
+      const byte = chunk[i];
+      const lastByte = this.lastByte;
+      this.lastByte = byte;
+      if (this.crEnd >= 0) {
+        const crEnd = this.crEnd;
+        this.crEnd = -1;
+        // A bare CR (classic Mac line break)
+        if (byte !== LF && !this.endRecord(crEnd, crEnd + 1, onRecord)) {
+          return false;
+        }
+      }
+      if (byte === this.quote) {
+        this.inQuotes = !this.inQuotes;
+        this.blank = false;
+      } else if (this.inQuotes) {
+        continue;
+      } else if (byte === LF) {
+        const end = this.position + i - (lastByte === CR ? 1 : 0);
+        if (!this.endRecord(end, this.position + i + 1, onRecord)) {
+          return false;
+        }
+      } else if (byte === CR) {
+        this.crEnd = this.position + i;
+      } else if (this.blank && byte !== SPACE && byte !== TAB) {
+        this.blank = false;
+      }
+    }
+    this.position += chunk.length;
+    return true;
+  }
+
+  /** Ends the current record at `end`; the next one starts at `next`. */
+  private endRecord(end: number, next: number, onRecord: (start: number, end: number) => boolean): boolean {
+    const wasBlank = this.blank;
+    const start = this.start;
+    this.start = next;
+    this.blank = true;
+    return wasBlank || onRecord(start, end);
+  }
+
+  /** Reports a last record that has no line break after it. */
+  finish(onRecord: (start: number, end: number) => boolean): void {
+    if (!this.blank) {
+      onRecord(this.start, this.position - (this.lastByte === CR ? 1 : 0));
+    }
+  }
+}
+
+function quoteByte(quote: string): number {
+  if (typeof quote !== 'string' || quote.length !== 1 || quote.charCodeAt(0) > 0x7f) {
+    throw new ConfigurationError('quote must be a single ASCII character');
+  }
+  return quote.charCodeAt(0);
+}
+
+function wrapFileError(error: any, filePath: string): Error {
+  if (error instanceof ValidationError || error instanceof ConfigurationError || error instanceof FileSystemError) {
+    return error;
+  }
+  if (error.code === 'ENOENT') {
+    return new FileSystemError(`File not found: ${filePath}`, error);
+  }
+  if (error.code === 'EACCES') {
+    return new FileSystemError(`Permission denied: ${filePath}`, error);
+  }
+  if (error.code === 'EISDIR') {
+    return new FileSystemError(`Path is a directory: ${filePath}`, error);
+  }
+  return new FileSystemError(`Failed to read CSV file: ${error.message}`, error);
+}
+
+/** Reads `length` bytes at `offset`. */
+async function readBytes(handle: fs.promises.FileHandle, offset: number, length: number): Promise<Buffer> {
+  const buffer = Buffer.alloc(length);
+  let filled = 0;
+  while (filled < length) {
+    const { bytesRead } = await handle.read(buffer, filled, length - filled, offset + filled);
+    if (bytesRead === 0) {
+      break;
+    }
+    filled += bytesRead;
+  }
+  return buffer.subarray(0, filled);
+}
+
+/** Byte offset of the first record: past a UTF-8 BOM, if there is one. */
+async function contentStart(handle: fs.promises.FileHandle): Promise<number> {
+  const head = await readBytes(handle, 0, BOM.length);
+  return head.length === BOM.length && BOM.every((byte, i) => head[i] === byte) ? BOM.length : 0;
+}
+
+/**
+ * Scans records from `offset` until `onRecord` returns false or the file
+ * ends.
+ */
+async function scanRecords(
+  handle: fs.promises.FileHandle,
+  offset: number,
+  quote: number,
+  onRecord: (start: number, end: number) => boolean
+): Promise<void> {
+  const scanner = new RecordScanner(quote, offset);
+  const buffer = Buffer.alloc(READ_CHUNK_BYTES);
+  let position = offset;
+  for (;;) {
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, position);
+    if (bytesRead === 0) {
+      scanner.finish(onRecord);
+      return;
+    }
+    if (!scanner.scan(buffer.subarray(0, bytesRead), onRecord)) {
+      return;
+    }
+    position += bytesRead;
+  }
+}
+
+/**
+ * Scans a CSV file and builds its index.
+ */
+export async function indexCsvFile(filePath: string, options: IndexCsvFileOptions): Promise<CsvIndex> {
+  const { every, hasHeaders, quote } = options;
+  if (!Number.isInteger(every) || every < 1) {
+    throw new ConfigurationError('every must be a positive integer');
+  }
+  const quoteCode = quoteByte(quote);
+
+  let handle: fs.promises.FileHandle | undefined;
+  try {
+    handle = await fs.promises.open(filePath, 'r');
+    const stat = await handle.stat();
+    const index: CsvIndex = {
+      version: CSV_INDEX_VERSION,
+      size: stat.size,
+      mtimeMs: stat.mtimeMs,
+      every,
+      hasHeaders,
+      quote,
+      header: null,
+      rows: 0,
+      offsets: []
+    };
+    await scanRecords(handle, await contentStart(handle), quoteCode, (start, end) => {
+      if (hasHeaders && index.header === null) {
+        index.header = { offset: start, length: end - start };
+      } else {
+        if (index.rows % every === 0) {
+          index.offsets.push(start);
+        }
+        index.rows++;
+      }
+      return true;
+    });
+    return index;
+  } catch (error: any) {
+    throw wrapFileError(error, filePath);
+  } finally {
+    await handle?.close();
+  }
+}
+
+/** Path of the sidecar index file for a CSV file. */
+export function csvIndexPath(filePath: string): string {
+  return `${filePath}.idx`;
+}
+
+/** Writes an index as JSON. */
+export async function saveCsvIndex(index: CsvIndex, indexPath: string): Promise<void> {
+  try {
+    await fs.promises.writeFile(indexPath, JSON.stringify(index), 'utf8');
+  } catch (error: any) {
+    throw new FileSystemError(`Failed to write CSV index: ${error.message}`, error);
+  }
+}
+
+function isCsvIndex(value: any): value is CsvIndex {
+  return Boolean(value)
+    && value.version === CSV_INDEX_VERSION
+    && Number.isInteger(value.every) && value.every > 0
+    && Number.isInteger(value.rows)
+    && typeof value.size === 'number'
+    && typeof value.mtimeMs === 'number'
+    && typeof value.quote === 'string'
+    && (value.header === null || Number.isInteger(value.header?.offset))
+    && Array.isArray(value.offsets)
+    && value.offsets.length === Math.ceil(value.rows / value.every);
+}
+
+/**
+ * Reads an index file.
+ *
+ * @returns The index, or null when the file does not exist
+ * @throws {ValidationError} If the file is not a jtcsv index
+ */
+export async function loadCsvIndex(indexPath: string): Promise<CsvIndex | null> {
+  let text: string;
+  try {
+    text = await fs.promises.readFile(indexPath, 'utf8');
+  } catch (error: any) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw new FileSystemError(`Failed to read CSV index: ${error.message}`, error);
+  }
+  let index: any;
+  try {
+    index = JSON.parse(text);
+  } catch {
+    index = null;
+  }
+  if (!isCsvIndex(index)) {
+    throw new ValidationError(`Invalid CSV index file: ${indexPath}`);
+  }
+  return index;
+}
+
+/** Whether an index still describes the file it was built for. */
+export async function isCsvIndexCurrent(index: CsvIndex, filePath: string): Promise<boolean> {
+  try {
+    const stat = await fs.promises.stat(filePath);
+    return stat.size === index.size && stat.mtimeMs === index.mtimeMs;
+  } catch (error: any) {
+    throw wrapFileError(error, filePath);
+  }
+}
+
+/**
+ * Reads data records `from` (inclusive) to `to` (exclusive), 0-based,
+ * starting at the nearest checkpoint of `index`, or at the top of the
+ * file without one.
+ */
+export async function readCsvRecords(
+  filePath: string,
+  from: number,
+  to: number,
+  index: CsvIndex | null,
+  options: { hasHeaders: boolean; quote: string }
+): Promise<CsvRecordWindow> {
+  const quote = quoteByte(index ? index.quote : options.quote);
+  const hasHeaders = index ? index.hasHeaders : options.hasHeaders;
+
+  let handle: fs.promises.FileHandle | undefined;
+  try {
+    handle = await fs.promises.open(filePath, 'r');
+    let header: string | null = null;
+    let record = 0;
+    let offset: number;
+    if (index) {
+      if (index.header) {
+        header = (await readBytes(handle, index.header.offset, index.header.length)).toString('utf8');
+      }
+      if (from >= index.rows) {
+        return { header, text: '', count: 0 };
+      }
+      const checkpoint = Math.floor(from / index.every);
+      record = checkpoint * index.every;
+      offset = index.offsets[checkpoint];
+    } else {
+      offset = await contentStart(handle);
+    }
+
+    let first = -1;
+    let last = -1;
+    let count = 0;
+    let headerStart = -1;
+    let headerEnd = -1;
+    await scanRecords(handle, offset, quote, (start, end) => {
+      if (hasHeaders && !index && headerStart < 0) {
+        headerStart = start;
+        headerEnd = end;
+        return true;
+      }
+      if (record >= from) {
+        if (first < 0) {
+          first = start;
+        }
+        last = end;
+        count++;
+      }
+      record++;
+      return record < to;
+    });
+
+    if (headerStart >= 0) {
+      header = (await readBytes(handle, headerStart, headerEnd - headerStart)).toString('utf8');
+    }
+    const text = count > 0 ? (await readBytes(handle, first, last - first)).toString('utf8') : '';
+    return { header, text, count };
+  } catch (error: any) {
+    throw wrapFileError(error, filePath);
+  } finally {
+    await handle?.close();
+  }
+}
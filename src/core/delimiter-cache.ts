@@ -6,6 +6,8 @@
  * @date 2026-01-23
  */
 
+import type { CsvDialect } from '../types';
+
 interface CacheStats {
   hits: number;
   misses: number;
@@ -21,12 +23,14 @@ interface CacheStatsWithRates extends CacheStats {
 export class DelimiterCache {
   private weakMap: WeakMap<object, string>;
   private lruCache: Map<string, string>;
+  private dialects: Map<string, CsvDialect>;
   private maxSize: number;
   private stats: CacheStats;
 
   constructor(maxSize: number = 100) {
     this.weakMap = new WeakMap();
     this.lruCache = new Map();
+    this.dialects = new Map();
     this.maxSize = maxSize;
     this.stats = {
       hits: 0,
@@ -114,6 +118,7 @@ export class DelimiterCache {
       const firstKey = this.lruCache.keys().next().value;
       if (firstKey) {
         this.lruCache.delete(firstKey);
+        this.dialects.delete(firstKey);
         this.stats.evictions++;
       }
     }
@@ -122,12 +127,44 @@ export class DelimiterCache {
     this.stats.size = this.lruCache.size;
   }
 
+  /**
+   * Получает весь диалект из кэша. Диалект, чей разделитель с тех пор
+   * перезаписан через `set`, считается устаревшим.
+   * @param csv - CSV строка
+   * @param candidates - Кандидаты разделителей
+   * @returns Найденный диалект или null
+   */
+  getDialect(csv: string, candidates: string[]): CsvDialect | null {
+    const key = this._generateKey(csv, candidates);
+    const dialect = this.dialects.get(key);
+    if (dialect && this.lruCache.get(key) === dialect.delimiter.value) {
+      this.lruCache.delete(key);
+      this.lruCache.set(key, dialect.delimiter.value);
+      this.stats.hits++;
+      return dialect;
+    }
+    this.stats.misses++;
+    return null;
+  }
+
+  /**
+   * Сохраняет весь диалект; `get` для той же строки вернёт его разделитель
+   * @param csv - CSV строка
+   * @param candidates - Кандидаты разделителей
+   * @param dialect - Результат sniffDialect
+   */
+  setDialect(csv: string, candidates: string[], dialect: CsvDialect): void {
+    this.set(csv, candidates, dialect.delimiter.value);
+    this.dialects.set(this._generateKey(csv, candidates), dialect);
+  }
+
   /**
    * Очищает кэш
    */
   clear(): void {
     this.weakMap = new WeakMap();
     this.lruCache.clear();
+    this.dialects.clear();
     this.stats = {
       hits: 0,
       misses: 0,
@@ -171,6 +208,7 @@ export class DelimiterCache {
     }
 
     const key = this._generateKey(csv, candidates);
+    this.dialects.delete(key);
     if (this.lruCache.delete(key)) {
       deleted = true;
       this.stats.size = this.lruCache.size;
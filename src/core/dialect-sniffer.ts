@@ -0,0 +1,431 @@
+/**
+ * CSV dialect sniffing.
+ *
+ * `sniffDialect` reads the start of a file and reports everything a parser
+ * needs to guess: the delimiter, the quote character, how quotes are
+ * escaped inside quoted fields, the line ending, whether the first row is a
+ * header, the encoding and BOM of a byte sample, and the probable type of
+ * each column. Every answer carries a confidence from 0 to 1, so callers
+ * can fall back to asking the user when the sample is ambiguous.
+ *
+ * The delimiter is scored the way `autoDetectDelimiter` always scored it —
+ * occurrences in the first ten records plus a bonus when the first five
+ * agree on the field count — but occurrences inside quoted fields no longer
+ * count. When no candidate occurs at all the answer is `;` with confidence 0.
+ * `autoDetectDelimiter` calls `sniffDelimiterOnly`, which stops there and
+ * skips the header and column-type work.
+ *
+ * @module dialect-sniffer
+ */
+
+import { ConfigurationError, ValidationError } from '../errors';
+import { detectBom } from '../utils/bom-utils';
+import { classifyCell, inferColumnTypes, InferredType } from '../utils/type-inference';
+import type { DelimiterCache } from './delimiter-cache';
+import type { CsvDialect, SniffDialectOptions } from '../types';
+
+export type { CsvDialect, SniffDialectOptions };
+
+const DEFAULT_CANDIDATES = [';', ',', '\t', '|'];
+const DEFAULT_SAMPLE_ROWS = 50;
+/** Records the delimiter is scored on, as in autoDetectDelimiter. */
+const DELIMITER_SAMPLE_RECORDS = 10;
+/** Leading records that must agree on the field count for the bonus. */
+const CONSISTENCY_RECORDS = 5;
+/** Characters scanned for quotes and line endings. */
+const SCAN_LENGTH = 65536;
+/** Characters split into records; longer samples end at the last line break before it. */
+const SAMPLE_LENGTH = 1024 * 1024;
+
+interface SplitResult {
+  records: string[][];
+  /** `""` pairs seen inside quoted fields. */
+  doubled: number;
+  /** `\"` pairs seen inside quoted fields. */
+  backslashed: number;
+}
+
+/**
+ * Sniffs the dialect of a CSV sample.
+ *
+ * @param sample - CSV text, or the first bytes of a file
+ * @param options - Candidates, rows to inspect, and a cache for string
+ * samples (`cache: null` turns caching off)
+ */
+export function sniffDialect(
+  sample: string | Buffer,
+  options: Omit<SniffDialectOptions, 'useCache' | 'cache'> & { cache?: DelimiterCache | null } = {}
+): CsvDialect {
+  const { candidates = DEFAULT_CANDIDATES, sampleRows = DEFAULT_SAMPLE_ROWS, cache = null } = options;
+  if (typeof sample !== 'string' && !Buffer.isBuffer(sample)) {
+    throw new ValidationError('sample must be a string or a Buffer');
+  }
+  if (!Array.isArray(candidates)) {
+    throw new ConfigurationError('candidates must be an array');
+  }
+  for (const candidate of candidates) {
+    if (typeof candidate !== 'string' || candidate === '' || /[\r\n]/.test(candidate)) {
+      throw new ConfigurationError('Each candidate must be a non-empty string without line breaks');
+    }
+  }
+  if (!Number.isInteger(sampleRows) || sampleRows <= 0) {
+    throw new ConfigurationError('sampleRows must be a positive integer');
+  }
+
+  if (cache && typeof sample === 'string') {
+    const cached = cache.getDialect(sample, candidates);
+    if (cached) {
+      return cached;
+    }
+  }
+
+  const { text: decoded, encoding } = decodeSample(sample);
+  const text = truncateSample(decoded);
+  const quote = sniffQuote(text, candidates);
+  const delimiter = sniffDelimiter(text, candidates, quote.value);
+  const { records, doubled, backslashed } = splitRecords(text, delimiter.value, quote.value, sampleRows);
+  const escapes = doubled + backslashed;
+  const hasHeader = sniffHeader(records);
+
+  const dialect: CsvDialect = {
+    delimiter,
+    quote,
+    escape: escapes === 0
+      ? { value: 'doubled', confidence: 0.5 }
+      : backslashed > doubled
+        ? { value: 'backslash', confidence: round(backslashed / escapes) }
+        : { value: 'doubled', confidence: round(doubled / escapes) },
+    lineEnding: sniffLineEnding(text),
+    hasHeader,
+    encoding,
+    columns: sniffColumns(records, hasHeader.value)
+  };
+
+  if (cache && typeof sample === 'string') {
+    cache.setDialect(sample, candidates, dialect);
+  }
+  return dialect;
+}
+
+/**
+ * Sniffs only the quote and delimiter of a string sample: the part of
+ * `sniffDialect` that delimiter auto-detection needs. Candidates are
+ * expected to be validated by the caller.
+ */
+export function sniffDelimiterOnly(sample: string, candidates: string[] = DEFAULT_CANDIDATES): CsvDialect['delimiter'] {
+  const text = truncateSample(sample.charCodeAt(0) === 0xFEFF ? sample.slice(1) : sample);
+  return sniffDelimiter(text, candidates, sniffQuote(text, candidates).value);
+}
+
+function round(value: number): number {
+  return Math.round(value * 100) / 100;
+}
+
+function decodeSample(sample: string | Buffer): { text: string; encoding: CsvDialect['encoding'] } {
+  if (typeof sample === 'string') {
+    const bom = sample.charCodeAt(0) === 0xFEFF;
+    return {
+      text: bom ? sample.slice(1) : sample,
+      encoding: { value: null, bom, confidence: 1 }
+    };
+  }
+
+  const bom = detectBom(sample);
+  if (bom) {
+    const body = sample.subarray(bom.bomLength);
+    const text = bom.encoding === 'utf-16le'
+      ? body.toString('utf16le')
+      : bom.encoding === 'utf-16be'
+        ? swapBytes(body).toString('utf16le')
+        : body.toString('utf8');
+    return { text, encoding: { value: bom.encoding, bom: true, confidence: 1 } };
+  }
+
+  // UTF-16 without a BOM shows up as a NUL byte in every other position
+  const head = sample.subarray(0, 1024);
+  let evenNuls = 0;
+  let oddNuls = 0;
+  for (let i = 0; i < head.length; i++) {
+    if (head[i] === 0) {
+      if (i % 2 === 0) {
+        evenNuls++;
+      } else {
+        oddNuls++;
+      }
+    }
+  }
+  const pairs = Math.floor(head.length / 2);
+  if (pairs > 0 && Math.max(evenNuls, oddNuls) > pairs * 0.3) {
+    const littleEndian = oddNuls > evenNuls;
+    const text = littleEndian ? sample.toString('utf16le') : swapBytes(sample).toString('utf16le');
+    return {
+      text,
+      encoding: {
+        value: littleEndian ? 'utf-16le' : 'utf-16be',
+        bom: false,
+        confidence: round(Math.max(evenNuls, oddNuls) / pairs)
+      }
+    };
+  }
+
+  try {
+    // `stream` keeps a multi-byte character cut off by the sample end from failing the check
+    const text = new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return { text, encoding: { value: 'utf-8', bom: false, confidence: 1 } };
+  } catch {
+    return { text: sample.toString('latin1'), encoding: { value: 'windows-1252', bom: false, confidence: 0.5 } };
+  }
+}
+
+function truncateSample(text: string): string {
+  if (text.length <= SAMPLE_LENGTH) {
+    return text;
+  }
+  const cut = Math.max(text.lastIndexOf('\n', SAMPLE_LENGTH), text.lastIndexOf('\r', SAMPLE_LENGTH));
+  return text.slice(0, cut > 0 ? cut : SAMPLE_LENGTH);
+}
+
+function swapBytes(buffer: Buffer): Buffer {
+  const swapped = Buffer.from(buffer.subarray(0, buffer.length - (buffer.length % 2)));
+  return swapped.swap16();
+}
+
+function escapeRegExp(value: string): string {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function sniffQuote(text: string, candidates: string[]): CsvDialect['quote'] {
+  const scan = text.slice(0, SCAN_LENGTH);
+  if (!scan.includes('"') && !scan.includes("'")) {
+    return { value: '"', confidence: 0.5 };
+  }
+  const boundary = ['\\n', '\\r', ...candidates.map(escapeRegExp)].join('|');
+  const countStarts = (quote: string) => (
+    scan.match(new RegExp(`(?:^|${boundary}) *${quote}`, 'g'))?.length ?? 0
+  );
+  const double = countStarts('"');
+  const single = countStarts("'");
+  if (double + single === 0) {
+    return { value: '"', confidence: 0.5 };
+  }
+  return single > double
+    ? { value: "'", confidence: round(single / (double + single)) }
+    : { value: '"', confidence: round(double / (double + single)) };
+}
+
+function sniffDelimiter(text: string, candidates: string[], quote: string): CsvDialect['delimiter'] {
+  let sample = text;
+  const scores: number[] = [];
+  let best = -1;
+  let bestScore = 0;
+  let bestRecords: string[][] = [];
+
+  // Longer candidates go first and are removed from the sample once seen,
+  // so '|' is not credited with the pipes of '||'
+  const ordered = [...candidates].sort((a, b) => b.length - a.length);
+  ordered.forEach((delimiter, index) => {
+    const { records } = splitRecords(sample, delimiter, quote, DELIMITER_SAMPLE_RECORDS);
+    let score = records.reduce((sum, record) => sum + record.length - 1, 0);
+    if (score > 0 && records.length > 1) {
+      const leading = records.slice(0, CONSISTENCY_RECORDS);
+      if (leading.every((record) => record.length === leading[0].length)) {
+        score += 100;
+      }
+    }
+    scores.push(score);
+    if (score > bestScore) {
+      best = index;
+      bestScore = score;
+      bestRecords = records;
+    }
+    if (delimiter.length > 1 && score > 0) {
+      sample = sample.split(delimiter).join('');
+    }
+  });
+
+  if (best === -1) {
+    return { value: ';', confidence: 0 };
+  }
+  const runnerUp = Math.max(0, ...scores.filter((_, index) => index !== best));
+  const width = bestRecords[0].length;
+  const consistency = bestRecords.filter((record) => record.length === width).length / bestRecords.length;
+  const certainty = consistency * (1 - runnerUp / bestScore / 2) * (bestRecords.length > 1 ? 1 : 0.5);
+  return { value: ordered[best], confidence: round(certainty) };
+}
+
+/**
+ * Splits text into records of fields. A quote opens a field only at its
+ * start; inside one both `""` and `\"` stand for a quote. A record left open
+ * by the end of the sample is dropped, as are blank lines.
+ */
+function splitRecords(text: string, delimiter: string, quote: string, limit: number): SplitResult {
+  const records: string[][] = [];
+  let doubled = 0;
+  let backslashed = 0;
+  let fields: string[] = [];
+  // Fields are sliced out of the text rather than built up a character at
+  // a time, which keeps long values cheap
+  let field = '';
+  let start = 0;
+  let inQuotes = false;
+  let atFieldStart = true;
+
+  const endField = (end: number) => {
+    fields.push(field + text.slice(start, end));
+    field = '';
+  };
+  const endRecord = (end: number) => {
+    endField(end);
+    if (fields.length > 1 || fields[0] !== '') {
+      records.push(fields);
+    }
+    fields = [];
+    atFieldStart = true;
+  };
+
+  let i = 0;
+  while (i < text.length && records.length < limit) {
+    const char = text[i];
+    if (inQuotes) {
+      if ((char === '\\' || char === quote) && text[i + 1] === quote) {
+        field += text.slice(start, i) + quote;
+        if (char === quote) {
+          doubled++;
+        } else {
+          backslashed++;
+        }
+        i += 2;
+        start = i;
+      } else if (char === quote) {
+        field += text.slice(start, i);
+        inQuotes = false;
+        i++;
+        start = i;
+      } else {
+        i++;
+      }
+      continue;
+    }
+    if (atFieldStart && char === quote) {
+      inQuotes = true;
+      atFieldStart = false;
+      i++;
+      start = i;
+    } else if (text.startsWith(delimiter, i)) {
+      endField(i);
+      atFieldStart = true;
+      i += delimiter.length;
+      start = i;
+    } else if (char === '\n' || char === '\r') {
+      endRecord(i);
+      i += char === '\r' && text[i + 1] === '\n' ? 2 : 1;
+      start = i;
+    } else {
+      atFieldStart = false;
+      i++;
+    }
+  }
+  if (!inQuotes && records.length < limit && (fields.length > 0 || start < text.length)) {
+    endRecord(text.length);
+  }
+  return { records, doubled, backslashed };
+}
+
+function sniffLineEnding(text: string): CsvDialect['lineEnding'] {
+  const scan = text.slice(0, SCAN_LENGTH);
+  let crlf = 0;
+  let cr = 0;
+  let lf = 0;
+  for (let i = 0; i < scan.length; i++) {
+    if (scan[i] === '\r') {
+      if (scan[i + 1] === '\n') {
+        crlf++;
+        i++;
+      } else {
+        cr++;
+      }
+    } else if (scan[i] === '\n') {
+      lf++;
+    }
+  }
+  const total = crlf + cr + lf;
+  if (total === 0) {
+    return { value: '\n', confidence: 0 };
+  }
+  if (crlf >= lf && crlf >= cr) {
+    return { value: '\r\n', confidence: round(crlf / total) };
+  }
+  return lf >= cr
+    ? { value: '\n', confidence: round(lf / total) }
+    : { value: '\r', confidence: round(cr / total) };
+}
+
+function isNumericType(type: InferredType): boolean {
+  return type === 'integer' || type === 'float';
+}
+
+/**
+ * Votes per column: a first-row cell that does not fit the typed column
+ * below it is a header, one that fits is data. For text columns a cell
+ * whose length stands out from equally long values counts as a header. An
+ * empty or repeated first-row cell counts against a header.
+ */
+function sniffHeader(records: string[][]): CsvDialect['hasHeader'] {
+  if (records.length < 2) {
+    return { value: true, confidence: 0.5 };
+  }
+  const first = records[0].map((cell) => cell.trim());
+  const body = records.slice(1);
+  let votes = 0;
+
+  first.forEach((cell, column) => {
+    if (cell === '') {
+      votes--;
+      return;
+    }
+    const values = body.map((record) => (record[column] ?? '').trim()).filter((value) => value !== '');
+    if (values.length === 0) {
+      return;
+    }
+    const type = inferColumnTypes(values.map((value) => ({ value })), ['value'], { sampleSize: values.length }).value;
+    if (type !== 'string' && type !== 'null') {
+      const own = classifyCell(cell);
+      votes += own === type || (isNumericType(own) && isNumericType(type)) ? -1 : 1;
+      return;
+    }
+    const length = values[0].length;
+    if (values.every((value) => value.length === length) && cell.length !== length) {
+      votes++;
+    }
+  });
+  if (new Set(first).size < first.length) {
+    votes--;
+  }
+
+  return {
+    value: votes >= 0,
+    confidence: round(0.5 + 0.5 * Math.min(1, Math.abs(votes) / first.length))
+  };
+}
+
+function sniffColumns(records: string[][], hasHeader: boolean): CsvDialect['columns'] {
+  if (records.length === 0) {
+    return [];
+  }
+  const width = records[0].length;
+  const body = hasHeader ? records.slice(1) : records;
+  return Array.from({ length: width }, (_, column) => {
+    const header = hasHeader ? records[0][column].trim() : '';
+    const name = header || `column${column + 1}`;
+    const values = body.map((record) => (record[column] ?? '').trim()).filter((value) => value !== '');
+    if (values.length === 0) {
+      return { name, type: 'null' as InferredType, confidence: 0 };
+    }
+    const type = inferColumnTypes(values.map((value) => ({ value })), ['value'], { sampleSize: values.length }).value;
+    const fitting = values.filter((value) => {
+      const own = classifyCell(value);
+      return own === type || (type === 'float' && own === 'integer');
+    }).length;
+    return { name, type, confidence: round(fitting / values.length) };
+  });
+}
@@ -6,6 +6,8 @@
  * @date 2026-01-22
  */
 
+import { CsvDelimiter, isSingleCharDelimiter, matchDelimiterAt } from '../utils/delimiter';
+
 /**
  * Structural analysis of a CSV sample. Returned from analyzeStructure()
  * and consumed by every parser/emitter factory in this file. The shape
@@ -13,11 +15,22 @@
  * caller needs it.
  */
 export interface FastPathStructure {
-  delimiter: string;
+  /** Single characters use the char-compare scanners; anything else the delimited scanner. */
+  delimiter: CsvDelimiter;
   hasQuotes: boolean;
   hasEscapedQuotes: boolean;
-  /** Filled by _getStructureForParse; analyzeStructure leaves this undefined. */
+  /**
+   * Filled by _getStructureForParse; analyzeStructure leaves this undefined.
+   * True when the escape character (backslash unless `escape` says otherwise)
+   * occurs in the input.
+   */
   hasBackslashes?: boolean;
+  /** Quote character (default: `"`). */
+  quote?: string;
+  /** Escape character; null disables escaping (default: `\\`). */
+  escape?: string | null;
+  /** Let `'` open a quoted field at the start of a cell (default: false). */
+  allowSingleQuotes?: boolean;
   hasNewlinesInFields: boolean;
   /** 'SIMPLE' = split-based; 'QUOTE_AWARE' = state machine; 'STANDARD' = same as QUOTE_AWARE (fallback). */
   recommendedEngine: 'SIMPLE' | 'QUOTE_AWARE' | 'STANDARD';
@@ -50,27 +63,32 @@ class FastPathEngine {
     };
   }
 
-  _hasQuotes(csv: string): boolean {
-    return csv.indexOf('"') !== -1;
+  _hasQuotes(csv: string, quote: string = '"'): boolean {
+    return csv.indexOf(quote) !== -1;
   }
 
-  _hasEscapedQuotes(csv: string): boolean {
-    return csv.indexOf('""') !== -1;
+  _hasEscapedQuotes(csv: string, quote: string = '"'): boolean {
+    return csv.indexOf(quote + quote) !== -1;
   }
 
-  _hasBackslashes(csv: string): boolean {
-    return csv.indexOf('\\') !== -1;
+  _hasBackslashes(csv: string, escape: string | null = '\\'): boolean {
+    return escape !== null && csv.indexOf(escape) !== -1;
   }
 
   _getStructureForParse(csv: any, options: any) {
     const sampleSize = Math.min(1000, csv.length);
     const sample = csv.substring(0, sampleSize);
     const structure = this.analyzeStructure(sample, options);
-    const hasBackslashes = this._hasBackslashes(csv);
-    const hasQuotes = structure.hasQuotes ? true : this._hasQuotes(csv);
+    const { quote = '"', escape = '\\', allowSingleQuotes = false } = structure;
+    const hasBackslashes = this._hasBackslashes(csv, escape);
+    const hasQuotes = structure.hasQuotes
+      ? true
+      : this._hasQuotes(csv, quote) || (allowSingleQuotes && this._hasQuotes(csv, "'"));
     const hasEscapedQuotes = structure.hasEscapedQuotes
       ? true
-      : (hasQuotes ? this._hasEscapedQuotes(csv) : false);
+      : (hasQuotes
+        ? this._hasEscapedQuotes(csv, quote) || (allowSingleQuotes && this._hasEscapedQuotes(csv, "'"))
+        : false);
 
     let normalized = {
       ...structure,
@@ -100,8 +118,14 @@ class FastPathEngine {
   /**
    * Анализирует структуру CSV и определяет оптимальный парсер
    */
-  analyzeStructure(sample: string, options: { delimiter?: string } = {}): FastPathStructure {
+  analyzeStructure(
+    sample: string,
+    options: { delimiter?: CsvDelimiter; quote?: string; escape?: string | null; allowSingleQuotes?: boolean } = {}
+  ): FastPathStructure {
     const delimiter = options.delimiter || this._detectDelimiter(sample);
+    const quote = options.quote || '"';
+    const escape = options.escape === undefined ? '\\' : options.escape;
+    const allowSingleQuotes = Boolean(options.allowSingleQuotes);
     const lines = sample.split('\n').slice(0, 10);
     
     let hasQuotes = false;
@@ -111,14 +135,20 @@ class FastPathEngine {
     let totalFields = 0;
 
     for (const line of lines) {
-      if (line.includes('"')) {
+      if (line.includes(quote)) {
         hasQuotes = true;
-        if (line.includes('""')) {
+        if (line.includes(quote + quote)) {
           hasEscapedQuotes = true;
         }
       }
-      
-      const quoteCount = (line.match(/"/g) || []).length;
+      if (allowSingleQuotes && line.includes("'")) {
+        hasQuotes = true;
+        if (line.includes("''")) {
+          hasEscapedQuotes = true;
+        }
+      }
+
+      const quoteCount = line.split(quote).length - 1;
       if (quoteCount % 2 !== 0) {
         hasNewlinesInFields = true;
       }
@@ -141,7 +171,10 @@ class FastPathEngine {
       fieldConsistency,
       avgFieldsPerLine,
       maxFields,
-      recommendedEngine: this._selectEngine(hasQuotes, hasNewlinesInFields, fieldConsistency)
+      recommendedEngine: this._selectEngine(hasQuotes, hasNewlinesInFields, fieldConsistency),
+      quote,
+      escape,
+      allowSingleQuotes
     };
   }
 
@@ -198,12 +231,12 @@ class FastPathEngine {
    * Создает простой парсер (разделитель без кавычек)
    */
   _createSimpleParser(structure: FastPathStructure): (_csv: string) => string[][] {
-    const { delimiter, hasBackslashes } = structure;
+    const { delimiter, hasBackslashes, escape } = structure;
 
     return (csv: string): string[][] => {
       const rows: string[][] = [];
-      if (hasBackslashes) {
-        this._emitSimpleRowsEscaped(csv, delimiter, (row: string[]) => rows.push(row));
+      if (hasBackslashes && escape !== null) {
+        this._emitSimpleRowsEscaped(csv, delimiter, (row: string[]) => rows.push(row), escape);
       } else {
         this._emitSimpleRows(csv, delimiter, (row: string[]) => rows.push(row));
       }
@@ -248,7 +281,7 @@ class FastPathEngine {
     }
   }
 
-  _emitSimpleRowsEscaped(csv: any, delimiter: any, onRow: any) {
+  _emitSimpleRowsEscaped(csv: any, delimiter: any, onRow: any, escape: string = '\\') {
     let currentRow = [];
     let currentField = '';
     let rowHasData = false;
@@ -270,21 +303,21 @@ class FastPathEngine {
         continue;
       }
 
-      if (char === '\\') {
+      if (char === escape) {
         if (i + 1 >= csv.length) {
-          currentField += '\\';
+          currentField += escape;
           i++;
           continue;
         }
 
-        if (nextChar === '\\') {
-          currentField += '\\';
+        if (nextChar === escape) {
+          currentField += escape;
           i += 2;
           continue;
         }
 
         if (nextChar === '\n' || nextChar === '\r') {
-          currentField += '\\';
+          currentField += escape;
           i++;
           continue;
         }
@@ -355,7 +388,7 @@ class FastPathEngine {
     }
   }
 
-  *_simpleEscapedRowsGenerator(csv: any, delimiter: any) {
+  *_simpleEscapedRowsGenerator(csv: any, delimiter: any, escape: string = '\\') {
     let currentRow = [];
     let currentField = '';
     let rowHasData = false;
@@ -377,21 +410,21 @@ class FastPathEngine {
         continue;
       }
 
-      if (char === '\\') {
+      if (char === escape) {
         if (i + 1 >= csv.length) {
-          currentField += '\\';
+          currentField += escape;
           i++;
           continue;
         }
 
-        if (nextChar === '\\') {
-          currentField += '\\';
+        if (nextChar === escape) {
+          currentField += escape;
           i += 2;
           continue;
         }
 
         if (nextChar === '\n' || nextChar === '\r') {
-          currentField += '\\';
+          currentField += escape;
           i++;
           continue;
         }
@@ -430,11 +463,11 @@ class FastPathEngine {
    * Simple row emitter that avoids storing all rows in memory.
    */
   _createSimpleRowEmitter(structure: FastPathStructure): (_csv: string, _onRow: (_row: string[]) => void) => void {
-    const { delimiter, hasBackslashes } = structure;
+    const { delimiter, hasBackslashes, escape } = structure;
 
     return (csv: string, onRow: (_row: string[]) => void): void => {
-      if (hasBackslashes) {
-        this._emitSimpleRowsEscaped(csv, delimiter, onRow);
+      if (hasBackslashes && escape !== null) {
+        this._emitSimpleRowsEscaped(csv, delimiter, onRow, escape);
       } else {
         this._emitSimpleRows(csv, delimiter, onRow);
       }
@@ -445,14 +478,14 @@ class FastPathEngine {
    * State machine парсер для CSV с кавычками (RFC 4180)
    */
   _createQuoteAwareParser(structure: FastPathStructure): (_csv: string) => string[][] {
-    const { delimiter, hasEscapedQuotes, hasBackslashes } = structure;
+    const { delimiter, hasEscapedQuotes, hasBackslashes, quote, escape, allowSingleQuotes } = structure;
 
     return (csv: string): string[][] => {
       const rows: string[][] = [];
       /* istanbul ignore next */
-      const iterator = hasBackslashes
-        ? this._quoteAwareEscapedRowsGenerator(csv, delimiter, hasEscapedQuotes)
-        : this._quoteAwareRowsGenerator(csv, delimiter, hasEscapedQuotes);
+      const iterator = hasBackslashes && escape !== null
+        ? this._quoteAwareEscapedRowsGenerator(csv, delimiter, hasEscapedQuotes, quote, escape, allowSingleQuotes)
+        : this._quoteAwareRowsGenerator(csv, delimiter, hasEscapedQuotes, quote, allowSingleQuotes);
 
       for (const row of iterator) {
         rows.push(row);
@@ -466,12 +499,12 @@ class FastPathEngine {
    * Quote-aware row emitter that avoids storing all rows in memory.
    */
   _createQuoteAwareRowEmitter(structure: FastPathStructure): (_csv: string, _onRow: (_row: string[]) => void) => void {
-    const { delimiter, hasEscapedQuotes, hasBackslashes } = structure;
+    const { delimiter, hasEscapedQuotes, hasBackslashes, quote, escape, allowSingleQuotes } = structure;
 
     return (csv: string, onRow: (_row: string[]) => void): void => {
-      const iterator = hasBackslashes
-        ? this._quoteAwareEscapedRowsGenerator(csv, delimiter, hasEscapedQuotes)
-        : this._quoteAwareRowsGenerator(csv, delimiter, hasEscapedQuotes);
+      const iterator = hasBackslashes && escape !== null
+        ? this._quoteAwareEscapedRowsGenerator(csv, delimiter, hasEscapedQuotes, quote, escape, allowSingleQuotes)
+        : this._quoteAwareRowsGenerator(csv, delimiter, hasEscapedQuotes, quote, allowSingleQuotes);
 
       for (const row of iterator) {
         onRow(row);
@@ -479,11 +512,18 @@ class FastPathEngine {
     };
   }
 
-  *_quoteAwareRowsGenerator(csv: any, delimiter: any, hasEscapedQuotes: any) {
+  *_quoteAwareRowsGenerator(
+    csv: any,
+    delimiter: any,
+    hasEscapedQuotes: any,
+    quote: string = '"',
+    allowSingleQuotes: boolean = false
+  ) {
     let currentRow = [];
     let currentField = '';
     let rowHasData = false;
     let insideQuotes = false;
+    let activeQuote = quote;
     let lineNumber = 1;
     let i = 0;
 
@@ -495,13 +535,15 @@ class FastPathEngine {
         rowHasData = true;
       }
 
-      if (char === '"') {
+      if (insideQuotes
+        ? char === activeQuote
+        : (char === quote || (allowSingleQuotes && char === "'" && currentField.trim() === ''))) {
         if (insideQuotes) {
-          if (hasEscapedQuotes && nextChar === '"') {
+          if (hasEscapedQuotes && nextChar === activeQuote) {
             const afterNext = csv[i + 2];
             const isLineEnd = i + 2 >= csv.length || afterNext === '\n' || afterNext === '\r';
 
-            currentField += '"';
+            currentField += activeQuote;
             if (isLineEnd) {
               insideQuotes = false;
               i += 2;
@@ -514,7 +556,10 @@ class FastPathEngine {
             while (j < csv.length && (csv[j] === ' ' || csv[j] === '\t')) {
               j++;
             }
-            if (j >= csv.length || csv[j] === delimiter || csv[j] === '\n' || csv[j] === '\r') {
+            // Close on a doubled quote before the delimiter only when the
+            // field cannot be read as RFC 4180, where it is an escaped quote.
+            if ((j >= csv.length || csv[j] === delimiter || csv[j] === '\n' || csv[j] === '\r')
+              && !this._quotedFieldClosesOnLine(csv, i, activeQuote, delimiter, null)) {
               insideQuotes = false;
             }
             continue;
@@ -538,12 +583,13 @@ class FastPathEngine {
             }
           }
 
-          currentField += '"';
+          currentField += activeQuote;
           i++;
           continue;
         }
 
         insideQuotes = true;
+        activeQuote = char;
         i++;
         continue;
       }
@@ -590,11 +636,55 @@ class FastPathEngine {
     }
   }
 
-  *_quoteAwareEscapedRowsGenerator(csv: any, delimiter: any, hasEscapedQuotes: any) {
+  /**
+   * Whether a quoted field resumed at `start` closes on the same line with
+   * only doubled (or escaped) quotes before its closing quote.
+   */
+  _quotedFieldClosesOnLine(
+    csv: string,
+    start: number,
+    quote: string,
+    delimiter: CsvDelimiter,
+    escape: string | null
+  ): boolean {
+    for (let j = start; j < csv.length; j++) {
+      const char = csv[j];
+      if (char === '\n' || char === '\r') {
+        return false;
+      }
+      if (escape !== null && char === escape) {
+        j++;
+        continue;
+      }
+      if (char !== quote) {
+        continue;
+      }
+      if (csv[j + 1] === quote) {
+        j++;
+        continue;
+      }
+      let k = j + 1;
+      while (k < csv.length && (csv[k] === ' ' || csv[k] === '\t')) {
+        k++;
+      }
+      return k >= csv.length || csv[k] === '\n' || csv[k] === '\r' || matchDelimiterAt(csv, k, delimiter) > 0;
+    }
+    return false;
+  }
+
+  *_quoteAwareEscapedRowsGenerator(
+    csv: any,
+    delimiter: any,
+    hasEscapedQuotes: any,
+    quote: string = '"',
+    escape: string = '\\',
+    allowSingleQuotes: boolean = false
+  ) {
     let currentRow = [];
     let currentField = '';
     let rowHasData = false;
     let insideQuotes = false;
+    let activeQuote = quote;
     let escapeNext = false;
     let lineNumber = 1;
     let i = 0;
@@ -614,21 +704,21 @@ class FastPathEngine {
         continue;
       }
 
-      if (char === '\\') {
+      if (char === escape) {
         if (i + 1 >= csv.length) {
-          currentField += '\\';
+          currentField += escape;
           i++;
           continue;
         }
 
         if (!insideQuotes && (nextChar === '\n' || nextChar === '\r')) {
-          currentField += '\\';
+          currentField += escape;
           i++;
           continue;
         }
 
-        if (nextChar === '\\') {
-          currentField += '\\';
+        if (nextChar === escape) {
+          currentField += escape;
           i += 2;
           continue;
         }
@@ -638,13 +728,15 @@ class FastPathEngine {
         continue;
       }
 
-      if (char === '"') {
+      if (insideQuotes
+        ? char === activeQuote
+        : (char === quote || (allowSingleQuotes && char === "'" && currentField.trim() === ''))) {
         if (insideQuotes) {
-          if (hasEscapedQuotes && nextChar === '"') {
+          if (hasEscapedQuotes && nextChar === activeQuote) {
             const afterNext = csv[i + 2];
             const isLineEnd = i + 2 >= csv.length || afterNext === '\n' || afterNext === '\r';
 
-            currentField += '"';
+            currentField += activeQuote;
             if (isLineEnd) {
               insideQuotes = false;
               i += 2;
@@ -657,7 +749,10 @@ class FastPathEngine {
             while (j < csv.length && (csv[j] === ' ' || csv[j] === '\t')) {
               j++;
             }
-            if (j >= csv.length || csv[j] === delimiter || csv[j] === '\n' || csv[j] === '\r') {
+            // Close on a doubled quote before the delimiter only when the
+            // field cannot be read as RFC 4180, where it is an escaped quote.
+            if ((j >= csv.length || csv[j] === delimiter || csv[j] === '\n' || csv[j] === '\r')
+              && !this._quotedFieldClosesOnLine(csv, i, activeQuote, delimiter, escape)) {
               insideQuotes = false;
             }
             continue;
@@ -681,12 +776,13 @@ class FastPathEngine {
             }
           }
 
-          currentField += '"';
+          currentField += activeQuote;
           i++;
           continue;
         }
 
         insideQuotes = true;
+        activeQuote = char;
         i++;
         continue;
       }
@@ -719,7 +815,7 @@ class FastPathEngine {
 
     /* istanbul ignore next */
     if (escapeNext) {
-      currentField += '\\';
+      currentField += escape;
     }
 
     if (insideQuotes) {
@@ -738,8 +834,254 @@ class FastPathEngine {
     }
   }
 
+  /**
+   * Row generator for multi-character and RegExp delimiters. Quotes, doubled
+   * quotes and escapes work as in the quote-aware scanner; outside quotes the
+   * delimiter is matched at each position instead of compared to one char.
+   */
+  *_delimitedRowsGenerator(csv: string, structure: FastPathStructure) {
+    const { delimiter, quote = '"', escape = '\\', allowSingleQuotes = false } = structure;
+    const useEscapes = Boolean(structure.hasBackslashes) && escape !== null;
+    let currentRow: string[] = [];
+    let currentField = '';
+    let rowHasData = false;
+    let insideQuotes = false;
+    let activeQuote = quote;
+    let lineNumber = 1;
+    let i = 0;
+
+    while (i < csv.length) {
+      const char = csv[i];
+      const nextChar = csv[i + 1];
+
+      if (char !== '\r' && char !== '\n' && char !== ' ' && char !== '\t') {
+        rowHasData = true;
+      }
+
+      if (useEscapes && char === escape && i + 1 < csv.length
+        && (insideQuotes || (nextChar !== '\n' && nextChar !== '\r'))) {
+        currentField += nextChar;
+        i += 2;
+        continue;
+      }
+
+      if (insideQuotes) {
+        if (char === activeQuote) {
+          if (nextChar === activeQuote) {
+            currentField += activeQuote;
+            i += 2;
+            continue;
+          }
+          insideQuotes = false;
+        } else {
+          currentField += char;
+        }
+        i++;
+        continue;
+      }
+
+      if (char === quote || (allowSingleQuotes && char === "'" && currentField.trim() === '')) {
+        insideQuotes = true;
+        activeQuote = char;
+        i++;
+        continue;
+      }
+
+      if (char === '\n' || char === '\r') {
+        currentRow.push(currentField);
+        currentField = '';
+        if (rowHasData) {
+          yield currentRow;
+        }
+        currentRow = [];
+        rowHasData = false;
+        lineNumber++;
+        i += char === '\r' && nextChar === '\n' ? 2 : 1;
+        continue;
+      }
+
+      const delimiterLength = matchDelimiterAt(csv, i, delimiter);
+      if (delimiterLength > 0) {
+        currentRow.push(currentField);
+        currentField = '';
+        i += delimiterLength;
+        continue;
+      }
+
+      currentField += char;
+      i++;
+    }
+
+    if (insideQuotes) {
+      const error = new Error('Unclosed quotes in CSV');
+      (error as any).code = 'FAST_PATH_UNCLOSED_QUOTES';
+      (error as any).lineNumber = lineNumber;
+      throw error;
+    }
+
+    if (currentField !== '' || currentRow.length > 0) {
+      currentRow.push(currentField);
+      if (rowHasData) {
+        yield currentRow;
+      }
+    }
+  }
+
+  /**
+   * Row generator behind the projected emitter. Keeps only the fields at
+   * `projection`, in that order; the others are scanned for quotes and
+   * delimiters but never copied into strings. Quote and escape handling
+   * matches the quote-aware scanner. Slots of fields missing from a short
+   * row stay undefined.
+   */
+  *_projectedRowsGenerator(csv: string, structure: FastPathStructure, projection: number[]) {
+    const { delimiter, quote = '"', escape = '\\', allowSingleQuotes = false } = structure;
+    const useEscapes = Boolean(structure.hasBackslashes) && escape !== null;
+    const singleChar = isSingleCharDelimiter(delimiter) ? delimiter : null;
+    const slots = new Int32Array(projection.reduce((max, index) => Math.max(max, index + 1), 0)).fill(-1);
+    projection.forEach((fieldIndex, slot) => {
+      slots[fieldIndex] = slot;
+    });
+    const firstSlot = slots.length > 0 ? slots[0] : -1;
+
+    const isFieldEnd = (start: number): boolean => {
+      let k = start;
+      while (k < csv.length && (csv[k] === ' ' || csv[k] === '\t')) {
+        k++;
+      }
+      return k >= csv.length || csv[k] === '\n' || csv[k] === '\r' || matchDelimiterAt(csv, k, delimiter) > 0;
+    };
+
+    let row: Array<string | undefined> = new Array(projection.length);
+    let fieldIndex = 0;
+    let slot = firstSlot;
+    let currentField = '';
+    let fieldHasText = false;
+    let rowHasData = false;
+    let insideQuotes = false;
+    let activeQuote = quote;
+    let lineNumber = 1;
+    let i = 0;
+
+    while (i < csv.length) {
+      const char = csv[i];
+      const nextChar = csv[i + 1];
+
+      if (char !== '\r' && char !== '\n' && char !== ' ' && char !== '\t') {
+        rowHasData = true;
+      }
+
+      if (useEscapes && char === escape && i + 1 < csv.length
+        && (insideQuotes || (nextChar !== '\n' && nextChar !== '\r'))) {
+        if (slot >= 0) {
+          currentField += nextChar;
+        }
+        fieldHasText = true;
+        i += 2;
+        continue;
+      }
+
+      if (insideQuotes) {
+        if (char === activeQuote) {
+          if (nextChar === activeQuote) {
+            if (slot >= 0) {
+              currentField += activeQuote;
+            }
+            i += 2;
+            if (isFieldEnd(i)
+              && !this._quotedFieldClosesOnLine(csv, i, activeQuote, delimiter, useEscapes ? escape : null)) {
+              insideQuotes = false;
+            }
+            continue;
+          }
+          if (isFieldEnd(i + 1)) {
+            insideQuotes = false;
+            i++;
+            continue;
+          }
+        }
+        if (slot >= 0) {
+          currentField += char;
+        }
+        i++;
+        continue;
+      }
+
+      if (char === quote || (allowSingleQuotes && char === "'" && !fieldHasText)) {
+        insideQuotes = true;
+        activeQuote = char;
+        fieldHasText = true;
+        i++;
+        continue;
+      }
+
+      if (char === '\n' || char === '\r') {
+        if (slot >= 0) {
+          row[slot] = currentField;
+        }
+        if (rowHasData) {
+          yield row;
+        }
+        row = new Array(projection.length);
+        fieldIndex = 0;
+        slot = firstSlot;
+        currentField = '';
+        fieldHasText = false;
+        rowHasData = false;
+        lineNumber++;
+        i += char === '\r' && nextChar === '\n' ? 2 : 1;
+        continue;
+      }
+
+      const delimiterLength = singleChar !== null
+        ? (char === singleChar ? 1 : 0)
+        : matchDelimiterAt(csv, i, delimiter);
+      if (delimiterLength > 0) {
+        if (slot >= 0) {
+          row[slot] = currentField;
+        }
+        fieldIndex++;
+        slot = fieldIndex < slots.length ? slots[fieldIndex] : -1;
+        currentField = '';
+        fieldHasText = false;
+        i += delimiterLength;
+        continue;
+      }
+
+      if (slot >= 0) {
+        currentField += char;
+      }
+      if (char !== ' ' && char !== '\t') {
+        fieldHasText = true;
+      }
+      i++;
+    }
+
+    if (insideQuotes) {
+      const error = new Error('Unclosed quotes in CSV');
+      (error as any).code = 'FAST_PATH_UNCLOSED_QUOTES';
+      (error as any).lineNumber = lineNumber;
+      throw error;
+    }
+
+    if (rowHasData) {
+      if (slot >= 0) {
+        row[slot] = currentField;
+      }
+      yield row;
+    }
+  }
+
+  /**
+   * Cache key for compiled parsers; RegExp delimiters serialize as `{}`
+   * in JSON, so they are keyed by their source and flags.
+   */
+  _cacheKey(structure: FastPathStructure): string {
+    return JSON.stringify(structure, (_key, value) => (value instanceof RegExp ? String(value) : value));
+  }
+
   compileParser(structure: FastPathStructure): (_csv: string) => string[][] {
-    const cacheKey = JSON.stringify(structure);
+    const cacheKey = this._cacheKey(structure);
     
     // Проверяем кеш
     if (this.compilers.has(cacheKey)) {
@@ -750,6 +1092,11 @@ class FastPathEngine {
     this.stats.cacheMisses++;
     
     let parser;
+    if (!isSingleCharDelimiter(structure.delimiter)) {
+      parser = (csv: string): string[][] => Array.from(this._delimitedRowsGenerator(csv, structure));
+      this.compilers.set(cacheKey, parser);
+      return parser;
+    }
     switch (structure.recommendedEngine) {
     case 'SIMPLE':
       parser = this._createSimpleParser(structure);
@@ -778,13 +1125,22 @@ class FastPathEngine {
    * Compiles a row-emitter parser for streaming conversion.
    */
   compileRowEmitter(structure: FastPathStructure): (_csv: string, _onRow: (_row: string[]) => void) => void {
-    const cacheKey = JSON.stringify(structure);
+    const cacheKey = this._cacheKey(structure);
 
     if (this.rowCompilers.has(cacheKey)) {
       return this.rowCompilers.get(cacheKey);
     }
 
     let emitter;
+    if (!isSingleCharDelimiter(structure.delimiter)) {
+      emitter = (csv: string, onRow: (_row: string[]) => void): void => {
+        for (const row of this._delimitedRowsGenerator(csv, structure)) {
+          onRow(row);
+        }
+      };
+      this.rowCompilers.set(cacheKey, emitter);
+      return emitter;
+    }
     switch (structure.recommendedEngine) {
     case 'SIMPLE':
       emitter = this._createSimpleRowEmitter(structure);
@@ -803,40 +1159,77 @@ class FastPathEngine {
     return emitter;
   }
 
+  /**
+   * Compiles a row emitter that keeps only the fields at `projection`
+   * (0-based field indexes, in output order).
+   */
+  compileProjectedRowEmitter(
+    structure: FastPathStructure,
+    projection: number[]
+  ): (_csv: string, _onRow: (_row: Array<string | undefined>) => void) => void {
+    return (csv: string, onRow: (_row: Array<string | undefined>) => void): void => {
+      for (const row of this._projectedRowsGenerator(csv, structure, projection)) {
+        onRow(row);
+      }
+    };
+  }
+
   /**
    * Iterates rows without allocating the full result set.
    */
   *iterateRows(csv: any, options = {}) {
+    yield* this._rowsGenerator(csv, this._getStructureForParse(csv, options));
+  }
+
+  /**
+   * Iterates projected rows. `select` receives the first row in full and
+   * returns the field indexes to keep; every row, the first included, is
+   * then yielded with only those fields.
+   */
+  *iterateProjectedRows(csv: any, options: any, select: (_firstRow: string[]) => number[]) {
     const structure = this._getStructureForParse(csv, options);
-    const useEscapes = structure.hasBackslashes;
+    const first = this._rowsGenerator(csv, structure).next();
+    if (first.done) {
+      return;
+    }
+    yield* this._projectedRowsGenerator(csv, structure as FastPathStructure, select(first.value as string[]));
+  }
 
+  *_rowsGenerator(csv: any, structure: any) {
+    const { delimiter, hasEscapedQuotes, quote, escape, allowSingleQuotes } = structure;
+    const useEscapes = structure.hasBackslashes && escape !== null;
+
+    if (!isSingleCharDelimiter(delimiter)) {
+      yield* this._delimitedRowsGenerator(csv, structure as FastPathStructure);
+      return;
+    }
     switch (structure.recommendedEngine) {
     case 'SIMPLE':
       if (useEscapes) {
-        yield* this._simpleEscapedRowsGenerator(csv, structure.delimiter);
+        yield* this._simpleEscapedRowsGenerator(csv, delimiter, escape);
       } else {
-        yield* this._simpleRowsGenerator(csv, structure.delimiter);
+        yield* this._simpleRowsGenerator(csv, delimiter);
       }
       break;
     case 'QUOTE_AWARE':
       if (useEscapes) {
-        yield* this._quoteAwareEscapedRowsGenerator(csv, structure.delimiter, structure.hasEscapedQuotes);
+        yield* this._quoteAwareEscapedRowsGenerator(csv, delimiter, hasEscapedQuotes, quote, escape, allowSingleQuotes);
       } else {
-        yield* this._quoteAwareRowsGenerator(csv, structure.delimiter, structure.hasEscapedQuotes);
+        yield* this._quoteAwareRowsGenerator(csv, delimiter, hasEscapedQuotes, quote, allowSingleQuotes);
       }
       break;
     case 'STANDARD':
       if (useEscapes) {
-        yield* this._quoteAwareEscapedRowsGenerator(csv, structure.delimiter, structure.hasEscapedQuotes);
+        yield* this._quoteAwareEscapedRowsGenerator(csv, delimiter, hasEscapedQuotes, quote, escape, allowSingleQuotes);
       } else {
-        yield* this._quoteAwareRowsGenerator(csv, structure.delimiter, structure.hasEscapedQuotes);
+        yield* this._quoteAwareRowsGenerator(csv, delimiter, hasEscapedQuotes, quote, allowSingleQuotes);
       }
       break;
     default:
       if (useEscapes) {
-        yield* this._quoteAwareEscapedRowsGenerator(csv, structure.delimiter, structure.hasEscapedQuotes);
+        yield* this._quoteAwareEscapedRowsGenerator(csv, delimiter, hasEscapedQuotes, quote, escape, allowSingleQuotes);
       } else {
-        yield* this._quoteAwareRowsGenerator(csv, structure.delimiter, structure.hasEscapedQuotes);
+        yield* this._quoteAwareRowsGenerator(csv, delimiter, hasEscapedQuotes, quote, allowSingleQuotes);
       }
     }
   }
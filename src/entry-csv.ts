@@ -10,6 +10,9 @@ export {
   readCsvAsJson,
   readCsvAsJsonSync,
   autoDetectDelimiter,
+  sniffDialect,
+  buildCsvIndex,
+  readCsvRange,
 } from '../csv-to-json';
 
 // Deprecated aliases — runtime-warn once, removed in jtcsv 5.0.
@@ -0,0 +1,15 @@
+// Subpath entry: `jtcsv/fixed-width` — fixed-width parsing + emission.
+import FixedWidthParser, { inferFixedWidthColumns } from './formats/fixed-width-parser';
+
+export const fixedToJson = FixedWidthParser.fixedToJson.bind(FixedWidthParser);
+export const jsonToFixed = FixedWidthParser.jsonToFixed.bind(FixedWidthParser);
+export const readFixedAsJson = FixedWidthParser.readFixedAsJson.bind(FixedWidthParser);
+export const readFixedAsJsonSync = FixedWidthParser.readFixedAsJsonSync.bind(FixedWidthParser);
+export const saveAsFixed = FixedWidthParser.saveAsFixed.bind(FixedWidthParser);
+export const saveAsFixedSync = FixedWidthParser.saveAsFixedSync.bind(FixedWidthParser);
+export const createFixedToJsonStream = FixedWidthParser.createFixedToJsonStream.bind(FixedWidthParser);
+export const createJsonToFixedStream = FixedWidthParser.createJsonToFixedStream.bind(FixedWidthParser);
+
+export { inferFixedWidthColumns };
+export { FixedWidthParser };
+export default FixedWidthParser;
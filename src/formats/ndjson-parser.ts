@@ -6,6 +6,9 @@
  * @date 2026-01-22
  */
 
+import { resolveCsvQuoting, createCsvFieldQuoter } from '../utils/csv-quoting';
+import { resolveOutputLineEnding } from '../utils/line-endings';
+
 function createTextDecoder() {
   if (typeof TextDecoder !== 'undefined') {
     return new TextDecoder('utf-8');
@@ -240,8 +243,17 @@ class NdjsonParser {
       ..._csvOptions
     } = options;
 
+    const quoteField = createCsvFieldQuoter(resolveCsvQuoting(options), delimiter);
+    const { eol, trailingNewline } = resolveOutputLineEnding(options, { eol: '\n', trailingNewline: true });
     let headers: string[] | null = null;
     let firstChunk = true;
+    let lineWritten = false;
+    // Без завершающего перевода строки он ставится перед каждой строкой, кроме первой
+    const toLine = (text: string): string => {
+      const line = trailingNewline ? text + eol : (lineWritten ? eol + text : text);
+      lineWritten = true;
+      return line;
+    };
 
     const TransformStreamCtor = getTransformStream();
     if (!TransformStreamCtor) {
@@ -256,7 +268,7 @@ class NdjsonParser {
           // Определяем заголовки при первом объекте
           if (firstChunk && includeHeaders) {
             headers = Object.keys(obj);
-            controller.enqueue(headers.join(delimiter) + '\n');
+            controller.enqueue(toLine(headers.map((header: string) => quoteField(header)).join(delimiter)));
             firstChunk = false;
           }
 
@@ -265,25 +277,15 @@ class NdjsonParser {
             ? headers.map((header: string) => this._escapeCsvField(obj[header], delimiter))
             : Object.values(obj).map(value => this._escapeCsvField(value, delimiter));
           
-          controller.enqueue(row.join(delimiter) + '\n');
+          controller.enqueue(toLine(row.join(delimiter)));
         } catch (error) {
           console.error('Ошибка преобразования NDJSON в CSV:', error);
         }
       },
       
-      _escapeCsvField(value: any, delimiter: any) {
-        if (value === null || value === undefined) {
-          return '';
-        }
-        
-        const str = String(value);
-        
-        // Экранируем если содержит delimiter, кавычки или перенос строки
-        if (str.includes(delimiter) || str.includes('"') || str.includes('\n')) {
-          return '"' + str.replace(/"/g, '""') + '"';
-        }
-        
-        return str;
+      _escapeCsvField(value: any, _delimiter: any) {
+        // Кавычки и экранирование — по опции quoting
+        return quoteField(value === null || value === undefined ? '' : String(value), value);
       }
     });
   }
@@ -6,9 +6,183 @@
 export type AnyObject = Record<string, any>;
 export type AnyArray = any[];
 
+/** `'ISO'`, `'epoch-s'`, `'epoch-ms'` or a token pattern such as `'DD.MM.YYYY HH:mm'` */
+export type DatePattern = string;
+
+export interface DateParseOptions {
+  /** Patterns per column; when set, only these columns are parsed */
+  columns?: Record<string, DatePattern | DatePattern[]>;
+  /** Patterns tried on every column when `columns` is not set (default: 'ISO') */
+  formats?: DatePattern | DatePattern[];
+  /** Zone for values without an offset: 'UTC', 'local', '+02:00' or an IANA name (default: 'UTC') */
+  timeZone?: string;
+}
+
+export interface DateFormatOptions {
+  /** Output pattern (default: 'ISO') */
+  format?: DatePattern;
+  /** Zone the output is written in (default: 'UTC') */
+  timeZone?: string;
+}
+
+/** A cell value a declarative `where` condition compares against */
+export type WhereOperand = string | number | boolean | null;
+
+/** Operators of one `where` condition; all of them must hold */
+export interface WhereOperators {
+  eq?: WhereOperand;
+  ne?: WhereOperand;
+  /** Numbers compare `Number(cell)`, strings compare text */
+  gt?: number | string;
+  gte?: number | string;
+  lt?: number | string;
+  lte?: number | string;
+  in?: WhereOperand[];
+  notIn?: WhereOperand[];
+  contains?: string;
+  startsWith?: string;
+  endsWith?: string;
+  matches?: RegExp;
+  /** true keeps empty and missing cells, false drops them */
+  empty?: boolean;
+}
+
+/** A bare value means `eq`, an array means `in` */
+export type WhereCondition = WhereOperand | WhereOperand[] | WhereOperators;
+
+/** Row predicate over raw cells; `field` reads by header name or 0-based index */
+export type WherePredicate = (
+  field: (column: string | number) => string | undefined,
+  values: ReadonlyArray<string | null | undefined>
+) => boolean;
+
+/** Conditions keyed by header name, or a predicate */
+export type WhereOption = Record<string, WhereCondition> | WherePredicate;
+
+/** One property found by `sniffDialect`, with how sure it is from 0 to 1 */
+export interface SniffedValue<T> {
+  value: T;
+  confidence: number;
+}
+
+/** What `sniffDialect` found out about a CSV sample */
+export interface CsvDialect {
+  delimiter: SniffedValue<string>;
+  quote: SniffedValue<string>;
+  /** `'doubled'` for `""` inside quotes (RFC 4180), `'backslash'` for `\"` */
+  escape: SniffedValue<'doubled' | 'backslash'>;
+  lineEnding: SniffedValue<'\n' | '\r\n' | '\r'>;
+  hasHeader: SniffedValue<boolean>;
+  /** Encoding of a Buffer sample; null for a string, which is already decoded */
+  encoding: SniffedValue<string | null> & { bom: boolean };
+  /** Probable type of each column, named from the header row when there is one */
+  columns: Array<{ name: string; type: import('../utils/type-inference').InferredType; confidence: number }>;
+}
+
+export interface SniffDialectOptions {
+  /** Candidate delimiters; may be multi-character (default: [';', ',', '\t', '|']) */
+  candidates?: string[];
+  /** Records inspected for the header and column types (default: 50) */
+  sampleRows?: number;
+  /** Cache string samples' dialects (default: true) */
+  useCache?: boolean;
+  /** DelimiterCache to use instead of the shared one */
+  cache?: any;
+}
+
+/** Row index of a CSV file, saved as `<file>.idx` by `buildCsvIndex` */
+export interface CsvIndex {
+  version: number;
+  /** Size and modification time of the indexed file; the index is stale when they change */
+  size: number;
+  mtimeMs: number;
+  /** Data records between checkpoints */
+  every: number;
+  hasHeaders: boolean;
+  quote: string;
+  /** Byte range of the header record, or null without headers */
+  header: { offset: number; length: number } | null;
+  /** Number of data records */
+  rows: number;
+  /** Byte offset of data records 0, every, 2 * every, … */
+  offsets: number[];
+}
+
+export interface BuildCsvIndexOptions {
+  /** Record a checkpoint every this many data records (default: 1000) */
+  every?: number;
+  /** First record is a header (default: true) */
+  hasHeaders?: boolean;
+  /** Quote character; line breaks inside quotes do not end a record (default: '"') */
+  quote?: string;
+  /** Where to save the index (default: `<file>.idx`); false keeps it in memory only */
+  indexPath?: string | false;
+  /** Check the file path like readCsvAsJson (default: true) */
+  validatePath?: boolean;
+}
+
+/** Data rows to read: `from` inclusive, `to` exclusive, both 0-based */
+export interface CsvRange {
+  from?: number;
+  to?: number;
+  /** An index, the path of an index file, or false to scan from the start (default: the `<file>.idx` sidecar, when current) */
+  index?: CsvIndex | string | false;
+}
+
+export type ReadCsvRangeOptions = CsvToJsonOptions & CsvRange & { validatePath?: boolean };
+
 // JSON to CSV интерфейсы
+/** Number format of a locale, e.g. `{ decimal: ',', group: '.' }` for `1.234,56` */
+export interface NumberLocaleOptions {
+  /** Decimal separator (default: '.') */
+  decimal?: string;
+  /** Grouping (thousands) separator; unset means grouped numbers are not recognised */
+  group?: string | null;
+  /** Currency symbols or codes stripped before parsing, e.g. ['€', 'EUR'] */
+  currency?: string | string[];
+  /** `'ratio'` reads `12,5%` as 0.125, `'number'` as 12.5; off by default */
+  percent?: 'ratio' | 'number' | false;
+}
+
+/** Line break CSV output uses; 'auto' keeps the writer's default */
+export type LineEnding = '\r\n' | '\n' | 'auto';
+
+/** Line break of CSV input; 'auto' reads CRLF, LF and bare CR */
+export type InputLineEnding = '\r\n' | '\n' | '\r' | 'auto';
+
+/** What the writers do with cells a spreadsheet could run as formulas */
+export type InjectionPolicy = 'escape' | 'strip' | 'reject' | 'allow';
+
+/** Named CSV dialect: a preset of delimiter, line breaks, BOM and Excel protections */
+export type CsvDialectName = 'excel' | 'excel-eu' | 'google-sheets' | 'rfc4180' | 'unix';
+
+/** When CSV output quotes a field */
+export type CsvQuoting = 'minimal' | 'all' | 'nonnumeric' | 'strings' | 'none';
+
+/** Built-in formatters a column can name; `date:PATTERN` formats with a date pattern */
+export type ColumnFormatterName =
+  | 'string' | 'trim' | 'upper' | 'lower'
+  | 'number' | 'integer' | 'boolean' | 'json'
+  | 'date' | `date:${string}`;
+
+/** One output column of `columns` */
+export interface JsonToCsvColumn {
+  /** Key of the row, or a dot path / JSONPath into nested data, e.g. 'customer.name', '$.items[0].sku' */
+  key: string;
+  /** Header label (default: key) */
+  header?: string;
+  /** Value written when the key is missing or null */
+  default?: unknown;
+  /** Formatter function, or the name of a built-in formatter */
+  format?: ColumnFormatterName | ((value: any, row: AnyObject) => unknown);
+  /** Leave the column out when it is empty in every row (default: false) */
+  omitIfEmpty?: boolean;
+}
+
 export interface JsonToCsvOptions {
-  /** CSV delimiter (default: ';') */
+  /** Preset for a consumer; explicit options win (see `CsvDialectName`) */
+  dialect?: CsvDialectName;
+  /** CSV delimiter, one or more characters (default: ';') */
   delimiter?: string;
   /** Include headers row (default: true) */
   includeHeaders?: boolean;
@@ -16,12 +190,34 @@ export interface JsonToCsvOptions {
   renameMap?: Record<string, string>;
   /** Template for guaranteed column order */
   template?: Record<string, any>;
+  /** Output columns: key or path, header, default, format and omitIfEmpty; replaces template and renameMap */
+  columns?: Array<string | JsonToCsvColumn>;
   /** Maximum number of records to process (optional, no limit by default) */
   maxRecords?: number;
   /** Prevent CSV injection attacks by escaping formulas (default: true) */
   preventCsvInjection?: boolean;
+  /** What happens to potential formulas (default: 'escape', or 'allow' when preventCsvInjection is false) */
+  injectionPolicy?: InjectionPolicy;
+  /** Characters that start a formula (default: ['=', '+', '-', '@']) */
+  injectionTriggers?: string[];
+  /** Keys or headers of columns written as they are, formulas included */
+  formulaColumns?: string[];
   /** Ensure RFC 4180 compliance (proper quoting, line endings) (default: true) */
   rfc4180Compliant?: boolean;
+  /** When to quote fields: 'minimal' | 'all' | 'nonnumeric' | 'strings' | 'none' (default: 'minimal') */
+  quoting?: CsvQuoting;
+  /** Escape character for quoting 'none' (default: '\\') */
+  escapeChar?: string;
+  /** Line break between rows (default: 'auto' — '\r\n' when rfc4180Compliant, else '\n') */
+  lineEnding?: LineEnding;
+  /** End the output with a line break (default: false) */
+  trailingNewline?: boolean;
+  /** Start the output with a UTF-8 BOM (default: false) */
+  addBOM?: boolean;
+  /** Start the output with a `sep=` line naming the delimiter, for Excel (default: false) */
+  sepLine?: boolean;
+  /** Write digit strings Excel would mangle (`00123`, 16+ digits) as `="00123"` (default: false) */
+  protectLeadingZeros?: boolean;
   /** Normalize excessive quotes in JSON string values before CSV export (default: true) */
   normalizeQuotes?: boolean;
   /** JSON schema for data validation and formatting */
@@ -32,12 +228,28 @@ export interface JsonToCsvOptions {
   flattenSeparator?: string;
   /** Maximum depth for flattening nested objects */
   flattenMaxDepth?: number;
-  /** How to handle arrays ('stringify', 'join', 'expand') */
+  /** How to handle arrays: 'expand' writes `tags[0]`, `items[0].sku`, … columns */
   arrayHandling?: 'stringify' | 'join' | 'expand';
+  /** Elements per expanded array, for all keys or per key; required by the stream writer (default: longest array) */
+  maxArrayLength?: number | Record<string, number>;
+  /** Paths of arrays to explode into one row per element, parent fields repeated, e.g. ['items'] */
+  unwind?: string | string[];
+  /** How several unwind paths combine: every combination or element by element (default: 'cartesian') */
+  unwindMode?: 'cartesian' | 'zip';
+  /** Keep rows whose unwound arrays are empty or missing (default: false) */
+  unwindPreserveEmpty?: boolean;
   /** Warn when record count exceeds this threshold (default: 1000000) */
   memoryWarningThreshold?: number;
   /** Safety limit for in-memory conversion (default: 5000000). Set to Infinity to disable. */
   memoryLimit?: number;
+  /** Write numbers in this locale's format, e.g. `1.234,56` */
+  numberLocale?: NumberLocaleOptions;
+  /** How Date values are written (default: ISO 8601 in UTC) */
+  dateFormat?: DatePattern | DateFormatOptions;
+  /** Token written bare for null values; strings that spell it are quoted (default: '') */
+  nullAs?: string;
+  /** Token written bare for undefined values and missing keys; strings that spell it are quoted (default: '') */
+  undefinedAs?: string;
 }
 
 export interface SaveAsCsvOptions extends JsonToCsvOptions {
@@ -47,12 +259,24 @@ export interface SaveAsCsvOptions extends JsonToCsvOptions {
 
 // CSV to JSON интерфейсы
 export interface CsvToJsonOptions {
-  /** CSV delimiter (default: auto-detected) */
-  delimiter?: string;
+  /** Preset for the producer of the file; explicit options win (see `CsvDialectName`) */
+  dialect?: CsvDialectName;
+  /** CSV delimiter: one or more characters, or a RegExp such as `/\s{2,}/` (default: auto-detected) */
+  delimiter?: string | RegExp;
   /** Auto-detect delimiter if not specified (default: true) */
   autoDetect?: boolean;
-  /** Candidate delimiters for auto-detection (default: [';', ',', '\t', '|']) */
+  /** Candidate delimiters for auto-detection; may be multi-character (default: [';', ',', '\t', '|']) */
   candidates?: string[];
+  /** Line break of the input; 'auto' reads CRLF, LF and bare CR (default: 'auto') */
+  lineEnding?: InputLineEnding;
+  /** Remove the `'` jtcsv's injection escaping added, so values round-trip (default: true) */
+  unescapeInjection?: boolean;
+  /** Trigger characters the writer escaped (default: ['=', '+', '-', '@']) */
+  injectionTriggers?: string[];
+  /** Read a leading `sep=` line as the delimiter and skip it (default: false) */
+  sepLine?: boolean;
+  /** Turn `="..."` cells, as Excel exports protect text, back into the text (default: false) */
+  unwrapFormulaText?: boolean;
   /** Whether CSV has headers row (default: true) */
   hasHeaders?: boolean;
   /** Map for renaming column headers { newKey: oldKey } */
@@ -77,6 +301,46 @@ export interface CsvToJsonOptions {
   useCache?: boolean;
   /** Custom delimiter cache instance */
   cache?: any; // DelimiterCache type will be imported later
+  /** Quote character (default: '"') */
+  quote?: string;
+  /** Escape character; null or false disables escaping (default: '\\') */
+  escape?: string | null | false;
+  /** Let `'` open a quoted field at the start of a cell (default: true for line parsers, false for fast-path) */
+  allowSingleQuotes?: boolean;
+  /** Prefix that marks a whole line as a comment, e.g. '#' (default: none) */
+  comment?: string | false;
+  /** Number of leading lines to skip before parsing (default: 0) */
+  skipLines?: number;
+  /** Skip lines until one matches; that line is parsed as the first row */
+  skipLinesUntil?: RegExp | ((line: string, lineNumber: number) => boolean);
+  /** Number of trailing non-empty lines to skip (default: 0) */
+  skipTrailingLines?: number;
+  /** How repeated header names are resolved (default: 'last') */
+  duplicateHeaders?: 'suffix' | 'array' | 'first' | 'last' | 'error';
+  /** Generates a name for a blank header cell from its 0-based column index */
+  emptyHeaderName?: (index: number) => string;
+  /** Object that receives parse metadata, e.g. the resolved `headers` list */
+  metadata?: Record<string, any>;
+  /** Infer one type per column from the first rows and coerce the whole column (default: false) */
+  inferTypes?: boolean | { sampleSize?: number };
+  /** Parse numbers written in this locale's format; implies number parsing */
+  numberLocale?: NumberLocaleOptions;
+  /** Convert date cells to Date objects; `true` parses ISO 8601 in every column (default: false) */
+  parseDates?: boolean | DateParseOptions;
+  /** Unquoted cells read as null, matched before escape processing, e.g. ['NULL', '\\N', 'N/A'] */
+  nullValues?: string[];
+  /** What empty cells become; 'omit' drops the key (default: null, or '' in the line-by-line fallback parser) */
+  emptyAs?: '' | null | 'omit';
+  /** Keep only these columns, in this order: header names, 0-based indexes, or a predicate (file order) */
+  columns?: Array<string | number> | ((header: string, index: number) => boolean);
+  /** Keep only rows matching these conditions on raw cells, or this predicate; `maxRows` then counts matches */
+  where?: WhereOption;
+  /** Rebuild nested objects from headers like 'user.address.city' and 'items[0].sku' (default: false) */
+  unflatten?: boolean;
+  /** Separator between path segments for `unflatten` (default: '.') */
+  unflattenSeparator?: string;
+  /** Attach each row's source position as `_rowInfo`; uses the line parser (default: false) */
+  includeRowInfo?: boolean;
   /** Hooks for custom processing */
   hooks?: {
     beforeConvert?: (csv: string, options: CsvToJsonOptions) => string;
@@ -91,8 +355,10 @@ export interface CsvToJsonOptions {
   rfc4180Compliant?: boolean;
   /** Warn about extra fields not in headers (default: false) */
   warnExtraFields?: boolean;
-  /** Error recovery strategy for row-level errors (default: 'throw') */
-  onError?: 'skip' | 'warn' | 'throw';
+  /** Error recovery strategy for row-level errors; 'collect' returns `{ data, errors, stats }` (default: 'throw') */
+  onError?: 'skip' | 'warn' | 'throw' | 'collect';
+  /** Rule for rows whose field count differs from the header; replaces `repairRowShifts` when set */
+  columnMismatch?: 'error' | 'pad' | 'truncate' | 'extraAsArray' | 'collect';
   /** Custom error handler for row-level errors */
   errorHandler?: (error: Error, line: string, lineNumber: number) => void;
   /** Warn when row count exceeds this threshold (default: 1000000) */
@@ -105,6 +371,51 @@ export interface CsvToJsonOptions {
   normalizeQuotes?: boolean;
 }
 
+/** Where a parsed row came from, attached as `_rowInfo` under `includeRowInfo` */
+export interface RowInfo {
+  /** 1-based line the record starts on */
+  line: number;
+  /** Byte offset of the record in the source, counted in UTF-8 */
+  offset: number;
+  /** Byte length of the record, without its line terminator */
+  length: number;
+  /** The record as written, quotes and embedded line breaks included */
+  raw: string;
+}
+
+/** A row rejected under `onError: 'collect'` */
+export interface CsvRowError {
+  /** 1-based source line number, when known */
+  lineNumber: number | null;
+  /** Raw text of the rejected line */
+  line: string;
+  /** 1-based field index the error points at, when known */
+  column: number | null;
+  /** Error code, e.g. 'PARSING_ERROR' */
+  code: string;
+  /** Error message without the line/column suffix */
+  message: string;
+}
+
+export interface CsvParseStats {
+  /** Data rows seen (parsed + rejected) */
+  totalRows: number;
+  /** Rows returned in `data` */
+  parsedRows: number;
+  /** Rows rejected and reported in `errors` */
+  errorRows: number;
+}
+
+/** Options that make `csvToJson` return a `CsvCollectResult` */
+export type CsvCollectOptions = { onError: 'collect' } | { columnMismatch: 'collect' };
+
+/** Result of `csvToJson` with `onError: 'collect'` */
+export interface CsvCollectResult<T = AnyObject> {
+  data: T[];
+  errors: CsvRowError[];
+  stats: CsvParseStats;
+}
+
 // JSON save интерфейсы
 export interface SaveAsJsonOptions {
   /** Format JSON with indentation (default: false) */
@@ -114,6 +425,9 @@ export interface SaveAsJsonOptions {
 }
 
 // Streaming интерфейсы
+/** How the JSON→CSV stream writer decides its columns */
+export type HeaderStrategy = 'first' | 'sample' | 'declared' | 'spill';
+
 export interface JsonToCsvStreamOptions extends JsonToCsvOptions {
   /** Custom transform function for each row */
   transform?: (row: Record<string, any>) => Record<string, any>;
@@ -121,6 +435,24 @@ export interface JsonToCsvStreamOptions extends JsonToCsvOptions {
   schema?: Record<string, any>;
   /** Add UTF-8 BOM for Excel compatibility (default: true) */
   addBOM?: boolean;
+  /** How the columns are found: first row, a sample, template/columns only, or all rows via a temp file (default: 'first') */
+  headerStrategy?: HeaderStrategy;
+  /** Records buffered for headerStrategy 'sample' (default: 100) */
+  headerSampleSize?: number;
+  /** Directory for the temporary file of headerStrategy 'spill' (default: os.tmpdir()) */
+  spillDir?: string;
+}
+
+/** Payload of the JSON→CSV stream writer's 'stats' event */
+export interface JsonToCsvStreamStats {
+  /** Input records converted */
+  records: number;
+  /** CSV data rows written */
+  rows: number;
+  /** Header row as written */
+  headers: string[];
+  /** Keys some row had that are not in the header, in order of first appearance */
+  droppedKeys: string[];
 }
 
 export interface CsvToJsonStreamOptions extends CsvToJsonOptions {
@@ -161,6 +493,14 @@ export interface NdjsonToCsvStreamOptions {
   preventCsvInjection?: boolean;
   /** Ensure RFC 4180 compliance (proper quoting, line endings) (default: true) */
   rfc4180Compliant?: boolean;
+  /** When to quote fields (default: 'minimal') */
+  quoting?: CsvQuoting;
+  /** Escape character for quoting 'none' (default: '\\') */
+  escapeChar?: string;
+  /** Line break after each row (default: '\n') */
+  lineEnding?: LineEnding;
+  /** End the output with a line break (default: true) */
+  trailingNewline?: boolean;
   /** JSON schema for validation and formatting */
   schema?: Record<string, any>;
   /** Custom transform function for each row */
@@ -179,6 +519,8 @@ export interface TsvOptions {
   parseNumbers?: boolean;
   /** Parse boolean values (default: false) */
   parseBooleans?: boolean;
+  /** Parse numbers written in this locale's format; implies number parsing */
+  numberLocale?: NumberLocaleOptions;
   /** Maximum number of rows to process */
   maxRows?: number;
   /** JSON schema for validation and formatting */
@@ -209,6 +551,50 @@ export interface ValidateTsvOptions {
   strict?: boolean;
 }
 
+// Fixed-width интерфейсы
+export interface FixedWidthColumn {
+  /** Field name in the row object */
+  name: string;
+  /** 0-based character offset (default: end of the previous column) */
+  start?: number;
+  /** Width in characters */
+  length: number;
+  /** Side the value sits on; padding fills the other side (default: 'left', 'right' for numbers) */
+  align?: 'left' | 'right';
+  /** Padding character (default: ' ') */
+  padChar?: string;
+  /** Value type (default: 'string'); booleans are written as Y/N in columns narrower than 5 */
+  type?: 'string' | 'number' | 'boolean' | 'date';
+  /** Pattern for `type: 'date'`, in UTC (default: 'ISO') */
+  format?: DatePattern;
+}
+
+export interface FixedWidthParseOptions {
+  /** Column layout; inferred from all-blank character columns when omitted */
+  columns?: FixedWidthColumn[];
+  /** First line holds column names (default: false with `columns`, true when inferring) */
+  hasHeaders?: boolean;
+  /** Lines dropped before the header or first record (default: 0) */
+  skipLines?: number;
+  /** Trim whitespace left after removing padding (default: true) */
+  trim?: boolean;
+  /** Lines sampled to infer columns (default: 100) */
+  sampleLines?: number;
+  /** Maximum number of records to return */
+  maxRows?: number;
+}
+
+export interface FixedWidthWriteOptions {
+  /** Column layout; derived from the data when omitted (not for streams) */
+  columns?: FixedWidthColumn[];
+  /** Write a line with the column names first (default: false) */
+  includeHeaders?: boolean;
+  /** What to do with values longer than their column (default: 'error') */
+  overflow?: 'error' | 'truncate';
+  /** Line separator (default: '\n') */
+  lineEnding?: string;
+}
+
 // Worker интерфейсы для многопоточной обработки
 export interface WorkerTask<T = any, R = any> {
   id: string;
@@ -264,6 +650,15 @@ export type PreprocessOptions = {
   flattenSeparator?: string;
   flattenMaxDepth?: number;
   arrayHandling?: 'stringify' | 'join' | 'expand';
+  maxArrayLength?: number | Record<string, number>;
+  unwind?: string | string[];
+  unwindMode?: 'cartesian' | 'zip';
+  unwindPreserveEmpty?: boolean;
+  columns?: Array<string | JsonToCsvColumn>;
+  dateFormat?: DatePattern | DateFormatOptions;
+  nullAs?: string;
+  undefinedAs?: string;
+  maxRecords?: number;
 };
 
 export type DeepUnwrapOptions = {
@@ -0,0 +1,231 @@
+/**
+ * Array expansion for `arrayHandling: 'expand'`.
+ *
+ * Arrays become one column per element, named the way `unflatten` reads
+ * them back: primitives as `tags[0]`, `tags[1]`, … and objects as
+ * `items[0].sku`, `items[0].qty`, `items[1].sku`, …
+ *
+ * Every row gets the same block of columns for a key, so the header holds
+ * `length × fields` columns whatever each row's array looks like. The
+ * length is the longest array in the data, or `maxArrayLength` when it is
+ * declared — the stream writer has to declare it, because it writes the
+ * header before it sees the later rows.
+ *
+ * A scalar under a key other rows hold arrays for counts as a one-element
+ * array, so it lands in `tags[0]` rather than being dropped.
+ *
+ * @module array-expansion
+ */
+
+import { ConfigurationError, LimitError, ValidationError } from '../errors';
+import type { AnyObject } from '../types';
+
+/** Declared number of elements per array, for all keys or per key */
+export type MaxArrayLength = number | Record<string, number>;
+
+/** Columns an array key expands to */
+interface ExpandedArray {
+  length: number;
+  /** Object fields of the elements; '' stands for a primitive element */
+  fields: string[];
+}
+
+/** Which keys expand, and into what */
+export type ArrayExpansionPlan = Map<string, ExpandedArray>;
+
+function isPlainObject(value: unknown): value is AnyObject {
+  return typeof value === 'object' && value !== null && !Array.isArray(value) && !(value instanceof Date);
+}
+
+/**
+ * Validates `maxArrayLength`.
+ *
+ * @throws {ConfigurationError} If a length is not a positive integer
+ */
+export function validateMaxArrayLength(maxArrayLength: unknown): MaxArrayLength | undefined {
+  if (maxArrayLength === undefined) {
+    return undefined;
+  }
+  const lengths = typeof maxArrayLength === 'number'
+    ? [maxArrayLength]
+    : isPlainObject(maxArrayLength) ? Object.values(maxArrayLength) : null;
+  if (!lengths || lengths.some((length) => !Number.isInteger(length) || (length as number) < 1)) {
+    throw new ConfigurationError('maxArrayLength must be a positive integer or an object of positive integers');
+  }
+  return maxArrayLength as MaxArrayLength;
+}
+
+/** Elements of a cell under an expanded key: a scalar is a one-element array */
+function arrayItems(value: unknown): unknown[] {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  return value === null || value === undefined ? [] : [value];
+}
+
+function declaredLength(maxArrayLength: MaxArrayLength | undefined, key: string): number | undefined {
+  return typeof maxArrayLength === 'number' ? maxArrayLength : maxArrayLength?.[key];
+}
+
+/**
+ * Finds the arrays in `rows` and the columns each expands to.
+ *
+ * @param rows - Rows to scan; the stream writer passes only its first row
+ * @param maxArrayLength - Declared lengths; keys named in an object are
+ * expanded even when no scanned row holds an array for them
+ */
+export function planArrayExpansion(rows: Iterable<AnyObject | null>, maxArrayLength?: MaxArrayLength): ArrayExpansionPlan {
+  const found = new Map<string, { length: number; fields: Set<string> }>();
+  const entry = (key: string) => {
+    let array = found.get(key);
+    if (!array) {
+      array = { length: 0, fields: new Set() };
+      found.set(key, array);
+    }
+    return array;
+  };
+
+  if (isPlainObject(maxArrayLength)) {
+    for (const key of Object.keys(maxArrayLength)) {
+      entry(key);
+    }
+  }
+  const addFields = (fields: Set<string>, item: unknown) => {
+    if (isPlainObject(item)) {
+      for (const field of Object.keys(item)) {
+        fields.add(field);
+      }
+    } else if (item !== null && item !== undefined) {
+      fields.add('');
+    }
+  };
+
+  // Fields of non-array values per key; they only expand under keys some
+  // row holds an array for
+  const scalarFields = new Map<string, Set<string>>();
+  for (const row of rows) {
+    if (!row) {
+      continue;
+    }
+    for (const key of Object.keys(row)) {
+      const value = row[key];
+      if (Array.isArray(value)) {
+        const array = entry(key);
+        array.length = Math.max(array.length, value.length);
+        for (const item of value) {
+          addFields(array.fields, item);
+        }
+      } else if (value !== null && value !== undefined) {
+        let fields = scalarFields.get(key);
+        if (!fields) {
+          fields = new Set();
+          scalarFields.set(key, fields);
+        }
+        addFields(fields, value);
+      }
+    }
+  }
+  for (const [key, fields] of scalarFields) {
+    const array = found.get(key);
+    if (array) {
+      array.length = Math.max(array.length, 1);
+      for (const field of fields) {
+        array.fields.add(field);
+      }
+    }
+  }
+
+  const plan: ArrayExpansionPlan = new Map();
+  for (const [key, { length, fields }] of found) {
+    const declared = declaredLength(maxArrayLength, key);
+    if (declared !== undefined && length > declared) {
+      throw new LimitError(
+        `Array "${key}" has ${length} items, more than maxArrayLength ${declared}`,
+        declared,
+        length
+      );
+    }
+    // Arrays that are always empty still expand, to no columns
+    plan.set(key, { length: declared ?? length, fields: fields.size > 0 ? [...fields] : [''] });
+  }
+  return plan;
+}
+
+/** Column name of field `field` of element `index` of `key`. */
+function columnName(key: string, index: number, field: string, separator: string): string {
+  return field === '' ? `${key}[${index}]` : `${key}[${index}]${separator}${field}`;
+}
+
+/**
+ * Replaces the planned keys among `keys` with their element columns, so a
+ * `template` that names `tags` puts `tags[0]`, `tags[1]`, … in its place
+ * instead of a `tags` column no row fills.
+ */
+export function expandKeys(keys: string[], plan: ArrayExpansionPlan, separator: string): string[] {
+  const expanded: string[] = [];
+  for (const key of keys) {
+    const array = plan.get(key);
+    if (!array) {
+      expanded.push(key);
+      continue;
+    }
+    for (let i = 0; i < array.length; i++) {
+      for (const field of array.fields) {
+        expanded.push(columnName(key, i, field, separator));
+      }
+    }
+  }
+  return expanded;
+}
+
+/**
+ * Replaces the planned arrays of a row with their element columns, in the
+ * key's place. Elements a row does not have become `undefined`; a scalar
+ * is element 0.
+ *
+ * @throws {LimitError} If an array is longer than the plan allows
+ * @throws {ValidationError} If a row holds an array, or an element field,
+ * that the plan has no column for
+ */
+export function expandArrays(row: AnyObject, plan: ArrayExpansionPlan, separator: string): AnyObject {
+  const expanded: AnyObject = {};
+  for (const key of Object.keys(row)) {
+    const value = row[key];
+    const array = plan.get(key);
+    if (!array) {
+      if (Array.isArray(value)) {
+        throw new ValidationError(
+          `Array "${key}" was not in the first row; declare its length in maxArrayLength`
+        );
+      }
+      expanded[key] = value;
+      continue;
+    }
+    const items = arrayItems(value);
+    if (items.length > array.length) {
+      throw new LimitError(
+        `Array "${key}" has ${items.length} items, more than maxArrayLength ${array.length}`,
+        array.length,
+        items.length
+      );
+    }
+    for (let i = 0; i < array.length; i++) {
+      const item = items[i];
+      const missing = isPlainObject(item)
+        ? Object.keys(item).find((field) => !array.fields.includes(field))
+        : (item === null || item === undefined || array.fields.includes('') ? undefined : '');
+      if (missing !== undefined) {
+        throw new ValidationError(
+          `Element ${i} of "${key}" has ${missing === '' ? 'a value' : `field "${missing}"`} with no column; the columns come from the first row`
+        );
+      }
+      for (const field of array.fields) {
+        const cell = field === ''
+          ? (isPlainObject(item) ? undefined : item)
+          : (isPlainObject(item) ? item[field] : undefined);
+        expanded[columnName(key, i, field, separator)] = cell;
+      }
+    }
+  }
+  return expanded;
+}
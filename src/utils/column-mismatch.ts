@@ -0,0 +1,96 @@
+/**
+ * Explicit policies for rows whose field count differs from the header.
+ *
+ * Without `columnMismatch` the parsers pad short rows, drop extra fields and
+ * let `repairShiftedRows` guess at shifted cells. Setting a policy replaces
+ * those heuristics with one deterministic rule:
+ *
+ * - `'error'` — any mismatch is a `ParsingError` (subject to `onError`)
+ * - `'pad'` — short rows are filled with `null`; long rows are an error
+ * - `'truncate'` — extra fields are dropped; short rows are an error
+ * - `'extraAsArray'` — short rows are filled with `null`; extra fields are
+ *   kept as raw strings under `_extra`
+ * - `'collect'` — mismatched rows are skipped and reported as row errors
+ *
+ * @module column-mismatch
+ */
+
+import { ConfigurationError, ParsingError } from '../errors';
+
+export type ColumnMismatchPolicy = 'error' | 'pad' | 'truncate' | 'extraAsArray' | 'collect';
+
+/** Key that holds overflow fields under `columnMismatch: 'extraAsArray'`. */
+export const EXTRA_FIELDS_KEY = '_extra';
+
+const POLICIES: readonly ColumnMismatchPolicy[] = ['error', 'pad', 'truncate', 'extraAsArray', 'collect'];
+
+// Errors raised by fitRowToHeaders, so 'collect' can tell them from other row errors
+const mismatchErrors = new WeakSet<Error>();
+
+export interface FittedRow {
+  /** Exactly one value per header */
+  values: Array<string | null>;
+  /** Overflow fields under 'extraAsArray', otherwise null */
+  extra: Array<string | null> | null;
+}
+
+/**
+ * Validates `columnMismatch`.
+ *
+ * @returns The policy, or null when unset
+ */
+export function resolveColumnMismatch(policy: unknown): ColumnMismatchPolicy | null {
+  if (policy === undefined || policy === null) {
+    return null;
+  }
+  if (!POLICIES.includes(policy as ColumnMismatchPolicy)) {
+    throw new ConfigurationError(
+      'columnMismatch must be "error", "pad", "truncate", "extraAsArray", or "collect"'
+    );
+  }
+  return policy as ColumnMismatchPolicy;
+}
+
+/**
+ * Brings a parsed row to the header width.
+ *
+ * @throws {ParsingError} Field count mismatch when the policy rejects the row
+ */
+export function fitRowToHeaders(
+  values: Array<string | null>,
+  headerCount: number,
+  policy: ColumnMismatchPolicy,
+  lineNumber: number | null,
+  line: string
+): FittedRow {
+  if (values.length === headerCount) {
+    return { values, extra: null };
+  }
+
+  const short = values.length < headerCount;
+  const accepted = short
+    ? policy === 'pad' || policy === 'extraAsArray'
+    : policy === 'truncate' || policy === 'extraAsArray';
+  if (!accepted) {
+    const error = ParsingError.fieldCountMismatch(headerCount, values.length, lineNumber, line);
+    mismatchErrors.add(error);
+    throw error;
+  }
+
+  if (short) {
+    const padded: Array<string | null> = values.slice();
+    while (padded.length < headerCount) {
+      padded.push(null);
+    }
+    return { values: padded, extra: null };
+  }
+  return {
+    values: values.slice(0, headerCount),
+    extra: policy === 'extraAsArray' ? values.slice(headerCount) : null
+  };
+}
+
+/** Whether `error` is a field count mismatch raised by `fitRowToHeaders`. */
+export function isColumnMismatchError(error: unknown): boolean {
+  return error instanceof Error && mismatchErrors.has(error);
+}
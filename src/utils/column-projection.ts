@@ -0,0 +1,106 @@
+/**
+ * Column projection for the CSV→JSON parsers.
+ *
+ * `columns` picks the fields to keep — by header name, by 0-based index or
+ * with a predicate — and fixes their order in the output. Names are the
+ * header cells as written (after trimming, before `renameMap`); without a
+ * header row they are the generated `column1`, `column2`… A name matches
+ * every column carrying it, so `duplicateHeaders` still applies to the
+ * projected set. Predicates keep the file's column order.
+ *
+ * @module column-projection
+ */
+
+import { ConfigurationError } from '../errors';
+
+export type ColumnSelector =
+  | Array<string | number>
+  | ((header: string, index: number) => boolean);
+
+/**
+ * Validates the `columns` option.
+ *
+ * @returns The selector, or null when every column is kept
+ */
+export function resolveColumnSelector(columns: unknown): ColumnSelector | null {
+  if (columns === undefined || columns === null) {
+    return null;
+  }
+  if (typeof columns === 'function') {
+    return columns as ColumnSelector;
+  }
+  if (!Array.isArray(columns)) {
+    throw new ConfigurationError('columns must be an array of header names and indexes, or a function');
+  }
+  if (columns.length === 0) {
+    throw new ConfigurationError('columns must not be empty');
+  }
+  for (const column of columns) {
+    const isIndex = typeof column === 'number' && Number.isInteger(column) && column >= 0;
+    if (!isIndex && typeof column !== 'string') {
+      throw new ConfigurationError('columns entries must be header names or non-negative integer indexes');
+    }
+  }
+  return columns as ColumnSelector;
+}
+
+/**
+ * Resolves a selector against the header row.
+ *
+ * @returns Field indexes in output order
+ * @throws ConfigurationError when a name or index is not in the header, or
+ * a column is selected twice
+ */
+export function projectColumns(selector: ColumnSelector, headers: string[]): number[] {
+  if (typeof selector === 'function') {
+    const projection: number[] = [];
+    headers.forEach((header, index) => {
+      if (selector(header, index)) {
+        projection.push(index);
+      }
+    });
+    return projection;
+  }
+
+  const projection: number[] = [];
+  const seen = new Set<number>();
+  const add = (index: number, column: string | number) => {
+    if (seen.has(index)) {
+      throw new ConfigurationError(`columns selects column ${JSON.stringify(column)} more than once`);
+    }
+    seen.add(index);
+    projection.push(index);
+  };
+
+  for (const column of selector) {
+    if (typeof column === 'number') {
+      if (column >= headers.length) {
+        throw new ConfigurationError(
+          `columns index ${column} is out of range; the header has ${headers.length} columns`
+        );
+      }
+      add(column, column);
+      continue;
+    }
+    let found = false;
+    headers.forEach((header, index) => {
+      if (header === column) {
+        add(index, column);
+        found = true;
+      }
+    });
+    if (!found) {
+      throw new ConfigurationError(`Column "${column}" from columns is not in the header`);
+    }
+  }
+  return projection;
+}
+
+/** Picks the projected fields from a parsed row. */
+export function projectRow<T>(values: T[], projection: number[]): T[] {
+  const projected = new Array<T>(projection.length);
+  for (let i = 0; i < projection.length; i++) {
+    projected[i] = values[projection[i]];
+  }
+  return projected;
+}
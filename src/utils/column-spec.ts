@@ -0,0 +1,276 @@
+/**
+ * Declarative output columns for JSON→CSV (`columns`).
+ *
+ * Each entry names where a column's value comes from and how it is
+ * written, so an export definition can live in one config object:
+ *
+ * ```ts
+ * columns: [
+ *   'id',
+ *   { key: 'customer.name', header: 'Customer' },
+ *   { key: '$.items[0].sku', header: 'First SKU', default: 'n/a' },
+ *   { key: 'total', format: 'number' },
+ *   { key: 'note', format: (value) => String(value).slice(0, 40), omitIfEmpty: true }
+ * ]
+ * ```
+ *
+ * `key` is looked up as a key of the row first, then as a dot path
+ * (`a.b`, `items[0].sku`) or JSONPath (`$.a.b`, `$['odd key']`) into
+ * nested data, reading own properties only. `default` stands in for a
+ * missing or null value, `format` is a function `(value, row)` or the name
+ * of a built-in formatter, and `omitIfEmpty` drops a column that is empty
+ * in every row. The columns replace `template` and `renameMap`: they give
+ * the order and the headers.
+ *
+ * @module column-spec
+ */
+
+import { ConfigurationError, ValidationError } from '../errors';
+import { createDateFormatter } from './date-patterns';
+import type {
+  AnyObject,
+  ColumnFormatterName,
+  DateFormatOptions,
+  DatePattern,
+  JsonToCsvColumn
+} from '../types';
+
+export type { ColumnFormatterName, JsonToCsvColumn };
+
+/** A validated column */
+export interface ResolvedColumn {
+  key: string;
+  path: Array<string | number>;
+  header: string;
+  default: unknown;
+  format: ((value: unknown, row: AnyObject) => unknown) | null;
+  omitIfEmpty: boolean;
+}
+
+export const COLUMN_FORMATTERS: readonly string[] = [
+  'string', 'trim', 'upper', 'lower', 'number', 'integer', 'boolean', 'json', 'date'
+];
+
+const NAME_SEGMENT = /^\.([^.[\]]+)/;
+const FIRST_SEGMENT = /^([^.[\]]+)/;
+const INDEX_SEGMENT = /^\[(\d+)\]/;
+const QUOTED_SEGMENT = /^\[(['"])(.*?)\1\]/;
+
+/**
+ * Splits a dot path or JSONPath into keys and array indexes.
+ *
+ * @throws {ConfigurationError} If the path is malformed or uses wildcards
+ */
+export function parseColumnPath(key: string): Array<string | number> {
+  const rooted = key.startsWith('$');
+  let rest = rooted ? key.slice(1) : key;
+  const path: Array<string | number> = [];
+  while (rest !== '') {
+    const first = !rooted && path.length === 0;
+    let match = (first ? FIRST_SEGMENT : NAME_SEGMENT).exec(rest);
+    if (match && match[1] !== '*') {
+      path.push(match[1]);
+    } else if ((match = INDEX_SEGMENT.exec(rest))) {
+      path.push(Number(match[1]));
+    } else if ((match = QUOTED_SEGMENT.exec(rest))) {
+      path.push(match[2]);
+    } else if (/^\.?\*|^\[\*\]/.test(rest)) {
+      throw new ConfigurationError(`Column path wildcards are not supported: ${key}`);
+    } else {
+      throw new ConfigurationError(`Invalid column path: ${key}`);
+    }
+    rest = rest.slice(match[0].length);
+  }
+  if (path.length === 0) {
+    throw new ConfigurationError(`Invalid column path: ${key}`);
+  }
+  return path;
+}
+
+function isEmpty(value: unknown): boolean {
+  return value === null || value === undefined || value === '';
+}
+
+function toDate(value: unknown): Date {
+  return value instanceof Date ? value : new Date(value as string | number);
+}
+
+/**
+ * Builds a named formatter. Built-ins leave empty values (null, missing,
+ * '') alone; numbers that do not parse become empty cells.
+ */
+function namedFormatter(
+  name: string,
+  dateFormat: DatePattern | DateFormatOptions | undefined
+): (value: unknown) => unknown {
+  if (name === 'date' || name.startsWith('date:')) {
+    const formatDate = createDateFormatter(name === 'date' ? dateFormat : name.slice(5));
+    return (value) => formatDate(toDate(value));
+  }
+  switch (name) {
+    case 'string':
+      return (value) => String(value);
+    case 'trim':
+      return (value) => String(value).trim();
+    case 'upper':
+      return (value) => String(value).toUpperCase();
+    case 'lower':
+      return (value) => String(value).toLowerCase();
+    case 'number':
+      return (value) => {
+        const number = Number(value);
+        return Number.isNaN(number) ? '' : number;
+      };
+    case 'integer':
+      return (value) => {
+        const number = Math.trunc(Number(value));
+        return Number.isNaN(number) ? '' : number;
+      };
+    case 'boolean':
+      return (value) => (
+        typeof value === 'string' ? !/^(?:0|false|no|off)$/i.test(value.trim()) : Boolean(value)
+      );
+    case 'json':
+      return (value) => JSON.stringify(value);
+    default:
+      throw new ConfigurationError(
+        `Unknown column formatter "${name}"; use one of: ${COLUMN_FORMATTERS.join(', ')}, date:PATTERN`
+      );
+  }
+}
+
+function resolveColumn(
+  entry: unknown,
+  dateFormat: DatePattern | DateFormatOptions | undefined
+): ResolvedColumn {
+  const column = (typeof entry === 'string' ? { key: entry } : entry) as JsonToCsvColumn;
+  if (!column || typeof column !== 'object' || Array.isArray(column)) {
+    throw new ConfigurationError('Each column must be a key or an object with a key');
+  }
+  const { key, header = key, format, omitIfEmpty = false } = column;
+  if (typeof key !== 'string' || key === '') {
+    throw new ConfigurationError('Column key must be a non-empty string');
+  }
+  if (typeof header !== 'string') {
+    throw new ConfigurationError(`Header of column "${key}" must be a string`);
+  }
+  if (typeof omitIfEmpty !== 'boolean') {
+    throw new ConfigurationError(`omitIfEmpty of column "${key}" must be a boolean`);
+  }
+
+  let formatter: ResolvedColumn['format'] = null;
+  if (typeof format === 'function') {
+    formatter = (value, row) => {
+      try {
+        return format(value, row);
+      } catch (error: any) {
+        throw new ValidationError(`Format function error in column "${header}": ${error?.message ?? error}`);
+      }
+    };
+  } else if (typeof format === 'string') {
+    const builtIn = namedFormatter(format, dateFormat);
+    formatter = (value) => (isEmpty(value) ? value : builtIn(value));
+  } else if (format !== undefined) {
+    throw new ConfigurationError(`Format of column "${key}" must be a function or a formatter name`);
+  }
+
+  return {
+    key,
+    path: parseColumnPath(key),
+    header,
+    default: column.default,
+    format: formatter,
+    omitIfEmpty
+  };
+}
+
+/**
+ * Validates `columns`.
+ *
+ * @returns The columns, or null when the option is not set
+ * @throws {ConfigurationError} If a column is malformed, headers repeat,
+ *   or `template`, `renameMap` or `arrayHandling: 'expand'` are also set
+ */
+export function resolveColumnSpec(options: {
+  columns?: Array<string | JsonToCsvColumn>;
+  template?: Record<string, any>;
+  renameMap?: Record<string, string>;
+  arrayHandling?: string;
+  dateFormat?: DatePattern | DateFormatOptions;
+} = {}): ResolvedColumn[] | null {
+  const { columns } = options;
+  if (columns === undefined) {
+    return null;
+  }
+  if (!Array.isArray(columns) || columns.length === 0) {
+    throw new ConfigurationError('columns must be a non-empty array');
+  }
+  if (Object.keys(options.template || {}).length > 0 || Object.keys(options.renameMap || {}).length > 0) {
+    throw new ConfigurationError('columns replaces template and renameMap; use one or the other');
+  }
+  if (options.arrayHandling === 'expand') {
+    throw new ConfigurationError('columns cannot be combined with arrayHandling "expand"');
+  }
+
+  const resolved = columns.map((entry) => resolveColumn(entry, options.dateFormat));
+  const seen = new Set<string>();
+  for (const { header } of resolved) {
+    if (seen.has(header)) {
+      throw new ConfigurationError(`Duplicate column header: ${header}`);
+    }
+    seen.add(header);
+  }
+  return resolved;
+}
+
+/** Value at a column's key: the row's own key first, then the path, by own properties only. */
+function lookup(row: AnyObject, column: ResolvedColumn): unknown {
+  if (Object.prototype.hasOwnProperty.call(row, column.key)) {
+    return row[column.key];
+  }
+  let value: any = row;
+  for (const segment of column.path) {
+    if (value === null || typeof value !== 'object') {
+      return undefined;
+    }
+    if (typeof segment === 'number' && !Array.isArray(value)) {
+      return undefined;
+    }
+    if (!Object.prototype.hasOwnProperty.call(value, segment)) {
+      return undefined;
+    }
+    value = value[segment];
+  }
+  return value;
+}
+
+/**
+ * Projects a row onto the columns, keyed by header. An empty value in an
+ * `omitIfEmpty` column leaves its key out, so a column with no key in
+ * any row can be dropped.
+ */
+export function applyColumnSpec(row: AnyObject, columns: ResolvedColumn[]): AnyObject {
+  const projected: AnyObject = {};
+  for (const column of columns) {
+    let value = lookup(row, column);
+    if ((value === undefined || value === null) && column.default !== undefined) {
+      value = column.default;
+    }
+    if (column.format) {
+      value = column.format(value, row);
+    }
+    if (!(column.omitIfEmpty && isEmpty(value))) {
+      projected[column.header] = value;
+    }
+  }
+  return projected;
+}
+
+/** Headers of the columns kept for `rows`: those not omitted as empty. */
+export function columnHeaders(columns: ResolvedColumn[], rows: AnyObject[]): string[] {
+  return columns
+    .filter((column) => !column.omitIfEmpty || rows.some((row) => (
+      row && Object.prototype.hasOwnProperty.call(row, column.header)
+    )))
+    .map((column) => column.header);
+}
@@ -0,0 +1,220 @@
+/**
+ * Named CSV dialects (`dialect`): presets of the options that make a file
+ * open correctly in a given consumer.
+ *
+ * | Dialect           | Delimiter | Line break | BOM | Other                                   |
+ * | ----------------- | --------- | ---------- | --- | --------------------------------------- |
+ * | `'excel'`         | `,`       | CRLF       | yes | leading zeros kept as `="00123"`        |
+ * | `'excel-eu'`      | `;`       | CRLF       | yes | as `'excel'`, plus decimal comma        |
+ * | `'google-sheets'` | `,`       | LF         | no  | leading zeros kept as `="00123"`        |
+ * | `'rfc4180'`       | `,`       | CRLF       | no  |                                         |
+ * | `'unix'`          | `,`       | LF         | no  | every field quoted                      |
+ *
+ * Options set explicitly win over the preset. The presets leave `sepLine`
+ * off: some Excel versions ignore the BOM of a file that starts with a
+ * `sep=` line, which garbles non-ASCII text.
+ *
+ * On the parse side the dialects set the delimiter and read what the
+ * writers add: a leading `sep=` line is skipped, and `="..."` cells are
+ * unwrapped back to their text, whether the producer quoted them
+ * (`"=""00123"""`) or not (`="00123"`).
+ *
+ * @module csv-dialect
+ */
+
+import { ConfigurationError } from '../errors';
+import { matchDelimiterAt, CsvDelimiter } from './delimiter';
+import type { QuoteOptions } from './parse-options';
+import type { AnyObject, CsvDialectName, CsvToJsonOptions, JsonToCsvOptions } from '../types';
+
+export type { CsvDialectName };
+
+export const CSV_DIALECTS: readonly CsvDialectName[] = ['excel', 'excel-eu', 'google-sheets', 'rfc4180', 'unix'];
+
+const WRITE_PRESETS: Record<CsvDialectName, JsonToCsvOptions> = {
+  excel: {
+    delimiter: ',',
+    lineEnding: '\r\n',
+    trailingNewline: true,
+    addBOM: true,
+    preventCsvInjection: true,
+    protectLeadingZeros: true
+  },
+  'excel-eu': {
+    delimiter: ';',
+    lineEnding: '\r\n',
+    trailingNewline: true,
+    addBOM: true,
+    preventCsvInjection: true,
+    protectLeadingZeros: true,
+    numberLocale: { decimal: ',' }
+  },
+  'google-sheets': {
+    delimiter: ',',
+    lineEnding: '\n',
+    trailingNewline: true,
+    addBOM: false,
+    preventCsvInjection: true,
+    protectLeadingZeros: true
+  },
+  rfc4180: {
+    delimiter: ',',
+    lineEnding: '\r\n',
+    trailingNewline: true,
+    addBOM: false
+  },
+  unix: {
+    delimiter: ',',
+    lineEnding: '\n',
+    trailingNewline: true,
+    addBOM: false,
+    quoting: 'all'
+  }
+};
+
+const READ_PRESETS: Record<CsvDialectName, CsvToJsonOptions> = {
+  excel: { delimiter: ',', sepLine: true, unwrapFormulaText: true },
+  'excel-eu': { delimiter: ';', sepLine: true, unwrapFormulaText: true },
+  'google-sheets': { delimiter: ',', sepLine: true, unwrapFormulaText: true },
+  rfc4180: { delimiter: ',' },
+  unix: { delimiter: ',' }
+};
+
+function mergePreset<T extends { dialect?: CsvDialectName }>(options: T, presets: Record<CsvDialectName, object>): T {
+  const { dialect } = options;
+  if (dialect === undefined) {
+    return options;
+  }
+  if (!CSV_DIALECTS.includes(dialect)) {
+    throw new ConfigurationError(`dialect must be one of: ${CSV_DIALECTS.join(', ')}`);
+  }
+  const merged: AnyObject = { ...presets[dialect] };
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined) {
+      merged[key] = value;
+    }
+  }
+  return merged as T;
+}
+
+/**
+ * Fills in a writer's options from `dialect`.
+ *
+ * @throws {ConfigurationError} If the dialect is unknown
+ */
+export function applyWriteDialect<T extends JsonToCsvOptions>(options: T): T {
+  return mergePreset(options, WRITE_PRESETS);
+}
+
+/**
+ * Fills in a parser's options from `dialect`.
+ *
+ * @throws {ConfigurationError} If the dialect is unknown
+ */
+export function applyReadDialect<T extends CsvToJsonOptions>(options: T): T {
+  return mergePreset(options, READ_PRESETS);
+}
+
+/** The `sep=` line that tells Excel the delimiter */
+export function sepLineFor(delimiter: string): string {
+  return `sep=${delimiter}`;
+}
+
+/**
+ * Delimiter named by a leading `sep=` line, or null when the text does
+ * not start with one.
+ */
+export function readSepLine(csv: string): string | null {
+  const match = /^sep=([^\r\n]+)(?:\r\n|\r|\n|$)/i.exec(csv);
+  return match ? match[1] : null;
+}
+
+// Digit strings Excel would turn into numbers and lose: leading zeros, or
+// more digits than a double holds
+const FRAGILE_DIGITS = /^(?:0\d+|\d{16,})$/;
+
+/**
+ * Wraps text Excel would mangle as a number in `="..."`, so it stays text.
+ * Other text passes through.
+ */
+export function wrapFragileDigits(text: string): string {
+  return FRAGILE_DIGITS.test(text) ? `="${text}"` : text;
+}
+
+const FORMULA_TEXT = /^="((?:[^"]|"")*)"$/;
+
+/**
+ * Text of a `="..."` cell, the inverse of `wrapFragileDigits`. Other text
+ * passes through.
+ */
+export function unwrapFormulaText(text: string): string {
+  if (!text.startsWith('="')) {
+    return text;
+  }
+  const match = FORMULA_TEXT.exec(text);
+  return match ? match[1].replace(/""/g, '"') : text;
+}
+
+// A bare `="..."` field, up to the next delimiter or line break
+const BARE_FORMULA_TEXT = /="[^"\r\n]*"/y;
+
+/**
+ * Rewrites bare `="..."` fields in the quoted form, `"=""..."""`, so the
+ * parsers keep their inner quotes and `unwrapFormulaText` sees them. Quoted
+ * fields and other text pass through.
+ */
+export function quoteFormulaText(csv: string, delimiter: CsvDelimiter, quoteOptions: QuoteOptions): string {
+  const { quote, escape, allowSingleQuotes } = quoteOptions;
+  // With another quote character the parsers leave `"` alone
+  if (quote !== '"' || !csv.includes('="')) {
+    return csv;
+  }
+  let result = '';
+  let copied = 0;
+  let quoteChar: string | null = null;
+  let fieldStart = true;
+  for (let i = 0; i < csv.length; i++) {
+    const char = csv[i];
+    if (quoteChar !== null) {
+      if (escape !== null && char === escape && escape !== quoteChar) {
+        i++;
+      } else if (char === quoteChar) {
+        if (csv[i + 1] === quoteChar) {
+          i++;
+        } else {
+          quoteChar = null;
+        }
+      }
+      continue;
+    }
+    if (fieldStart && char === '=') {
+      BARE_FORMULA_TEXT.lastIndex = i;
+      const match = BARE_FORMULA_TEXT.exec(csv);
+      const end = match ? i + match[0].length : -1;
+      if (match && (end === csv.length || csv[end] === '\n' || csv[end] === '\r' || matchDelimiterAt(csv, end, delimiter) > 0)) {
+        let text = match[0].slice(2, -1);
+        if (escape !== null && escape !== quote) {
+          text = text.split(escape).join(escape + escape);
+        }
+        result += `${csv.slice(copied, i)}"=""${text}"""`;
+        copied = end;
+        i = end - 1;
+        fieldStart = false;
+        continue;
+      }
+    }
+    const delimiterLength = matchDelimiterAt(csv, i, delimiter);
+    if (delimiterLength > 0) {
+      fieldStart = true;
+      i += delimiterLength - 1;
+    } else if (char === '\n' || char === '\r') {
+      fieldStart = true;
+    } else if (char === quote || (allowSingleQuotes && char === "'" && fieldStart)) {
+      quoteChar = char;
+      fieldStart = false;
+    } else {
+      fieldStart = false;
+    }
+  }
+  return copied === 0 ? csv : result + csv.slice(copied);
+}
@@ -0,0 +1,169 @@
+/**
+ * CSV injection (formula) guarding for the writers (`injectionPolicy`) and
+ * its inverse for the parsers (`unescapeInjection`).
+ *
+ * A cell is a potential formula when, after leading whitespace and one
+ * quote character, it starts with a trigger character (`=`, `+`, `-`, `@`
+ * by default). The writer policies:
+ *
+ * - `'escape'` (default) prefixes the cell with `'`, which spreadsheets
+ *   show as text.
+ * - `'strip'` drops the leading whitespace, quotes and triggers.
+ * - `'reject'` throws a `SecurityError`.
+ * - `'allow'` writes the cell unchanged.
+ *
+ * Columns named in `formulaColumns` are written unchanged under every
+ * policy, and numbers are never formulas: `-5` stays `-5`.
+ *
+ * Leading apostrophes are ignored when looking for a trigger, so a value
+ * that already starts with `'=` is escaped again. That makes the escaping
+ * reversible: the parser removes one `'` exactly when the rest would have
+ * been escaped, and data written and read back by jtcsv round-trips.
+ *
+ * @module csv-injection
+ */
+
+import { ConfigurationError, SecurityError } from '../errors';
+import type { InjectionPolicy } from '../types';
+
+export type { InjectionPolicy };
+
+export const INJECTION_POLICIES: readonly InjectionPolicy[] = ['escape', 'strip', 'reject', 'allow'];
+
+export const DEFAULT_INJECTION_TRIGGERS: readonly string[] = ['=', '+', '-', '@'];
+
+/** Validated writer options */
+export interface InjectionPlan {
+  policy: InjectionPolicy;
+  triggers: ReadonlySet<string>;
+  /** Keys or headers whose cells are never guarded */
+  formulaColumns: ReadonlySet<string>;
+}
+
+function resolveTriggers(injectionTriggers: unknown): ReadonlySet<string> {
+  if (injectionTriggers === undefined) {
+    return new Set(DEFAULT_INJECTION_TRIGGERS);
+  }
+  if (!Array.isArray(injectionTriggers) || injectionTriggers.length === 0
+    || !injectionTriggers.every((trigger) => typeof trigger === 'string' && trigger.length === 1)) {
+    throw new ConfigurationError('injectionTriggers must be a non-empty array of single characters');
+  }
+  if (injectionTriggers.some((trigger) => trigger === "'" || /\s/.test(trigger))) {
+    throw new ConfigurationError('injectionTriggers cannot contain apostrophes or whitespace');
+  }
+  return new Set(injectionTriggers);
+}
+
+/**
+ * Validates `injectionPolicy`, `injectionTriggers` and `formulaColumns`.
+ * Without `injectionPolicy`, `preventCsvInjection: false` means `'allow'`.
+ *
+ * @throws {ConfigurationError} If an option is malformed
+ */
+export function resolveInjectionPolicy(options: {
+  preventCsvInjection?: boolean;
+  injectionPolicy?: InjectionPolicy;
+  injectionTriggers?: string[];
+  formulaColumns?: string[];
+} = {}): InjectionPlan {
+  const {
+    injectionPolicy = options.preventCsvInjection === false ? 'allow' : 'escape',
+    formulaColumns = []
+  } = options;
+  if (!INJECTION_POLICIES.includes(injectionPolicy)) {
+    throw new ConfigurationError(`injectionPolicy must be one of: ${INJECTION_POLICIES.join(', ')}`);
+  }
+  if (!Array.isArray(formulaColumns) || !formulaColumns.every((column) => typeof column === 'string')) {
+    throw new ConfigurationError('formulaColumns must be an array of column names');
+  }
+  return {
+    policy: injectionPolicy,
+    triggers: resolveTriggers(options.injectionTriggers),
+    formulaColumns: new Set(formulaColumns)
+  };
+}
+
+const isSpace = (code: number): boolean => (
+  code === 32 || code === 9 || code === 10 || code === 13 || code === 0xfeff
+);
+
+/** Index of the character that decides whether `value` is a formula */
+function triggerIndex(value: string): number {
+  let idx = 0;
+  while (idx < value.length && value[idx] === "'") {
+    idx++;
+  }
+  while (idx < value.length && isSpace(value.charCodeAt(idx))) {
+    idx++;
+  }
+  if (idx < value.length && (value[idx] === '"' || value[idx] === "'")) {
+    idx++;
+    while (idx < value.length && (value[idx] === ' ' || value[idx] === '\t')) {
+      idx++;
+    }
+  }
+  return idx;
+}
+
+/** Whether a spreadsheet could run `value` as a formula */
+export function isPotentialFormula(value: string, triggers: ReadonlySet<string>): boolean {
+  const idx = triggerIndex(value);
+  return idx < value.length && triggers.has(value[idx]);
+}
+
+/**
+ * Applies the policy to a cell's text. `source` is the value before it
+ * became text; `columns` are the key and header of its column.
+ *
+ * @throws {SecurityError} Under `'reject'`, for a potential formula
+ */
+export function guardFormula(
+  text: string,
+  source: unknown,
+  plan: InjectionPlan,
+  ...columns: string[]
+): string {
+  if (plan.policy === 'allow' || typeof source === 'number' || typeof source === 'bigint'
+    || !isPotentialFormula(text, plan.triggers)
+    || columns.some((column) => plan.formulaColumns.has(column))) {
+    return text;
+  }
+  switch (plan.policy) {
+    case 'strip': {
+      let idx = triggerIndex(text);
+      while (idx < text.length && plan.triggers.has(text[idx])) {
+        idx++;
+      }
+      return text.slice(idx);
+    }
+    case 'reject':
+      throw new SecurityError(`Potential CSV injection in column "${columns[columns.length - 1]}"`);
+    default:
+      return "'" + text;
+  }
+}
+
+/**
+ * Validates `unescapeInjection` and `injectionTriggers` on the parse side.
+ *
+ * @returns The triggers to unescape, or null when unescaping is off
+ * @throws {ConfigurationError} If an option is malformed
+ */
+export function resolveUnescapeInjection(options: {
+  unescapeInjection?: boolean;
+  injectionTriggers?: string[];
+} = {}): ReadonlySet<string> | null {
+  const { unescapeInjection = true } = options;
+  if (typeof unescapeInjection !== 'boolean') {
+    throw new ConfigurationError('unescapeInjection must be a boolean');
+  }
+  const triggers = resolveTriggers(options.injectionTriggers);
+  return unescapeInjection ? triggers : null;
+}
+
+/** Removes the `'` the `'escape'` policy added, leaving other text alone. */
+export function unescapeInjection(value: string, triggers: ReadonlySet<string>): string {
+  return value.length > 1 && value[0] === "'" && isPotentialFormula(value, triggers)
+    ? value.slice(1)
+    : value;
+}
@@ -0,0 +1,106 @@
+/**
+ * Field quoting for CSV output (`quoting`, `escapeChar`).
+ *
+ * - `'minimal'` (default) quotes a field only when it has to: it holds a
+ *   quote, the delimiter or a line break (RFC 4180).
+ * - `'all'` quotes every field, empty ones included.
+ * - `'nonnumeric'` quotes every field that is not a number.
+ * - `'strings'` quotes text; numbers, booleans and empty cells stay bare.
+ * - `'none'` never quotes. Quotes, delimiters, line breaks and the escape
+ *   character itself are prefixed with `escapeChar` instead.
+ *
+ * Quotes inside a quoted field are always doubled.
+ *
+ * @module csv-quoting
+ */
+
+import { ConfigurationError } from '../errors';
+import type { CsvQuoting } from '../types';
+
+export type { CsvQuoting };
+
+export const CSV_QUOTING_MODES: readonly CsvQuoting[] = ['minimal', 'all', 'nonnumeric', 'strings', 'none'];
+
+/** Validated quoting options */
+export interface CsvQuotingPolicy {
+  quoting: CsvQuoting;
+  escapeChar: string;
+}
+
+/**
+ * Writes one field. `text` is the field as it will appear; `value` is what
+ * it was made from, whose type decides `'nonnumeric'` and `'strings'`.
+ */
+export type CsvFieldQuoter = (text: string, value?: unknown) => string;
+
+/**
+ * Validates `quoting` and `escapeChar`.
+ *
+ * @throws {ConfigurationError} If an option is malformed
+ */
+export function resolveCsvQuoting(options: { quoting?: CsvQuoting; escapeChar?: string } = {}): CsvQuotingPolicy {
+  const { quoting = 'minimal', escapeChar = '\\' } = options;
+  if (!CSV_QUOTING_MODES.includes(quoting)) {
+    throw new ConfigurationError(`quoting must be one of: ${CSV_QUOTING_MODES.join(', ')}`);
+  }
+  if (typeof escapeChar !== 'string' || escapeChar.length !== 1 || /["\r\n]/.test(escapeChar)) {
+    throw new ConfigurationError('escapeChar must be a single character other than a quote or line break');
+  }
+  return { quoting, escapeChar };
+}
+
+/** Whether a field must be quoted to read back: it holds a quote, the delimiter or a line break. */
+export function needsCsvQuotes(text: string, delimiter: string): boolean {
+  return text.includes('"') || text.includes('\n') || text.includes('\r') || text.includes(delimiter);
+}
+
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function wrap(text: string): string {
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+function isNumeric(value: unknown): boolean {
+  return typeof value === 'number' || typeof value === 'bigint';
+}
+
+/**
+ * Creates the field writer for a quoting policy and delimiter.
+ *
+ * @throws {ConfigurationError} If `escapeChar` is part of the delimiter
+ */
+export function createCsvFieldQuoter(policy: CsvQuotingPolicy, delimiter: string): CsvFieldQuoter {
+  const { quoting, escapeChar } = policy;
+  switch (quoting) {
+    case 'all':
+      return (text) => wrap(text);
+    case 'nonnumeric':
+      return (text, value = text) => (
+        isNumeric(value) && !needsCsvQuotes(text, delimiter) ? text : wrap(text)
+      );
+    case 'strings':
+      return (text, value = text) => (
+        (typeof value === 'string' && value !== '') || needsCsvQuotes(text, delimiter) ? wrap(text) : text
+      );
+    case 'none': {
+      if (delimiter.includes(escapeChar)) {
+        throw new ConfigurationError('escapeChar must not be part of the delimiter');
+      }
+      const special = new RegExp(`[${escapeRegExp(escapeChar)}"\\r\\n]|${escapeRegExp(delimiter)}`, 'g');
+      return (text) => text.replace(special, (match) => escapeChar + match);
+    }
+    default:
+      return (text) => (needsCsvQuotes(text, delimiter) ? wrap(text) : text);
+  }
+}
+
+/**
+ * Writes a string that spells the `nullAs` or `undefinedAs` token. Tokens
+ * are written bare, so the string is quoted, or under `'none'` prefixed
+ * with `escapeChar`, to read back as text rather than as a missing value.
+ */
+export function quoteTokenText(text: string, policy: CsvQuotingPolicy): string {
+  return policy.quoting === 'none' ? policy.escapeChar + text : wrap(text);
+}
@@ -0,0 +1,530 @@
+/**
+ * Date parsing and formatting with explicit patterns and time zones.
+ *
+ * `new Date(string)` guesses: `01/02/2024` means January in one engine and
+ * is invalid in another, and a time without an offset is read in whatever
+ * zone the machine runs in. Here the pattern is always spelled out —
+ * `DD.MM.YYYY`, `MM/DD/YYYY HH:mm`, `ISO`, `epoch-s`, `epoch-ms` — and
+ * wall-clock values are placed in a configured zone (UTC unless told
+ * otherwise), so the same file yields the same instants on every machine.
+ *
+ * Pattern tokens: `YYYY`, `YY`, `MM`, `M`, `DD`, `D`, `HH`, `H` (24-hour),
+ * `hh`, `h` with `A` (12-hour, AM/PM), `mm`, `ss`, `SSS`, `Z` (`+02:00`),
+ * and `[literal text]`. Any other character is matched literally.
+ *
+ * @module date-patterns
+ */
+
+import { ConfigurationError } from '../errors';
+import type { AnyObject, DateFormatOptions, DateParseOptions, DatePattern } from '../types';
+
+export interface TimeZone {
+  /** Offset from UTC in minutes at the given instant. */
+  offsetAt(utcMs: number): number;
+}
+
+export interface CompiledDatePattern {
+  source: DatePattern;
+  /** Returns the instant, or null when the value does not match. */
+  parse(value: string | number, zone: TimeZone): Date | null;
+  format(date: Date, zone: TimeZone): string;
+}
+
+interface WallClock {
+  year: number;
+  month: number;
+  day: number;
+  hour: number;
+  minute: number;
+  second: number;
+  millisecond: number;
+}
+
+interface ParsedFields extends WallClock {
+  meridiem: 'am' | 'pm' | null;
+  offset: number | null;
+}
+
+interface TokenSpec {
+  pattern: string;
+  read(fields: ParsedFields, text: string): void;
+  write(clock: WallClock, offset: number): string;
+}
+
+const UTC_ZONE: TimeZone = { offsetAt: () => 0 };
+const LOCAL_ZONE: TimeZone = { offsetAt: (utcMs) => -new Date(utcMs).getTimezoneOffset() };
+
+const pad = (value: number, length = 2): string => String(value).padStart(length, '0');
+
+function formatOffset(offset: number): string {
+  const sign = offset < 0 ? '-' : '+';
+  const absolute = Math.abs(offset);
+  return `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+}
+
+function parseOffset(text: string): number | null {
+  if (text === 'Z' || text === 'z') {
+    return 0;
+  }
+  const match = /^([+-])(\d{2}):?(\d{2})$/.exec(text);
+  if (!match) {
+    return null;
+  }
+  const minutes = Number(match[2]) * 60 + Number(match[3]);
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+const to12Hour = (hour: number): number => (hour % 12 === 0 ? 12 : hour % 12);
+
+const TOKENS: Record<string, TokenSpec> = {
+  YYYY: {
+    pattern: '\\d{4}',
+    read: (f, t) => {
+      f.year = Number(t);
+    },
+    write: (c) => pad(c.year, 4)
+  },
+  YY: {
+    pattern: '\\d{2}',
+    // Same pivot as most date libraries: 00–68 → 20xx, 69–99 → 19xx
+    read: (f, t) => {
+      f.year = Number(t) + (Number(t) < 69 ? 2000 : 1900);
+    },
+    write: (c) => pad(c.year % 100)
+  },
+  MM: {
+    pattern: '\\d{2}',
+    read: (f, t) => {
+      f.month = Number(t);
+    },
+    write: (c) => pad(c.month)
+  },
+  M: {
+    pattern: '\\d{1,2}',
+    read: (f, t) => {
+      f.month = Number(t);
+    },
+    write: (c) => String(c.month)
+  },
+  DD: {
+    pattern: '\\d{2}',
+    read: (f, t) => {
+      f.day = Number(t);
+    },
+    write: (c) => pad(c.day)
+  },
+  D: {
+    pattern: '\\d{1,2}',
+    read: (f, t) => {
+      f.day = Number(t);
+    },
+    write: (c) => String(c.day)
+  },
+  HH: {
+    pattern: '\\d{2}',
+    read: (f, t) => {
+      f.hour = Number(t);
+    },
+    write: (c) => pad(c.hour)
+  },
+  H: {
+    pattern: '\\d{1,2}',
+    read: (f, t) => {
+      f.hour = Number(t);
+    },
+    write: (c) => String(c.hour)
+  },
+  hh: {
+    pattern: '\\d{2}',
+    read: (f, t) => {
+      f.hour = Number(t);
+    },
+    write: (c) => pad(to12Hour(c.hour))
+  },
+  h: {
+    pattern: '\\d{1,2}',
+    read: (f, t) => {
+      f.hour = Number(t);
+    },
+    write: (c) => String(to12Hour(c.hour))
+  },
+  A: {
+    pattern: '[AaPp][Mm]',
+    read: (f, t) => {
+      f.meridiem = t.toLowerCase() === 'pm' ? 'pm' : 'am';
+    },
+    write: (c) => (c.hour < 12 ? 'AM' : 'PM')
+  },
+  mm: {
+    pattern: '\\d{2}',
+    read: (f, t) => {
+      f.minute = Number(t);
+    },
+    write: (c) => pad(c.minute)
+  },
+  ss: {
+    pattern: '\\d{2}',
+    read: (f, t) => {
+      f.second = Number(t);
+    },
+    write: (c) => pad(c.second)
+  },
+  SSS: {
+    pattern: '\\d{3}',
+    read: (f, t) => {
+      f.millisecond = Number(t);
+    },
+    write: (c) => pad(c.millisecond, 3)
+  },
+  Z: {
+    pattern: '[Zz]|[+-]\\d{2}:?\\d{2}',
+    read: (f, t) => {
+      f.offset = parseOffset(t);
+    },
+    write: (_c, offset) => formatOffset(offset)
+  }
+};
+
+const TOKEN_REGEX = /\[([^\]]*)\]|YYYY|YY|SSS|MM|M|DD|D|HH|H|hh|h|mm|ss|A|Z/g;
+const ISO_REGEX = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,9}))?)?)?\s*([Zz]|[+-]\d{2}:?\d{2})?$/;
+const EPOCH_REGEX = /^-?\d+(?:\.\d+)?$/;
+
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+function daysInMonth(year: number, month: number): number {
+  const leap = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+  return month === 2 && leap ? 29 : DAYS_IN_MONTH[month - 1];
+}
+
+function isValidClock(clock: WallClock): boolean {
+  return clock.month >= 1 && clock.month <= 12
+    && clock.day >= 1 && clock.day <= daysInMonth(clock.year, clock.month)
+    && clock.hour <= 23 && clock.minute <= 59 && clock.second <= 59;
+}
+
+// Date.UTC maps years 0–99 to 19xx; setUTCFullYear does not
+function utcFromClock(clock: WallClock): number {
+  const date = new Date(0);
+  date.setUTCFullYear(clock.year, clock.month - 1, clock.day);
+  date.setUTCHours(clock.hour, clock.minute, clock.second, clock.millisecond);
+  return date.getTime();
+}
+
+function clockAt(utcMs: number, offset: number): WallClock {
+  const shifted = new Date(utcMs + offset * 60000);
+  return {
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate(),
+    hour: shifted.getUTCHours(),
+    minute: shifted.getUTCMinutes(),
+    second: shifted.getUTCSeconds(),
+    millisecond: shifted.getUTCMilliseconds()
+  };
+}
+
+/**
+ * Converts a wall-clock time in `zone` to an instant. Around a DST change
+ * the offset is re-checked once, which resolves the usual one-hour shift.
+ */
+function instantFromFields(fields: ParsedFields, zone: TimeZone): Date | null {
+  if (!isValidClock(fields)) {
+    return null;
+  }
+  const asUtc = utcFromClock(fields);
+  if (fields.offset !== null) {
+    return new Date(asUtc - fields.offset * 60000);
+  }
+  const firstGuess = zone.offsetAt(asUtc);
+  const secondGuess = zone.offsetAt(asUtc - firstGuess * 60000);
+  return new Date(asUtc - secondGuess * 60000);
+}
+
+function emptyFields(): ParsedFields {
+  return {
+    year: 1970, month: 1, day: 1, hour: 0, minute: 0, second: 0, millisecond: 0, meridiem: null, offset: null
+  };
+}
+
+function compileTokenPattern(source: string, forParsing: boolean): CompiledDatePattern {
+  const readers: TokenSpec[] = [];
+  const writers: Array<TokenSpec | string> = [];
+  const seen = new Set<string>();
+  let regex = '^';
+  let lastIndex = 0;
+
+  TOKEN_REGEX.lastIndex = 0;
+  let match: RegExpExecArray | null;
+  while ((match = TOKEN_REGEX.exec(source)) !== null) {
+    const literal = source.slice(lastIndex, match.index);
+    if (literal) {
+      regex += escapeRegExp(literal);
+      writers.push(literal);
+    }
+    lastIndex = match.index + match[0].length;
+    if (match[1] !== undefined) {
+      regex += escapeRegExp(match[1]);
+      writers.push(match[1]);
+      continue;
+    }
+    const spec = TOKENS[match[0]];
+    regex += `(${spec.pattern})`;
+    readers.push(spec);
+    writers.push(spec);
+    seen.add(match[0][0]);
+  }
+  const tail = source.slice(lastIndex);
+  if (tail) {
+    regex += escapeRegExp(tail);
+    writers.push(tail);
+  }
+
+  if (readers.length === 0) {
+    throw new ConfigurationError(`Date pattern "${source}" contains no date tokens`);
+  }
+  if (forParsing && !(seen.has('Y') && seen.has('M') && seen.has('D'))) {
+    throw new ConfigurationError(`Date pattern "${source}" needs year, month and day tokens to parse`);
+  }
+  const matcher = new RegExp(`${regex}$`);
+
+  return {
+    source,
+    parse(value, zone) {
+      const groups = matcher.exec(String(value).trim());
+      if (!groups) {
+        return null;
+      }
+      const fields = emptyFields();
+      readers.forEach((spec, index) => spec.read(fields, groups[index + 1]));
+      if (fields.meridiem !== null) {
+        if (fields.hour < 1 || fields.hour > 12) {
+          return null;
+        }
+        fields.hour = (fields.hour % 12) + (fields.meridiem === 'pm' ? 12 : 0);
+      }
+      return instantFromFields(fields, zone);
+    },
+    format(date, zone) {
+      const offset = zone.offsetAt(date.getTime());
+      const clock = clockAt(date.getTime(), offset);
+      return writers.map((part) => (typeof part === 'string' ? part : part.write(clock, offset))).join('');
+    }
+  };
+}
+
+const ISO_PATTERN: CompiledDatePattern = {
+  source: 'ISO',
+  parse(value, zone) {
+    if (typeof value !== 'string') {
+      return null;
+    }
+    const match = ISO_REGEX.exec(value.trim());
+    if (!match) {
+      return null;
+    }
+    return instantFromFields({
+      year: Number(match[1]),
+      month: Number(match[2]),
+      day: Number(match[3]),
+      hour: Number(match[4] ?? 0),
+      minute: Number(match[5] ?? 0),
+      second: Number(match[6] ?? 0),
+      millisecond: match[7] ? Number(match[7].slice(0, 3).padEnd(3, '0')) : 0,
+      meridiem: null,
+      offset: match[8] ? parseOffset(match[8]) : null
+    }, zone);
+  },
+  format(date, zone) {
+    const offset = zone.offsetAt(date.getTime());
+    if (offset === 0) {
+      return date.toISOString();
+    }
+    const c = clockAt(date.getTime(), offset);
+    return `${pad(c.year, 4)}-${pad(c.month)}-${pad(c.day)}T${pad(c.hour)}:${pad(c.minute)}:${pad(c.second)}`
+      + `.${pad(c.millisecond, 3)}${formatOffset(offset)}`;
+  }
+};
+
+function epochPattern(source: 'epoch-s' | 'epoch-ms', unit: number): CompiledDatePattern {
+  return {
+    source,
+    parse(value) {
+      const text = typeof value === 'number' ? String(value) : value.trim();
+      if (!EPOCH_REGEX.test(text)) {
+        return null;
+      }
+      const date = new Date(Number(text) * unit);
+      return Number.isNaN(date.getTime()) ? null : date;
+    },
+    format(date) {
+      return String(Math.floor(date.getTime() / unit));
+    }
+  };
+}
+
+const NAMED_PATTERNS: Record<string, CompiledDatePattern> = {
+  ISO: ISO_PATTERN,
+  'epoch-s': epochPattern('epoch-s', 1000),
+  'epoch-ms': epochPattern('epoch-ms', 1)
+};
+
+/**
+ * Compiles `'ISO'`, `'epoch-s'`, `'epoch-ms'` or a token pattern.
+ *
+ * @param forParsing - Require year, month and day tokens; formats may omit them
+ */
+export function compileDatePattern(pattern: DatePattern, forParsing = true): CompiledDatePattern {
+  if (typeof pattern !== 'string' || pattern === '') {
+    throw new ConfigurationError('Date pattern must be a non-empty string');
+  }
+  return NAMED_PATTERNS[pattern] ?? compileTokenPattern(pattern, forParsing);
+}
+
+function ianaZone(name: string): TimeZone {
+  let formatter: Intl.DateTimeFormat;
+  try {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: name,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+  } catch {
+    throw new ConfigurationError(`Unknown time zone "${name}"`);
+  }
+  return {
+    offsetAt(utcMs) {
+      const seconds = Math.floor(utcMs / 1000) * 1000;
+      const parts: Record<string, number> = {};
+      for (const part of formatter.formatToParts(new Date(seconds))) {
+        parts[part.type] = Number(part.value);
+      }
+      const wallClock = utcFromClock({
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: parts.hour,
+        minute: parts.minute,
+        second: parts.second,
+        millisecond: 0
+      });
+      return Math.round((wallClock - seconds) / 60000);
+    }
+  };
+}
+
+/**
+ * Resolves a zone name: `'UTC'` (default), `'local'`, a fixed offset such as
+ * `'+02:00'`, or an IANA name such as `'Europe/Berlin'`.
+ */
+export function resolveTimeZone(name: string | undefined): TimeZone {
+  if (name === undefined || name === 'UTC' || name === 'Z') {
+    return UTC_ZONE;
+  }
+  if (typeof name !== 'string' || name === '') {
+    throw new ConfigurationError('timeZone must be a non-empty string');
+  }
+  if (name === 'local') {
+    return LOCAL_ZONE;
+  }
+  const fixed = parseOffset(name);
+  if (fixed !== null) {
+    return { offsetAt: () => fixed };
+  }
+  return ianaZone(name);
+}
+
+function compilePatternList(patterns: DatePattern | DatePattern[], name: string): CompiledDatePattern[] {
+  const list = Array.isArray(patterns) ? patterns : [patterns];
+  if (list.length === 0) {
+    throw new ConfigurationError(`${name} must list at least one date pattern`);
+  }
+  return list.map((pattern) => compileDatePattern(pattern));
+}
+
+function parseWith(value: unknown, patterns: CompiledDatePattern[], zone: TimeZone): unknown {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return value;
+  }
+  if (value === '') {
+    return value;
+  }
+  for (const pattern of patterns) {
+    const date = pattern.parse(value, zone);
+    if (date !== null) {
+      return date;
+    }
+  }
+  return value;
+}
+
+/**
+ * Builds the row transform for `parseDates`.
+ *
+ * With `columns`, only the listed columns are parsed, each with its own
+ * patterns; otherwise every column is tried against `formats` (ISO 8601 by
+ * default). Cells that match no pattern keep their value.
+ *
+ * @returns A function that converts a row in place, or null when off
+ */
+export function createRowDateParser(
+  parseDates: boolean | DateParseOptions | undefined
+): ((row: AnyObject) => AnyObject) | null {
+  if (parseDates === undefined || parseDates === false) {
+    return null;
+  }
+  const options: DateParseOptions = parseDates === true ? {} : parseDates;
+  if (typeof options !== 'object' || options === null) {
+    throw new ConfigurationError('parseDates must be a boolean or an options object');
+  }
+
+  const zone = resolveTimeZone(options.timeZone);
+
+  if (options.columns !== undefined) {
+    if (typeof options.columns !== 'object' || options.columns === null) {
+      throw new ConfigurationError('parseDates.columns must be an object of column → pattern');
+    }
+    const columns = Object.entries(options.columns)
+      .map(([column, patterns]) => [column, compilePatternList(patterns, `parseDates.columns.${column}`)] as const);
+    return (row) => {
+      for (const [column, patterns] of columns) {
+        if (Object.prototype.hasOwnProperty.call(row, column)) {
+          row[column] = parseWith(row[column], patterns, zone);
+        }
+      }
+      return row;
+    };
+  }
+
+  const patterns = compilePatternList(options.formats ?? 'ISO', 'parseDates.formats');
+  return (row) => {
+    for (const key of Object.keys(row)) {
+      row[key] = parseWith(row[key], patterns, zone);
+    }
+    return row;
+  };
+}
+
+/**
+ * Builds the serializer for Date values from `dateFormat`.
+ * Defaults to ISO 8601 in UTC; invalid dates become empty cells.
+ */
+export function createDateFormatter(
+  dateFormat: DatePattern | DateFormatOptions | undefined
+): (date: Date) => string {
+  const options: DateFormatOptions = typeof dateFormat === 'string' ? { format: dateFormat } : dateFormat ?? {};
+  if (typeof options !== 'object' || options === null) {
+    throw new ConfigurationError('dateFormat must be a pattern string or an options object');
+  }
+  const pattern = compileDatePattern(options.format ?? 'ISO', false);
+  const zone = resolveTimeZone(options.timeZone);
+  return (date) => (Number.isNaN(date.getTime()) ? '' : pattern.format(date, zone));
+}
@@ -0,0 +1,108 @@
+/**
+ * Field delimiters beyond a single character.
+ *
+ * Parsers accept any non-empty string (`'||'`, `'~|~'`, `'::'`) or a
+ * RegExp such as `/\s{2,}/` for whitespace-aligned text. Writers accept
+ * strings only — a pattern has no single text to emit.
+ *
+ * Matching is leftmost and never crosses a line break; a RegExp match is
+ * cut at the first `\r` or `\n`. Quoted fields are never split.
+ *
+ * @module delimiter
+ */
+
+import { ConfigurationError } from '../errors';
+
+export type CsvDelimiter = string | RegExp;
+
+/**
+ * Validates a parser delimiter.
+ *
+ * RegExp delimiters are recompiled as sticky, so they can be tried at a
+ * given offset; patterns that match the empty string are rejected.
+ *
+ * @returns The delimiter to parse with, or null when unset
+ */
+export function resolveDelimiter(delimiter: unknown): CsvDelimiter | null {
+  if (delimiter === undefined || delimiter === null || delimiter === '') {
+    return null;
+  }
+  if (delimiter instanceof RegExp) {
+    const sticky = new RegExp(delimiter.source, delimiter.flags.replace(/[gy]/g, '') + 'y');
+    if (sticky.test('')) {
+      throw new ConfigurationError('Delimiter pattern must not match an empty string');
+    }
+    return sticky;
+  }
+  if (typeof delimiter !== 'string') {
+    throw new ConfigurationError('Delimiter must be a string or a RegExp');
+  }
+  if (/[\r\n]/.test(delimiter)) {
+    throw new ConfigurationError('Delimiter must not contain line breaks');
+  }
+  return delimiter;
+}
+
+/**
+ * Validates a writer delimiter: a non-empty string without quotes or line
+ * breaks.
+ */
+export function validateOutputDelimiter(delimiter: unknown): string {
+  if (delimiter instanceof RegExp) {
+    throw new ConfigurationError('A RegExp delimiter can only be used for parsing');
+  }
+  if (typeof delimiter !== 'string') {
+    throw new ConfigurationError('Delimiter must be a string');
+  }
+  if (delimiter === '') {
+    throw new ConfigurationError('Delimiter must not be empty');
+  }
+  if (/["\r\n]/.test(delimiter)) {
+    throw new ConfigurationError('Delimiter must not contain quotes or line breaks');
+  }
+  return delimiter;
+}
+
+/** Whether `delimiter` is one character, the case the fast scanners handle. */
+export function isSingleCharDelimiter(delimiter: CsvDelimiter): delimiter is string {
+  return typeof delimiter === 'string' && delimiter.length === 1;
+}
+
+/**
+ * Length of the delimiter match starting at `index`, or 0 when there is none.
+ */
+export function matchDelimiterAt(text: string, index: number, delimiter: CsvDelimiter): number {
+  if (typeof delimiter === 'string') {
+    return text.startsWith(delimiter, index) ? delimiter.length : 0;
+  }
+  delimiter.lastIndex = index;
+  const match = delimiter.exec(text);
+  if (!match) {
+    return 0;
+  }
+  const lineBreak = match[0].search(/[\r\n]/);
+  return lineBreak === -1 ? match[0].length : lineBreak;
+}
+
+/** Number of non-overlapping occurrences of a string delimiter in `text`. */
+export function countDelimiter(text: string, delimiter: string): number {
+  return text.split(delimiter).length - 1;
+}
+
+/**
+ * Whether a written value must be quoted so the delimiter cannot split it.
+ *
+ * For multi-character delimiters any of its characters triggers quoting:
+ * a value ending in `~|` followed by `~|~` would otherwise be split early.
+ */
+export function containsDelimiter(value: string, delimiter: string): boolean {
+  if (delimiter.length === 1) {
+    return value.includes(delimiter);
+  }
+  for (let i = 0; i < delimiter.length; i++) {
+    if (value.includes(delimiter[i])) {
+      return true;
+    }
+  }
+  return false;
+}
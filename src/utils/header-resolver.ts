@@ -0,0 +1,166 @@
+/**
+ * Header resolution for the CSV→JSON parsers.
+ *
+ * Turns the raw header cells into the keys used for row objects: blank cells
+ * get a generated name, `renameMap` is applied, and repeated names are
+ * handled according to `duplicateHeaders`. The parsers then assign values
+ * through the returned plan instead of writing `row[key]` directly, so a
+ * repeated column can no longer overwrite another one by accident.
+ *
+ * @module header-resolver
+ */
+
+import { ConfigurationError, ParsingError } from '../errors';
+import { AnyObject } from '../types';
+
+export type DuplicateHeadersMode = 'suffix' | 'array' | 'first' | 'last' | 'error';
+
+/** Produces a name for the blank header cell at `index` (0-based column). */
+export type EmptyHeaderNameGenerator = (index: number) => string;
+
+export interface HeaderOptions {
+  duplicateHeaders: DuplicateHeadersMode;
+  emptyHeaderName: EmptyHeaderNameGenerator | null;
+}
+
+export interface HeaderPlan {
+  /** Object key for every column, in column order. May repeat unless mode is `'suffix'`. */
+  keys: string[];
+  /** Distinct keys in order of first appearance — the resolved header list. */
+  headers: string[];
+  /** Writes one column value into a row object. */
+  assign: (row: AnyObject, key: string, value: any) => void;
+}
+
+const DUPLICATE_HEADER_MODES: DuplicateHeadersMode[] = ['suffix', 'array', 'first', 'last', 'error'];
+
+const assignLast = (row: AnyObject, key: string, value: any): void => {
+  row[key] = value;
+};
+
+/**
+ * Validates `duplicateHeaders` and `emptyHeaderName`.
+ *
+ * The default mode is `'last'`, which is what plain object assignment has
+ * always done.
+ */
+export function resolveHeaderOptions(options: {
+  duplicateHeaders?: DuplicateHeadersMode;
+  emptyHeaderName?: EmptyHeaderNameGenerator;
+} = {}): HeaderOptions {
+  const { duplicateHeaders = 'last', emptyHeaderName } = options;
+
+  if (!DUPLICATE_HEADER_MODES.includes(duplicateHeaders)) {
+    throw new ConfigurationError(
+      `duplicateHeaders must be one of: ${DUPLICATE_HEADER_MODES.map((mode) => `"${mode}"`).join(', ')}`
+    );
+  }
+
+  if (emptyHeaderName !== undefined && emptyHeaderName !== null && typeof emptyHeaderName !== 'function') {
+    throw new ConfigurationError('emptyHeaderName must be a function');
+  }
+
+  return {
+    duplicateHeaders,
+    emptyHeaderName: emptyHeaderName ?? null
+  };
+}
+
+/**
+ * Builds the header plan for one header row.
+ *
+ * @param rawHeaders - Header cells as parsed
+ * @param renameMap - User rename map, applied after blank names are filled in
+ * @param options - Resolved header options
+ * @param lineNumber - Line of the header row, for error messages
+ */
+export function resolveHeaders(
+  rawHeaders: string[],
+  renameMap: Record<string, string>,
+  options: HeaderOptions,
+  lineNumber: number | null = null
+): HeaderPlan {
+  const { duplicateHeaders, emptyHeaderName } = options;
+
+  const keys = rawHeaders.map((header, index) => {
+    let name = header;
+    if (name === '' && emptyHeaderName) {
+      name = emptyHeaderName(index);
+      if (typeof name !== 'string' || name === '') {
+        throw new ConfigurationError('emptyHeaderName must return a non-empty string');
+      }
+    }
+    return renameMap[name] || name;
+  });
+
+  const seen = new Set<string>();
+  const duplicated = new Set<string>();
+  for (let i = 0; i < keys.length; i++) {
+    if (!seen.has(keys[i])) {
+      seen.add(keys[i]);
+      continue;
+    }
+    if (duplicateHeaders === 'error') {
+      throw ParsingError.duplicateHeader(keys[i], lineNumber, i + 1);
+    }
+    duplicated.add(keys[i]);
+  }
+
+  if (duplicated.size === 0) {
+    return { keys, headers: keys.slice(), assign: assignLast };
+  }
+
+  if (duplicateHeaders === 'suffix') {
+    const used = new Set(keys);
+    const counters = new Map<string, number>();
+    const emitted = new Set<string>();
+    const suffixed = keys.map((key) => {
+      if (!emitted.has(key)) {
+        emitted.add(key);
+        return key;
+      }
+      let counter = counters.get(key) ?? 1;
+      let candidate: string;
+      do {
+        counter++;
+        candidate = `${key}_${counter}`;
+      } while (used.has(candidate));
+      counters.set(key, counter);
+      used.add(candidate);
+      return candidate;
+    });
+    return { keys: suffixed, headers: suffixed.slice(), assign: assignLast };
+  }
+
+  const headers = Array.from(seen);
+
+  if (duplicateHeaders === 'first') {
+    return {
+      keys,
+      headers,
+      assign: (row, key, value) => {
+        if (!Object.prototype.hasOwnProperty.call(row, key)) {
+          row[key] = value;
+        }
+      }
+    };
+  }
+
+  if (duplicateHeaders === 'array') {
+    return {
+      keys,
+      headers,
+      assign: (row, key, value) => {
+        if (!duplicated.has(key)) {
+          row[key] = value;
+        } else if (Array.isArray(row[key])) {
+          row[key].push(value);
+        } else {
+          row[key] = [value];
+        }
+      }
+    };
+  }
+
+  return { keys, headers, assign: assignLast };
+}
@@ -0,0 +1,153 @@
+/**
+ * Header discovery for the JSON→CSV stream writer (`headerStrategy`).
+ *
+ * A stream writes its header before later rows arrive, so it has to
+ * decide the columns early:
+ *
+ * - `'first'` (default) takes the keys of the first row.
+ * - `'sample'` buffers the first `headerSampleSize` records and takes the
+ *   union of their keys.
+ * - `'declared'` writes exactly the `template` keys or `columns`.
+ * - `'spill'` writes every row to a temporary file, takes the union of all
+ *   keys, then reads the rows back into the CSV. Nothing is dropped, at
+ *   the cost of holding the output until the input ends.
+ *
+ * Keys that a row has but the header does not are reported in the
+ * writer's `'stats'` event.
+ *
+ * @module header-strategy
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import * as readline from 'readline';
+import { ConfigurationError } from '../errors';
+import type { AnyObject, HeaderStrategy } from '../types';
+
+export type { HeaderStrategy };
+
+export const HEADER_STRATEGIES: readonly HeaderStrategy[] = ['first', 'sample', 'declared', 'spill'];
+
+/** Validated header options */
+export interface HeaderStrategyPlan {
+  strategy: HeaderStrategy;
+  sampleSize: number;
+  spillDir: string;
+}
+
+/**
+ * Validates `headerStrategy`, `headerSampleSize` and `spillDir`.
+ *
+ * @param declared - Whether `template` or `columns` name the columns
+ * @throws {ConfigurationError} If an option is malformed, or `'declared'`
+ *   has nothing to declare the columns
+ */
+export function resolveHeaderStrategy(
+  options: { headerStrategy?: HeaderStrategy; headerSampleSize?: number; spillDir?: string },
+  declared: boolean
+): HeaderStrategyPlan {
+  const { headerStrategy = 'first', headerSampleSize = 100, spillDir = os.tmpdir() } = options;
+  if (!HEADER_STRATEGIES.includes(headerStrategy)) {
+    throw new ConfigurationError(`headerStrategy must be one of: ${HEADER_STRATEGIES.join(', ')}`);
+  }
+  if (!Number.isInteger(headerSampleSize) || headerSampleSize <= 0) {
+    throw new ConfigurationError('headerSampleSize must be a positive integer');
+  }
+  if (typeof spillDir !== 'string' || spillDir === '') {
+    throw new ConfigurationError('spillDir must be a directory path');
+  }
+  if (headerStrategy === 'declared' && !declared) {
+    throw new ConfigurationError('headerStrategy "declared" needs template or columns');
+  }
+  return { strategy: headerStrategy, sampleSize: headerSampleSize, spillDir };
+}
+
+/** Rows parked on disk until the header is known */
+export interface RowSpill {
+  /** Appends a row of prepared cells; false means wait for `'drain'` on `file` */
+  write(row: AnyObject): boolean;
+  /** The underlying file stream */
+  file: fs.WriteStream;
+  /** Closes the file and reads the rows back in order */
+  rows(): AsyncGenerator<AnyObject>;
+  /** Deletes the temporary directory; safe to call more than once */
+  remove(): void;
+}
+
+/**
+ * A spilled cell: its type and its text. JSON alone would turn `NaN` and
+ * `Infinity` into `null` and lose bigints, so rows read back would not be
+ * written the way `'first'` writes them.
+ */
+type SpilledCell = [type: string, text: string];
+
+function spillCell(value: unknown): SpilledCell {
+  return [value === null ? 'null' : typeof value, String(value)];
+}
+
+function restoreCell([type, text]: SpilledCell): unknown {
+  switch (type) {
+    case 'number':
+      return Number(text);
+    case 'bigint':
+      return BigInt(text);
+    case 'boolean':
+      return text === 'true';
+    case 'null':
+      return null;
+    case 'undefined':
+      return undefined;
+    case 'string':
+      return text;
+    default:
+      // Objects are written as their text but must not quote like strings
+      return { toString: () => text };
+  }
+}
+
+/** Opens a spill file in a fresh directory under `dir`. */
+export function createRowSpill(dir: string): RowSpill {
+  const tempDir = fs.mkdtempSync(path.join(dir, 'jtcsv-spill-'));
+  const filePath = path.join(tempDir, 'rows.ndjson');
+  const file = fs.createWriteStream(filePath, 'utf8');
+  let removed = false;
+
+  return {
+    file,
+    write(row) {
+      const cells: Record<string, SpilledCell> = {};
+      for (const key of Object.keys(row)) {
+        cells[key] = spillCell(row[key]);
+      }
+      return file.write(JSON.stringify(cells) + '\n');
+    },
+    async *rows() {
+      await new Promise<void>((resolve, reject) => {
+        file.once('error', reject);
+        file.end(resolve);
+      });
+      const lines = readline.createInterface({
+        input: fs.createReadStream(filePath, 'utf8'),
+        crlfDelay: Infinity
+      });
+      for await (const line of lines) {
+        if (line !== '') {
+          const cells: Record<string, SpilledCell> = JSON.parse(line);
+          const row: AnyObject = {};
+          for (const key of Object.keys(cells)) {
+            row[key] = restoreCell(cells[key]);
+          }
+          yield row;
+        }
+      }
+    },
+    remove() {
+      if (!removed) {
+        removed = true;
+        file.destroy();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    }
+  };
+}
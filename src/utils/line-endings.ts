@@ -0,0 +1,98 @@
+/**
+ * Line breaks for CSV output and input.
+ *
+ * Writers take `lineEnding` (`'\r\n'`, `'\n'` or `'auto'`) and
+ * `trailingNewline`. `'auto'` and an unset `trailingNewline` keep each
+ * writer's own default, so existing output does not change.
+ *
+ * Parsers take `lineEnding` as a hint about the input. `'auto'` reads
+ * CRLF, LF and bare CR (classic Mac) line breaks, and turns a bare CR in
+ * a quoted field into LF. `'\r'` says the input uses bare CR. `'\n'` and
+ * `'\r\n'` say a bare CR is not a line break, so one in a quoted field is
+ * kept as it is.
+ *
+ * @module line-endings
+ */
+
+import { ConfigurationError } from '../errors';
+import type { LineEnding, InputLineEnding } from '../types';
+
+export type { LineEnding, InputLineEnding };
+
+/** Line break and trailing newline a writer uses */
+export interface OutputLineEnding {
+  eol: '\r\n' | '\n';
+  trailingNewline: boolean;
+}
+
+/**
+ * Validates `lineEnding` and `trailingNewline` for a writer.
+ *
+ * @param defaults - What the writer does under `'auto'`
+ * @throws {ConfigurationError} If an option is malformed
+ */
+export function resolveOutputLineEnding(
+  options: { lineEnding?: LineEnding; trailingNewline?: boolean },
+  defaults: OutputLineEnding
+): OutputLineEnding {
+  const { lineEnding = 'auto', trailingNewline = defaults.trailingNewline } = options;
+  if (lineEnding !== 'auto' && lineEnding !== '\r\n' && lineEnding !== '\n') {
+    throw new ConfigurationError('lineEnding must be "\\r\\n", "\\n" or "auto"');
+  }
+  if (typeof trailingNewline !== 'boolean') {
+    throw new ConfigurationError('trailingNewline must be a boolean');
+  }
+  return { eol: lineEnding === 'auto' ? defaults.eol : lineEnding, trailingNewline };
+}
+
+/**
+ * Validates the parse-side `lineEnding` hint.
+ *
+ * @throws {ConfigurationError} If the hint is not a known line ending
+ */
+export function resolveInputLineEnding(lineEnding: unknown = 'auto'): InputLineEnding {
+  if (lineEnding !== 'auto' && lineEnding !== '\r\n' && lineEnding !== '\n' && lineEnding !== '\r') {
+    throw new ConfigurationError('lineEnding must be "\\r\\n", "\\n", "\\r" or "auto"');
+  }
+  return lineEnding;
+}
+
+/** Whether a bare CR ends a line under the hint. */
+function crIsLineBreak(lineEnding: InputLineEnding): boolean {
+  return lineEnding === 'auto' || lineEnding === '\r';
+}
+
+/** Rewrites the input's line breaks as '\n', the form the parsers read. */
+export function normalizeLineBreaks(text: string, lineEnding: InputLineEnding): string {
+  return text.replace(crIsLineBreak(lineEnding) ? /\r\n|\r/g : /\r\n/g, '\n');
+}
+
+/** Global pattern matching the input's line breaks. */
+export function lineBreakPattern(lineEnding: InputLineEnding): RegExp {
+  return crIsLineBreak(lineEnding) ? /\r\n|\r|\n/g : /\r\n|\n/g;
+}
+
+/**
+ * Which character to split streamed input on: '\r' for bare-CR input,
+ * '\n' otherwise. Under `'auto'` it is the first line break in `text`;
+ * null means there is none yet, or it is a CR that may be the start of
+ * a CRLF split across chunks.
+ */
+export function detectLineBreak(text: string, lineEnding: InputLineEnding): '\n' | '\r' | null {
+  if (lineEnding !== 'auto') {
+    return lineEnding === '\r' ? '\r' : '\n';
+  }
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '\n') {
+      return '\n';
+    }
+    if (char === '\r') {
+      if (i + 1 === text.length) {
+        return null;
+      }
+      return text[i + 1] === '\n' ? '\n' : '\r';
+    }
+  }
+  return null;
+}
@@ -0,0 +1,215 @@
+/**
+ * Comment, preamble and trailer skipping for the CSV→JSON parsers.
+ *
+ * Bank and ERP exports wrap the actual table in report titles and totals.
+ * The filter drops those lines before any parsing happens — so delimiter
+ * auto-detection only sees the table — and keeps the original 1-based line
+ * number of every surviving line, so errors still point into the source file.
+ *
+ * @module line-filter
+ */
+
+import { ConfigurationError, ParsingError } from '../errors';
+import { QuoteOptions } from './parse-options';
+
+/** Finds the header line: a regex tested against the line, or a predicate. */
+export type SkipLinesUntil = RegExp | ((line: string, lineNumber: number) => boolean);
+
+export interface LineFilterOptions {
+  /** Prefix marking a whole line as a comment, or null. */
+  comment: string | null;
+  /** Number of leading physical lines to drop. */
+  skipLines: number;
+  /** Matcher for the first line to keep after `skipLines`, or null. */
+  skipLinesUntil: SkipLinesUntil | null;
+  /** Number of trailing non-empty lines to drop. */
+  skipTrailingLines: number;
+}
+
+export interface FilteredCsv {
+  /** CSV text without the skipped lines. */
+  csv: string;
+  /** Original line number of every line of `csv`, by index. */
+  lineNumbers: number[];
+}
+
+function assertLineCount(value: unknown, name: string): number {
+  if (value === undefined || value === null) {
+    return 0;
+  }
+  if (typeof value !== 'number' || !Number.isInteger(value) || value < 0) {
+    throw new ConfigurationError(`${name} must be a non-negative integer`);
+  }
+  return value;
+}
+
+/**
+ * Validates `comment`, `skipLines`, `skipLinesUntil` and `skipTrailingLines`.
+ *
+ * @returns Resolved options, or null when no line would ever be skipped
+ */
+export function resolveLineFilterOptions(options: {
+  comment?: string | false | null;
+  skipLines?: number;
+  skipLinesUntil?: SkipLinesUntil;
+  skipTrailingLines?: number;
+} = {}): LineFilterOptions | null {
+  const { comment, skipLinesUntil } = options;
+
+  if (comment !== undefined && comment !== null && comment !== false
+    && (typeof comment !== 'string' || comment === '')) {
+    throw new ConfigurationError('comment must be a non-empty string');
+  }
+
+  if (skipLinesUntil !== undefined && skipLinesUntil !== null
+    && !(skipLinesUntil instanceof RegExp) && typeof skipLinesUntil !== 'function') {
+    throw new ConfigurationError('skipLinesUntil must be a RegExp or a function');
+  }
+
+  const resolved: LineFilterOptions = {
+    comment: typeof comment === 'string' ? comment : null,
+    skipLines: assertLineCount(options.skipLines, 'skipLines'),
+    skipLinesUntil: skipLinesUntil ?? null,
+    skipTrailingLines: assertLineCount(options.skipTrailingLines, 'skipTrailingLines')
+  };
+
+  if (resolved.comment === null && resolved.skipLines === 0
+    && resolved.skipLinesUntil === null && resolved.skipTrailingLines === 0) {
+    return null;
+  }
+  return resolved;
+}
+
+/**
+ * Decides line by line whether input belongs to the table.
+ *
+ * Works on physical lines and is fed in order, so the same instance serves
+ * the in-memory parsers and the stream. Lines that continue a multi-line
+ * quoted field are always kept — a `#` there is data, not a comment.
+ * Trailing lines are not handled here: they need lookahead, which each
+ * caller buffers in its own way.
+ */
+export class CsvLineFilter {
+  private readonly options: LineFilterOptions;
+  private readonly quoteOptions: QuoteOptions;
+  private seenLines = 0;
+  private headerFound: boolean;
+  private inQuotes = false;
+
+  constructor(options: LineFilterOptions, quoteOptions: QuoteOptions) {
+    this.options = options;
+    this.quoteOptions = quoteOptions;
+    this.headerFound = options.skipLinesUntil === null;
+  }
+
+  /** True while `skipLinesUntil` is set and has not matched yet. */
+  get awaitingHeader(): boolean {
+    return !this.headerFound;
+  }
+
+  /**
+   * @param line - Physical line without its line terminator
+   * @param lineNumber - Original 1-based line number
+   * @returns true when the line should be parsed
+   */
+  accept(line: string, lineNumber: number): boolean {
+    if (this.inQuotes) {
+      this.inQuotes = this.scanQuotes(line, true);
+      return true;
+    }
+
+    this.seenLines++;
+    if (this.seenLines <= this.options.skipLines) {
+      return false;
+    }
+
+    const { comment, skipLinesUntil } = this.options;
+    if (comment !== null && line.startsWith(comment)) {
+      return false;
+    }
+
+    if (!this.headerFound) {
+      if (skipLinesUntil instanceof RegExp) {
+        skipLinesUntil.lastIndex = 0;
+        this.headerFound = skipLinesUntil.test(line);
+      } else {
+        this.headerFound = Boolean((skipLinesUntil as Exclude<SkipLinesUntil, RegExp>)(line, lineNumber));
+      }
+      if (!this.headerFound) {
+        return false;
+      }
+    }
+
+    this.inQuotes = this.scanQuotes(line, false);
+    return true;
+  }
+
+  /** Returns whether a quoted field is still open at the end of `line`. */
+  private scanQuotes(line: string, inQuotes: boolean): boolean {
+    const { quote, escape } = this.quoteOptions;
+    let open = inQuotes;
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (escape !== null && char === escape) {
+        i++;
+      } else if (char === quote) {
+        open = !open;
+      }
+    }
+    return open;
+  }
+}
+
+/** Error raised when `skipLinesUntil` never matched. */
+export function headerNotFoundError(): ParsingError {
+  return new ParsingError(
+    'skipLinesUntil did not match any line',
+    null,
+    null,
+    null,
+    null,
+    null,
+    { hint: 'check the pattern against the header line of the file, or use skipLines for a fixed preamble' }
+  );
+}
+
+/**
+ * Applies a line filter to a whole CSV document.
+ *
+ * `csv` must already have normalized (`\n`) line endings.
+ */
+export function filterCsvLines(
+  csv: string,
+  options: LineFilterOptions,
+  quoteOptions: QuoteOptions
+): FilteredCsv {
+  const filter = new CsvLineFilter(options, quoteOptions);
+  const sourceLines = csv.split('\n');
+  const kept: string[] = [];
+  const lineNumbers: number[] = [];
+
+  for (let i = 0; i < sourceLines.length; i++) {
+    if (filter.accept(sourceLines[i], i + 1)) {
+      kept.push(sourceLines[i]);
+      lineNumbers.push(i + 1);
+    }
+  }
+
+  if (filter.awaitingHeader) {
+    throw headerNotFoundError();
+  }
+
+  let end = kept.length;
+  let remaining = options.skipTrailingLines;
+  while (end > 0 && remaining > 0) {
+    end--;
+    if (kept[end].trim() !== '') {
+      remaining--;
+    }
+  }
+
+  return {
+    csv: kept.slice(0, end).join('\n'),
+    lineNumbers: lineNumbers.slice(0, end)
+  };
+}
@@ -0,0 +1,98 @@
+/**
+ * Null tokens and empty-cell semantics for the CSV→JSON parsers.
+ *
+ * Exports from databases and ERPs spell "no value" in many ways — `NULL`,
+ * PostgreSQL's `\N`, `N/A`, `-`. `nullValues` lists the tokens that become
+ * `null`; `emptyAs` decides what an empty cell becomes. Both are checked
+ * before number, boolean and date parsing, so a token is never mistaken
+ * for data.
+ *
+ * Tokens are matched by the line parser against the raw, unquoted cell,
+ * before escape processing: `\N` is a token even though `\` is the default
+ * escape character, and a quoted `"NULL"` stays text.
+ *
+ * @module missing-values
+ */
+
+import { ConfigurationError } from '../errors';
+import { AnyObject } from '../types';
+
+/** `'omit'` drops the key from the row object. */
+export type EmptyAs = '' | null | 'omit';
+
+export interface MissingValueOptions {
+  /** Raw unquoted cells read as null, compared after trimming. */
+  nullValues: Set<string>;
+  /** Replacement for empty cells, or undefined to keep each parser's default. */
+  emptyAs: EmptyAs | undefined;
+}
+
+/** Returned by `resolveMissingValue` when the cell holds data. */
+export const NOT_MISSING: unique symbol = Symbol('NOT_MISSING');
+
+/**
+ * Validates `nullValues` and `emptyAs`.
+ *
+ * @returns Resolved options, or null when neither is set
+ */
+export function resolveMissingValueOptions(options: {
+  nullValues?: string[];
+  emptyAs?: EmptyAs;
+} = {}): MissingValueOptions | null {
+  const { nullValues, emptyAs } = options;
+
+  if (nullValues !== undefined && nullValues !== null) {
+    if (!Array.isArray(nullValues) || nullValues.some((token) => typeof token !== 'string')) {
+      throw new ConfigurationError('nullValues must be an array of strings');
+    }
+  }
+  if (emptyAs !== undefined && emptyAs !== '' && emptyAs !== null && emptyAs !== 'omit') {
+    throw new ConfigurationError('emptyAs must be \'\', null or "omit"');
+  }
+
+  if ((!nullValues || nullValues.length === 0) && emptyAs === undefined) {
+    return null;
+  }
+  return {
+    nullValues: new Set(nullValues ?? []),
+    emptyAs
+  };
+}
+
+/** Whether the raw text of an unquoted cell is one of `nullTokens`. */
+export function isNullToken(raw: string, trim: boolean, nullTokens: ReadonlySet<string>): boolean {
+  return nullTokens.has(trim ? raw.trim() : raw);
+}
+
+/**
+ * Maps an empty cell to its replacement. Null tokens are already null by
+ * the time a cell gets here (see `isNullToken`).
+ *
+ * Missing cells of short rows (`undefined`) count as empty. With
+ * `emptyAs: 'omit'` the replacement is `undefined`; `omitUndefinedValues`
+ * then removes those keys once the row is complete.
+ *
+ * @returns The replacement, or `NOT_MISSING` when the cell holds data
+ */
+export function resolveMissingValue(
+  value: unknown,
+  options: MissingValueOptions
+): string | null | undefined | typeof NOT_MISSING {
+  if (value === undefined || value === '') {
+    if (options.emptyAs === undefined) {
+      return NOT_MISSING;
+    }
+    return options.emptyAs === 'omit' ? undefined : options.emptyAs;
+  }
+  return NOT_MISSING;
+}
+
+/** Deletes keys whose value is `undefined`, for `emptyAs: 'omit'`. */
+export function omitUndefinedValues(row: AnyObject): AnyObject {
+  for (const key of Object.keys(row)) {
+    if (row[key] === undefined) {
+      delete row[key];
+    }
+  }
+  return row;
+}
@@ -0,0 +1,155 @@
+/**
+ * Locale-aware number parsing and formatting.
+ *
+ * European exports write `1.234,56` — decimal comma, dot grouping — often
+ * with a currency sign or a percent suffix. `Number()` cannot read that, so
+ * the CSV parsers hand numeric-looking cells to `parseLocaleNumber` when a
+ * `numberLocale` is configured, and jsonToCsv uses `formatLocaleNumber` so
+ * the same data round-trips.
+ *
+ * @module number-locale
+ */
+
+import { ConfigurationError } from '../errors';
+import type { NumberLocaleOptions } from '../types';
+
+export type { NumberLocaleOptions };
+
+export interface NumberLocale {
+  decimal: string;
+  group: string | null;
+  currency: string[];
+  percent: 'ratio' | 'number' | null;
+  /** Compiled matcher for the digits part, built once per locale. */
+  pattern: RegExp;
+}
+
+// Space grouping is written with NBSP or narrow NBSP as often as with a plain space
+const SPACE_GROUP_CHARS = ' \u00a0\u202f';
+
+function escapeForCharClass(char: string): string {
+  return char.replace(/[\\\]^-]/g, '\\$&');
+}
+
+/**
+ * Validates a `numberLocale` option.
+ *
+ * @returns The compiled locale, or null when the option is not set
+ */
+export function resolveNumberLocale(options: NumberLocaleOptions | undefined | null): NumberLocale | null {
+  if (options === undefined || options === null) {
+    return null;
+  }
+  if (typeof options !== 'object') {
+    throw new ConfigurationError('numberLocale must be an object');
+  }
+
+  const { decimal = '.', group = null, currency = [], percent = false } = options;
+
+  if (typeof decimal !== 'string' || decimal.length !== 1 || /[\d+-]/.test(decimal)) {
+    throw new ConfigurationError('numberLocale.decimal must be a single non-digit character');
+  }
+  if (group !== null && (typeof group !== 'string' || group.length !== 1 || /[\d+-]/.test(group))) {
+    throw new ConfigurationError('numberLocale.group must be a single non-digit character or null');
+  }
+  if (group === decimal) {
+    throw new ConfigurationError('numberLocale.group must differ from numberLocale.decimal');
+  }
+
+  const currencyList = Array.isArray(currency) ? currency : [currency];
+  if (currencyList.some((symbol) => typeof symbol !== 'string' || symbol === '')) {
+    throw new ConfigurationError('numberLocale.currency must be a non-empty string or an array of them');
+  }
+
+  if (percent !== false && percent !== 'ratio' && percent !== 'number') {
+    throw new ConfigurationError('numberLocale.percent must be "ratio", "number" or false');
+  }
+
+  const decimalClass = `[${escapeForCharClass(decimal)}]`;
+  let integerPart = '\\d+';
+  if (group !== null) {
+    const groupChars = SPACE_GROUP_CHARS.includes(group) ? SPACE_GROUP_CHARS : group;
+    const groupClass = `[${escapeForCharClass(groupChars)}]`;
+    integerPart = `(?:\\d{1,3}(?:${groupClass}\\d{3})+|\\d+)`;
+  }
+
+  return {
+    decimal,
+    group,
+    // Longest first, so 'US$' is stripped before '$'
+    currency: currencyList.slice().sort((a, b) => b.length - a.length),
+    percent: percent || null,
+    pattern: new RegExp(`^(${integerPart})?(?:${decimalClass}(\\d+))?$`)
+  };
+}
+
+function stripCurrency(value: string, currency: string[]): string {
+  for (const symbol of currency) {
+    if (value.startsWith(symbol)) {
+      return value.slice(symbol.length).trim();
+    }
+    if (value.endsWith(symbol)) {
+      return value.slice(0, -symbol.length).trim();
+    }
+  }
+  return value;
+}
+
+/**
+ * Parses a cell written in the given locale.
+ *
+ * @returns The number, or null when the cell is not a number in this locale
+ */
+export function parseLocaleNumber(value: string, locale: NumberLocale): number | null {
+  let text = value.trim();
+  let negative = false;
+
+  if (text[0] === '-' || text[0] === '+') {
+    negative = text[0] === '-';
+    text = text.slice(1).trim();
+  }
+  if (locale.currency.length > 0) {
+    text = stripCurrency(text, locale.currency);
+    if (text[0] === '-' || text[0] === '+') {
+      negative = negative !== (text[0] === '-');
+      text = text.slice(1).trim();
+    }
+  }
+
+  let isPercent = false;
+  if (locale.percent && text.endsWith('%')) {
+    isPercent = true;
+    text = text.slice(0, -1).trim();
+  }
+
+  const match = locale.pattern.exec(text);
+  if (!match || (match[1] === undefined && match[2] === undefined)) {
+    return null;
+  }
+
+  const integerDigits = match[1] ? match[1].replace(/\D/g, '') : '0';
+  const fraction = match[2] !== undefined ? `.${match[2]}` : '';
+  let result = Number(integerDigits + fraction);
+  if (isPercent && locale.percent === 'ratio') {
+    result = result / 100;
+  }
+  return negative ? -result : result;
+}
+
+/**
+ * Formats a number for output in the given locale. Grouping is applied only
+ * when the locale has a `group` separator; currency and percent signs are
+ * never added.
+ */
+export function formatLocaleNumber(value: number, locale: NumberLocale): string {
+  const text = String(value);
+  if (!Number.isFinite(value) || /e/i.test(text)) {
+    return text.replace('.', locale.decimal);
+  }
+  const negative = text[0] === '-';
+  const [integerDigits, fraction] = (negative ? text.slice(1) : text).split('.');
+  const grouped = locale.group !== null
+    ? integerDigits.replace(/\B(?=(\d{3})+(?!\d))/g, locale.group)
+    : integerDigits;
+  return (negative ? '-' : '') + grouped + (fraction !== undefined ? locale.decimal + fraction : '');
+}
@@ -0,0 +1,79 @@
+/**
+ * Option resolvers shared by the CSV→JSON parsers.
+ *
+ * csvToJson, csvToJsonIterator, createCsvToJsonStream and the fast-path
+ * engine each keep their own parsing loop, but they must agree on what an
+ * option means. Validation and defaulting live here so the four entry
+ * points cannot drift apart.
+ *
+ * @module parse-options
+ */
+
+import { ConfigurationError } from '../errors';
+
+export interface QuoteOptions {
+  /** Character that wraps quoted fields. */
+  quote: string;
+  /** Escape character, or null when escaping is disabled. */
+  escape: string | null;
+  /** Whether `'` may open a quoted field in addition to `quote`. */
+  allowSingleQuotes: boolean;
+}
+
+export const DEFAULT_QUOTE = '"';
+export const DEFAULT_ESCAPE = '\\';
+
+/**
+ * Validates `quote`, `escape` and `allowSingleQuotes` and fills in defaults.
+ *
+ * `escape: null` or `escape: false` turns escaping off, as does setting it to
+ * the quote character — doubled quotes (`""`) are always understood inside a
+ * quoted field, so that spelling simply means "RFC 4180 only".
+ *
+ * `allowSingleQuotes` defaults to false in every parser: the writers escape
+ * formulas with a leading `'`, which must not read as an opening quote.
+ *
+ * @param options - Raw parser options
+ */
+export function resolveQuoteOptions(
+  options: {
+    quote?: string;
+    escape?: string | null | false;
+    allowSingleQuotes?: boolean;
+    delimiter?: string | RegExp;
+  } = {}
+): QuoteOptions {
+  const { quote = DEFAULT_QUOTE, escape, allowSingleQuotes, delimiter } = options;
+
+  if (typeof quote !== 'string' || quote.length !== 1) {
+    throw new ConfigurationError('quote must be a single character');
+  }
+
+  if (escape !== undefined && escape !== null && escape !== false
+    && (typeof escape !== 'string' || escape.length !== 1)) {
+    throw new ConfigurationError('escape must be a single character, null or false');
+  }
+
+  if (allowSingleQuotes !== undefined && typeof allowSingleQuotes !== 'boolean') {
+    throw new ConfigurationError('allowSingleQuotes must be a boolean');
+  }
+
+  const resolvedEscape = escape === undefined
+    ? DEFAULT_ESCAPE
+    : (escape === null || escape === false || escape === quote ? null : escape);
+
+  if (typeof delimiter === 'string' && delimiter !== '') {
+    if (delimiter.includes(quote)) {
+      throw new ConfigurationError('quote must differ from the delimiter');
+    }
+    if (resolvedEscape !== null && delimiter.includes(resolvedEscape)) {
+      throw new ConfigurationError('escape must differ from the delimiter');
+    }
+  }
+
+  return {
+    quote,
+    escape: resolvedEscape,
+    allowSingleQuotes: allowSingleQuotes ?? false
+  };
+}
@@ -0,0 +1,48 @@
+/**
+ * Row error reports for `onError: 'collect'`.
+ *
+ * Instead of throwing on the first malformed row or silently skipping it,
+ * the parsers can collect one report per rejected row. A report carries
+ * enough to locate and fix the source line: its number, raw text, the
+ * field the error points at and the error code.
+ *
+ * @module row-errors
+ */
+
+import { ParsingError } from '../errors';
+import { AnyArray, CsvRowError, CsvCollectResult } from '../types';
+
+export type { CsvRowError, CsvParseStats, CsvCollectResult } from '../types';
+
+/**
+ * Builds the report for a rejected row.
+ *
+ * @param error - Error thrown while parsing the row
+ * @param line - Raw text of the row
+ * @param lineNumber - 1-based source line number
+ */
+export function toRowError(error: Error, line: string, lineNumber: number | null): CsvRowError {
+  const parsingError = error instanceof ParsingError ? error : null;
+  return {
+    lineNumber: parsingError?.lineNumber ?? lineNumber,
+    line,
+    column: parsingError?.column ?? null,
+    code: (error as { code?: string }).code ?? 'UNKNOWN_ERROR',
+    message: parsingError ? parsingError.originalMessage : error.message
+  };
+}
+
+/**
+ * Wraps parsed rows and collected errors into the `collect` result.
+ */
+export function createCollectResult(data: AnyArray, errors: CsvRowError[]): CsvCollectResult {
+  return {
+    data,
+    errors,
+    stats: {
+      totalRows: data.length + errors.length,
+      parsedRows: data.length,
+      errorRows: errors.length
+    }
+  };
+}
@@ -0,0 +1,287 @@
+/**
+ * Row filtering pushed down into the CSV→JSON parsers.
+ *
+ * `where` runs on the raw field strings of each data row, before objects
+ * are built and before numbers, booleans, dates or null tokens are
+ * converted, so rejected rows cost only their scan. It is either a
+ * predicate or a declarative filter:
+ *
+ * ```ts
+ * { status: { eq: 'active' }, amount: { gt: 100 }, country: ['NO', 'SE'] }
+ * ```
+ *
+ * Keys are header names as written (after trimming, before `renameMap`),
+ * and every condition must hold. A bare value means `eq`, an array means
+ * `in`. Numeric operands compare `Number(value)`; string operands compare
+ * the text; `null` matches empty and missing cells.
+ *
+ * @module row-filter
+ */
+
+import { ConfigurationError } from '../errors';
+import type { WhereCondition, WhereOperand, WhereOperators, WhereOption, WherePredicate } from '../types';
+
+export type { WhereCondition, WhereOperand, WhereOperators, WhereOption, WherePredicate };
+
+type WhereFilter = Record<string, WhereCondition>;
+
+export interface RowFilter {
+  test(values: ReadonlyArray<string | null | undefined>): boolean;
+  /** Field indexes the filter reads, or null when it may read any. */
+  fields: number[] | null;
+}
+
+type CellTest = (value: string | undefined) => boolean;
+
+type Reader = (value: string | null | undefined) => string | undefined;
+
+interface DeclarativeFilter extends RowFilter {
+  fields: number[];
+  checks: Array<[number, CellTest]>;
+  read: Reader;
+}
+
+const OPERATORS = new Set([
+  'eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'notIn',
+  'contains', 'startsWith', 'endsWith', 'matches', 'empty'
+]);
+
+/**
+ * Validates the `where` option.
+ *
+ * @returns The filter, or null when every row is kept
+ */
+export function resolveWhere(where: unknown): WhereOption | null {
+  if (where === undefined || where === null) {
+    return null;
+  }
+  if (typeof where === 'function') {
+    return where as WherePredicate;
+  }
+  if (typeof where !== 'object' || Array.isArray(where)) {
+    throw new ConfigurationError('where must be a function or an object of column conditions');
+  }
+  for (const [column, condition] of Object.entries(where as WhereFilter)) {
+    validateCondition(column, condition);
+  }
+  return where as WhereFilter;
+}
+
+function isOperand(value: unknown): value is WhereOperand {
+  return value === null || ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+function validateCondition(column: string, condition: unknown): void {
+  if (isOperand(condition)) {
+    return;
+  }
+  if (Array.isArray(condition)) {
+    if (!condition.every(isOperand)) {
+      throw new ConfigurationError(`where.${column} lists values that are not strings, numbers, booleans or null`);
+    }
+    return;
+  }
+  if (typeof condition !== 'object' || condition instanceof RegExp) {
+    throw new ConfigurationError(`where.${column} must be a value, an array of values or an object of operators`);
+  }
+  for (const [operator, operand] of Object.entries(condition as Record<string, unknown>)) {
+    if (!OPERATORS.has(operator)) {
+      throw new ConfigurationError(`where.${column} uses unknown operator "${operator}"`);
+    }
+    const valid = operator === 'in' || operator === 'notIn'
+      ? Array.isArray(operand) && operand.every(isOperand)
+      : operator === 'matches'
+        ? operand instanceof RegExp
+        : operator === 'empty'
+          ? typeof operand === 'boolean'
+          : operator === 'eq' || operator === 'ne'
+            ? isOperand(operand)
+            : operator.startsWith('g') || operator.startsWith('l')
+              ? typeof operand === 'number' || typeof operand === 'string'
+              : typeof operand === 'string';
+    if (!valid) {
+      throw new ConfigurationError(`where.${column}.${operator} has an operand of the wrong type`);
+    }
+  }
+}
+
+/**
+ * Binds a `where` option to the header row.
+ *
+ * @param headers - Names of the fields in the rows the filter will see
+ * @param trim - Whether cells are compared trimmed
+ * @throws ConfigurationError when a declarative filter names a column
+ * that is not in the header
+ */
+export function compileRowFilter(where: WhereOption, headers: string[], trim: boolean): RowFilter {
+  const indexOf = new Map<string, number>();
+  headers.forEach((header, index) => {
+    if (!indexOf.has(header)) {
+      indexOf.set(header, index);
+    }
+  });
+  // Cells padded by columnMismatch arrive as null
+  const read: Reader = (value) => {
+    if (typeof value !== 'string') {
+      return undefined;
+    }
+    return trim ? value.trim() : value;
+  };
+
+  if (typeof where === 'function') {
+    return {
+      fields: null,
+      test(values) {
+        const field = (column: string | number): string | undefined => {
+          const index = typeof column === 'number' ? column : indexOf.get(column);
+          return index === undefined ? undefined : read(values[index]);
+        };
+        return Boolean(where(field, values));
+      }
+    };
+  }
+
+  const checks: Array<[number, CellTest]> = Object.entries(where).map(([column, condition]) => {
+    const index = indexOf.get(column);
+    if (index === undefined) {
+      throw new ConfigurationError(`Column "${column}" from where is not in the header`);
+    }
+    return [index, compileCondition(condition)];
+  });
+  return checksFilter(checks, read);
+}
+
+/**
+ * Adds the fields a declarative filter reads to a column projection, so a
+ * projected scan still yields them.
+ *
+ * @returns The widened projection — the selected fields first, then the
+ * extra ones — and the filter rebound to rows in that layout; cutting rows
+ * to `projection.length` fields afterwards leaves the selection
+ */
+export function widenProjection(
+  projection: number[],
+  filter: RowFilter
+): { projection: number[]; filter: RowFilter } {
+  if (!('checks' in filter)) {
+    throw new TypeError('widenProjection requires a declarative filter');
+  }
+  const { checks, read } = filter as DeclarativeFilter;
+  const widened = projection.slice();
+  for (const [index] of checks) {
+    if (!widened.includes(index)) {
+      widened.push(index);
+    }
+  }
+  const rebound = checks.map(([index, check]): [number, CellTest] => [widened.indexOf(index), check]);
+  return { projection: widened, filter: checksFilter(rebound, read) };
+}
+
+function checksFilter(checks: Array<[number, CellTest]>, read: Reader): DeclarativeFilter {
+  return {
+    fields: checks.map(([index]) => index),
+    checks,
+    read,
+    test(values) {
+      for (const [index, check] of checks) {
+        if (!check(read(values[index]))) {
+          return false;
+        }
+      }
+      return true;
+    }
+  };
+}
+
+function compileCondition(condition: WhereCondition): CellTest {
+  if (isOperand(condition)) {
+    return equals(condition);
+  }
+  if (Array.isArray(condition)) {
+    return oneOf(condition);
+  }
+  const tests: CellTest[] = [];
+  const ops = condition as WhereOperators;
+  if ('eq' in ops) {
+    tests.push(equals(ops.eq as WhereOperand));
+  }
+  if ('ne' in ops) {
+    const eq = equals(ops.ne as WhereOperand);
+    tests.push((value) => !eq(value));
+  }
+  if (ops.gt !== undefined) {
+    tests.push(compare(ops.gt, (order) => order > 0));
+  }
+  if (ops.gte !== undefined) {
+    tests.push(compare(ops.gte, (order) => order >= 0));
+  }
+  if (ops.lt !== undefined) {
+    tests.push(compare(ops.lt, (order) => order < 0));
+  }
+  if (ops.lte !== undefined) {
+    tests.push(compare(ops.lte, (order) => order <= 0));
+  }
+  if (ops.in !== undefined) {
+    tests.push(oneOf(ops.in));
+  }
+  if (ops.notIn !== undefined) {
+    const inList = oneOf(ops.notIn);
+    tests.push((value) => !inList(value));
+  }
+  if (ops.contains !== undefined) {
+    const needle = ops.contains;
+    tests.push((value) => value !== undefined && value.includes(needle));
+  }
+  if (ops.startsWith !== undefined) {
+    const prefix = ops.startsWith;
+    tests.push((value) => value !== undefined && value.startsWith(prefix));
+  }
+  if (ops.endsWith !== undefined) {
+    const suffix = ops.endsWith;
+    tests.push((value) => value !== undefined && value.endsWith(suffix));
+  }
+  if (ops.matches !== undefined) {
+    const pattern = ops.matches;
+    tests.push((value) => {
+      pattern.lastIndex = 0;
+      return value !== undefined && pattern.test(value);
+    });
+  }
+  if (ops.empty !== undefined) {
+    const wanted = ops.empty;
+    tests.push((value) => (value === undefined || value === '') === wanted);
+  }
+  return (value) => tests.every((test) => test(value));
+}
+
+function equals(operand: WhereOperand): CellTest {
+  if (operand === null) {
+    return (value) => value === undefined || value === '';
+  }
+  if (typeof operand === 'number') {
+    return (value) => value !== undefined && value !== '' && Number(value) === operand;
+  }
+  if (typeof operand === 'boolean') {
+    const text = String(operand);
+    return (value) => value !== undefined && value.toLowerCase() === text;
+  }
+  return (value) => value === operand;
+}
+
+function oneOf(operands: WhereOperand[]): CellTest {
+  const tests = operands.map(equals);
+  return (value) => tests.some((test) => test(value));
+}
+
+function compare(operand: number | string, accept: (_order: number) => boolean): CellTest {
+  if (typeof operand === 'number') {
+    return (value) => {
+      if (value === undefined || value === '') {
+        return false;
+      }
+      const number = Number(value);
+      return !Number.isNaN(number) && accept(number - operand);
+    };
+  }
+  return (value) => value !== undefined && accept(value < operand ? -1 : value > operand ? 1 : 0);
+}
@@ -0,0 +1,225 @@
+/**
+ * Source positions for parsed rows (`includeRowInfo`).
+ *
+ * The line parsers read one physical line at a time, which would cut a
+ * quoted field with a line break in it in two. `RecordAssembler` joins
+ * physical lines back into records, following the quoting rules of the
+ * line parser, and keeps where each record starts and how far it runs.
+ * Rows then carry that position under `_rowInfo`:
+ *
+ * ```ts
+ * { id: '7', note: 'two\nlines', _rowInfo: { line: 8, offset: 141, length: 13, raw: '7,"two\nlines"' } }
+ * ```
+ *
+ * Offsets and lengths count UTF-8 bytes, so reading `length` bytes at
+ * `offset` from the file gives the record back.
+ *
+ * @module row-info
+ */
+
+import { matchDelimiterAt, CsvDelimiter } from './delimiter';
+import type { QuoteOptions } from './parse-options';
+import { lineBreakPattern } from './line-endings';
+import type { RowInfo, InputLineEnding } from '../types';
+
+export type { RowInfo };
+
+/** Key that holds a row's source position under `includeRowInfo`. */
+export const ROW_INFO_KEY = '_rowInfo';
+
+export interface AssembledRecord {
+  /** Record text for the line parser, its lines joined with '\n' */
+  text: string;
+  info: RowInfo;
+}
+
+export interface LocatedRecords {
+  lines: string[];
+  lineNumbers: number[];
+  rowInfo: RowInfo[];
+}
+
+/**
+ * Joins physical lines into records. A record goes on to the next line
+ * while a quoted field is open; blank lines between records are skipped.
+ */
+export class RecordAssembler {
+  private readonly delimiter: CsvDelimiter;
+  private readonly quoteOptions: QuoteOptions;
+  private parts: string[] = [];
+  private raw = '';
+  private startLine = 0;
+  private startOffset = 0;
+  private inQuotes = false;
+  private quoteChar: string;
+  private escapeNext = false;
+  private fieldBlank = true;
+
+  constructor(delimiter: CsvDelimiter, quoteOptions: QuoteOptions) {
+    this.delimiter = delimiter;
+    this.quoteOptions = quoteOptions;
+    this.quoteChar = quoteOptions.quote;
+  }
+
+  /**
+   * Adds a physical line.
+   *
+   * @param line - The line without its terminator
+   * @param lineNumber - 1-based line number in the source
+   * @param offset - Byte offset of the line in the source
+   * @param terminator - Line break that ended the line, kept in `raw` when
+   * the record goes on
+   * @param raw - The line as it appears in the source, when `line` was
+   * rewritten before parsing
+   * @returns The record the line completes, or null while a quoted field
+   * is open or the line is blank
+   */
+  push(line: string, lineNumber: number, offset: number, terminator = '\n', raw = line): AssembledRecord | null {
+    if (this.parts.length === 0) {
+      if (line.trim() === '') {
+        return null;
+      }
+      this.startLine = lineNumber;
+      this.startOffset = offset;
+    }
+    this.parts.push(line);
+    this.raw += raw;
+    this.scan(line);
+    if (this.inQuotes) {
+      // An escape before the line break escapes the break itself
+      this.escapeNext = false;
+      this.raw += terminator;
+      return null;
+    }
+    return this.finish();
+  }
+
+  /** Returns a record left open by an unclosed quote at the end of input. */
+  flush(): AssembledRecord | null {
+    return this.parts.length > 0 ? this.finish() : null;
+  }
+
+  /** Follows the quote state of `parseCsvLine` across one line. */
+  private scan(line: string): void {
+    const { quote, escape, allowSingleQuotes } = this.quoteOptions;
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (this.escapeNext) {
+        this.escapeNext = false;
+        this.fieldBlank = false;
+        continue;
+      }
+      if (escape !== null && char === escape) {
+        this.escapeNext = true;
+        continue;
+      }
+      if (this.inQuotes) {
+        if (char === this.quoteChar && line[i + 1] === this.quoteChar) {
+          i++;
+          // The line parser reads a doubled quote that ends the line as a close
+          if (i + 1 === line.length) {
+            this.inQuotes = false;
+          }
+        } else if (char === this.quoteChar) {
+          this.inQuotes = false;
+        }
+        continue;
+      }
+      const delimiterLength = matchDelimiterAt(line, i, this.delimiter);
+      if (delimiterLength > 0) {
+        this.fieldBlank = true;
+        i += delimiterLength - 1;
+      } else if (char === quote || (allowSingleQuotes && char === "'" && this.fieldBlank)) {
+        this.inQuotes = true;
+        this.quoteChar = char;
+        this.fieldBlank = false;
+      } else if (char.trim() !== '') {
+        this.fieldBlank = false;
+      }
+    }
+  }
+
+  private finish(): AssembledRecord {
+    const record: AssembledRecord = {
+      text: this.parts.join('\n'),
+      info: {
+        line: this.startLine,
+        offset: this.startOffset,
+        length: Buffer.byteLength(this.raw),
+        raw: this.raw
+      }
+    };
+    this.parts = [];
+    this.raw = '';
+    this.inQuotes = false;
+    this.quoteChar = this.quoteOptions.quote;
+    this.escapeNext = false;
+    this.fieldBlank = true;
+    return record;
+  }
+}
+
+/**
+ * Splits CSV text into records with their positions in the source.
+ *
+ * @param text - Text the parser reads: BOM removed, line breaks
+ * normalized to '\n', filtered lines dropped
+ * @param source - The input as given, which positions refer to
+ * @param sourceLineNumbers - Source line of each line of `text`, when
+ * lines were filtered out
+ * @param lineEnding - Line break hint the text was normalized with
+ */
+export function locateRecords(
+  text: string,
+  source: string,
+  sourceLineNumbers: number[] | null,
+  delimiter: CsvDelimiter,
+  quoteOptions: QuoteOptions,
+  lineEnding: InputLineEnding = 'auto'
+): LocatedRecords {
+  // Start, end and byte offset of every source line; a BOM is skipped but counted
+  const starts: number[] = [];
+  const ends: number[] = [];
+  const offsets: number[] = [];
+  const terminators: string[] = [];
+  let start = source.charCodeAt(0) === 0xFEFF ? 1 : 0;
+  let offset = start === 1 ? 3 : 0;
+  const lineBreak = lineBreakPattern(lineEnding);
+  for (;;) {
+    lineBreak.lastIndex = start;
+    const match = lineBreak.exec(source);
+    const end = match ? match.index : source.length;
+    starts.push(start);
+    ends.push(end);
+    offsets.push(offset);
+    terminators.push(match ? match[0] : '');
+    if (!match) {
+      break;
+    }
+    offset += Buffer.byteLength(source.slice(start, end)) + match[0].length;
+    start = end + match[0].length;
+  }
+
+  const assembler = new RecordAssembler(delimiter, quoteOptions);
+  const located: LocatedRecords = { lines: [], lineNumbers: [], rowInfo: [] };
+  const add = (record: AssembledRecord | null) => {
+    if (record) {
+      located.lines.push(record.text);
+      located.lineNumbers.push(record.info.line);
+      located.rowInfo.push(record.info);
+    }
+  };
+  text.split('\n').forEach((line, index) => {
+    const lineNumber = sourceLineNumbers?.[index] ?? index + 1;
+    const sourceIndex = lineNumber - 1;
+    add(assembler.push(
+      line,
+      lineNumber,
+      offsets[sourceIndex] ?? offset,
+      terminators[sourceIndex] ?? '\n',
+      sourceIndex < starts.length ? source.slice(starts[sourceIndex], ends[sourceIndex]) : line
+    ));
+  });
+  add(assembler.flush());
+  return located;
+}
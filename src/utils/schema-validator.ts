@@ -12,6 +12,8 @@ import {
   SecurityError,
   ConfigurationError
 } from '../errors';
+import { ROW_INFO_KEY } from './row-info';
+import type { RowInfo } from '../types';
 
 export interface SchemaRule {
   type?: string | string[];
@@ -51,6 +53,8 @@ export interface ValidationErrorItem {
   max?: number;
   pattern?: string;
   allowed?: any[];
+  /** Source position of the row, when it was parsed with `includeRowInfo` */
+  rowInfo?: RowInfo;
 }
 
 export interface ValidationResult {
@@ -67,7 +71,7 @@ export interface ValidationResult {
 
 export interface ApplySchemaValidationResult {
   valid: boolean;
-  errors: Array<{ row: number; message: string; data: any }>;
+  errors: Array<{ row: number; message: string; data: any; rowInfo?: RowInfo }>;
   data: any[];
   summary: {
     totalRows: number;
@@ -151,6 +155,14 @@ export function loadSchema(schemaPathOrJson: string): Schema {
   }
 }
 
+/**
+ * Source position of a row parsed with `includeRowInfo`, if it has one
+ */
+function rowInfoOf(row: any): RowInfo | undefined {
+  const info = row && typeof row === 'object' ? row[ROW_INFO_KEY] : undefined;
+  return info && typeof info.line === 'number' ? info : undefined;
+}
+
 /**
  * Creates a simple validator for fallback when @jtcsv/validator is not available
  */
@@ -301,6 +313,13 @@ function createSimpleValidator(schema: Schema): Validator {
         }
       }
       
+      for (const error of errors) {
+        const rowInfo = rowInfoOf(data[error.row - 1]);
+        if (rowInfo) {
+          error.rowInfo = rowInfo;
+        }
+      }
+      
       return {
         valid: errors.length === 0,
         errors,
@@ -395,8 +414,10 @@ export function createValidationHook(schema: string | Schema): (row: any, index:
       
       if (!result.valid && result.errors.length > 0) {
         const error = result.errors[0];
+        const rowInfo = rowInfoOf(row);
+        const position = rowInfo ? `Row ${index + 1} (line ${rowInfo.line})` : `Row ${index + 1}`;
         throw new ValidationError(
-          `Row ${index + 1}: ${error.message} (field: ${error.field})`
+          `${position}: ${error.message} (field: ${error.field})`
         );
       }
       
@@ -428,7 +449,7 @@ export function applySchemaValidation(data: any[], schema: string | Schema): App
   }
   
   const validationHook = createValidationHook(schema);
-  const errors: Array<{ row: number; message: string; data: any }> = [];
+  const errors: ApplySchemaValidationResult['errors'] = [];
   const validatedData: any[] = [];
   
   for (let i = 0; i < data.length; i++) {
@@ -437,10 +458,12 @@ export function applySchemaValidation(data: any[], schema: string | Schema): App
       validatedData.push(validatedRow);
     } catch (error: any) {
       if (error instanceof ValidationError) {
+        const rowInfo = rowInfoOf(data[i]);
         errors.push({
           row: i + 1,
           message: error.message,
-          data: data[i]
+          data: data[i],
+          ...(rowInfo ? { rowInfo } : {})
         });
       } else {
         // Skip rows with non-validation errors
@@ -0,0 +1,186 @@
+/**
+ * Per-column type inference for csvToJson.
+ *
+ * `parseNumbers` and `parseBooleans` look at one cell at a time, so a column
+ * of zip codes comes out half numbers, half strings. Inference samples the
+ * first rows, settles on a single type per column and then coerces every
+ * cell of that column the same way. The result is also reported as a simple
+ * schema that `applySchemaValidation` accepts, which makes it easy to find
+ * rows past the sample that do not fit.
+ *
+ * @module type-inference
+ */
+
+import { ConfigurationError } from '../errors';
+import type { Schema, SchemaRule } from './schema-validator';
+import { AnyObject } from '../types';
+
+export type InferredType = 'integer' | 'float' | 'boolean' | 'date' | 'string' | 'null' | 'array';
+
+export interface TypeInferenceOptions {
+  /** Number of leading rows inspected per column. */
+  sampleSize: number;
+}
+
+export const DEFAULT_INFERENCE_SAMPLE_SIZE = 1000;
+
+// No leading zeros: `007` and `01234` are identifiers, not numbers
+const INTEGER_PATTERN = /^[-+]?(?:0|[1-9]\d*)$/;
+const FLOAT_PATTERN = /^[-+]?(?:(?:0|[1-9]\d*)(?:\.\d+)?|\.\d+)(?:[eE][-+]?\d+)?$/;
+const BOOLEAN_PATTERN = /^(?:true|false)$/i;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d{1,3})?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Validates `inferTypes`.
+ *
+ * @returns Resolved options, or null when inference is off
+ */
+export function resolveTypeInferenceOptions(
+  inferTypes: boolean | { sampleSize?: number } | undefined
+): TypeInferenceOptions | null {
+  if (inferTypes === undefined || inferTypes === false) {
+    return null;
+  }
+  if (inferTypes === true) {
+    return { sampleSize: DEFAULT_INFERENCE_SAMPLE_SIZE };
+  }
+  if (typeof inferTypes !== 'object' || inferTypes === null) {
+    throw new ConfigurationError('inferTypes must be a boolean or an options object');
+  }
+  const { sampleSize = DEFAULT_INFERENCE_SAMPLE_SIZE } = inferTypes;
+  if (typeof sampleSize !== 'number' || !Number.isInteger(sampleSize) || sampleSize <= 0) {
+    throw new ConfigurationError('inferTypes.sampleSize must be a positive integer');
+  }
+  return { sampleSize };
+}
+
+function isEmptyCell(value: any): boolean {
+  return value === undefined || value === null || value === '';
+}
+
+/** Type of a single cell, before the column is settled. */
+export function classifyCell(value: any): InferredType {
+  if (isEmptyCell(value)) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  // Cells another option already converted, e.g. numberLocale
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'float';
+  }
+  if (typeof value === 'boolean') {
+    return 'boolean';
+  }
+  if (value instanceof Date) {
+    return 'date';
+  }
+  if (typeof value !== 'string') {
+    return 'string';
+  }
+  if (INTEGER_PATTERN.test(value)) {
+    return Number.isSafeInteger(Number(value)) ? 'integer' : 'string';
+  }
+  if (FLOAT_PATTERN.test(value)) {
+    return 'float';
+  }
+  if (BOOLEAN_PATTERN.test(value)) {
+    return 'boolean';
+  }
+  if (ISO_DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value))) {
+    return 'date';
+  }
+  return 'string';
+}
+
+function mergeTypes(current: InferredType, next: InferredType): InferredType {
+  if (current === next || next === 'null') {
+    return current;
+  }
+  if (current === 'null') {
+    return next;
+  }
+  if ((current === 'integer' && next === 'float') || (current === 'float' && next === 'integer')) {
+    return 'float';
+  }
+  return 'string';
+}
+
+/**
+ * Decides one type per column from the first `sampleSize` rows.
+ * Columns that are empty throughout the sample are reported as `'null'`.
+ */
+export function inferColumnTypes(
+  rows: AnyObject[],
+  headers: string[],
+  options: TypeInferenceOptions
+): Record<string, InferredType> {
+  const sample = rows.length > options.sampleSize ? rows.slice(0, options.sampleSize) : rows;
+  const columnTypes: Record<string, InferredType> = {};
+  for (const header of headers) {
+    let type: InferredType = 'null';
+    for (const row of sample) {
+      type = mergeTypes(type, classifyCell(row[header]));
+      if (type === 'string') {
+        break;
+      }
+    }
+    columnTypes[header] = type;
+  }
+  return columnTypes;
+}
+
+function coerceCell(value: any, type: InferredType): any {
+  if (typeof value !== 'string' || value === '') {
+    return value;
+  }
+  switch (type) {
+  case 'integer':
+  case 'float':
+    return FLOAT_PATTERN.test(value) ? Number(value) : value;
+  case 'boolean':
+    return BOOLEAN_PATTERN.test(value) ? value.toLowerCase() === 'true' : value;
+  case 'date':
+    return ISO_DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value)) ? new Date(value) : value;
+  default:
+    return value;
+  }
+}
+
+/**
+ * Coerces every cell to its column type. A cell that does not fit — say
+ * `'n/a'` in an integer column past the sample — keeps its raw string so
+ * schema validation can point at it.
+ */
+export function coerceRows(rows: AnyObject[], columnTypes: Record<string, InferredType>): AnyObject[] {
+  const typedColumns = Object.entries(columnTypes)
+    .filter(([, type]) => type === 'integer' || type === 'float' || type === 'boolean' || type === 'date');
+  if (typedColumns.length === 0) {
+    return rows;
+  }
+  return rows.map((row) => {
+    const typed: AnyObject = { ...row };
+    for (const [header, type] of typedColumns) {
+      typed[header] = coerceCell(typed[header], type);
+    }
+    return typed;
+  });
+}
+
+/**
+ * Converts inferred column types to the simple schema format understood by
+ * `applySchemaValidation`. Floats map to `'number'` so whole values such as
+ * `2.0` still validate; all-empty columns get no type constraint.
+ */
+export function inferredTypesToSchema(columnTypes: Record<string, InferredType>): Schema {
+  const schema: Schema = {};
+  for (const [header, type] of Object.entries(columnTypes)) {
+    const rule: SchemaRule = {};
+    if (type !== 'null') {
+      rule.type = type === 'float' ? 'number' : type;
+    }
+    schema[header] = rule;
+  }
+  return schema;
+}
@@ -0,0 +1,227 @@
+/**
+ * Rebuilds nested rows from flattened headers — the reverse of
+ * `jsonToCsv({ flatten: true })`.
+ *
+ * A header is a path of names joined by the separator, each optionally
+ * followed by array indexes: `user.address.city`, `items[0].sku`,
+ * `matrix[1][0]`. A header that is not a valid path, or whose path collides
+ * with another header (`a` next to `a.b`, `a[0]` next to `a.b`), keeps its
+ * flat name. Paths are compiled once per key set, so rows that share
+ * headers pay only for the assignments.
+ *
+ * Cells holding a JSON array or object — how `flatten` writes arrays and
+ * levels past `flattenMaxDepth` — are parsed back. Trailing array elements
+ * whose cells are all empty are dropped, so a row with fewer items than
+ * the widest row comes back at its own length.
+ *
+ * @module unflatten
+ */
+
+import { ConfigurationError } from '../errors';
+import { AnyObject } from '../types';
+
+type PathSegment = string | number;
+
+interface PlanEntry {
+  key: string;
+  /** Null when the key stays flat. */
+  path: PathSegment[] | null;
+}
+
+interface TrieNode {
+  kind: 'leaf' | 'object' | 'array';
+  children: Map<PathSegment, TrieNode>;
+}
+
+/** Largest array index a header may address; larger ones keep the header flat. */
+const MAX_ARRAY_INDEX = 10000;
+
+/** Distinct key sets remembered before the plan cache is cleared. */
+const MAX_CACHED_PLANS = 32;
+
+const UNSAFE_SEGMENTS = new Set(['__proto__', 'constructor', 'prototype']);
+
+/**
+ * Validates `unflatten` and `unflattenSeparator`.
+ *
+ * @returns A row mapper, or null when unflattening is off
+ */
+export function createUnflattener(
+  unflatten: unknown,
+  separator: unknown = '.'
+): ((row: AnyObject) => AnyObject) | null {
+  if (unflatten === undefined || unflatten === null || unflatten === false) {
+    return null;
+  }
+  if (unflatten !== true) {
+    throw new ConfigurationError('unflatten must be a boolean');
+  }
+  if (typeof separator !== 'string' || separator === '') {
+    throw new ConfigurationError('unflattenSeparator must be a non-empty string');
+  }
+  if (/[[\]]/.test(separator)) {
+    throw new ConfigurationError('unflattenSeparator must not contain "[" or "]"');
+  }
+
+  const plans = new Map<string, PlanEntry[]>();
+
+  return (row: AnyObject): AnyObject => {
+    const keys = Object.keys(row);
+    const signature = keys.join('\u0000');
+    let plan = plans.get(signature);
+    if (!plan) {
+      if (plans.size >= MAX_CACHED_PLANS) {
+        plans.clear();
+      }
+      plan = compilePlan(keys, separator);
+      plans.set(signature, plan);
+    }
+    return applyPlan(row, plan);
+  };
+}
+
+/**
+ * Splits a header into path segments.
+ *
+ * @returns The segments, or null when the header is a plain name or not a
+ * valid path
+ */
+function parsePath(key: string, separator: string): PathSegment[] | null {
+  if (!key.includes(separator) && !key.includes('[')) {
+    return null;
+  }
+  const segments: PathSegment[] = [];
+  for (const part of key.split(separator)) {
+    const match = /^([^[\]]+)((?:\[\d+\])*)$/.exec(part);
+    if (!match || UNSAFE_SEGMENTS.has(match[1])) {
+      return null;
+    }
+    segments.push(match[1]);
+    for (const index of match[2].match(/\d+/g) ?? []) {
+      const value = Number(index);
+      if (value > MAX_ARRAY_INDEX) {
+        return null;
+      }
+      segments.push(value);
+    }
+  }
+  return segments;
+}
+
+function compilePlan(keys: string[], separator: string): PlanEntry[] {
+  const parsed = keys.map((key) => parsePath(key, separator));
+  const root = new Map<PathSegment, TrieNode>();
+
+  // Plain names claim their top-level slot first, whatever the column order.
+  keys.forEach((key, i) => {
+    if (!parsed[i]) {
+      root.set(key, { kind: 'leaf', children: new Map() });
+    }
+  });
+
+  return keys.map((key, i) => {
+    const path = parsed[i];
+    if (!path) {
+      return { key, path: null };
+    }
+    return { key, path: claimPath(root, path) ? path : null };
+  });
+}
+
+/**
+ * Reserves `path` in the trie.
+ *
+ * @returns false when the path runs into another header's leaf or
+ * container, or mixes array indexes and names at one level
+ */
+function claimPath(root: Map<PathSegment, TrieNode>, path: PathSegment[]): boolean {
+  let level = root;
+  for (let i = 0; i < path.length; i++) {
+    const kind: TrieNode['kind'] = i === path.length - 1
+      ? 'leaf'
+      : typeof path[i + 1] === 'number' ? 'array' : 'object';
+    let node = level.get(path[i]);
+    if (node) {
+      // Only reachable before the first new node, so nothing is left half-claimed.
+      if (node.kind !== kind || kind === 'leaf') {
+        return false;
+      }
+    } else {
+      node = { kind, children: new Map() };
+      level.set(path[i], node);
+    }
+    level = node.children;
+  }
+  return true;
+}
+
+function applyPlan(row: AnyObject, plan: PlanEntry[]): AnyObject {
+  const result: AnyObject = {};
+  const arrays: unknown[][] = [];
+
+  for (const { key, path } of plan) {
+    const value = restoreJson(row[key]);
+    if (!path) {
+      result[key] = value;
+      continue;
+    }
+    let target: any = result;
+    for (let i = 0; i < path.length - 1; i++) {
+      let next = target[path[i]];
+      if (next === undefined) {
+        next = typeof path[i + 1] === 'number' ? [] : {};
+        if (Array.isArray(next)) {
+          arrays.push(next);
+        }
+        target[path[i]] = next;
+      }
+      target = next;
+    }
+    target[path[path.length - 1]] = value;
+  }
+
+  // Parents are created before their children, so trim in reverse.
+  for (let i = arrays.length - 1; i >= 0; i--) {
+    const array = arrays[i];
+    while (array.length > 0 && isEmptyValue(array[array.length - 1])) {
+      array.pop();
+    }
+    // Indexes skipped by the headers read as null rather than holes.
+    for (let j = 0; j < array.length; j++) {
+      if (!(j in array)) {
+        array[j] = null;
+      }
+    }
+  }
+  return result;
+}
+
+function restoreJson(value: unknown): unknown {
+  if (typeof value !== 'string' || value.length < 2) {
+    return value;
+  }
+  const first = value[0];
+  const last = value[value.length - 1];
+  if (!((first === '[' && last === ']') || (first === '{' && last === '}'))) {
+    return value;
+  }
+  try {
+    const parsed = JSON.parse(value);
+    return parsed !== null && typeof parsed === 'object' ? parsed : value;
+  } catch {
+    return value;
+  }
+}
+
+function isEmptyValue(value: unknown): boolean {
+  if (value === undefined || value === null || value === '') {
+    return true;
+  }
+  if (Array.isArray(value)) {
+    return value.every(isEmptyValue);
+  }
+  if (typeof value === 'object') {
+    return Object.values(value as AnyObject).every(isEmptyValue);
+  }
+  return false;
+}
@@ -0,0 +1,192 @@
+/**
+ * Row explosion for JSON→CSV (`unwind`).
+ *
+ * Like MongoDB's `$unwind`, each element of the array at a path becomes a
+ * row of its own, with the parent's other fields repeated:
+ *
+ * ```ts
+ * unwind: 'items'
+ * { id: 1, items: [{ sku: 'a' }, { sku: 'b' }] }
+ * // → { id: 1, items: { sku: 'a' } }, { id: 1, items: { sku: 'b' } }
+ * ```
+ *
+ * Several paths multiply out (`'cartesian'`, applied in order, so
+ * `['items', 'items.parts']` unwinds parts of each item) or pair up
+ * element by element (`'zip'`). Paths use dots for nesting.
+ *
+ * A cartesian product grows fast, so both functions take a row limit and
+ * stop as soon as they pass it; the writers hold it to `maxRecords`.
+ *
+ * @module unwind
+ */
+
+import { ConfigurationError } from '../errors';
+import type { AnyObject } from '../types';
+
+export type UnwindMode = 'cartesian' | 'zip';
+
+/** Validated unwind options */
+export interface UnwindPlan {
+  paths: string[][];
+  mode: UnwindMode;
+  preserveEmpty: boolean;
+}
+
+/**
+ * Validates `unwind`, `unwindMode` and `unwindPreserveEmpty`.
+ *
+ * @returns The plan, or null when nothing is unwound
+ * @throws {ConfigurationError} If an option is malformed
+ */
+export function resolveUnwindOptions(options: {
+  unwind?: string | string[];
+  unwindMode?: UnwindMode;
+  unwindPreserveEmpty?: boolean;
+} = {}): UnwindPlan | null {
+  const { unwind, unwindMode = 'cartesian', unwindPreserveEmpty = false } = options;
+  if (unwindMode !== 'cartesian' && unwindMode !== 'zip') {
+    throw new ConfigurationError('unwindMode must be "cartesian" or "zip"');
+  }
+  if (typeof unwindPreserveEmpty !== 'boolean') {
+    throw new ConfigurationError('unwindPreserveEmpty must be a boolean');
+  }
+  if (unwind === undefined) {
+    return null;
+  }
+  const paths = typeof unwind === 'string' ? [unwind] : unwind;
+  if (!Array.isArray(paths) || paths.length === 0) {
+    throw new ConfigurationError('unwind must be a path or a non-empty array of paths');
+  }
+  return {
+    paths: paths.map((path) => {
+      const segments = typeof path === 'string' ? path.split('.') : [];
+      if (segments.length === 0 || segments.some((segment) => segment === '')) {
+        throw new ConfigurationError(`Invalid unwind path: ${String(path)}`);
+      }
+      return segments;
+    }),
+    mode: unwindMode,
+    preserveEmpty: unwindPreserveEmpty
+  };
+}
+
+/** Marks a path to drop rather than set */
+const OMIT = Symbol('omit');
+
+function getPath(row: AnyObject, path: string[]): unknown {
+  let value: any = row;
+  for (const segment of path) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      return undefined;
+    }
+    value = value[segment];
+  }
+  return value;
+}
+
+/**
+ * Copies `row` with `value` at `path`, or without the key when `value` is
+ * `OMIT`, copying the objects along the way.
+ */
+function setPath(row: AnyObject, path: string[], value: unknown): AnyObject {
+  const [segment, ...rest] = path;
+  const copy = { ...row };
+  if (rest.length === 0) {
+    if (value === OMIT) {
+      delete copy[segment];
+    } else {
+      copy[segment] = value;
+    }
+  } else {
+    const child = row[segment];
+    // A path through a missing object has nothing to replace
+    if (child === null || typeof child !== 'object' || Array.isArray(child)) {
+      return row;
+    }
+    copy[segment] = setPath(child, rest, value);
+  }
+  return copy;
+}
+
+/** Elements to unwind: a lone value counts as one, null and missing as none. */
+function elementsAt(row: AnyObject, path: string[]): unknown[] {
+  const value = getPath(row, path);
+  if (Array.isArray(value)) {
+    return value;
+  }
+  return value === null || value === undefined ? [] : [value];
+}
+
+/**
+ * Unwinds one row into the rows it explodes to. A row whose arrays are
+ * all empty is dropped, or kept without them under `preserveEmpty`.
+ *
+ * @param limit - Stop once there are more rows than this
+ */
+export function unwindRow(row: AnyObject, plan: UnwindPlan, limit = Infinity): AnyObject[] {
+  const { paths, preserveEmpty } = plan;
+
+  if (plan.mode === 'zip') {
+    const arrays = paths.map((path) => elementsAt(row, path));
+    const length = Math.min(Math.max(...arrays.map((array) => array.length)), limit + 1);
+    if (length === 0) {
+      return preserveEmpty ? [paths.reduce((current, path) => setPath(current, path, OMIT), row)] : [];
+    }
+    const rows: AnyObject[] = [];
+    for (let i = 0; i < length; i++) {
+      // A shorter array leaves its path out rather than writing undefined
+      rows.push(paths.reduce(
+        (current, path, j) => setPath(current, path, i < arrays[j].length ? arrays[j][i] : OMIT),
+        row
+      ));
+    }
+    return rows;
+  }
+
+  let rows = [row];
+  for (let i = 0; i < paths.length; i++) {
+    const path = paths[i];
+    // Only the last path gives the final rows; after an earlier one, rows may still drop
+    const last = i === paths.length - 1;
+    const next: AnyObject[] = [];
+    for (const current of rows) {
+      const elements = elementsAt(current, path);
+      if (elements.length === 0) {
+        if (preserveEmpty) {
+          next.push(setPath(current, path, OMIT));
+        }
+        continue;
+      }
+      for (const element of elements) {
+        next.push(setPath(current, path, element));
+      }
+      if (last && next.length > limit) {
+        break;
+      }
+    }
+    rows = next;
+  }
+  return rows;
+}
+
+/**
+ * Unwinds every row of `data`; non-object entries pass through.
+ *
+ * @param limit - Stop once there are more rows than this
+ */
+export function unwindRows(data: any[], plan: UnwindPlan, limit = Infinity): any[] {
+  const rows: any[] = [];
+  for (const item of data) {
+    if (rows.length > limit) {
+      break;
+    }
+    if (item && typeof item === 'object' && !Array.isArray(item)) {
+      for (const row of unwindRow(item, plan, limit - rows.length)) {
+        rows.push(row);
+      }
+    } else {
+      rows.push(item);
+    }
+  }
+  return rows;
+}
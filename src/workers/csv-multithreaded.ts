@@ -45,10 +45,10 @@ export async function csvToJsonMultithreaded(
   
   // Разделяем данные на чанки
   let dataChunks: string[][];
-  let headers: string[] = [];
+  let headerLine: string | null = null;
   
   if (hasHeaders) {
-    headers = lines[0].split(csvOptions.delimiter || ';');
+    headerLine = lines[0];
     const dataLines = lines.slice(1);
     dataChunks = chunkData(dataLines, chunkSize);
   } else {
@@ -59,8 +59,8 @@ export async function csvToJsonMultithreaded(
   const tasks = dataChunks.map((chunk, index) => {
     // Восстанавливаем CSV чанк с заголовками если нужно
     let chunkCsv = chunk.join('\n');
-    if (hasHeaders && headers.length > 0) {
-      chunkCsv = headers.join(csvOptions.delimiter || ';') + '\n' + chunkCsv;
+    if (hasHeaders && headerLine !== null) {
+      chunkCsv = headerLine + '\n' + chunkCsv;
     }
     
     return createWorkerTask('csv_parse', chunkCsv, {
@@ -17,6 +17,9 @@
 import * as path from 'path';
 import * as fs from 'fs';
 import type { WorkerTaskMessage, WorkerTaskResult } from './parser-worker';
+import { resolveOutputLineEnding } from '../utils/line-endings';
+import { applyWriteDialect } from '../utils/csv-dialect';
+import type { JsonToCsvOptions } from '../types';
 
 export type ConcurrencyOption = number | undefined;
 
@@ -304,6 +307,13 @@ export async function parallelJsonToCsv<R = string>(
   if (!Array.isArray(data)) return syncFn(data, options);
   const workers = planConcurrency(data.length, 'jsonRows', parallelOpts);
   if (workers === 1) return syncFn(data, options);
+  // Empty columns are dropped across the whole dataset, and format functions do not cross to workers
+  const columns = options?.columns;
+  if (Array.isArray(columns) && columns.some((column) => (
+    column && typeof column === 'object' && (column.omitIfEmpty || typeof column.format === 'function')
+  ))) {
+    return syncFn(data, options);
+  }
 
   const scriptPath = resolveWorkerScriptPath();
   if (!scriptPath) return syncFn(data, options);
@@ -312,6 +322,12 @@ export async function parallelJsonToCsv<R = string>(
   const { Worker } = require('worker_threads') as typeof import('worker_threads');
 
   const includeHeaders = options?.includeHeaders !== false;
+  // Chunks are joined, and the output ended, with jsonToCsv's line break
+  const resolved = applyWriteDialect((options ?? {}) as JsonToCsvOptions);
+  const { eol, trailingNewline } = resolveOutputLineEnding(resolved, {
+    eol: resolved.rfc4180Compliant === false ? '\n' : '\r\n',
+    trailingNewline: false
+  });
   const chunkSize = Math.ceil(data.length / workers);
   const chunks: unknown[][] = [];
   for (let i = 0; i < data.length; i += chunkSize) {
@@ -324,10 +340,13 @@ export async function parallelJsonToCsv<R = string>(
       runOneWorkerTask(Worker, scriptPath, {
         type: 'jsonToCsv',
         payload: chunk,
-        options: { ...options, includeHeaders: idx === 0 ? includeHeaders : false },
+        options: idx === 0
+          ? { ...options, includeHeaders, trailingNewline: false }
+          : { ...options, includeHeaders: false, trailingNewline: false, addBOM: false, sepLine: false },
       }),
     );
-    return partials.filter((p) => typeof p === 'string').join('\n') as unknown as R;
+    const csv = partials.filter((p) => typeof p === 'string').join(eol);
+    return (trailingNewline && csv !== '' ? csv + eol : csv) as unknown as R;
   } catch {
     return syncFn(data, options);
   }
@@ -18,12 +18,53 @@ import {
 
 import { Transform, Readable, Writable, TransformCallback } from 'stream';
 import { pipeline } from 'stream/promises';
-import { CsvToJsonStreamOptions, AnyObject, AnyArray } from './src/types';
+import {
+  CsvToJsonStreamOptions,
+  AnyObject,
+  AnyArray,
+  CsvRowError,
+  CsvCollectOptions,
+  CsvCollectResult,
+  RowInfo
+} from './src/types';
 
 // Import schema validator from utils
 import { createSchemaValidators } from './src/utils/schema-validator';
 import { createBomStripStream } from './src/utils/bom-utils';
 import { parallelCsvToJson } from './src/workers/parallelize';
+import { resolveQuoteOptions, QuoteOptions } from './src/utils/parse-options';
+import {
+  CsvDelimiter,
+  resolveDelimiter,
+  isSingleCharDelimiter,
+  matchDelimiterAt,
+  countDelimiter
+} from './src/utils/delimiter';
+import { resolveLineFilterOptions, CsvLineFilter, headerNotFoundError } from './src/utils/line-filter';
+import { resolveHeaderOptions, resolveHeaders, HeaderPlan } from './src/utils/header-resolver';
+import { resolveNumberLocale, parseLocaleNumber } from './src/utils/number-locale';
+import { resolveUnescapeInjection, unescapeInjection } from './src/utils/csv-injection';
+import { applyReadDialect, quoteFormulaText, readSepLine, unwrapFormulaText } from './src/utils/csv-dialect';
+import { createRowDateParser } from './src/utils/date-patterns';
+import { toRowError, createCollectResult } from './src/utils/row-errors';
+import {
+  resolveColumnMismatch,
+  fitRowToHeaders,
+  isColumnMismatchError,
+  EXTRA_FIELDS_KEY
+} from './src/utils/column-mismatch';
+import {
+  resolveMissingValueOptions,
+  resolveMissingValue,
+  isNullToken,
+  omitUndefinedValues,
+  NOT_MISSING
+} from './src/utils/missing-values';
+import { createUnflattener } from './src/utils/unflatten';
+import { resolveColumnSelector, projectColumns, projectRow } from './src/utils/column-projection';
+import { resolveWhere, compileRowFilter, RowFilter } from './src/utils/row-filter';
+import { RecordAssembler, ROW_INFO_KEY } from './src/utils/row-info';
+import { resolveInputLineEnding, detectLineBreak } from './src/utils/line-endings';
 
 /**
  * Creates a transform stream that converts CSV chunks to JSON objects
@@ -39,9 +80,17 @@ import { parallelCsvToJson } from './src/workers/parallelize';
  *   parseNumbers: true,
  *   parseBooleans: true
  * });
+ *
+ * @example
+ * // onError: 'collect' skips malformed rows and reports each one
+ * const parser = createCsvToJsonStream({ onError: 'collect' });
+ * parser.on('rowError', ({ lineNumber, column, code, line }) => { ... });
  */
 export function createCsvToJsonStream(options: CsvToJsonStreamOptions = {}): Transform {
   return safeExecuteSync(() => {
+    // A sep= line names the delimiter unless one was passed, over the dialect's
+    const explicitDelimiter = options.delimiter;
+    options = applyReadDialect(options);
     const {
       delimiter,
       autoDetect = true,
@@ -58,18 +107,12 @@ export function createCsvToJsonStream(options: CsvToJsonStreamOptions = {}): Tra
       fastPathMode: _fastPathMode = 'objects',
       onError = 'throw',
       errorHandler,
-      repairRowShifts = true,
+      repairRowShifts: repairRowShiftsOption = true,
       normalizeQuotes = true
     } = options;
     
     // Validate options
-    if (delimiter !== undefined && typeof delimiter !== 'string') {
-      throw new ConfigurationError('Delimiter must be a string');
-    }
-
-    if (delimiter && delimiter.length !== 1) {
-      throw new ConfigurationError('Delimiter must be a single character');
-    }
+    const resolvedDelimiter = resolveDelimiter(delimiter);
     
     if (typeof hasHeaders !== 'boolean') {
       throw new ConfigurationError('hasHeaders must be a boolean');
@@ -91,25 +134,65 @@ export function createCsvToJsonStream(options: CsvToJsonStreamOptions = {}): Tra
       throw new ConfigurationError('schema must be an object');
     }
 
-    if (onError !== undefined && !['skip', 'warn', 'throw'].includes(onError)) {
-      throw new ConfigurationError('onError must be "skip", "warn", or "throw"');
+    if (onError !== undefined && !['skip', 'warn', 'throw', 'collect'].includes(onError)) {
+      throw new ConfigurationError('onError must be "skip", "warn", "throw", or "collect"');
     }
 
     if (errorHandler !== undefined && typeof errorHandler !== 'function') {
       throw new ConfigurationError('errorHandler must be a function');
     }
+
+    if (options.includeRowInfo !== undefined && typeof options.includeRowInfo !== 'boolean') {
+      throw new ConfigurationError('includeRowInfo must be a boolean');
+    }
+
+    for (const flag of ['sepLine', 'unwrapFormulaText'] as const) {
+      if (options[flag] !== undefined && typeof options[flag] !== 'boolean') {
+        throw new ConfigurationError(`${flag} must be a boolean`);
+      }
+    }
+
+    const quoteOptions = resolveQuoteOptions(options);
+    const headerOptions = resolveHeaderOptions(options);
+    const numberLocale = resolveNumberLocale(options.numberLocale);
+    const unescapeTriggers = resolveUnescapeInjection(options);
+    const unwrapCells = options.unwrapFormulaText === true;
+    const parseRowDates = createRowDateParser(options.parseDates);
+    const missingValues = resolveMissingValueOptions(options);
+    const nullTokens = missingValues && missingValues.nullValues.size > 0 ? missingValues.nullValues : null;
+    const unflattenRow = createUnflattener(options.unflatten, options.unflattenSeparator);
+    const columnMismatch = resolveColumnMismatch(options.columnMismatch);
+    const columnSelector = resolveColumnSelector(options.columns);
+    const where = resolveWhere(options.where);
+    const includeRowInfo = options.includeRowInfo === true;
+    const lineEnding = resolveInputLineEnding(options.lineEnding);
+    // An explicit mismatch policy replaces the shifted-row heuristics, which
+    // also need every field and every row, so they are off under a column
+    // projection or a row filter. Merged rows have no single source position
+    const repairRowShifts = repairRowShiftsOption && !columnMismatch && !columnSelector && !where && !includeRowInfo;
+    const metadata = options.metadata && typeof options.metadata === 'object' ? options.metadata : null;
     
     // Create schema validator if schema is provided
     // TODO: Fix schema validator types
     const schemaValidators = schema ? createSchemaValidators(schema) : null;
     
     let buffer = '';
-    let headers: string[] = [];
+    // Character lines are split on, known once the first line break arrives
+    let lineBreak: '\n' | '\r' | null = null;
     let finalHeaders: string[] = [];
+    let headerPlan: HeaderPlan | null = null;
+    // Distinct row keys; differs from finalHeaders only when names repeat
+    let rowHeaders: string[] = [];
+    // Field count of the source rows and the projected field indexes
+    let sourceWidth = 0;
+    let projection: number[] | null = null;
+    let rowFilter: RowFilter | null = null;
     let headersProcessed = false;
     let rowCount = 0;
-    let inputLineNumber = 0;
-    let finalDelimiter = delimiter;
+    // Set once maxRows rows matched `where`; later input is read but not parsed
+    let matchLimitReached = false;
+    let physicalLineNumber = 0;
+    let finalDelimiter = resolvedDelimiter;
     let pendingRow: AnyObject | null = null;
     let pendingRowLineNumber: number | null = null;
     let pendingRowLine: string | null = null;
@@ -119,20 +202,33 @@ export function createCsvToJsonStream(options: CsvToJsonStreamOptions = {}): Tra
       if (trim && typeof normalized === 'string') {
         normalized = normalized.trim();
       }
+      if (missingValues) {
+        const missing = resolveMissingValue(normalized, missingValues);
+        if (missing !== NOT_MISSING) {
+          return missing;
+        }
+      }
       if (typeof normalized === 'string') {
         if (normalized === '') {
           return null;
         }
-        if (normalized[0] === "'" && normalized.length > 1) {
-          const candidate = normalized.slice(1);
-          const leading = trim ? candidate.trimStart() : candidate;
-          const firstChar = leading[0];
-          if (firstChar === '=' || firstChar === '+' || firstChar === '-' || firstChar === '@') {
-            normalized = candidate;
+        // Unwrapped before unescaping, so an escaped '="x" stays literal text
+        if (unwrapCells) {
+          const text = unwrapFormulaText(normalized);
+          if (text !== normalized) {
+            return text;
           }
         }
+        if (unescapeTriggers) {
+          normalized = unescapeInjection(normalized, unescapeTriggers);
+        }
       }
-      if (parseNumbers && typeof normalized === 'string' && normalized.trim() !== '' && !isNaN(Number(normalized))) {
+      if (numberLocale && typeof normalized === 'string') {
+        const localeNumber = parseLocaleNumber(normalized, numberLocale);
+        if (localeNumber !== null) {
+          normalized = localeNumber;
+        }
+      } else if (parseNumbers && typeof normalized === 'string' && normalized.trim() !== '' && !isNaN(Number(normalized))) {
         normalized = Number(normalized);
       }
       if (parseBooleans && normalized !== null && normalized !== undefined) {
@@ -206,6 +302,12 @@ export function createCsvToJsonStream(options: CsvToJsonStreamOptions = {}): Tra
           normalized[header] = baseValue;
         }
       }
+      if (row[EXTRA_FIELDS_KEY] !== undefined && !(EXTRA_FIELDS_KEY in normalized)) {
+        normalized[EXTRA_FIELDS_KEY] = row[EXTRA_FIELDS_KEY];
+      }
+      if (row[ROW_INFO_KEY] !== undefined && !(ROW_INFO_KEY in normalized)) {
+        normalized[ROW_INFO_KEY] = row[ROW_INFO_KEY];
+      }
       return normalized;
     };
 
@@ -220,11 +322,11 @@ export function createCsvToJsonStream(options: CsvToJsonStreamOptions = {}): Tra
       typeof value === 'string' && /^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/.test(value);
 
     const attemptMergeRows = (row: AnyObject, nextRow: AnyObject): AnyObject | null => {
-      const headerCount = finalHeaders.length;
+      const headerCount = rowHeaders.length;
       if (headerCount === 0) {
         return null;
       }
-      const values = finalHeaders.map((header) => row[header]);
+      const values = rowHeaders.map((header) => row[header]);
       let lastNonEmpty = -1;
       for (let i = headerCount - 1; i >= 0; i--) {
         if (!isEmptyValue(values[i])) {
@@ -234,7 +336,7 @@ export function createCsvToJsonStream(options: CsvToJsonStreamOptions = {}): Tra
       }
       const missingCount = headerCount - 1 - lastNonEmpty;
       if (lastNonEmpty >= 0 && missingCount > 0) {
-        const nextValues = finalHeaders.map((header) => nextRow[header]);
+        const nextValues = rowHeaders.map((header) => nextRow[header]);
         const nextTrailingEmpty = nextValues
           .slice(headerCount - missingCount)
           .every((value) => isEmptyValue(value));
@@ -256,14 +358,14 @@ export function createCsvToJsonStream(options: CsvToJsonStreamOptions = {}): Tra
           }
           const merged: AnyObject = {};
           for (let i = 0; i < headerCount; i++) {
-            merged[finalHeaders[i]] = values[i];
+            merged[rowHeaders[i]] = values[i];
           }
           return merged;
         }
       }
 
       if (headerCount >= 6) {
-        const nextValues = finalHeaders.map((header) => nextRow[header]);
+        const nextValues = rowHeaders.map((header) => nextRow[header]);
         const nextHex = nextValues[4];
         const nextUserAgentHead = nextValues[2];
         const nextUserAgentTail = nextValues[3];
@@ -284,7 +386,7 @@ export function createCsvToJsonStream(options: CsvToJsonStreamOptions = {}): Tra
           values[5] = String(nextHex);
           const merged: AnyObject = {};
           for (let i = 0; i < headerCount; i++) {
-            merged[finalHeaders[i]] = values[i];
+            merged[rowHeaders[i]] = values[i];
           }
           return merged;
         }
@@ -293,9 +395,17 @@ export function createCsvToJsonStream(options: CsvToJsonStreamOptions = {}): Tra
       return null;
     };
 
-    const finalizeHeaders = (nextHeaders: string[]) => {
-      headers = nextHeaders;
-      finalHeaders = headers.map((header) => renameMap[header] || header);
+    const finalizeHeaders = (sourceHeaders: string[], lineNumber: number | null) => {
+      sourceWidth = sourceHeaders.length;
+      rowFilter = where ? compileRowFilter(where, sourceHeaders, trim) : null;
+      projection = columnSelector ? projectColumns(columnSelector, sourceHeaders) : null;
+      const nextHeaders = projection ? projectRow(sourceHeaders, projection) : sourceHeaders;
+      headerPlan = resolveHeaders(nextHeaders, renameMap, headerOptions, lineNumber);
+      finalHeaders = headerPlan.keys;
+      rowHeaders = headerPlan.headers;
+      if (metadata) {
+        metadata.headers = headerPlan.headers;
+      }
       headersProcessed = true;
     };
 
@@ -314,7 +424,13 @@ export function createCsvToJsonStream(options: CsvToJsonStreamOptions = {}): Tra
       }
       let outputRow = row;
       if (normalizeQuotes) {
-        outputRow = normalizeRowQuotes(outputRow, finalHeaders);
+        outputRow = normalizeRowQuotes(outputRow, rowHeaders);
+      }
+      if (missingValues?.emptyAs === 'omit') {
+        outputRow = omitUndefinedValues(outputRow);
+      }
+      if (parseRowDates) {
+        outputRow = parseRowDates(outputRow);
       }
 
       if (schemaValidators && Object.keys(schemaValidators).length > 0) {
@@ -329,6 +445,9 @@ export function createCsvToJsonStream(options: CsvToJsonStreamOptions = {}): Tra
           }
         }
       }
+      if (unflattenRow) {
+        outputRow = unflattenRow(outputRow);
+      }
 
       if (customTransform) {
         let transformed: AnyObject;
@@ -345,15 +464,23 @@ export function createCsvToJsonStream(options: CsvToJsonStreamOptions = {}): Tra
         stream.push(outputRow);
       }
       rowCount++;
+      if (rowFilter && rowCount >= maxRows) {
+        matchLimitReached = true;
+        stream.push(null);
+      }
     };
 
-    const handleRowError = (error: Error, line: string, lineNumber: number): boolean => {
+    const handleRowError = (error: Error, line: string, lineNumber: number, stream: Transform): boolean => {
       if (error instanceof LimitError) {
         throw error;
       }
       if (errorHandler) {
         errorHandler(error, line, lineNumber);
       }
+      if (onError === 'collect' || (columnMismatch === 'collect' && isColumnMismatchError(error))) {
+        stream.emit('rowError', toRowError(error, line, lineNumber));
+        return true;
+      }
       if (onError === 'warn') {
         if (process.env['NODE_ENV'] !== 'test') {
           console.warn(`[jtcsv] Line ${lineNumber}: ${error.message}`);
@@ -366,6 +493,171 @@ export function createCsvToJsonStream(options: CsvToJsonStreamOptions = {}): Tra
       throw error;
     };
     
+    const processLine = (line: string, lineNumber: number, stream: Transform, rowInfo: RowInfo | null = null): void => {
+      let errorLine = line;
+      let errorLineNumber = lineNumber;
+
+      // Check max rows limit
+      if (rowCount >= maxRows) {
+        throw new LimitError(
+          `CSV size exceeds maximum limit of ${maxRows} rows`,
+          maxRows,
+          rowCount + 1
+        );
+      }
+
+      try {
+        // Auto-detect delimiter on first line if needed
+        if (!finalDelimiter && autoDetect && !headersProcessed) {
+          finalDelimiter = autoDetectDelimiterFromLine(line, candidates);
+        }
+
+        if (!finalDelimiter) {
+          finalDelimiter = ';'; // Default fallback
+        }
+
+        // Parse CSV line
+        const values = parseCsvLine(
+          unwrapCells ? quoteFormulaText(line, finalDelimiter, quoteOptions) : line,
+          finalDelimiter,
+          trim,
+          lineNumber,
+          quoteOptions,
+          headersProcessed || !hasHeaders ? nullTokens : null
+        );
+
+        // Process headers
+        if (!headersProcessed) {
+          if (hasHeaders) {
+            finalizeHeaders(values as string[], lineNumber);
+            return;
+          } else {
+            // Generate default headers
+            finalizeHeaders(values.map((_, index) => `column${index + 1}`), null);
+          }
+        }
+
+        // Handle field count mismatch
+        let rowValues: Array<string | null> = values;
+        let extra: Array<string | null> | null = null;
+        if (columnMismatch) {
+          ({ values: rowValues, extra } = fitRowToHeaders(values, sourceWidth, columnMismatch, lineNumber, line));
+        } else if (values.length !== sourceWidth) {
+          throw ParsingError.fieldCountMismatch(
+            sourceWidth,
+            values.length,
+            lineNumber,
+            line
+          );
+        }
+        if (rowFilter && !rowFilter.test(rowValues)) {
+          return;
+        }
+        if (projection) {
+          rowValues = projectRow(rowValues, projection);
+        }
+
+        // Create JSON object
+        const row: AnyObject = {};
+        for (let j = 0; j < finalHeaders.length; j++) {
+          const value = normalizeValue(rowValues[j]);
+          headerPlan!.assign(row, finalHeaders[j], value);
+        }
+        if (extra) {
+          row[EXTRA_FIELDS_KEY] = extra;
+        }
+        if (rowInfo) {
+          row[ROW_INFO_KEY] = rowInfo;
+        }
+
+        if (repairRowShifts) {
+          if (!pendingRow) {
+            pendingRow = row;
+            pendingRowLineNumber = lineNumber;
+            pendingRowLine = line;
+            return;
+          }
+
+          const merged = attemptMergeRows(pendingRow, row);
+          const baseLine = pendingRowLine ?? line;
+          const baseLineNumber = pendingRowLineNumber ?? lineNumber;
+          const rowToEmit = merged ?? pendingRow;
+          pendingRow = merged ? null : row;
+          pendingRowLine = merged ? null : line;
+          pendingRowLineNumber = merged ? null : lineNumber;
+          errorLine = baseLine;
+          errorLineNumber = baseLineNumber;
+          emitRow(rowToEmit, baseLine, baseLineNumber, stream);
+        } else {
+          emitRow(row, line, lineNumber, stream);
+        }
+      } catch (error: any) {
+        if (!headersProcessed && hasHeaders) {
+          throw error;
+        }
+        handleRowError(error as Error, errorLine, errorLineNumber, stream);
+      }
+    };
+
+    // Comment/preamble filter; trailer lines are held back until the end
+    const lineFilterOptions = resolveLineFilterOptions(options);
+    const lineFilter = lineFilterOptions ? new CsvLineFilter(lineFilterOptions, quoteOptions) : null;
+    const skipTrailingLines = lineFilterOptions ? lineFilterOptions.skipTrailingLines : 0;
+    const heldLines: Array<{ line: string; lineNumber: number; rowInfo: RowInfo | null }> = [];
+    // Lines are joined into records where a quoted field holds a line
+    // break; each record keeps its starting line and byte offset
+    let recordAssembler: RecordAssembler | null = null;
+    let byteOffset = 0;
+
+    const acceptRecord = (line: string, lineNumber: number, stream: Transform, rowInfo: RowInfo | null): void => {
+      if (skipTrailingLines === 0) {
+        processLine(line, lineNumber, stream, rowInfo);
+        return;
+      }
+      heldLines.push({ line, lineNumber, rowInfo });
+      if (heldLines.length > skipTrailingLines) {
+        const next = heldLines.shift()!;
+        processLine(next.line, next.lineNumber, stream, next.rowInfo);
+      }
+    };
+
+    const acceptLine = (line: string, stream: Transform, terminator = '\n'): void => {
+      if (matchLimitReached) {
+        return;
+      }
+      physicalLineNumber += 1;
+      const lineOffset = byteOffset;
+      byteOffset += Buffer.byteLength(line) + terminator.length;
+      if (physicalLineNumber === 1 && options.sepLine) {
+        const sepDelimiter = readSepLine(line.replace(/^\uFEFF/, ''));
+        if (sepDelimiter !== null) {
+          if ((explicitDelimiter ?? null) === null) {
+            finalDelimiter = resolveDelimiter(sepDelimiter);
+          }
+          return;
+        }
+      }
+      if (lineFilter && !lineFilter.accept(line, physicalLineNumber)) {
+        return;
+      }
+      if (!recordAssembler) {
+        if (line.trim() === '') {
+          return; // Skip empty lines
+        }
+        if (!finalDelimiter && autoDetect) {
+          finalDelimiter = autoDetectDelimiterFromLine(line, candidates);
+        }
+        recordAssembler = new RecordAssembler(finalDelimiter || ';', quoteOptions);
+      }
+      // The line break is '\r\n' when the line still ends in '\r'
+      const crlf = line.endsWith('\r') && terminator !== '';
+      const text = crlf ? line.slice(0, -1) : line;
+      const record = recordAssembler.push(text, physicalLineNumber, lineOffset, crlf ? '\r\n' : terminator);
+      if (record) {
+        acceptRecord(record.text, record.info.line, stream, includeRowInfo ? record.info : null);
+      }
+    };
+    
     // Create transform stream
     const transformStream = new Transform({
       readableObjectMode: true,
@@ -377,116 +669,20 @@ export function createCsvToJsonStream(options: CsvToJsonStreamOptions = {}): Tra
           const chunkStr = chunk.toString();
           buffer += chunkStr;
           
+          lineBreak ??= detectLineBreak(buffer, lineEnding);
+          if (lineBreak === null) {
+            callback();
+            return;
+          }
+          
           // Process complete lines
-          const lines = buffer.split('\n');
+          const lines = buffer.split(lineBreak);
           
           // Keep last incomplete line in buffer
           buffer = lines.pop() || '';
           
-          // Process complete lines
-          let errorLine = '';  // Объявляем вне цикла для доступа в catch
-          let errorLineNumber = 0;
           for (const line of lines) {
-            if (line.trim() === '') {
-              continue; // Skip empty lines
-            }
-            inputLineNumber += 1;
-            errorLine = line;
-            errorLineNumber = inputLineNumber;
-            
-            // Check max rows limit
-            if (rowCount >= maxRows) {
-              throw new LimitError(
-                `CSV size exceeds maximum limit of ${maxRows} rows`,
-                maxRows,
-                rowCount + 1
-              );
-            }
-            
-            try {
-              // Auto-detect delimiter on first line if needed
-              if (!finalDelimiter && autoDetect && !headersProcessed) {
-                finalDelimiter = autoDetectDelimiterFromLine(line, candidates);
-              }
-              
-              if (!finalDelimiter) {
-                finalDelimiter = ';'; // Default fallback
-              }
-              
-              // Parse CSV line
-              const values = parseCsvLine(line, finalDelimiter, trim, inputLineNumber);
-              
-              // Process headers
-              if (!headersProcessed) {
-                if (hasHeaders) {
-                  finalizeHeaders(values);
-                  continue;
-                } else {
-                  // Generate default headers
-                  finalizeHeaders(values.map((_, index) => `column${index + 1}`));
-                }
-              }
-              if (finalHeaders.length === 0) {
-                finalHeaders = headers.map((header) => renameMap[header] || header);
-              }
-              
-              // Handle field count mismatch
-              if (values.length !== finalHeaders.length) {
-                throw ParsingError.fieldCountMismatch(
-                  finalHeaders.length,
-                  values.length,
-                  inputLineNumber,
-                  line
-                );
-              }
-              
-              // Create JSON object
-              const row: AnyObject = {};
-              for (let j = 0; j < finalHeaders.length; j++) {
-                const value = normalizeValue(values[j]);
-                row[finalHeaders[j]] = value;
-              }
-
-              if (repairRowShifts) {
-                if (!pendingRow) {
-                  pendingRow = row;
-                  pendingRowLineNumber = inputLineNumber;
-                  pendingRowLine = line;
-                  continue;
-                }
-
-                const merged = attemptMergeRows(pendingRow, row);
-                if (merged) {
-                  const baseLine = pendingRowLine ?? line;
-                  const baseLineNumber = pendingRowLineNumber ?? inputLineNumber;
-                  pendingRow = null;
-                  pendingRowLine = null;
-                  pendingRowLineNumber = null;
-                  errorLine = baseLine;
-                  errorLineNumber = baseLineNumber;
-                  emitRow(merged, baseLine, baseLineNumber, this);
-                } else {
-                  const baseLine = pendingRowLine ?? line;
-                  const baseLineNumber = pendingRowLineNumber ?? inputLineNumber;
-                  const rowToEmit = pendingRow;
-                  pendingRow = row;
-                  pendingRowLine = line;
-                  pendingRowLineNumber = inputLineNumber;
-                  errorLine = baseLine;
-                  errorLineNumber = baseLineNumber;
-                  emitRow(rowToEmit, baseLine, baseLineNumber, this);
-                }
-              } else {
-                emitRow(row, line, inputLineNumber, this);
-              }
-            } catch (error: any) {
-              if (!headersProcessed && hasHeaders) {
-                throw error;
-              }
-              if (handleRowError(error as Error, errorLine, errorLineNumber)) {
-                continue;
-              }
-            }
+            acceptLine(line, this, lineBreak);
           }
           
           callback();
@@ -496,131 +692,39 @@ export function createCsvToJsonStream(options: CsvToJsonStreamOptions = {}): Tra
       },
       
       flush(callback: TransformCallback) {
-        // Process any remaining data in buffer
-        if (buffer.trim() !== '') {
-          let errorLine = buffer;  // Объявляем вне try для доступа в catch
-          let errorLineNumber = inputLineNumber;
-          try {
-            // Check max rows limit
-            if (rowCount >= maxRows) {
-              throw new LimitError(
-                `CSV size exceeds maximum limit of ${maxRows} rows`,
-                maxRows,
-                rowCount + 1
-              );
-            }
-            if (rowCount < maxRows) {
-              inputLineNumber += 1;
-              errorLineNumber = inputLineNumber;
-              // Auto-detect delimiter if needed
-              if (!finalDelimiter && autoDetect && !headersProcessed) {
-                finalDelimiter = autoDetectDelimiterFromLine(buffer, candidates);
-              }
-              
-              if (!finalDelimiter) {
-                finalDelimiter = ';';
-              }
-              
-              const values = parseCsvLine(buffer, finalDelimiter, trim, inputLineNumber);
-              
-              if (!headersProcessed) {
-                if (hasHeaders) {
-                  finalizeHeaders(values);
-                } else {
-                  finalizeHeaders(values.map((_, index) => `column${index + 1}`));
-                }
-              } else {
-                if (finalHeaders.length === 0) {
-                  finalHeaders = headers.map((header) => renameMap[header] || header);
-                }
-                
-                if (values.length !== finalHeaders.length) {
-                  throw ParsingError.fieldCountMismatch(
-                    finalHeaders.length,
-                    values.length,
-                    inputLineNumber,
-                    buffer
-                  );
-                }
-                
-                const row: AnyObject = {};
-                for (let j = 0; j < finalHeaders.length; j++) {
-                  const value = normalizeValue(values[j]);
-                  row[finalHeaders[j]] = value;
-                }
-
-                if (repairRowShifts) {
-                  if (!pendingRow) {
-                    pendingRow = row;
-                    pendingRowLineNumber = inputLineNumber;
-                    pendingRowLine = buffer;
-                  } else {
-                    const merged = attemptMergeRows(pendingRow, row);
-                    if (merged) {
-                      const baseLine = pendingRowLine ?? buffer;
-                      const baseLineNumber = pendingRowLineNumber ?? inputLineNumber;
-                      pendingRow = null;
-                      pendingRowLine = null;
-                      pendingRowLineNumber = null;
-                      errorLine = baseLine;
-                      errorLineNumber = baseLineNumber;
-                      emitRow(merged, baseLine, baseLineNumber, this);
-                    } else {
-                      const baseLine = pendingRowLine ?? buffer;
-                      const baseLineNumber = pendingRowLineNumber ?? inputLineNumber;
-                      const rowToEmit = pendingRow;
-                      pendingRow = row;
-                      pendingRowLine = buffer;
-                      pendingRowLineNumber = inputLineNumber;
-                      errorLine = baseLine;
-                      errorLineNumber = baseLineNumber;
-                      emitRow(rowToEmit, baseLine, baseLineNumber, this);
-                    }
-                  }
-                } else {
-                  emitRow(row, buffer, inputLineNumber, this);
-                }
-              }
-            }
-          } catch (error: any) {
-            if (!headersProcessed && hasHeaders) {
-              callback(error);
-              return;
-            }
-            try {
-              if (handleRowError(error as Error, errorLine, errorLineNumber)) {
-                callback();
-                return;
-              }
-            } catch (handledError: any) {
-              callback(handledError);
-              return;
-            }
+        try {
+          // Process any remaining data in buffer
+          if (buffer !== '') {
+            acceptLine(buffer, this, '');
+            buffer = '';
+          }
+          const openRecord = recordAssembler?.flush();
+          if (openRecord && !matchLimitReached) {
+            acceptRecord(openRecord.text, openRecord.info.line, this, includeRowInfo ? openRecord.info : null);
+          }
+
+          if (lineFilter && lineFilter.awaitingHeader) {
+            throw headerNotFoundError();
           }
-        }
 
-        if (pendingRow) {
-          const baseLine = pendingRowLine ?? '';
-          const baseLineNumber = pendingRowLineNumber ?? inputLineNumber;
-          try {
-            emitRow(pendingRow, baseLine, baseLineNumber, this);
-          } catch (error: any) {
+          if (pendingRow) {
+            const baseLine = pendingRowLine ?? '';
+            const baseLineNumber = pendingRowLineNumber ?? physicalLineNumber;
+            const rowToEmit = pendingRow;
+            pendingRow = null;
+            pendingRowLine = null;
+            pendingRowLineNumber = null;
             try {
-              if (handleRowError(error as Error, baseLine, baseLineNumber)) {
-                callback();
-                return;
-              }
-            } catch (handledError: any) {
-              callback(handledError);
-              return;
+              emitRow(rowToEmit, baseLine, baseLineNumber, this);
+            } catch (error: any) {
+              handleRowError(error as Error, baseLine, baseLineNumber, this);
             }
           }
-          pendingRow = null;
-          pendingRowLine = null;
-          pendingRowLineNumber = null;
-        }
 
-        callback();
+          callback();
+        } catch (error: any) {
+          callback(error);
+        }
       }
     });
     
@@ -675,8 +779,12 @@ export function createJsonCollectorStream(
  * 
  * @param csv - CSV string to convert
  * @param options - Conversion options
- * @returns Promise with JSON array
+ * @returns Promise with JSON array, or `{ data, errors, stats }` with `onError: 'collect'`
  */
+export async function streamCsvToJson(
+  _csv: string,
+  _options: CsvToJsonStreamOptions & CsvCollectOptions
+): Promise<CsvCollectResult>;
 export async function streamCsvToJson(
   _csv: string,
   _options?: CsvToJsonStreamOptions
@@ -690,7 +798,7 @@ export async function streamCsvToJson(
   csvOrStream: string | Readable,
   outputOrOptions: Writable | CsvToJsonStreamOptions = {},
   options: CsvToJsonStreamOptions = {}
-): Promise<AnyArray | void> {
+): Promise<AnyArray | CsvCollectResult | void> {
   return safeExecuteAsync(async () => {
     const isReadableStream = (value: any): value is Readable =>
       value instanceof Readable || (value && typeof value.pipe === 'function');
@@ -718,6 +826,11 @@ export async function streamCsvToJson(
     
     const csvToJsonStream = createCsvToJsonStream(streamOptions);
     const collectorStream = createJsonCollectorStream();
+    const rowErrors: CsvRowError[] = [];
+    const collect = streamOptions.onError === 'collect' || streamOptions.columnMismatch === 'collect';
+    if (collect) {
+      csvToJsonStream.on('rowError', (rowError: CsvRowError) => rowErrors.push(rowError));
+    }
     
     await pipeline(
       readableStream,
@@ -725,26 +838,38 @@ export async function streamCsvToJson(
       collectorStream
     );
     
-    return ((collectorStream as any)._collectedData as AnyArray) || [];
+    const data = ((collectorStream as any)._collectedData as AnyArray) || [];
+    return collect ? createCollectResult(data, rowErrors) : data;
   }, 'STREAM_PROCESSING_ERROR', { function: 'streamCsvToJson' });
 }
 
+type StreamCsvToJsonAsyncOptions = CsvToJsonStreamOptions & {
+  useWorkers?: boolean;
+  workerCount?: number;
+  chunkSize?: number;
+  onProgress?: (_progress: { processed: number; total: number; percentage: number }) => void;
+};
+
 /**
  * Asynchronous version with worker thread support
  */
+export async function streamCsvToJsonAsync(
+  _csv: string,
+  _options: StreamCsvToJsonAsyncOptions & CsvCollectOptions
+): Promise<CsvCollectResult>;
+export async function streamCsvToJsonAsync(
+  _csv: string,
+  _options?: StreamCsvToJsonAsyncOptions
+): Promise<AnyArray>;
 export async function streamCsvToJsonAsync(
   csv: string,
-  options: CsvToJsonStreamOptions & {
-    useWorkers?: boolean;
-    workerCount?: number;
-    chunkSize?: number;
-    onProgress?: (_progress: { processed: number; total: number; percentage: number }) => void;
-  } = {}
-): Promise<AnyArray> {
+  options: StreamCsvToJsonAsyncOptions = {}
+): Promise<AnyArray | CsvCollectResult> {
   return safeExecuteAsync(async () => {
     const { useWorkers = false, workerCount, chunkSize: _unusedChunkSize, onProgress: _unusedOnProgress, ...streamOptions } = options;
-    if (!useWorkers) {
-      return streamCsvToJson(csv, streamOptions);
+    // Collected errors carry source line numbers, which chunked workers lose
+    if (!useWorkers || streamOptions.onError === 'collect' || streamOptions.columnMismatch === 'collect') {
+      return streamCsvToJson(csv, streamOptions as CsvToJsonStreamOptions);
     }
     // For batch (string-input) parallelization, route through parallelCsvToJson.
     // True parallel streaming on a Node Readable is a different beast — one
@@ -755,7 +880,7 @@ export async function streamCsvToJsonAsync(
       streamOptions as Record<string, unknown>,
       { concurrency: workerCount ?? 0 },
        
-      (input, opts) => streamCsvToJson(input, opts as any)
+      (input, opts) => streamCsvToJson(input, opts as CsvToJsonStreamOptions)
     );
   }, 'STREAM_PROCESSING_ERROR', { function: 'streamCsvToJsonAsync' });
 }
@@ -848,19 +973,16 @@ function autoDetectDelimiterFromLine(
 ): string {
   let bestDelimiter = candidates[0];
   let bestScore = -1;
+  let sample = line;
   
-  for (const delimiter of candidates) {
-    let score = 0;
-    
+  // Longer candidates first, so '|' is not credited with the pipes of '||'
+  const ordered = [...candidates].sort((a, b) => b.length - a.length);
+  for (const delimiter of ordered) {
     // Count occurrences
-    for (let i = 0; i < line.length; i++) {
-      if (line[i] === delimiter) {
-        score++;
-      }
-    }
+    let score = countDelimiter(sample, delimiter);
     
     // Bonus for consistent field count (check for quotes)
-    const fields = line.split(delimiter);
+    const fields = sample.split(delimiter);
     let hasQuotes = false;
     
     for (const field of fields) {
@@ -877,6 +999,9 @@ function autoDetectDelimiterFromLine(
       bestScore = score;
       bestDelimiter = delimiter;
     }
+    if (delimiter.length > 1 && fields.length > 1) {
+      sample = fields.join('');
+    }
   }
   
   return bestDelimiter;
@@ -884,19 +1009,28 @@ function autoDetectDelimiterFromLine(
 
 /**
  * Parses a single CSV line
+ *
+ * An unquoted field whose raw text, before escape processing, is one of
+ * `nullTokens` comes back as null, so `\N` is a token but `"\N"` is data.
  */
 function parseCsvLine(
   line: string,
-  delimiter: string,
+  delimiter: CsvDelimiter,
   trim: boolean,
-  lineNumber?: number
-): string[] {
-  const result: string[] = [];
+  lineNumber: number | undefined,
+  quoteOptions: QuoteOptions,
+  nullTokens: ReadonlySet<string> | null = null
+): Array<string | null> {
+  const singleChar = isSingleCharDelimiter(delimiter);
+  const { quote, escape, allowSingleQuotes } = quoteOptions;
+  const result: Array<string | null> = [];
   let currentField = '';
+  let fieldStart = 0;
+  let fieldQuoted = false;
   let inQuotes = false;
-  let quoteChar = '"';
+  let quoteChar = quote;
   let escapeNext = false;
-  
+
   for (let i = 0; i < line.length; i++) {
     const char = line[i];
     const nextChar = i < line.length - 1 ? line[i + 1] : '';
@@ -907,16 +1041,26 @@ function parseCsvLine(
       continue;
     }
 
-    if (char === '\\') {
+    if (escape !== null && char === escape) {
       escapeNext = true;
       continue;
     }
-    
-    if (!inQuotes && char === delimiter) {
-      result.push(trim ? currentField.trim() : currentField);
+
+    const delimiterLength = inQuotes ? 0
+      : singleChar ? (char === delimiter ? 1 : 0)
+        : matchDelimiterAt(line, i, delimiter);
+    if (delimiterLength > 0) {
+      result.push(nullTokens && !fieldQuoted && isNullToken(line.slice(fieldStart, i), trim, nullTokens)
+        ? null
+        : trim ? currentField.trim() : currentField);
       currentField = '';
-    } else if (!inQuotes && (char === '"' || char === "'")) {
+      fieldStart = i + delimiterLength;
+      fieldQuoted = false;
+      i += delimiterLength - 1;
+    } else if (!inQuotes && (char === quote
+      || (allowSingleQuotes && char === "'" && currentField.trim() === ''))) {
       inQuotes = true;
+      fieldQuoted = true;
       quoteChar = char;
     } else if (inQuotes && char === quoteChar && nextChar === quoteChar) {
       currentField += char;
@@ -931,16 +1075,19 @@ function parseCsvLine(
     }
   }
 
-  if (escapeNext) {
-    currentField += '\\';
+  if (escapeNext && escape !== null) {
+    currentField += escape;
   }
   
-  result.push(trim ? currentField.trim() : currentField);
+  result.push(nullTokens && !fieldQuoted && isNullToken(line.slice(fieldStart), trim, nullTokens)
+    ? null
+    : trim ? currentField.trim() : currentField);
   
   if (inQuotes) {
+    // The unclosed field is always the last one pushed
     throw ParsingError.unclosedQuotes(
       lineNumber ?? null,
-      null,
+      result.length,
       line.substring(0, 100)
     );
   }
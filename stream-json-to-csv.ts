@@ -14,18 +14,72 @@ import {
   safeExecuteAsync
 } from './errors';
 
-import { Transform, Readable, Writable, TransformCallback } from 'stream';
+import { Transform, Readable, Writable, TransformCallback, TransformOptions } from 'stream';
 import { pipeline } from 'stream/promises';
 import { JsonToCsvStreamOptions, AnyObject, AnyArray } from './src/types';
 
 // Import schema validator from utils
 import { createSchemaValidators } from './src/utils/schema-validator';
+import { createDateFormatter } from './src/utils/date-patterns';
+import { validateOutputDelimiter, containsDelimiter } from './src/utils/delimiter';
+import {
+  validateMaxArrayLength,
+  planArrayExpansion,
+  expandArrays,
+  expandKeys,
+  ArrayExpansionPlan
+} from './src/utils/array-expansion';
+import { resolveUnwindOptions, unwindRow } from './src/utils/unwind';
+import { resolveColumnSpec, applyColumnSpec } from './src/utils/column-spec';
+import { resolveHeaderStrategy, createRowSpill, RowSpill } from './src/utils/header-strategy';
+import { resolveCsvQuoting, createCsvFieldQuoter, quoteTokenText, CsvFieldQuoter } from './src/utils/csv-quoting';
+import { resolveOutputLineEnding } from './src/utils/line-endings';
+import { resolveNumberLocale, formatLocaleNumber } from './src/utils/number-locale';
+import { applyWriteDialect, sepLineFor, wrapFragileDigits } from './src/utils/csv-dialect';
+import { resolveInjectionPolicy, guardFormula } from './src/utils/csv-injection';
 import { parallelJsonToCsv } from './src/workers/parallelize';
 
+/**
+ * Transform that can keep pushing from `flush` under backpressure: rows
+ * replayed there wait on `nextRead()`, which resolves when the reader asks
+ * for more or the stream closes.
+ */
+class ReplayTransform extends Transform {
+  private waiting: (() => void) | null = null;
+
+  constructor(options: TransformOptions) {
+    super(options);
+    this.once('close', () => this.wake());
+  }
+
+  nextRead(): Promise<void> {
+    return this.destroyed
+      ? Promise.resolve()
+      : new Promise((resolve) => {
+        this.waiting = resolve;
+      });
+  }
+
+  _read(size: number): void {
+    super._read(size);
+    this.wake();
+  }
+
+  private wake(): void {
+    const waiting = this.waiting;
+    this.waiting = null;
+    waiting?.();
+  }
+}
+
 /**
  * Creates a transform stream that converts JSON objects to CSV rows
  * 
- * @param options - Configuration options
+ * `headerStrategy` decides how the columns are found. When the stream
+ * ends it emits `'stats'` with `{ records, rows, headers, droppedKeys }`.
+ * `dialect` fills in the options a consumer such as Excel needs.
+ * 
+ * @param streamOptions - Configuration options
  * @returns Transform stream
  * 
  * @example
@@ -39,8 +93,9 @@ import { parallelJsonToCsv } from './src/workers/parallelize';
  * // Pipe JSON objects to CSV
  * jsonReadableStream.pipe(transformStream).pipe(csvWritableStream);
  */
-export function createJsonToCsvStream(options: JsonToCsvStreamOptions = {}): Transform {
+export function createJsonToCsvStream(streamOptions: JsonToCsvStreamOptions = {}): Transform {
   return safeExecuteSync(() => {
+    const options = applyWriteDialect(streamOptions);
     const {
       delimiter = ';',
       includeHeaders = true,
@@ -50,22 +105,26 @@ export function createJsonToCsvStream(options: JsonToCsvStreamOptions = {}): Tra
       transform: customTransform,
       schema,
       addBOM = false,
-      preventCsvInjection = true,
       rfc4180Compliant = true,
       normalizeQuotes = true,
       flatten = false,
       flattenSeparator = '.',
       flattenMaxDepth = 5,
-      arrayHandling = 'stringify'
+      arrayHandling = 'stringify',
+      nullAs = '',
+      undefinedAs = '',
+      sepLine = false,
+      protectLeadingZeros = false
     } = options;
     
     // Validate options
-    if (typeof delimiter !== 'string') {
-      throw new ConfigurationError('Delimiter must be a string');
-    }
-    
-    if (delimiter.length !== 1) {
-      throw new ConfigurationError('Delimiter must be a single character');
+    validateOutputDelimiter(delimiter);
+
+    const maxArrayLength = validateMaxArrayLength(options.maxArrayLength);
+    if (arrayHandling === 'expand' && maxArrayLength === undefined) {
+      throw new ConfigurationError(
+        'arrayHandling "expand" needs maxArrayLength in a stream: the header is written before later rows arrive'
+      );
     }
     
     if (typeof includeHeaders !== 'boolean') {
@@ -95,15 +154,54 @@ export function createJsonToCsvStream(options: JsonToCsvStreamOptions = {}): Tra
     if (normalizeQuotes !== undefined && typeof normalizeQuotes !== 'boolean') {
       throw new ConfigurationError('normalizeQuotes must be a boolean');
     }
+
+    if (typeof nullAs !== 'string') {
+      throw new ConfigurationError('nullAs must be a string');
+    }
+
+    if (typeof undefinedAs !== 'string') {
+      throw new ConfigurationError('undefinedAs must be a string');
+    }
+
+    for (const [name, flag] of Object.entries({ addBOM, sepLine, protectLeadingZeros })) {
+      if (typeof flag !== 'boolean') {
+        throw new ConfigurationError(`${name} must be a boolean`);
+      }
+    }
     
+    const unwindPlan = resolveUnwindOptions(options);
+    const columns = resolveColumnSpec(options);
+    if (columns?.some((column) => column.omitIfEmpty)) {
+      throw new ConfigurationError(
+        'omitIfEmpty is not available in a stream: the header is written before later rows arrive'
+      );
+    }
+    const quoting = resolveCsvQuoting(options);
+    // 'minimal' keeps the writer's own RFC 4180 quoting
+    const quoteField = quoting.quoting === 'minimal' ? null : createCsvFieldQuoter(quoting, delimiter);
+    const { eol, trailingNewline } = resolveOutputLineEnding(options, { eol: '\n', trailingNewline: true });
+    const formatDate = createDateFormatter(options.dateFormat);
+    const numberLocale = resolveNumberLocale(options.numberLocale);
+    const injection = resolveInjectionPolicy(options);
+    const headerPlan = resolveHeaderStrategy(options, Boolean(columns) || Object.keys(template || {}).length > 0);
+
     // Create schema validator if schema is provided
     // TODO: Fix schema validator types
     const schemaValidators = schema ? createSchemaValidators(schema) : null;
     
     let headers: string[] = [];
     let outputHeaders: string[] = [];
+    let headerSet = new Set<string>();
     let headersWritten = false;
+    let lineWritten = false;
+    let expansion: ArrayExpansionPlan | null = null;
     let recordCount = 0;
+    let unwoundCount = 0;
+    let rowCount = 0;
+    const droppedKeys = new Set<string>();
+    const seenKeys = new Set<string>();
+    let sample: AnyObject[] | null = headerPlan.strategy === 'sample' ? [] : null;
+    let spill: RowSpill | null = null;
     const phoneKeys = new Set(['phone', 'phonenumber', 'phone_number', 'tel', 'telephone']);
 
     const normalizeQuotesInField = (value: string): string => {
@@ -143,14 +241,165 @@ export function createJsonToCsvStream(options: JsonToCsvStreamOptions = {}): Tra
       return base;
     };
     
+    // Each line ends in eol; without a trailing newline, eol goes before every line but the first
+    const pushLine = (stream: Transform, line: string): boolean => {
+      const ready = stream.push(trailingNewline ? line + eol : (lineWritten ? eol + line : line));
+      lineWritten = true;
+      return ready;
+    };
+
+    // Fixes the columns; `keys` are those the strategy has seen so far
+    const fixHeaders = (keys: string[]): void => {
+      if (columns) {
+        headers = columns.map((column) => column.header);
+        outputHeaders = headers;
+      } else {
+        // An expanded array key stands for its element columns
+        const templateKeys = Object.keys(template || {});
+        const resolvedHeaders = determineHeaders(
+          headerPlan.strategy === 'declared' ? [] : keys,
+          expansion ? expandKeys(templateKeys, expansion, flattenSeparator) : templateKeys,
+          renameMap
+        );
+        headers = resolvedHeaders.headers;
+        outputHeaders = resolvedHeaders.outputHeaders;
+      }
+      headerSet = new Set(headers);
+    };
+
+    const writeHeader = (stream: Transform): void => {
+      // Write BOM if enabled
+      if (addBOM && includeHeaders) {
+        stream.push('\uFEFF');
+      }
+
+      if (sepLine && includeHeaders) {
+        pushLine(stream, sepLineFor(delimiter));
+      }
+
+      // Write headers if enabled
+      if (includeHeaders) {
+        const headerRow = formatCsvRow(outputHeaders, delimiter, rfc4180Compliant, quoteField);
+        pushLine(stream, headerRow);
+      }
+
+      headersWritten = true;
+    };
+
+    // Cell value before it becomes text; spilled rows are stored in this form
+    const prepareValue = (value: any, header: string): any => {
+      // null/undefined become nullAs/undefinedAs in writeRow
+      if (value === null || value === undefined) {
+        return value;
+      }
+
+      if (value instanceof Date) {
+        value = formatDate(value);
+      }
+
+      // Handle arrays based on arrayHandling option
+      if (Array.isArray(value)) {
+        switch (arrayHandling) {
+          case 'stringify':
+            value = JSON.stringify(value);
+            break;
+          case 'join':
+            value = value.join(', ');
+            break;
+          case 'expand':
+            // Arrays nested in expanded elements
+            value = JSON.stringify(value);
+            break;
+        }
+      }
+
+      return normalizeValueForCsv(value, header);
+    };
+
+    const writeRow = (stream: Transform, item: AnyObject, prepared = false): boolean => {
+      for (const key in item) {
+        if (!headerSet.has(key)) {
+          droppedKeys.add(key);
+        }
+      }
+
+      // Convert row to CSV
+      const sources = headers.map(header => (
+        prepared && Object.prototype.hasOwnProperty.call(item, header)
+          ? item[header]
+          : prepareValue(item[header], header)
+      ));
+      // Tokens are written bare and strings that spell one are quoted, so
+      // a real '\N' does not read back as null
+      const written: Array<string | null> = sources.map(() => null);
+      const values = sources.map((value, i) => {
+        if (value === null || value === undefined) {
+          const token = value === null ? nullAs : undefinedAs;
+          if (token !== '') {
+            written[i] = token;
+          }
+          return token;
+        }
+
+        // Convert to string
+        const stringValue = numberLocale && typeof value === 'number'
+          ? formatLocaleNumber(value, numberLocale)
+          : String(value);
+
+        // Escape, strip or reject formulas per injectionPolicy
+        const guarded = guardFormula(stringValue, value, injection, headers[i], outputHeaders[i]);
+
+        // Formula-wrapped after the injection check, which would escape the '='
+        const text = protectLeadingZeros && typeof value === 'string' ? wrapFragileDigits(guarded) : guarded;
+        if (typeof value === 'string' && value !== '' && (value === nullAs || value === undefinedAs)) {
+          written[i] = quoteTokenText(text, quoting);
+        }
+        return text;
+      });
+
+      const csvRow = formatCsvRow(values, delimiter, rfc4180Compliant, quoteField, sources, written);
+      rowCount++;
+      return pushLine(stream, csvRow);
+    };
+
+    // Writes the buffered sample under the union of its keys
+    const releaseSample = (stream: Transform): void => {
+      const buffered = sample || [];
+      sample = null;
+      fixHeaders([...seenKeys]);
+      writeHeader(stream);
+      for (const item of buffered) {
+        writeRow(stream, item);
+      }
+    };
+
+    // Reads the spilled rows back; waits for the reader whenever the output is full
+    const drainSpill = async (stream: ReplayTransform): Promise<void> => {
+      const rows = spill!.rows();
+      fixHeaders([...seenKeys]);
+      writeHeader(stream);
+      for await (const item of rows) {
+        if (stream.destroyed) {
+          break;
+        }
+        if (!writeRow(stream, item, true)) {
+          await stream.nextRead();
+        }
+      }
+    };
+
+    const removeSpill = (): void => {
+      spill?.remove();
+    };
+    
     // Create transform stream
-    const transformStream = new Transform({
+    const transformStream: ReplayTransform = new ReplayTransform({
       objectMode: true,
       
       transform(chunk: any, encoding: BufferEncoding, callback: TransformCallback) {
         try {
-          // Check max records limit
-          if (recordCount >= maxRecords) {
+          // Check max records limit; with unwind it counts the unwound rows
+          if (!unwindPlan && recordCount >= maxRecords) {
             throw new LimitError(
               `Data size exceeds maximum limit of ${maxRecords} records`,
               maxRecords,
@@ -193,74 +442,71 @@ export function createJsonToCsvStream(options: JsonToCsvStreamOptions = {}): Tra
             row = transformed;
           }
           
-          // Flatten nested objects if enabled
-          if (flatten) {
-            row = flattenObject(row, flattenSeparator, flattenMaxDepth, arrayHandling);
+          // Unwound arrays give one CSV row per element
+          const items = unwindPlan ? unwindRow(row, unwindPlan, maxRecords - unwoundCount) : [row];
+          unwoundCount += items.length;
+          if (unwoundCount > maxRecords) {
+            throw new LimitError(
+              `Unwound data exceeds maximum limit of ${maxRecords} records`,
+              maxRecords,
+              unwoundCount
+            );
           }
-          
-          // Determine headers on first row
-          if (!headersWritten) {
-            const resolvedHeaders = determineHeaders(row, template, renameMap);
-            headers = resolvedHeaders.headers;
-            outputHeaders = resolvedHeaders.outputHeaders;
-            
-            // Write BOM if enabled
-            if (addBOM && includeHeaders) {
-              this.push('\uFEFF');
+          let spillFull = false;
+          for (let item of items) {
+            // Column specs pick nested values by path, in place of flattening
+            if (columns) {
+              item = applyColumnSpec(item, columns);
+            } else if (flatten) {
+              item = flattenObject(item, flattenSeparator, flattenMaxDepth, arrayHandling);
             }
-            
-            // Write headers if enabled
-            if (includeHeaders) {
-              const headerRow = formatCsvRow(outputHeaders, delimiter, rfc4180Compliant);
-              this.push(headerRow);
+
+            // Expand arrays into the columns planned from the first row
+            if (arrayHandling === 'expand') {
+              expansion ??= planArrayExpansion([item], maxArrayLength);
+              item = expandArrays(item, expansion, flattenSeparator);
             }
-            
-            headersWritten = true;
-          }
-          
-          // Convert row to CSV
-          const values = headers.map(header => {
-            let value = row[header];
-            
-            // Handle undefined/null values
-            if (value === undefined || value === null) {
-              return '';
+
+            // 'sample' and 'spill' hold rows back until the header is known
+            if (sample || headerPlan.strategy === 'spill') {
+              for (const key in item) {
+                seenKeys.add(key);
+              }
             }
-            
-            // Handle arrays based on arrayHandling option
-            if (Array.isArray(value)) {
-              switch (arrayHandling) {
-                case 'stringify':
-                  value = JSON.stringify(value);
-                  break;
-                case 'join':
-                  value = value.join(', ');
-                  break;
-                case 'expand':
-                  // For expand, we would need to handle differently
-                  // For now, join with semicolon
-                  value = value.join('; ');
-                  break;
+            if (headerPlan.strategy === 'spill') {
+              if (!spill) {
+                spill = createRowSpill(headerPlan.spillDir);
+                spill.file.on('error', (error) => this.destroy(error));
               }
+              const prepared: AnyObject = {};
+              for (const key in item) {
+                prepared[key] = prepareValue(item[key], key);
+              }
+              spillFull = !spill.write(prepared) || spillFull;
+              continue;
             }
-            
-            value = normalizeValueForCsv(value, header);
-
-            // Convert to string
-            const stringValue = String(value);
-            
-            // Prevent CSV injection if enabled
-            if (preventCsvInjection && isPotentialFormula(stringValue)) {
-              return escapeCsvInjection(stringValue);
+            if (sample) {
+              sample.push(item);
+              continue;
+            }
+          
+            // Determine headers on first row
+            if (!headersWritten) {
+              fixHeaders(Object.keys(item));
+              writeHeader(this);
             }
-            
-            return stringValue;
-          });
           
-          const csvRow = formatCsvRow(values, delimiter, rfc4180Compliant);
-          this.push(csvRow);
+            writeRow(this, item);
+          }
           
           recordCount++;
+          if (sample && recordCount >= headerPlan.sampleSize) {
+            releaseSample(this);
+          }
+          if (spillFull) {
+            spill!.file.once('drain', () => callback());
+            return;
+          }
           callback();
         } catch (error: any) {
           callback(error);
@@ -268,27 +514,49 @@ export function createJsonToCsvStream(options: JsonToCsvStreamOptions = {}): Tra
       },
       
       flush(callback: TransformCallback) {
+        const finish = (): void => {
+          this.emit('stats', {
+            records: recordCount,
+            rows: rowCount,
+            headers: outputHeaders,
+            droppedKeys: [...droppedKeys]
+          });
+          callback();
+        };
+
         try {
+          if (sample?.length) {
+            releaseSample(this);
+          }
+          if (spill) {
+            drainSpill(transformStream).then(
+              () => {
+                removeSpill();
+                finish();
+              },
+              (error) => {
+                removeSpill();
+                callback(error);
+              }
+            );
+            return;
+          }
           if (!headersWritten && includeHeaders) {
-            const templateKeys = Object.keys(template || {});
+            const templateKeys = columns ? columns.map((column) => column.header) : Object.keys(template || {});
             if (templateKeys.length > 0) {
               headers = templateKeys;
               outputHeaders = headers.map(header => renameMap[header] || header);
-              
-              if (addBOM) {
-                this.push('\uFEFF');
-              }
-              const headerRow = formatCsvRow(outputHeaders, delimiter, rfc4180Compliant);
-              this.push(headerRow);
-              headersWritten = true;
+              writeHeader(this);
             }
           }
-          callback();
+          finish();
         } catch (error: any) {
           callback(error);
         }
       }
     });
+
+    transformStream.once('close', removeSpill);
     
     return transformStream;
   }, 'STREAM_CREATION_ERROR', { function: 'createJsonToCsvStream' });
@@ -493,9 +761,10 @@ export async function saveJsonStreamAsCsv(
       safePath = normalized;
     }
 
+    const dialectOptions = applyWriteDialect(streamOptions);
     const resolvedOptions = {
-      ...streamOptions,
-      addBOM: streamOptions.addBOM !== undefined ? streamOptions.addBOM : true
+      ...dialectOptions,
+      addBOM: dialectOptions.addBOM !== undefined ? dialectOptions.addBOM : true
     };
     const jsonToCsvStream = createJsonToCsvStream(resolvedOptions);
     const dir = path.dirname(safePath);
@@ -517,21 +786,21 @@ export async function saveJsonStreamAsCsv(
 // ============================================================================
 
 /**
- * Determines headers from data, template, and rename map
+ * Determines headers from row keys, template keys, and rename map
  */
 function determineHeaders(
-  row: AnyObject,
-  template: AnyObject,
+  keys: string[],
+  templateKeys: string[],
   renameMap: Record<string, string>
 ): { headers: string[]; outputHeaders: string[] } {
   // Start with template keys if provided
-  let headers = Object.keys(template);
+  let headers = templateKeys;
   
   // If no template, use row keys
   if (headers.length === 0) {
-    headers = Object.keys(row);
+    headers = keys;
   } else {
-    const extraKeys = Object.keys(row).filter((key) => !headers.includes(key));
+    const extraKeys = keys.filter((key) => !headers.includes(key));
     headers = headers.concat(extraKeys);
   }
   
@@ -543,68 +812,50 @@ function determineHeaders(
 
 /**
  * Formats a CSV row with proper quoting
+ *
+ * @param quoteField - Quoting policy other than 'minimal', if any
+ * @param sources - Values the fields were made from, for `quoteField`
+ * @param written - Fields already in their final form, used as they are
  */
 function formatCsvRow(
   values: string[],
   delimiter: string,
-  rfc4180Compliant: boolean
+  rfc4180Compliant: boolean,
+  quoteField: CsvFieldQuoter | null = null,
+  sources?: unknown[],
+  written?: Array<string | null>
 ): string {
-  const escapedValues = values.map(value => {
-    if (rfc4180Compliant) {
-      // RFC 4180 compliant escaping
-      if (value.includes('"') || value.includes(delimiter) || value.includes('\n') || value.includes('\r')) {
-        return `"${value.replace(/"/g, '""')}"`;
-      }
-      return value;
-    } else {
-      // Simple escaping
-      if (value.includes(delimiter) || value.includes('\n')) {
-        return `"${value}"`;
-      }
-      return value;
-    }
-  });
-  
-  return escapedValues.join(delimiter) + '\n';
+  return values.map((value, i) => written?.[i] ?? formatCsvField(
+    value,
+    delimiter,
+    rfc4180Compliant,
+    quoteField,
+    sources ? sources[i] : value
+  )).join(delimiter);
 }
 
-/**
- * Checks if a string is a potential CSV injection
- */
-function isPotentialFormula(value: string): boolean {
-  let idx = 0;
-  while (idx < value.length) {
-    const code = value.charCodeAt(idx);
-    if (code === 32 || code === 9 || code === 10 || code === 13 || code === 0xfeff) {
-      idx++;
-      continue;
-    }
-    break;
+function formatCsvField(
+  value: string,
+  delimiter: string,
+  rfc4180Compliant: boolean,
+  quoteField: CsvFieldQuoter | null,
+  source: unknown
+): string {
+  if (quoteField) {
+    return quoteField(value, source);
   }
-  if (idx < value.length && (value[idx] === '"' || value[idx] === "'")) {
-    idx++;
-    while (idx < value.length) {
-      const code = value.charCodeAt(idx);
-      if (code === 32 || code === 9) {
-        idx++;
-        continue;
-      }
-      break;
+  if (rfc4180Compliant) {
+    // RFC 4180 compliant escaping
+    if (value.includes('"') || containsDelimiter(value, delimiter) || value.includes('\n') || value.includes('\r')) {
+      return `"${value.replace(/"/g, '""')}"`;
     }
+    return value;
   }
-  if (idx >= value.length) {
-    return false;
+  // Simple escaping
+  if (containsDelimiter(value, delimiter) || value.includes('\n')) {
+    return `"${value}"`;
   }
-  const char = value[idx];
-  return char === '=' || char === '+' || char === '-' || char === '@';
-}
-
-/**
- * Escapes CSV injection characters
- */
-function escapeCsvInjection(value: string): string {
-  // Prefix with apostrophe to prevent formula execution in Excel
-  return `'${value}`;
+  return value;
 }
 
 /**
@@ -632,12 +883,11 @@ function flattenObject(
           result[prefix] = current.join(', ');
           break;
         case 'expand':
-          // For expand, we would create multiple columns
-          // For now, join with separator
-          result[prefix] = current.join(separator);
+          // Expanded into columns after flattening
+          result[prefix] = current;
           break;
       }
-    } else if (typeof current === 'object' && current !== null) {
+    } else if (typeof current === 'object' && current !== null && !(current instanceof Date)) {
       for (const [key, value] of Object.entries(current)) {
         const newPrefix = prefix ? `${prefix}${separator}${key}` : key;
         flatten(value, newPrefix, depth + 1);